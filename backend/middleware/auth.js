@@ -1,21 +1,60 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const ApiKey = require('../models/ApiKey');
+const Role = require('../models/Role');
 
-// Verify JWT token
+// Admin policy: REQUIRE_ADMIN_2FA=true forces admins to enrol in 2FA
+const isTwoFactorRequired = (user) => {
+  return process.env.REQUIRE_ADMIN_2FA === 'true' && user.role === 'admin';
+};
+
+const isTwoFactorSetupRequired = (user) => {
+  return isTwoFactorRequired(user) && !user.twoFactorEnabled;
+};
+
+// Verify JWT token, or a personal API key sent in the X-API-Key header
 const authenticateToken = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const rawApiKey = req.headers['x-api-key'];
+    let userId;
+    let sessionId = null;
+    let apiKey = null;
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: 'Access token required'
-      });
+    if (rawApiKey) {
+      apiKey = await ApiKey.findActiveByKey(rawApiKey);
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid API key'
+        });
+      }
+      userId = apiKey.userId;
+    } else {
+      const authHeader = req.headers.authorization;
+      const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+      if (!token) {
+        return res.status(401).json({
+          success: false,
+          error: 'Access token required'
+        });
+      }
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Access tokens are tied to a refresh token family; reject revoked sessions
+      if (!decoded.sid || !(await RefreshToken.isSessionActive(decoded.sid))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Session has been revoked'
+        });
+      }
+      userId = decoded.userId;
+      sessionId = decoded.sid;
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-passwordHash');
+    const user = await User.findById(userId).select('-passwordHash');
     
     if (!user) {
       return res.status(401).json({
@@ -24,7 +63,28 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account has been deactivated'
+      });
+    }
+
+    // Admins without 2FA may only reach the auth routes until they enrol
+    if (isTwoFactorSetupRequired(user) && !req.originalUrl.startsWith('/api/auth/')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is required for admin accounts'
+      });
+    }
+
+    if (apiKey) {
+      await apiKey.touch();
+    }
+
     req.user = user;
+    req.sessionId = sessionId;
+    req.apiKey = apiKey;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -46,33 +106,102 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Check if user is admin
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
+// Keep API keys away from account management (2FA, API keys, user admin)
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
     return res.status(403).json({
       success: false,
-      error: 'Admin access required'
+      error: 'API keys cannot be used for this endpoint'
     });
   }
   next();
 };
 
-// Check if user owns resource or is admin
-const requireOwnershipOrAdmin = (req, res, next) => {
-  const resourceOwnerId = req.params.ownerId || req.body.ownerId;
-  
-  if (req.user.role === 'admin' || req.user._id.toString() === resourceOwnerId) {
-    return next();
+// Email verification policy: 'none' (default), 'customers' or 'login'
+const emailVerificationPolicy = () => process.env.EMAIL_VERIFICATION_POLICY || 'none';
+
+// Block unverified users when the policy requires a verified address
+const requireVerifiedEmail = (req, res, next) => {
+  if (emailVerificationPolicy() !== 'none' && !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address first'
+    });
   }
-  
-  res.status(403).json({
-    success: false,
-    error: 'Access denied - insufficient permissions'
-  });
+  next();
+};
+
+// API keys carry coarse scopes: reading or exporting needs <resource>:read,
+// anything else <resource>:write. Permissions without a scope are session-only.
+const apiKeyScopeFor = (permission) => {
+  const [resource, action] = permission.split(':');
+  const scope = `${resource}:${['read', 'export'].includes(action) ? 'read' : 'write'}`;
+  return ApiKey.SCOPES.includes(scope) ? scope : null;
+};
+
+// Require a role permission (or any of a list of them). An optional resource
+// loader, called as loader(req, permission), loads and checks the resource the
+// route works on and returns { status, error } to reject the request.
+const authorize = (permission, resourceLoader) => async (req, res, next) => {
+  try {
+    const required = [].concat(permission);
+
+    if (req.apiKey) {
+      const scopes = required.map(apiKeyScopeFor).filter(Boolean);
+      if (scopes.length === 0) {
+        return res.status(403).json({
+          success: false,
+          error: 'API keys cannot be used for this endpoint'
+        });
+      }
+      if (!scopes.some((scope) => req.apiKey.hasScope(scope))) {
+        return res.status(403).json({
+          success: false,
+          error: `API key is missing the ${scopes[0]} scope`
+        });
+      }
+    }
+
+    req.permissions = req.permissions || await Role.permissionsFor(req.user.role);
+    if (!required.some((item) => req.permissions.includes(item))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied - insufficient permissions'
+      });
+    }
+
+    if (resourceLoader) {
+      const rejection = await resourceLoader(req, required[0]);
+      if (rejection) {
+        return res.status(rejection.status).json({
+          success: false,
+          error: rejection.error
+        });
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('Authorization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Authorization failed'
+    });
+  }
+};
+
+// Whether a request that passed authorize() also holds another permission
+const hasPermission = (req, permission) => {
+  return Boolean(req.permissions && req.permissions.includes(permission));
 };
 
 module.exports = {
   authenticateToken,
-  requireAdmin,
-  requireOwnershipOrAdmin
+  isTwoFactorRequired,
+  isTwoFactorSetupRequired,
+  requireSession,
+  emailVerificationPolicy,
+  requireVerifiedEmail,
+  authorize,
+  hasPermission
 };
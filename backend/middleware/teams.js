@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const Customer = require('../models/Customer');
+const { hasPermission } = require('./auth');
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Resolve the active team from the X-Team-Id header; without it req.team is null
+const resolveTeam = async (req, res, next) => {
+  req.team = null;
+  const teamId = req.headers['x-team-id'];
+  if (!teamId) {
+    return next();
+  }
+
+  try {
+    const team = await Team.findById(teamId);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
+    }
+
+    if (!hasPermission(req, 'customers:all') && !team.getMember(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not a member of this team'
+      });
+    }
+
+    req.team = team;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid team ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load team'
+    });
+  }
+};
+
+// Whether a request may 'read', 'write' or 'delete' a customer.
+// Any team member can read and edit; deleting needs the individual owner or a team manager.
+// The customers:all permission reaches every customer.
+const canAccessCustomer = async (req, customer, action) => {
+  if (hasPermission(req, 'customers:all')) {
+    return true;
+  }
+
+  const { user } = req;
+  const ownerId = idOf(customer.ownerId);
+  const isOwner = Boolean(ownerId) && ownerId.toString() === user._id.toString();
+
+  // Customers from before teams existed belong to their owner alone
+  if (!customer.teamId) {
+    return isOwner;
+  }
+
+  const team = await Team.findById(idOf(customer.teamId));
+  if (!team || !team.getMember(user._id)) {
+    return false;
+  }
+
+  if (action === 'delete') {
+    return isOwner || team.isManager(user._id);
+  }
+  return true;
+};
+
+// Resource loader for authorize(): loads the customer named by a route param
+// into req.customer. customers:delete needs delete access, other read
+// permissions read access and everything else write access.
+// With { trashed: true } only customers in the trash are found.
+const loadCustomer = (param = 'id', { trashed = false } = {}) => async (req, permission) => {
+  if (!mongoose.isValidObjectId(req.params[param])) {
+    return { status: 400, error: 'Invalid customer ID' };
+  }
+
+  const customer = trashed
+    ? await Customer.findOne({ _id: req.params[param], deletedAt: { $ne: null } }).setOptions({ withDeleted: true })
+    : await Customer.findById(req.params[param]);
+  if (!customer) {
+    return { status: 404, error: trashed ? 'Customer not found in the trash' : 'Customer not found' };
+  }
+
+  let action = 'write';
+  if (permission === 'customers:delete') {
+    action = 'delete';
+  } else if (/:(read|export)$/.test(permission)) {
+    action = 'read';
+  }
+
+  if (!(await canAccessCustomer(req, customer, action))) {
+    return { status: 403, error: 'Access denied' };
+  }
+
+  req.customer = customer;
+  return null;
+};
+
+// Filter for the customers a request may list: the active team, or every team
+// the user belongs to. scope 'mine' keeps only customers the user owns.
+const customerScopeFilter = async (req, scope = 'team') => {
+  let filter;
+
+  if (req.team) {
+    filter = { teamId: req.team._id };
+  } else if (hasPermission(req, 'customers:all')) {
+    filter = {};
+  } else {
+    const teamIds = await Team.findTeamIdsForUser(req.user._id);
+    filter = {
+      $or: [
+        { teamId: { $in: teamIds } },
+        { teamId: null, ownerId: req.user._id }
+      ]
+    };
+  }
+
+  if (scope === 'mine') {
+    filter = { ...filter, ownerId: req.user._id };
+  }
+  return filter;
+};
+
+// Narrows customerScopeFilter to the customers canAccessCustomer would let the
+// request delete: those the user owns or whose team they manage.
+const customerDeleteFilter = async (req) => {
+  const filter = await customerScopeFilter(req);
+  if (hasPermission(req, 'customers:all')) {
+    return filter;
+  }
+
+  const managedTeamIds = await Team.find({
+    members: { $elemMatch: { userId: req.user._id, role: { $in: ['owner', 'manager'] } } }
+  }).distinct('_id');
+  return {
+    $and: [filter, { $or: [{ ownerId: req.user._id }, { teamId: { $in: managedTeamIds } }] }]
+  };
+};
+
+// Work out the team and individual owner for a created or updated customer.
+// Returns { teamId, ownerId } or { status, error } when the assignment is not allowed.
+// teamId is left out for customers from before teams existed.
+const resolveCustomerAssignment = async (req, { teamId, ownerId }, current = null) => {
+  let team;
+
+  if (teamId) {
+    team = await Team.findById(teamId);
+    if (!team) {
+      return { status: 404, error: 'Team not found' };
+    }
+    if (!hasPermission(req, 'customers:all') && !team.getMember(req.user._id)) {
+      return { status: 403, error: 'You are not a member of this team' };
+    }
+  } else if (current) {
+    // Customers from before teams existed keep their owner until migrated
+    team = current.teamId ? await Team.findById(current.teamId) : null;
+  } else {
+    team = req.team || await Team.ensurePersonalTeam(req.user);
+  }
+
+  // New customers default to their creator, unless they are added to a team the creator is not in
+  let owner = ownerId;
+  if (owner === undefined) {
+    if (current) {
+      owner = current.ownerId;
+    } else {
+      owner = team.getMember(req.user._id) ? req.user._id : null;
+    }
+  }
+
+  // The individual owner has to belong to the team
+  if (owner && team && !team.getMember(owner)) {
+    return { status: 400, error: 'Owner must be a member of the team' };
+  }
+
+  const assignment = { ownerId: owner || null };
+  if (team) {
+    assignment.teamId = team._id;
+  }
+  return assignment;
+};
+
+module.exports = {
+  resolveTeam,
+  canAccessCustomer,
+  loadCustomer,
+  customerScopeFilter,
+  customerDeleteFilter,
+  resolveCustomerAssignment
+};
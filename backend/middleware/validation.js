@@ -1,4 +1,7 @@
 const Joi = require('joi');
+const Role = require('../models/Role');
+const CustomField = require('../models/CustomField');
+const Pipeline = require('../models/Pipeline');
 
 // User validation schemas
 const registerSchema = Joi.object({
@@ -18,7 +21,8 @@ const registerSchema = Joi.object({
       'string.empty': 'Password is required',
       'string.min': 'Password must be at least 6 characters'
     }),
-  role: Joi.string().valid('user', 'admin').default('user')
+  // Accepted for backwards compatibility but ignored; new accounts are always 'user'
+  role: Joi.any().strip()
 });
 
 const loginSchema = Joi.object({
@@ -33,6 +37,267 @@ const loginSchema = Joi.object({
     })
 });
 
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().trim().required()
+    .messages({
+      'string.empty': 'Refresh token is required'
+    })
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().lowercase().trim().required()
+    .messages({
+      'string.empty': 'Email is required',
+      'string.email': 'Please provide a valid email address'
+    })
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().trim().required()
+    .messages({
+      'string.empty': 'Reset token is required'
+    }),
+  password: Joi.string().min(6).required()
+    .messages({
+      'string.empty': 'Password is required',
+      'string.min': 'Password must be at least 6 characters'
+    })
+});
+
+const updateProfileSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(50)
+    .messages({
+      'string.empty': 'Name is required',
+      'string.min': 'Name must be at least 2 characters',
+      'string.max': 'Name cannot exceed 50 characters'
+    }),
+  email: Joi.string().email().lowercase().trim()
+    .messages({
+      'string.empty': 'Email is required',
+      'string.email': 'Please provide a valid email address'
+    }),
+  // Only needed when the email address changes
+  currentPassword: Joi.string()
+}).or('name', 'email');
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required()
+    .messages({
+      'string.empty': 'Current password is required'
+    }),
+  newPassword: Joi.string().min(6).invalid(Joi.ref('currentPassword')).required()
+    .messages({
+      'string.empty': 'New password is required',
+      'string.min': 'Password must be at least 6 characters',
+      'any.invalid': 'New password must be different from the current password'
+    })
+});
+
+const resendVerificationSchema = Joi.object({
+  email: Joi.string().email().lowercase().trim().required()
+    .messages({
+      'string.empty': 'Email is required',
+      'string.email': 'Please provide a valid email address'
+    })
+});
+
+// Two-factor authentication validation schemas
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().trim().max(20).required()
+    .messages({
+      'string.empty': 'Authentication code is required'
+    })
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().trim().required()
+    .messages({
+      'string.empty': 'Challenge token is required'
+    }),
+  code: Joi.string().trim().max(20).required()
+    .messages({
+      'string.empty': 'Authentication code is required'
+    })
+});
+
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string().required()
+    .messages({
+      'string.empty': 'Password is required'
+    }),
+  code: Joi.string().trim().max(20).required()
+    .messages({
+      'string.empty': 'Authentication code is required'
+    })
+});
+
+// User management validation schemas
+const userRoleSchema = Joi.object({
+  role: Joi.string().trim().lowercase().max(50).required()
+    .messages({
+      'string.empty': 'Role is required'
+    })
+});
+
+const userStatusSchema = Joi.object({
+  isActive: Joi.boolean().required()
+});
+
+const userFilterSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  q: Joi.string().trim().max(100).allow(''),
+  role: Joi.string().trim().lowercase().max(50).allow(''),
+  isActive: Joi.boolean()
+});
+
+// API key validation schemas
+const apiKeySchema = Joi.object({
+  label: Joi.string().trim().min(1).max(100).required(),
+  scopes: Joi.array()
+    .items(Joi.string().valid('customers:read', 'customers:write', 'leads:read', 'leads:write'))
+    .min(1)
+    .unique()
+    .required()
+});
+
+// Role validation schemas
+const rolePermissionsSchema = Joi.array()
+  .items(Joi.string().valid(...Role.ALL_PERMISSIONS))
+  .unique();
+
+const roleSchema = Joi.object({
+  name: Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9_-]*$/).max(50).required()
+    .messages({
+      'string.empty': 'Role name is required',
+      'string.pattern.base': 'Role name may only contain lowercase letters, numbers, dashes and underscores'
+    }),
+  label: Joi.string().trim().min(2).max(50).required()
+    .messages({
+      'string.empty': 'Role label is required'
+    }),
+  description: Joi.string().trim().max(200).allow(''),
+  permissions: rolePermissionsSchema.default([])
+});
+
+const roleUpdateSchema = Joi.object({
+  label: Joi.string().trim().min(2).max(50),
+  description: Joi.string().trim().max(200).allow(''),
+  permissions: rolePermissionsSchema
+}).or('label', 'description', 'permissions');
+
+// Tag and custom field validation schemas
+const tagSchema = Joi.string().trim().lowercase().min(1).max(30)
+  .messages({
+    'string.empty': 'Tags cannot be empty',
+    'string.max': 'Tags cannot exceed 30 characters'
+  });
+
+const tagsSchema = Joi.array().items(tagSchema).max(20).unique()
+  .messages({
+    'array.max': 'At most 20 tags are allowed',
+    'array.unique': 'Each tag can only be added once'
+  });
+
+// A single tag or a list of tags, all of which must match
+const tagFilterSchema = Joi.array().items(tagSchema).max(20).single();
+
+const customFieldDefinitionSchema = Joi.object({
+  entityType: Joi.string().valid(...CustomField.ENTITY_TYPES).required(),
+  key: Joi.string().trim().pattern(/^[a-z][a-z0-9_]*$/).max(50).required()
+    .messages({
+      'string.empty': 'Field key is required',
+      'string.pattern.base': 'Field key must start with a letter and may only contain lowercase letters, numbers and underscores'
+    }),
+  label: Joi.string().trim().min(1).max(100).required()
+    .messages({
+      'string.empty': 'Field label is required'
+    }),
+  type: Joi.string().valid(...CustomField.FIELD_TYPES).required(),
+  options: Joi.when('type', {
+    is: Joi.valid('select', 'multiselect'),
+    then: Joi.array().items(Joi.string().trim().min(1).max(100)).min(1).max(100).unique().required()
+      .messages({
+        'array.min': 'Add at least one option',
+        'any.required': 'Add at least one option'
+      }),
+    otherwise: Joi.forbidden()
+  }),
+  required: Joi.boolean().default(false),
+  order: Joi.number().integer().default(0)
+});
+
+const customFieldListSchema = Joi.object({
+  entityType: Joi.string().valid(...CustomField.ENTITY_TYPES)
+});
+
+// The key, entity type and type stay fixed because stored values depend on them
+const customFieldUpdateSchema = Joi.object({
+  label: Joi.string().trim().min(1).max(100)
+    .messages({
+      'string.empty': 'Field label is required'
+    }),
+  options: Joi.array().items(Joi.string().trim().min(1).max(100)).min(1).max(100).unique()
+    .messages({
+      'array.min': 'Add at least one option'
+    }),
+  required: Joi.boolean(),
+  order: Joi.number().integer()
+}).or('label', 'options', 'required', 'order');
+
+// Schema for the value of one custom field, built from its definition
+const customFieldValueSchema = (field) => {
+  let schema;
+  switch (field.type) {
+    case 'number':
+      schema = Joi.number();
+      break;
+    case 'date':
+      schema = Joi.date().iso();
+      break;
+    case 'select':
+      schema = Joi.string().valid(...field.options);
+      break;
+    case 'multiselect':
+      schema = Joi.array().items(Joi.string().valid(...field.options)).unique();
+      break;
+    default:
+      schema = Joi.string().trim().max(1000);
+  }
+
+  schema = schema.label(field.label);
+  if (field.required) {
+    return field.type === 'multiselect' ? schema.min(1).required() : schema.required();
+  }
+  return field.type === 'multiselect' ? schema.allow(null) : schema.allow(null, '');
+};
+
+// Schema for filtering a list by one custom field: text matches part of the
+// value, dates match the whole day and multiselect values must all be present
+const customFieldFilterSchema = (field) => {
+  switch (field.type) {
+    case 'number':
+      return Joi.number().label(field.label);
+    case 'date':
+      return Joi.date().iso().label(field.label);
+    case 'select':
+      return Joi.string().valid(...field.options).label(field.label);
+    case 'multiselect':
+      return Joi.array().items(Joi.string().valid(...field.options)).single().label(field.label);
+    default:
+      return Joi.string().trim().max(100).label(field.label);
+  }
+};
+
+const customFieldsObject = (definitions, valueSchema) => Joi.object(
+  Object.fromEntries(definitions.map((field) => [field.key, valueSchema(field)]))
+).messages({
+  'object.unknown': '{{#label}} is not a custom field'
+});
+
+// Cleared values are not stored
+const isBlank = (value) => value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
 // Customer validation schemas
 const customerSchema = Joi.object({
   name: Joi.string().trim().min(2).max(100).required()
@@ -53,9 +318,158 @@ const customerSchema = Joi.object({
   company: Joi.string().trim().max(100).allow('')
     .messages({
       'string.max': 'Company name cannot exceed 100 characters'
+    }),
+  // Defaults to the active team; ownerId null leaves the customer without an individual owner
+  teamId: Joi.string().hex().length(24)
+    .messages({
+      'string.hex': 'Invalid team ID',
+      'string.length': 'Invalid team ID'
+    }),
+  ownerId: Joi.string().hex().length(24).allow(null)
+    .messages({
+      'string.hex': 'Invalid owner ID',
+      'string.length': 'Invalid owner ID'
+    }),
+  tags: tagsSchema,
+  // Checked against the field definitions by validateCustomFields('customer')
+  customFields: Joi.object()
+});
+
+const objectId = (label) => Joi.string().hex().length(24)
+  .messages({
+    'string.hex': `Invalid ${label}`,
+    'string.length': `Invalid ${label}`
+  });
+
+// Details of a customer about to be saved, checked for likely duplicates
+const duplicateCheckSchema = Joi.object({
+  name: Joi.string().trim().max(100).allow(''),
+  email: Joi.string().trim().max(254).allow(''),
+  phone: Joi.string().trim().max(20).allow(''),
+  company: Joi.string().trim().max(100).allow(''),
+  // The customer being edited, which is not a duplicate of itself
+  excludeId: objectId('customer ID')
+});
+
+const customerMergeSchema = Joi.object({
+  duplicateIds: Joi.array().items(objectId('customer ID')).min(1).max(20).unique().required()
+    .messages({
+      'array.min': 'Choose at least one customer to merge',
+      'array.max': 'At most 20 customers can be merged at once',
+      'array.unique': 'Each customer can only be merged once',
+      'any.required': 'Choose at least one customer to merge'
+    }),
+  // Per field, the customer whose value the merged customer keeps
+  fields: Joi.object({
+    name: objectId('customer ID'),
+    email: objectId('customer ID'),
+    phone: objectId('customer ID'),
+    company: objectId('customer ID'),
+    ownerId: objectId('customer ID')
+  }).default({})
+});
+
+// Columns holding each field in an imported CSV, e.g. { customer: { email: 'E-mail' } }
+const importColumnsSchema = (fields) => Joi.object(
+  Object.fromEntries(fields.map((field) => [field, Joi.string().trim().allow('', null)]))
+);
+
+const customerImportSchema = Joi.object({
+  csv: Joi.string().required()
+    .messages({
+      'string.empty': 'CSV data is required',
+      'any.required': 'CSV data is required'
+    }),
+  // Guessed from the column headers when left out
+  mapping: Joi.object({
+    customer: importColumnsSchema(['name', 'email', 'phone', 'company']),
+    lead: importColumnsSchema(['title', 'description', 'status', 'value'])
+  }),
+  duplicates: Joi.string().valid('skip', 'update', 'create').default('skip'),
+  dryRun: Joi.boolean().default(false),
+  // Large files can be imported in batches of rows
+  offset: Joi.number().integer().min(0).default(0),
+  limit: Joi.number().integer().min(1).max(1000),
+  startedAt: Joi.date().iso()
+});
+
+// Team validation schemas
+const teamSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required()
+    .messages({
+      'string.empty': 'Team name is required',
+      'string.min': 'Team name must be at least 2 characters',
+      'string.max': 'Team name cannot exceed 100 characters'
     })
 });
 
+const teamMemberSchema = Joi.object({
+  email: Joi.string().email().lowercase().trim().required()
+    .messages({
+      'string.empty': 'Email is required',
+      'string.email': 'Please provide a valid email address'
+    }),
+  role: Joi.string().valid('owner', 'manager', 'member').default('member')
+});
+
+const teamMemberRoleSchema = Joi.object({
+  role: Joi.string().valid('owner', 'manager', 'member').required()
+});
+
+// Pipeline validation schemas
+const stageSchema = Joi.object({
+  // Existing stages keep their _id so leads in them stay put
+  _id: objectId('stage ID'),
+  name: Joi.string().trim().min(1).max(50).required()
+    .messages({
+      'string.empty': 'Stage name is required',
+      'string.max': 'Stage name cannot exceed 50 characters'
+    }),
+  outcome: Joi.string().valid(...Pipeline.STAGE_OUTCOMES).default('open'),
+  probability: Joi.number().integer().min(0).max(100).default(0),
+  color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).default('#6b7280')
+    .messages({
+      'string.pattern.base': 'Color must be a hex color such as #3b82f6'
+    }),
+  requiresReason: Joi.boolean().default(false)
+});
+
+// Saved stages can also limit where their leads move next, by stage _id
+const savedStageSchema = stageSchema.keys({
+  nextStages: Joi.array().items(objectId('stage ID')).unique().default([])
+});
+
+const stagesOf = (item) => Joi.array().items(item).min(1).max(30)
+  .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase())
+  .messages({
+    'array.min': 'A pipeline needs at least one stage',
+    'array.max': 'A pipeline can have at most 30 stages',
+    'array.unique': 'Stage names must be unique'
+  });
+
+const pipelineSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required()
+    .messages({
+      'string.empty': 'Pipeline name is required',
+      'string.min': 'Pipeline name must be at least 2 characters',
+      'string.max': 'Pipeline name cannot exceed 100 characters'
+    }),
+  isDefault: Joi.boolean().default(false),
+  stages: stagesOf(stageSchema).required()
+});
+
+const pipelineUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100),
+  // Another pipeline becomes the default by being set as the default
+  isDefault: Joi.boolean().valid(true)
+    .messages({
+      'any.only': 'Make another pipeline the default instead'
+    }),
+  stages: stagesOf(savedStageSchema),
+  // Where leads in removed stages go: { removedStageId: keptStageId }
+  stageMoves: Joi.object().pattern(objectId('stage ID'), objectId('stage ID'))
+}).or('name', 'isDefault', 'stages');
+
 // Lead validation schemas
 const leadSchema = Joi.object({
   title: Joi.string().trim().min(2).max(200).required()
@@ -68,11 +482,30 @@ const leadSchema = Joi.object({
     .messages({
       'string.max': 'Description cannot exceed 1000 characters'
     }),
-  status: Joi.string().valid('New', 'Contacted', 'Converted', 'Lost').default('New'),
+  // Stage name; a stage can also be chosen by stageId. Without either a new
+  // lead starts in the first stage of its pipeline.
+  status: Joi.string().trim().max(50),
+  pipelineId: objectId('pipeline ID'),
+  stageId: objectId('stage ID'),
+  // Why the lead moved, for stages that ask for one; kept in its stage history
+  reason: Joi.string().trim().max(500).allow('')
+    .messages({
+      'string.max': 'Reason cannot exceed 500 characters'
+    }),
   value: Joi.number().min(0).default(0)
     .messages({
       'number.min': 'Value cannot be negative'
-    })
+    }),
+  // null clears them; without a probability the stage's default applies
+  expectedCloseDate: Joi.date().iso().allow(null),
+  probability: Joi.number().integer().min(0).max(100).allow(null)
+    .messages({
+      'number.min': 'Probability must be between 0 and 100',
+      'number.max': 'Probability must be between 0 and 100'
+    }),
+  tags: tagsSchema,
+  // Checked against the field definitions by validateCustomFields('lead')
+  customFields: Joi.object()
 });
 
 // Query validation schemas
@@ -82,10 +515,188 @@ const paginationSchema = Joi.object({
   q: Joi.string().trim().max(100).allow('')
 });
 
+// Tag and custom field filters shared by the list and export endpoints;
+// customFields[key] values are checked by validateCustomFieldFilters()
+const taggedFilters = {
+  tags: tagFilterSchema,
+  customFields: Joi.object()
+};
+
+const customerFilterSchema = paginationSchema.keys({
+  // 'mine' narrows the list to customers the user owns personally
+  scope: Joi.string().valid('team', 'mine').default('team'),
+  ownerId: objectId('owner ID'),
+  ...taggedFilters
+});
+
+// Lead filters by pipeline and stage, or by stage name across pipelines
+const stageFilters = {
+  status: Joi.string().trim().max(50).allow(''),
+  pipelineId: objectId('pipeline ID'),
+  stageId: objectId('stage ID')
+};
+
 const leadFilterSchema = Joi.object({
-  status: Joi.string().valid('New', 'Contacted', 'Converted', 'Lost').allow(''),
+  ...stageFilters,
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  ...taggedFilters
+});
+
+const tagSuggestionSchema = Joi.object({
+  q: Joi.string().trim().lowercase().max(30).allow(''),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+// Exports take the list filters without pagination
+const exportFormat = Joi.string().valid('csv', 'xlsx', 'ndjson').default('csv');
+
+const customerExportSchema = Joi.object({
+  q: Joi.string().trim().max(100).allow(''),
+  scope: Joi.string().valid('team', 'mine').default('team'),
+  ownerId: objectId('owner ID'),
+  format: exportFormat,
+  ...taggedFilters
+});
+
+// Filters of the leads across every accessible customer, shared by the list
+// and the export
+const leadListFilters = {
+  ...stageFilters,
+  // Title search and whose customers to include
+  q: Joi.string().trim().max(100).allow(''),
+  scope: Joi.string().valid('team', 'mine').default('team'),
+  ownerId: objectId('owner ID'),
+  customerId: objectId('customer ID'),
+  minValue: Joi.number().min(0),
+  maxValue: Joi.number().min(0)
+    .when('minValue', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minValue')) })
+    .messages({
+      'number.min': 'maxValue cannot be less than minValue'
+    }),
+  // Created between from and to
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({
+      'date.min': 'to cannot be before from'
+    }),
+  ...taggedFilters
+};
+
+const leadExportSchema = Joi.object({
+  ...leadListFilters,
+  format: exportFormat
+});
+
+const leadListSchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
-  limit: Joi.number().integer().min(1).max(100).default(10)
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  sort: Joi.string().valid('createdAt', 'updatedAt', 'value', 'title', 'status').default('createdAt'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  ...leadListFilters
+});
+
+// The pipeline board: leads of accessible customers, narrowed by owner,
+// customer, tags and custom fields, loaded a page of cards per stage
+const boardFilters = {
+  scope: Joi.string().valid('team', 'mine').default('team'),
+  ownerId: objectId('owner ID'),
+  customerId: objectId('customer ID'),
+  ...taggedFilters
+};
+
+const leadBoardSchema = Joi.object({
+  // The default pipeline when left out
+  pipelineId: objectId('pipeline ID'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  ...boardFilters
+});
+
+const leadBoardColumnSchema = Joi.object({
+  offset: Joi.number().integer().min(0).default(0),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  ...boardFilters
+});
+
+// Statistics over every accessible customer, or only the user's own
+const dashboardStatsSchema = Joi.object({
+  scope: Joi.string().valid('team', 'mine').default('team')
+});
+
+// Reports without a to end now, so their from cannot be in the future
+const endingNow = (schema) => schema.when(Joi.object({ to: Joi.exist() }).unknown(), {
+  otherwise: Joi.object({
+    from: Joi.date().max('now')
+      .messages({
+        'date.max': 'from cannot be in the future unless to is given'
+      })
+  })
+});
+
+// Report periods between from and to (the last 30 days when left out),
+// optionally alongside the period of the same length just before
+const trendStatsSchema = endingNow(Joi.object({
+  scope: Joi.string().valid('team', 'mine').default('team'),
+  interval: Joi.string().valid('day', 'week', 'month').default('day'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({
+      'date.min': 'to cannot be before from'
+    }),
+  compare: Joi.boolean().default(false)
+}));
+
+// The funnel of a pipeline (the default one when left out) for leads created
+// between from and to, narrowed by the customer's owner and company
+const funnelStatsSchema = Joi.object({
+  scope: Joi.string().valid('team', 'mine').default('team'),
+  pipelineId: objectId('pipeline ID'),
+  ownerId: objectId('owner ID'),
+  company: Joi.string().trim().max(100).allow(''),
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({
+      'date.min': 'to cannot be before from'
+    })
+});
+
+// Results per customer owner between from and to (the last 30 days when left out)
+const leaderboardStatsSchema = endingNow(Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({
+      'date.min': 'to cannot be before from'
+    })
+}));
+
+// Weighted forecast of open leads per month or quarter of their expected
+// close date, between from and to (the next twelve months when left out)
+const forecastStatsSchema = Joi.object({
+  scope: Joi.string().valid('team', 'mine').default('team'),
+  interval: Joi.string().valid('month', 'quarter').default('month'),
+  pipelineId: objectId('pipeline ID'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({
+      'date.min': 'to cannot be before from'
+    })
+});
+
+const auditFilterSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(25),
+  action: Joi.string().valid('create', 'update', 'delete', 'restore', 'purge', 'merge'),
+  entityType: Joi.string().valid('customer', 'lead', 'user'),
+  entityId: Joi.string().hex().length(24),
+  customerId: Joi.string().hex().length(24),
+  actorId: Joi.string().hex().length(24),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref('from'))
 });
 
 // Validation middleware factory
@@ -134,13 +745,136 @@ const validateQuery = (schema) => {
   };
 };
 
+// Validate req.body.customFields against the admin-defined fields of a customer
+// or lead. Creating checks required fields; updates that leave customFields out
+// keep the stored values. Cleared values are dropped.
+const validateCustomFields = (entityType) => {
+  return async (req, res, next) => {
+    try {
+      const definitions = await CustomField.forEntity(entityType);
+      if (req.body.customFields === undefined && req.method !== 'POST') {
+        return next();
+      }
+
+      const schema = customFieldsObject(definitions, customFieldValueSchema);
+      const { error, value } = schema.validate(req.body.customFields || {}, { abortEarly: false });
+
+      if (error) {
+        const errors = error.details.map(detail => ({
+          field: ['customFields', ...detail.path].join('.'),
+          message: detail.message
+        }));
+
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors
+        });
+      }
+
+      req.body.customFields = Object.fromEntries(
+        Object.entries(value).filter(([, fieldValue]) => !isBlank(fieldValue))
+      );
+      next();
+    } catch (error) {
+      console.error('Custom field validation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to validate custom fields'
+      });
+    }
+  };
+};
+
+// Validate and convert req.query.customFields filters, e.g. customFields[industry]=Retail,
+// and keep the field definitions on req.customFieldDefinitions for building the query
+const validateCustomFieldFilters = (entityType) => {
+  return async (req, res, next) => {
+    try {
+      const definitions = await CustomField.forEntity(entityType);
+      req.customFieldDefinitions = definitions;
+      if (!req.query.customFields) {
+        return next();
+      }
+
+      const schema = customFieldsObject(definitions, customFieldFilterSchema);
+      const { error, value } = schema.validate(req.query.customFields, { abortEarly: false });
+
+      if (error) {
+        const errors = error.details.map(detail => ({
+          field: ['customFields', ...detail.path].join('.'),
+          message: detail.message
+        }));
+
+        return res.status(400).json({
+          success: false,
+          error: 'Query validation failed',
+          details: errors
+        });
+      }
+
+      req.query.customFields = Object.fromEntries(
+        Object.entries(value).filter(([, fieldValue]) => !isBlank(fieldValue))
+      );
+      next();
+    } catch (error) {
+      console.error('Custom field filter validation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to validate custom field filters'
+      });
+    }
+  };
+};
+
 module.exports = {
   validate,
   validateQuery,
+  validateCustomFields,
+  validateCustomFieldFilters,
   registerSchema,
   loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  resendVerificationSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  twoFactorDisableSchema,
+  userRoleSchema,
+  userStatusSchema,
+  userFilterSchema,
+  apiKeySchema,
+  roleSchema,
+  roleUpdateSchema,
+  customFieldDefinitionSchema,
+  customFieldListSchema,
+  customFieldUpdateSchema,
   customerSchema,
+  customerImportSchema,
+  duplicateCheckSchema,
+  customerMergeSchema,
+  teamSchema,
+  teamMemberSchema,
+  teamMemberRoleSchema,
+  pipelineSchema,
+  pipelineUpdateSchema,
   leadSchema,
   paginationSchema,
-  leadFilterSchema
+  customerFilterSchema,
+  leadFilterSchema,
+  customerExportSchema,
+  leadExportSchema,
+  leadListSchema,
+  leadBoardSchema,
+  leadBoardColumnSchema,
+  dashboardStatsSchema,
+  trendStatsSchema,
+  funnelStatsSchema,
+  leaderboardStatsSchema,
+  forecastStatsSchema,
+  tagSuggestionSchema,
+  auditFilterSchema
 };
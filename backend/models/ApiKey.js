@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+// A ":write" scope also grants the matching ":read" scope
+const API_KEY_SCOPES = ['customers:read', 'customers:write', 'leads:read', 'leads:write'];
+
+// Raw keys look like "crm_<hex>" so they are easy to spot in scripts and logs
+const KEY_PREFIX = 'crm_';
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  label: {
+    type: String,
+    required: [true, 'Label is required'],
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  // First characters of the raw key, shown so users can tell keys apart
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: [true, 'Key hash is required'],
+    unique: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing a user's keys
+apiKeySchema.index({ userId: 1, createdAt: -1 });
+
+// Create a key and return it with the raw value, which is never stored
+apiKeySchema.statics.issue = async function({ userId, label, scopes }) {
+  const rawKey = `${KEY_PREFIX}${generateRandomToken(24)}`;
+
+  const apiKey = await this.create({
+    userId,
+    label,
+    scopes,
+    keyPrefix: rawKey.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashToken(rawKey)
+  });
+
+  return { apiKey, rawKey };
+};
+
+// Find the active key matching a raw value
+apiKeySchema.statics.findActiveByKey = function(rawKey) {
+  return this.findOne({ keyHash: hashToken(rawKey), revokedAt: null });
+};
+
+apiKeySchema.methods.hasScope = function(scope) {
+  if (this.scopes.includes(scope)) {
+    return true;
+  }
+  const [resource, access] = scope.split(':');
+  return access === 'read' && this.scopes.includes(`${resource}:write`);
+};
+
+// Record usage, writing at most once a minute to keep busy scripts cheap
+apiKeySchema.methods.touch = async function() {
+  const now = new Date();
+  if (!this.lastUsedAt || now - this.lastUsedAt > 60 * 1000) {
+    this.lastUsedAt = now;
+    await this.constructor.updateOne({ _id: this._id }, { lastUsedAt: now });
+  }
+};
+
+// Never expose the hash
+apiKeySchema.methods.toJSON = function() {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  return apiKey;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+ApiKey.SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// delete moves customers and leads to the trash, purge removes them for good
+// and merge records a customer merged into a duplicate of it
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'merge'];
+const AUDIT_ENTITY_TYPES = ['customer', 'lead', 'user'];
+
+const auditLogSchema = new mongoose.Schema({
+  // Who made the change (null for scheduled jobs); name and email are kept in case the user is deleted later
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorName: String,
+  actorEmail: String,
+  // Set when the change was made with a personal API key
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: [true, 'Action is required']
+  },
+  entityType: {
+    type: String,
+    enum: AUDIT_ENTITY_TYPES,
+    required: [true, 'Entity type is required']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required']
+  },
+  // Customer the entity belongs to, so a customer's history includes its leads
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  // { field: { from, to } } for every field that changed
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Extra context, e.g. how many leads were deleted with a customer
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Indexes for the audit filters
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ customerId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+
+// The log is append-only: entries can be written once and never changed or removed
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be changed'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  rejectChange
+);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+AuditLog.ACTIONS = AUDIT_ACTIONS;
+AuditLog.ENTITY_TYPES = AUDIT_ENTITY_TYPES;
+
+module.exports = AuditLog;
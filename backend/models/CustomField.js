@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const ENTITY_TYPES = ['customer', 'lead'];
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'multiselect'];
+
+// Admin-defined field stored under customFields.<key> on customers or leads
+const customFieldSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ENTITY_TYPES,
+    required: [true, 'Entity type is required']
+  },
+  // Name the value is stored and filtered under; cannot change once values exist
+  key: {
+    type: String,
+    required: [true, 'Field key is required'],
+    trim: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Field key may only contain lowercase letters, numbers and underscores'],
+    maxlength: [50, 'Field key cannot be more than 50 characters']
+  },
+  label: {
+    type: String,
+    required: [true, 'Field label is required'],
+    trim: true,
+    maxlength: [100, 'Field label cannot be more than 100 characters']
+  },
+  type: {
+    type: String,
+    enum: FIELD_TYPES,
+    required: [true, 'Field type is required']
+  },
+  // Choices of select and multiselect fields
+  options: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Option cannot be more than 100 characters']
+  }],
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Position in forms and lists
+  order: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+customFieldSchema.index({ entityType: 1, key: 1 }, { unique: true });
+
+// Field definitions for customers or leads, in form order
+customFieldSchema.statics.forEntity = function(entityType) {
+  return this.find({ entityType }).sort({ order: 1, createdAt: 1 }).lean();
+};
+
+const CustomField = mongoose.model('CustomField', customFieldSchema);
+CustomField.ENTITY_TYPES = ENTITY_TYPES;
+CustomField.FIELD_TYPES = FIELD_TYPES;
+
+module.exports = CustomField;
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { matchKeysFor } = require('../utils/matching');
+
+const MATCHED_FIELDS = ['name', 'email', 'phone', 'company'];
 
 const customerSchema = new mongoose.Schema({
   name: {
@@ -24,17 +28,80 @@ const customerSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Company name cannot be more than 100 characters']
   },
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: [true, 'Team ID is required']
+  },
+  // Optional individual owner within the team
   ownerId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Owner ID is required']
+    default: null
+  },
+  // Free-form labels, stored lowercase so filters and suggestions ignore case
+  tags: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+    maxlength: [30, 'Tag cannot be more than 30 characters']
+  }],
+  // Values of admin-defined custom fields by key, validated against their definitions
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Set on duplicates merged into another customer, which wait in the trash
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  // Normalized email, phone and name+company for finding likely duplicates;
+  // kept up to date by the hooks below and not returned by queries
+  matchKeys: {
+    type: new mongoose.Schema({
+      email: String,
+      phone: String,
+      nameCompany: String
+    }, { _id: false }),
+    select: false
   }
 }, {
   timestamps: true
 });
 
+customerSchema.pre('save', function(next) {
+  if (this.isNew || MATCHED_FIELDS.some((field) => this.isModified(field))) {
+    this.matchKeys = matchKeysFor(this);
+  }
+  next();
+});
+
+// Updates may change only some of the matched fields, so combine them with the stored customer
+customerSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate();
+  const changes = { ...update, ...update.$set };
+  if (!MATCHED_FIELDS.some((field) => field in changes)) {
+    return;
+  }
+
+  const current = await this.model.findOne(this.getQuery()).setOptions({ withDeleted: true }).lean();
+  if (current) {
+    this.set('matchKeys', matchKeysFor({ ...current, ...changes }));
+  }
+});
+
+// Deleted customers stay in the trash until restored or purged
+customerSchema.plugin(softDelete);
+
 // Index for better search performance
 customerSchema.index({ name: 'text', email: 'text', company: 'text' });
 customerSchema.index({ ownerId: 1 });
+customerSchema.index({ teamId: 1, ownerId: 1 });
+customerSchema.index({ tags: 1 });
+customerSchema.index({ 'matchKeys.email': 1 });
+customerSchema.index({ 'matchKeys.phone': 1 });
+customerSchema.index({ 'matchKeys.nameCompany': 1 });
 
 module.exports = mongoose.model('Customer', customerSchema);
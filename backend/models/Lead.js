@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const leadSchema = new mongoose.Schema({
   customerId: {
@@ -17,27 +18,77 @@ const leadSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Description cannot be more than 1000 characters']
   },
+  pipelineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pipeline'
+  },
+  // A stage of the lead's pipeline
+  stageId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Name of the stage, kept in step with it so leads can be filtered and
+  // exported by status as before pipelines existed
   status: {
     type: String,
-    enum: ['New', 'Contacted', 'Converted', 'Lost'],
+    trim: true,
     default: 'New'
   },
+  // When the lead entered its current stage; unset for leads that have not
+  // moved since before stage history was kept
+  stageEnteredAt: Date,
   value: {
     type: Number,
     min: [0, 'Value cannot be negative'],
     default: 0
   },
+  // When the deal is expected to close and how likely it is to be won, in
+  // percent; together they weight the value in the forecast. Leads without a
+  // probability of their own are weighted by their stage's default
+  expectedCloseDate: {
+    type: Date,
+    default: null
+  },
+  probability: {
+    type: Number,
+    min: [0, 'Probability cannot be negative'],
+    max: [100, 'Probability cannot be more than 100'],
+    default: null
+  },
+  // Free-form labels, stored lowercase so filters and suggestions ignore case
+  tags: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+    maxlength: [30, 'Tag cannot be more than 30 characters']
+  }],
+  // Values of admin-defined custom fields by key, validated against their definitions
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  // Set when the lead went to the trash with its customer, so restoring the
+  // customer brings it back while leads deleted on their own stay deleted
+  deletedWithCustomer: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
 });
 
+// Deleted leads stay in the trash until restored or purged
+leadSchema.plugin(softDelete);
+
 // Index for better query performance
 leadSchema.index({ customerId: 1 });
 leadSchema.index({ status: 1 });
+leadSchema.index({ pipelineId: 1, stageId: 1 });
+leadSchema.index({ tags: 1 });
 leadSchema.index({ createdAt: -1 });
+leadSchema.index({ expectedCloseDate: 1 });
 
 module.exports = mongoose.model('Lead', leadSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// open stages are still being worked on; won and lost stages close the lead
+const STAGE_OUTCOMES = ['open', 'won', 'lost'];
+
+// Stages of the pipeline created on first use. Their names match the lead
+// statuses used before pipelines existed, so existing leads map onto them.
+const DEFAULT_STAGES = [
+  { name: 'New', outcome: 'open', probability: 10, color: '#3b82f6' },
+  { name: 'Contacted', outcome: 'open', probability: 30, color: '#f59e0b' },
+  { name: 'Converted', outcome: 'won', probability: 100, color: '#10b981' },
+  { name: 'Lost', outcome: 'lost', probability: 0, color: '#ef4444' }
+];
+
+const stageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Stage name is required'],
+    trim: true,
+    maxlength: [50, 'Stage name cannot be more than 50 characters']
+  },
+  outcome: {
+    type: String,
+    enum: STAGE_OUTCOMES,
+    default: 'open'
+  },
+  // Default chance, in percent, that a lead in this stage is won
+  probability: {
+    type: Number,
+    min: [0, 'Probability cannot be negative'],
+    max: [100, 'Probability cannot be more than 100'],
+    default: 0
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-f]{6}$/i, 'Color must be a hex color such as #3b82f6'],
+    default: '#6b7280'
+  },
+  // Moving a lead into this stage needs a reason, e.g. why it was lost
+  requiresReason: {
+    type: Boolean,
+    default: false
+  },
+  // Stages of the same pipeline leads in this stage may move to; empty allows any
+  nextStages: [{
+    type: mongoose.Schema.Types.ObjectId
+  }]
+});
+
+// Stages are kept in pipeline order
+const pipelineSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Pipeline name is required'],
+    trim: true,
+    maxlength: [100, 'Pipeline name cannot be more than 100 characters']
+  },
+  // New leads go to the default pipeline unless another one is chosen
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  stages: {
+    type: [stageSchema],
+    validate: [(stages) => stages.length > 0, 'A pipeline needs at least one stage']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Only one pipeline can be the default
+pipelineSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+pipelineSchema.methods.findStage = function(stageId) {
+  return stageId ? this.stages.id(stageId) : null;
+};
+
+// Stage names are unique within a pipeline and compared ignoring case
+pipelineSchema.methods.findStageByName = function(name) {
+  const wanted = String(name).trim().toLowerCase();
+  return this.stages.find((stage) => stage.name.toLowerCase() === wanted) || null;
+};
+
+// The default pipeline, created with the built-in stages the first time it is needed
+pipelineSchema.statics.findDefault = async function() {
+  const pipeline = await this.findOne({ isDefault: true });
+  if (pipeline) {
+    return pipeline;
+  }
+
+  return this.findOneAndUpdate(
+    { isDefault: true },
+    { $setOnInsert: { name: 'Sales', isDefault: true, stages: DEFAULT_STAGES } },
+    { upsert: true, new: true }
+  );
+};
+
+const Pipeline = mongoose.model('Pipeline', pipelineSchema);
+Pipeline.STAGE_OUTCOMES = STAGE_OUTCOMES;
+Pipeline.DEFAULT_STAGES = DEFAULT_STAGES;
+
+module.exports = Pipeline;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // All tokens rotated from the same login share a family (the session id)
+  family: {
+    type: String,
+    required: [true, 'Token family is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'reuse', null],
+    default: null
+  },
+  createdByIp: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for session lookups; expired tokens are removed by MongoDB
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+refreshTokenSchema.index({ userId: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token for storage and lookup
+refreshTokenSchema.statics.hashToken = hashToken;
+
+// Create a new refresh token in a family and return the raw value
+refreshTokenSchema.statics.issue = async function({ userId, family, ip }) {
+  const token = generateRandomToken(40);
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 7;
+
+  await this.create({
+    userId,
+    family,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    createdByIp: ip
+  });
+
+  return token;
+};
+
+// Revoke every active token in a family
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every active session of a user, optionally keeping one
+refreshTokenSchema.statics.revokeUserSessions = function(userId, reason, exceptFamily) {
+  const query = { userId, revokedAt: null };
+  if (exceptFamily) {
+    query.family = { $ne: exceptFamily };
+  }
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Check whether a session still has a usable refresh token
+refreshTokenSchema.statics.isSessionActive = async function(family) {
+  const active = await this.exists({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(active);
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
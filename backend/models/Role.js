@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+// Every permission a role can grant, with the description shown in the roles editor
+const PERMISSIONS = {
+  'customers:read': 'View customers in their teams',
+  'customers:create': 'Create customers',
+  'customers:update': 'Edit customers',
+  'customers:delete': 'Delete customers they own, or any customer in teams they manage',
+  'customers:all': 'Work with every team\'s customers, not only their own teams',
+  'leads:read': 'View leads',
+  'leads:create': 'Create leads',
+  'leads:update': 'Edit leads',
+  'leads:delete': 'Delete leads',
+  'leads:export': 'Export customers and leads',
+  'teams:read': 'View their teams',
+  'teams:write': 'Create teams and manage the teams they own or manage',
+  'teams:manage': 'Manage every team',
+  'users:manage': 'Manage user accounts and assign roles',
+  'audit:read': 'Read the audit log',
+  'roles:manage': 'Edit roles and their permissions',
+  'fields:manage': 'Define custom fields for customers and leads',
+  'pipelines:manage': 'Configure lead pipelines and their stages',
+  'stats:leaderboard': 'Compare the results of every customer owner on the leaderboard'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Built-in roles are created on first use and can be edited but not deleted.
+// "admin" always has every permission so there is no way to lock everyone out.
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    label: 'Admin',
+    description: 'Full access, including user and role management',
+    permissions: ALL_PERMISSIONS
+  },
+  {
+    name: 'manager',
+    label: 'Manager',
+    description: 'Works with every team\'s customers and leads',
+    permissions: [
+      'customers:read', 'customers:create', 'customers:update', 'customers:delete', 'customers:all',
+      'leads:read', 'leads:create', 'leads:update', 'leads:delete', 'leads:export',
+      'teams:read', 'teams:write', 'teams:manage'
+    ]
+  },
+  {
+    name: 'user',
+    label: 'Sales rep',
+    description: 'Works with the customers and leads of their teams',
+    permissions: [
+      'customers:read', 'customers:create', 'customers:update', 'customers:delete',
+      'leads:read', 'leads:create', 'leads:update', 'leads:delete',
+      'teams:read', 'teams:write'
+    ]
+  },
+  {
+    name: 'auditor',
+    label: 'Read-only auditor',
+    description: 'Reads every customer and lead without changing anything',
+    permissions: ['customers:read', 'customers:all', 'leads:read', 'leads:export', 'teams:read', 'audit:read']
+  }
+];
+
+// Permissions are looked up on every request, so keep them briefly in memory
+const CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
+
+const roleSchema = new mongoose.Schema({
+  // Stored on users as their role
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]*$/, 'Role name may only contain lowercase letters, numbers, dashes and underscores'],
+    maxlength: [50, 'Role name cannot be more than 50 characters']
+  },
+  label: {
+    type: String,
+    required: [true, 'Role label is required'],
+    trim: true,
+    maxlength: [50, 'Role label cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  permissions: [{
+    type: String,
+    enum: ALL_PERMISSIONS
+  }],
+  builtIn: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+roleSchema.methods.effectivePermissions = function() {
+  return this.name === 'admin' ? ALL_PERMISSIONS : [...this.permissions];
+};
+
+roleSchema.methods.toJSON = function() {
+  const role = this.toObject();
+  role.permissions = this.effectivePermissions();
+  return role;
+};
+
+// Find a role by name, creating built-in roles the first time they are needed
+roleSchema.statics.findByName = async function(name) {
+  const role = await this.findOne({ name });
+  const defaults = DEFAULT_ROLES.find((item) => item.name === name);
+  if (role || !defaults) {
+    return role;
+  }
+
+  return this.findOneAndUpdate(
+    { name },
+    { $setOnInsert: { ...defaults, builtIn: true } },
+    { upsert: true, new: true }
+  );
+};
+
+// Make sure every built-in role exists
+roleSchema.statics.ensureDefaults = async function() {
+  for (const { name } of DEFAULT_ROLES) {
+    await this.findByName(name);
+  }
+};
+
+// Permissions granted by a role name; unknown roles grant nothing
+roleSchema.statics.permissionsFor = async function(name) {
+  const cached = permissionCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await this.findByName(name);
+  const permissions = role ? role.effectivePermissions() : [];
+  permissionCache.set(name, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+roleSchema.statics.clearPermissionCache = function() {
+  permissionCache.clear();
+};
+
+const Role = mongoose.model('Role', roleSchema);
+Role.PERMISSIONS = PERMISSIONS;
+Role.ALL_PERMISSIONS = ALL_PERMISSIONS;
+
+module.exports = Role;
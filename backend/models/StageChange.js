@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Pipeline = require('./Pipeline');
+
+// One entry per stage a lead enters, from its creation on. Names are kept
+// alongside the ids so the history still reads right after stages are
+// renamed or removed.
+const stageChangeSchema = new mongoose.Schema({
+  leadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: [true, 'Lead ID is required']
+  },
+  pipelineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pipeline'
+  },
+  // Stage the lead left; unset for the entry that records its creation
+  fromStageId: mongoose.Schema.Types.ObjectId,
+  fromStatus: String,
+  toStageId: mongoose.Schema.Types.ObjectId,
+  toStatus: {
+    type: String,
+    required: [true, 'Stage name is required']
+  },
+  // Outcome of the stage entered, so won and lost leads can be told apart later on
+  outcome: {
+    type: String,
+    enum: Pipeline.STAGE_OUTCOMES,
+    default: 'open'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  // Who moved the lead (null for changes made by the system); the name is kept
+  // in case the user is deleted later
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changedByName: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stageChangeSchema.index({ leadId: 1, createdAt: 1 });
+stageChangeSchema.index({ toStageId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StageChange', stageChangeSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Owners manage the team and its members, managers manage members and all
+// team customers, members work on team customers
+const TEAM_ROLES = ['owner', 'manager', 'member'];
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  role: {
+    type: String,
+    enum: TEAM_ROLES,
+    default: 'member'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Team name is required'],
+    trim: true,
+    maxlength: [100, 'Team name cannot be more than 100 characters']
+  },
+  // Every user gets one personal team so their customers always have a home
+  personal: {
+    type: Boolean,
+    default: false
+  },
+  members: [memberSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for membership lookups
+teamSchema.index({ 'members.userId': 1 });
+
+teamSchema.methods.getMember = function(userId) {
+  const id = (userId._id || userId).toString();
+  return this.members.find((member) => (member.userId._id || member.userId).toString() === id) || null;
+};
+
+teamSchema.methods.getRole = function(userId) {
+  const member = this.getMember(userId);
+  return member ? member.role : null;
+};
+
+// Owners and managers can manage members and every team customer
+teamSchema.methods.isManager = function(userId) {
+  return ['owner', 'manager'].includes(this.getRole(userId));
+};
+
+// Ids of every team the user belongs to
+teamSchema.statics.findTeamIdsForUser = function(userId) {
+  return this.find({ 'members.userId': userId }).distinct('_id');
+};
+
+// Return the user's personal team, creating it on first use
+teamSchema.statics.ensurePersonalTeam = async function(user) {
+  const existing = await this.findOne({ personal: true, createdBy: user._id });
+  if (existing) {
+    return existing;
+  }
+
+  return this.create({
+    name: `${user.name}'s team`,
+    personal: true,
+    createdBy: user._id,
+    members: [{ userId: user._id, role: 'owner' }]
+  });
+};
+
+const Team = mongoose.model('Team', teamSchema);
+Team.ROLES = TEAM_ROLES;
+
+module.exports = Team;
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { verifyTotp } = require('../utils/totp');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -21,10 +23,57 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // Name of a Role; built-in roles are admin, manager, user and auditor
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    lowercase: true,
+    trim: true,
     default: 'user'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret generated during enrolment, promoted once a code is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
@@ -48,10 +97,71 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.passwordHash);
 };
 
-// Remove password from JSON output
+// Issue a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const token = generateRandomToken();
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+  return token;
+};
+
+// Issue an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = generateRandomToken();
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24;
+
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + hours * 60 * 60 * 1000);
+  return token;
+};
+
+// Replace the recovery codes; returns the plain codes to show once
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = generateRandomToken(4);
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(hashToken);
+  return codes;
+};
+
+// Check an authenticator or recovery code against the active secret.
+// Needs twoFactorSecret, twoFactorLastUsedStep and twoFactorRecoveryCodes
+// selected; the caller must save the user when this returns true.
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  const step = this.twoFactorSecret ? verifyTotp(this.twoFactorSecret, code) : null;
+
+  // Reject codes that were already used, so a captured code cannot be replayed
+  if (step !== null && (this.twoFactorLastUsedStep === undefined || step > this.twoFactorLastUsedStep)) {
+    this.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  const codeHash = hashToken(String(code).trim().toLowerCase());
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(codeHash);
+  if (index !== -1) {
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// Remove password and token hashes from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.passwordHash;
+  delete user.passwordResetTokenHash;
+  delete user.passwordResetExpires;
+  delete user.emailVerificationTokenHash;
+  delete user.emailVerificationExpires;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorLastUsedStep;
+  delete user.twoFactorRecoveryCodes;
   return user;
 };
 
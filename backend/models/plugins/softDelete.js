@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Soft deletion: documents get deletedAt/deletedBy instead of being removed, and
+// reads skip deleted documents unless the query sets the withDeleted option.
+// Updates are left alone so bulk reassignments (e.g. when a user is deleted)
+// also reach documents in the trash.
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  const hideDeleted = function() {
+    if (this.getOptions().withDeleted) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  };
+
+  schema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'], hideDeleted);
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) {
+      return;
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
+
+module.exports = softDelete;
@@ -0,0 +1,301 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const Pipeline = require('../models/Pipeline');
+const {
+  validateQuery,
+  validateCustomFieldFilters,
+  leadExportSchema,
+  leadListSchema,
+  leadBoardSchema,
+  leadBoardColumnSchema,
+  tagSuggestionSchema
+} = require('../middleware/validation');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { resolveTeam, customerScopeFilter } = require('../middleware/teams');
+const { LEAD_COLUMNS, customFieldColumns, streamExport } = require('../services/exporter');
+const { taggedConditions, tagSuggestions } = require('../services/customFields');
+const { escapeRegex } = require('../utils/escape');
+
+// Leads across every customer the user can see
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Leads of the customers the request may list, narrowed by the customer's
+// owner or the customer itself and by the lead's stage, value, creation
+// date, title, tags and custom field values
+const leadListQuery = async (req, filters) => {
+  const {
+    scope, ownerId, customerId, status, pipelineId, stageId,
+    minValue, maxValue, from, to, q, tags, customFields
+  } = filters;
+
+  const customerFilters = [await customerScopeFilter(req, scope)];
+  if (ownerId) {
+    customerFilters.push({ ownerId });
+  }
+  if (customerId) {
+    customerFilters.push({ _id: customerId });
+  }
+  const customerIds = await Customer.find({ $and: customerFilters }).distinct('_id');
+
+  const query = { customerId: { $in: customerIds } };
+  if (status) {
+    query.status = status;
+  }
+  // Cast here since the board also uses the query in an aggregation
+  if (pipelineId) {
+    query.pipelineId = new mongoose.Types.ObjectId(pipelineId);
+  }
+  if (stageId) {
+    query.stageId = new mongoose.Types.ObjectId(stageId);
+  }
+  if (minValue !== undefined || maxValue !== undefined) {
+    query.value = {};
+    if (minValue !== undefined) query.value.$gte = minValue;
+    if (maxValue !== undefined) query.value.$lte = maxValue;
+  }
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+  if (q) {
+    query.title = { $regex: escapeRegex(q), $options: 'i' };
+  }
+  const conditions = taggedConditions(req.customFieldDefinitions, { tags, customFields });
+  if (conditions.length > 0) {
+    query.$and = conditions;
+  }
+  return query;
+};
+
+// Leads of a pipeline for the board. The default pipeline also shows leads
+// saved before pipelines existed, which have no pipelineId.
+const boardQuery = async (req, filters, pipeline) => {
+  const query = await leadListQuery(req, { ...filters, pipelineId: pipeline._id.toString() });
+  if (pipeline.isDefault) {
+    query.pipelineId = { $in: [pipeline._id, null] };
+  }
+  return query;
+};
+
+// The leads of one board column. Leads saved before pipelines existed only
+// have a status: they go in the default pipeline's stage of that name, or its
+// first stage for other statuses, as migrate:pipelines would place them.
+const stageMatch = (pipeline, stage) => {
+  if (!pipeline.isDefault) {
+    return { stageId: stage._id };
+  }
+  const status = stage._id.equals(pipeline.stages[0]._id)
+    ? { $nin: pipeline.stages.slice(1).map((item) => item.name) }
+    : stage.name;
+  return { $or: [{ stageId: stage._id }, { stageId: null, status }] };
+};
+
+// A page of board cards for one stage, newest activity first. Asks for one
+// more than needed to tell whether the column has more.
+const boardCards = async (query, pipeline, stage, offset, limit) => {
+  const leads = await Lead.find({ $and: [query, stageMatch(pipeline, stage)] })
+    .populate('customerId', 'name company ownerId')
+    .sort({ updatedAt: -1, _id: -1 })
+    .skip(offset)
+    .limit(limit + 1);
+
+  return {
+    leads: leads.slice(0, limit),
+    hasMore: leads.length > limit
+  };
+};
+
+// @route   GET /api/leads
+// @desc    List the leads of every accessible customer with filtering, sorting and pagination
+// @access  Private
+router.get('/', authorize('leads:read'), resolveTeam, validateQuery(leadListSchema), validateCustomFieldFilters('lead'), async (req, res) => {
+  try {
+    const { page, limit, sort, order, ...filters } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = await leadListQuery(req, filters);
+    const direction = order === 'asc' ? 1 : -1;
+
+    const leads = await Lead.find(query)
+      .populate({
+        path: 'customerId',
+        select: 'name email company ownerId',
+        populate: { path: 'ownerId', select: 'name email' }
+      })
+      .sort({ [sort]: direction, _id: direction })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Lead.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        leads,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalLeads: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get all leads error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch leads'
+    });
+  }
+});
+
+// @route   GET /api/leads/tags
+// @desc    Suggest tags already used on leads of accessible customers, most used first
+// @access  Private
+router.get('/tags', authorize('leads:read'), resolveTeam, validateQuery(tagSuggestionSchema), async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+
+    const customerIds = await Customer.find(await customerScopeFilter(req)).distinct('_id');
+    const tags = await tagSuggestions('lead', { customerId: { $in: customerIds } }, q, limit);
+
+    res.json({
+      success: true,
+      data: { tags }
+    });
+  } catch (error) {
+    console.error('Get lead tags error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tags'
+    });
+  }
+});
+
+// @route   GET /api/leads/board
+// @desc    Leads of a pipeline as board columns: every stage with its lead
+//          count, total value and first page of cards
+// @access  Private
+router.get('/board', authorize('leads:read'), resolveTeam, validateQuery(leadBoardSchema), validateCustomFieldFilters('lead'), async (req, res) => {
+  try {
+    const { pipelineId, limit, ...filters } = req.query;
+
+    const pipeline = pipelineId ? await Pipeline.findById(pipelineId) : await Pipeline.findDefault();
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pipeline not found'
+      });
+    }
+
+    const query = await boardQuery(req, filters, pipeline);
+    const [totals] = await Lead.aggregate([
+      { $match: query },
+      {
+        $facet: Object.fromEntries(pipeline.stages.map((stage) => [stage._id.toString(), [
+          { $match: stageMatch(pipeline, stage) },
+          { $group: { _id: null, total: { $sum: 1 }, totalValue: { $sum: '$value' } } }
+        ]]))
+      }
+    ]);
+
+    const columns = await Promise.all(pipeline.stages.map(async (stage) => {
+      const [stageTotals] = totals[stage._id.toString()];
+      return {
+        stageId: stage._id,
+        total: stageTotals ? stageTotals.total : 0,
+        totalValue: stageTotals ? stageTotals.totalValue : 0,
+        ...(await boardCards(query, pipeline, stage, 0, limit))
+      };
+    }));
+
+    res.json({
+      success: true,
+      data: { pipeline, columns }
+    });
+  } catch (error) {
+    console.error('Get lead board error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch the lead board'
+    });
+  }
+});
+
+// @route   GET /api/leads/board/:stageId
+// @desc    The next page of cards in one board column
+// @access  Private
+router.get('/board/:stageId', authorize('leads:read'), resolveTeam, validateQuery(leadBoardColumnSchema), validateCustomFieldFilters('lead'), async (req, res) => {
+  try {
+    const { offset, limit, ...filters } = req.query;
+
+    if (!mongoose.isValidObjectId(req.params.stageId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid stage ID'
+      });
+    }
+
+    const pipeline = await Pipeline.findOne({ 'stages._id': req.params.stageId });
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stage not found'
+      });
+    }
+
+    const query = await boardQuery(req, filters, pipeline);
+    const column = await boardCards(query, pipeline, pipeline.findStage(req.params.stageId), offset, limit);
+
+    res.json({
+      success: true,
+      data: column
+    });
+  } catch (error) {
+    console.error('Get lead board column error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch leads'
+    });
+  }
+});
+
+// @route   GET /api/leads/export
+// @desc    Download the leads of all accessible customers as CSV, XLSX or NDJSON
+// @access  Private (leads:export)
+router.get('/export', authorize('leads:export'), resolveTeam, validateQuery(leadExportSchema), validateCustomFieldFilters('lead'), async (req, res) => {
+  try {
+    const { format, ...filters } = req.query;
+
+    const cursor = Lead.find(await leadListQuery(req, filters))
+      .populate('customerId', 'name email company')
+      .populate('pipelineId', 'name')
+      .sort({ createdAt: -1 })
+      .cursor();
+
+    await streamExport(res, {
+      format,
+      name: 'leads',
+      sheet: 'Leads',
+      columns: [...LEAD_COLUMNS, ...customFieldColumns(req.customFieldDefinitions)],
+      cursor
+    });
+  } catch (error) {
+    console.error('Export leads error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export leads'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const ApiKey = require('../models/ApiKey');
+const { validate, apiKeySchema } = require('../middleware/validation');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Keys are managed from a signed-in session, never with another key
+router.use(authenticateToken, requireSession);
+
+// @route   GET /api/keys
+// @desc    List the current user's API keys
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys,
+        scopes: ApiKey.SCOPES
+      }
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API keys'
+    });
+  }
+});
+
+// @route   POST /api/keys
+// @desc    Create an API key; the raw key is only returned here
+// @access  Private
+router.post('/', validate(apiKeySchema), async (req, res) => {
+  try {
+    const { apiKey, rawKey } = await ApiKey.issue({
+      userId: req.user._id,
+      label: req.body.label,
+      scopes: req.body.scopes
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        apiKey,
+        key: rawKey
+      },
+      message: 'API key created successfully'
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key'
+    });
+  }
+});
+
+// @route   DELETE /api/keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.json({
+      success: true,
+      data: { apiKey },
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid API key ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const { validateQuery, auditFilterSchema } = require('../middleware/validation');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/audit
+// @desc    List audit log entries, newest first, with filters
+// @access  Admin (audit:read)
+router.get('/', authenticateToken, authorize('audit:read'), validateQuery(auditFilterSchema), async (req, res) => {
+  try {
+    const { page, limit, action, entityType, entityId, customerId, actorId, from, to } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const query = {};
+    if (action) query.action = action;
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (customerId) query.customerId = customerId;
+    if (actorId) query.actorId = actorId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEntries: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,123 @@
 const express = require('express');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { validate, registerSchema, loginSchema } = require('../middleware/validation');
-const { authenticateToken } = require('../middleware/auth');
+const RefreshToken = require('../models/RefreshToken');
+const Role = require('../models/Role');
+const {
+  validate,
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  resendVerificationSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  twoFactorLoginSchema
+} = require('../middleware/validation');
+const {
+  authenticateToken,
+  requireSession,
+  emailVerificationPolicy,
+  isTwoFactorSetupRequired
+} = require('../middleware/auth');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/emails');
+const {
+  loginKeys,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  sendLoginBlocked
+} = require('../services/loginProtection');
+const { hashToken } = require('../utils/tokens');
+const { recordAudit } = require('../services/audit');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
+// Issue an access token and refresh token, starting a new session if needed
+const issueTokens = async (userId, req, sessionId = crypto.randomUUID()) => {
+  const refreshToken = await RefreshToken.issue({
+    userId,
+    family: sessionId,
+    ip: req.ip
+  });
+
+  return {
+    token: generateToken(userId, sessionId),
+    refreshToken
+  };
+};
+
+// Short-lived token proving the password step of a 2FA login
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign(
+    { userId, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Public fields returned with auth responses, with the permissions the UI checks
+const serializeUser = async (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  permissions: await Role.permissionsFor(user.role),
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled
+});
+
+// The full profile document plus role permissions
+const profileWithPermissions = async (user) => ({
+  ...user.toJSON(),
+  permissions: await Role.permissionsFor(user.role)
+});
+
+// Successful login response; flags admins who still have to enrol in 2FA
+const sendLoginResponse = async (res, req, user) => {
+  await recordLoginSuccess(user);
+  const { token, refreshToken } = await issueTokens(user._id, req);
+
+  res.json({
+    success: true,
+    data: {
+      user: await serializeUser(user),
+      token,
+      refreshToken,
+      twoFactorSetupRequired: isTwoFactorSetupRequired(user)
+    },
+    message: 'Login successful'
+  });
+};
+
+// Email a new verification link; delivery problems must not fail the request
+const issueVerificationEmail = async (user) => {
+  try {
+    const token = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
 router.post('/register', validate(registerSchema), async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -35,25 +132,33 @@ router.post('/register', validate(registerSchema), async (req, res) => {
     const user = new User({
       name,
       email,
-      passwordHash: password, // Will be hashed by pre-save middleware
-      role
+      passwordHash: password // Will be hashed by pre-save middleware
     });
 
     await user.save();
+    await recordAudit(req, { action: 'create', entityType: 'user', after: user, actor: user });
+    await issueVerificationEmail(user);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // No session until the address is verified when login requires it
+    if (emailVerificationPolicy() === 'login') {
+      return res.status(201).json({
+        success: true,
+        data: {
+          user: await serializeUser(user)
+        },
+        message: 'User registered successfully. Please verify your email before signing in'
+      });
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user._id, req);
 
     res.status(201).json({
       success: true,
       data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        },
-        token
+        user: await serializeUser(user),
+        token,
+        refreshToken
       },
       message: 'User registered successfully'
     });
@@ -75,7 +180,16 @@ router.post('/login', validate(loginSchema), async (req, res) => {
 
     // Find user by email
     const user = await User.findOne({ email });
+
+    // Refuse attempts from locked accounts or throttled addresses
+    const keys = loginKeys(req, user);
+    const block = await checkLoginAllowed(keys);
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
     if (!user) {
+      await recordLoginFailure(keys);
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password'
@@ -85,33 +199,311 @@ router.post('/login', validate(loginSchema), async (req, res) => {
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await recordLoginFailure(keys);
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account has been deactivated'
+      });
+    }
+
+    if (emailVerificationPolicy() === 'login' && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        error: 'Please verify your email address before signing in'
+      });
+    }
+
+    // Second step required: hand back a challenge instead of tokens
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user._id)
+        },
+        message: 'Enter your authentication code'
+      });
+    }
+
+    await sendLoginResponse(res, req, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a 2FA login with an authenticator or recovery code
+// @access  Public
+router.post('/login/2fa', validate(twoFactorLoginSchema), async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== '2fa') {
+      return res.status(401).json({
+        success: false,
+        error: 'Login challenge expired, please sign in again'
+      });
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes');
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login challenge expired, please sign in again'
+      });
+    }
+
+    // Code guesses count as failed logins too
+    const keys = loginKeys(req, user);
+    const block = await checkLoginAllowed(keys);
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
+    if (!user.verifyTwoFactorCode(code)) {
+      await recordLoginFailure(keys);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+    await user.save();
+
+    await sendLoginResponse(res, req, user);
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token and issue a new access token
+// @access  Public
+router.post('/refresh', validate(refreshTokenSchema), async (req, res) => {
+  try {
+    const tokenHash = RefreshToken.hashToken(req.body.refreshToken);
+
+    // Atomically claim the token so concurrent refreshes cannot both rotate it
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { revokedAt: new Date(), revokedReason: 'rotated' }
+    );
+
+    if (!current) {
+      const existing = await RefreshToken.findOne({ tokenHash });
+
+      // A rotated token being presented again means it was stolen
+      if (existing && existing.revokedReason === 'rotated') {
+        await RefreshToken.revokeFamily(existing.family, 'reuse');
+      }
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token'
+      });
+    }
+
+    const user = await User.findById(current.userId);
+    if (!user || !user.isActive) {
+      await RefreshToken.revokeFamily(current.family, 'logout');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token'
+      });
+    }
+
+    const { token, refreshToken } = await issueTokens(user._id, req, current.family);
 
     res.json({
       success: true,
       data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        },
-        token
-      },
-      message: 'Login successful'
+        token,
+        refreshToken
+      }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
-      error: 'Login failed'
+      error: 'Token refresh failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the session belonging to a refresh token
+// @access  Public
+router.post('/logout', validate(refreshTokenSchema), async (req, res) => {
+  try {
+    const tokenHash = RefreshToken.hashToken(req.body.refreshToken);
+    const existing = await RefreshToken.findOne({ tokenHash });
+
+    if (existing) {
+      await RefreshToken.revokeFamily(existing.family, 'logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', validate(forgotPasswordSchema), async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Respond the same way whether or not the account exists
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+      await sendPasswordResetEmail(user, token);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send reset email'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', validate(resetPasswordSchema), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    // Consume the token and set the new password
+    const before = user.toObject();
+    user.passwordHash = password; // Will be hashed by pre-save middleware
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    await recordAudit(req, { action: 'update', entityType: 'user', before, after: user, actor: user });
+
+    // Sign out every existing session
+    await RefreshToken.revokeUserSessions(user._id, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Password reset failed'
+    });
+  }
+});
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Mark an email address as verified
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationTokenHash: hashToken(req.params.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification link'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Email verification failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification link
+// @access  Public
+router.post('/resend-verification', validate(resendVerificationSchema), async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Respond the same way whether or not the account exists
+    if (user && user.isActive && !user.emailVerified) {
+      await issueVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If this address still needs verifying, a new link has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resend verification email'
     });
   }
 });
@@ -124,7 +516,7 @@ router.get('/me', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       data: {
-        user: req.user
+        user: await profileWithPermissions(req.user)
       }
     });
   } catch (error) {
@@ -136,4 +528,100 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   PUT /api/auth/me
+// @desc    Update current user's name or email
+// @access  Private
+router.put('/me', authenticateToken, requireSession, validate(updateProfileSchema), async (req, res) => {
+  try {
+    const { name, email, currentPassword } = req.body;
+    const user = await User.findById(req.user._id);
+    const before = user.toObject();
+    const emailChanged = email && email !== user.email;
+
+    if (emailChanged) {
+      // Changing the sign-in address needs the password, like changing the password itself
+      if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Current password is incorrect'
+        });
+      }
+
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          error: 'User with this email already exists'
+        });
+      }
+
+      user.email = email;
+      user.emailVerified = false;
+    }
+
+    if (name) {
+      user.name = name;
+    }
+
+    await user.save();
+    await recordAudit(req, { action: 'update', entityType: 'user', before, after: user });
+
+    // The new address has to be verified again
+    if (emailChanged) {
+      await issueVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      data: { user: await profileWithPermissions(user) },
+      message: emailChanged
+        ? 'Profile updated. Please verify your new email address'
+        : 'Profile updated successfully'
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update profile'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change password and sign out every other session
+// @access  Private
+router.post('/change-password', authenticateToken, requireSession, validate(changePasswordSchema), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id);
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    const before = user.toObject();
+    user.passwordHash = newPassword; // Will be hashed by pre-save middleware
+    await user.save();
+    await recordAudit(req, { action: 'update', entityType: 'user', before, after: user });
+
+    // Keep this session signed in, sign out everywhere else
+    await RefreshToken.revokeUserSessions(user._id, 'logout', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change password'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const CustomField = require('../models/CustomField');
+const {
+  validate,
+  validateQuery,
+  customFieldDefinitionSchema,
+  customFieldListSchema,
+  customFieldUpdateSchema
+} = require('../middleware/validation');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { removeFieldValues, removeFieldOptions } = require('../services/customFields');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Resource loader for authorize(): the field definition in the URL
+const loadField = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return { status: 400, error: 'Invalid custom field ID' };
+  }
+
+  const field = await CustomField.findById(req.params.id);
+  if (!field) {
+    return { status: 404, error: 'Custom field not found' };
+  }
+
+  req.field = field;
+  return null;
+};
+
+// @route   GET /api/custom-fields
+// @desc    List custom field definitions, optionally for customers or leads only
+// @access  Private (anyone who can see customers or leads)
+router.get('/', authorize(['customers:read', 'leads:read', 'fields:manage']), validateQuery(customFieldListSchema), async (req, res) => {
+  try {
+    const { entityType } = req.query;
+
+    const fields = await CustomField.find(entityType ? { entityType } : {})
+      .sort({ entityType: 1, order: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { fields }
+    });
+  } catch (error) {
+    console.error('Get custom fields error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch custom fields'
+    });
+  }
+});
+
+// @route   POST /api/custom-fields
+// @desc    Define a custom field for customers or leads
+// @access  Admin (fields:manage)
+router.post('/', authorize('fields:manage'), validate(customFieldDefinitionSchema), async (req, res) => {
+  try {
+    const { entityType, key } = req.body;
+
+    if (await CustomField.exists({ entityType, key })) {
+      return res.status(400).json({
+        success: false,
+        error: `A ${entityType} field with the key "${key}" already exists`
+      });
+    }
+
+    const field = await CustomField.create({ ...req.body, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      data: { field },
+      message: 'Custom field created successfully'
+    });
+  } catch (error) {
+    console.error('Create custom field error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create custom field'
+    });
+  }
+});
+
+// @route   PUT /api/custom-fields/:id
+// @desc    Update a custom field's label, options, required flag or order
+// @access  Admin (fields:manage)
+router.put('/:id', authorize('fields:manage', loadField), validate(customFieldUpdateSchema), async (req, res) => {
+  try {
+    const { label, options, required, order } = req.body;
+    const { field } = req;
+
+    if (options && !['select', 'multiselect'].includes(field.type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only select and multiselect fields have options'
+      });
+    }
+
+    // Values using an option that no longer exists would fail validation on the next edit
+    const removedOptions = options ? field.options.filter((option) => !options.includes(option)) : [];
+
+    if (label !== undefined) field.label = label;
+    if (options) field.options = options;
+    if (required !== undefined) field.required = required;
+    if (order !== undefined) field.order = order;
+    await field.save();
+
+    const clearedValues = await removeFieldOptions(field, removedOptions);
+
+    res.json({
+      success: true,
+      data: { field, clearedValues },
+      message: 'Custom field updated successfully'
+    });
+  } catch (error) {
+    console.error('Update custom field error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update custom field'
+    });
+  }
+});
+
+// @route   DELETE /api/custom-fields/:id
+// @desc    Delete a custom field and the values stored for it
+// @access  Admin (fields:manage)
+router.delete('/:id', authorize('fields:manage', loadField), async (req, res) => {
+  try {
+    await CustomField.findByIdAndDelete(req.field._id);
+    const clearedValues = await removeFieldValues(req.field);
+
+    res.json({
+      success: true,
+      data: { clearedValues },
+      message: 'Custom field deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete custom field error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete custom field'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,91 @@
 const express = require('express');
 const Customer = require('../models/Customer');
 const Lead = require('../models/Lead');
-const { validate, validateQuery, customerSchema, paginationSchema } = require('../middleware/validation');
-const { authenticateToken, requireOwnershipOrAdmin } = require('../middleware/auth');
+const User = require('../models/User');
+const {
+  validate,
+  validateQuery,
+  validateCustomFields,
+  validateCustomFieldFilters,
+  customerSchema,
+  customerImportSchema,
+  customerFilterSchema,
+  customerExportSchema,
+  duplicateCheckSchema,
+  customerMergeSchema,
+  tagSuggestionSchema
+} = require('../middleware/validation');
+const { authenticateToken, authorize, hasPermission, requireVerifiedEmail } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { prepareImport, importCustomers } = require('../services/customerImport');
+const { CUSTOMER_COLUMNS, customFieldColumns, streamExport } = require('../services/exporter');
+const { findDuplicates, duplicateGroups, mergedValues, mergeCustomers } = require('../services/duplicates');
+const { taggedConditions, tagSuggestions } = require('../services/customFields');
+const { escapeRegex } = require('../utils/escape');
+const {
+  resolveTeam,
+  canAccessCustomer,
+  loadCustomer,
+  customerScopeFilter,
+  resolveCustomerAssignment
+} = require('../middleware/teams');
 
 const router = express.Router();
 
+// Customers the list shows: the active team (or all the user's teams), narrowed
+// by scope, owner, search, tags and custom field values
+const customerListQuery = async (req, { q, scope, ownerId, tags, customFields }) => {
+  const filters = [
+    await customerScopeFilter(req, scope),
+    ...taggedConditions(req.customFieldDefinitions, { tags, customFields })
+  ];
+
+  if (ownerId) {
+    filters.push({ ownerId });
+  }
+
+  if (q) {
+    const pattern = escapeRegex(q);
+    filters.push({
+      $or: [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } },
+        { company: { $regex: pattern, $options: 'i' } }
+      ]
+    });
+  }
+
+  return { $and: filters };
+};
+
 // @route   POST /api/customers
 // @desc    Create a new customer
 // @access  Private
-router.post('/', authenticateToken, validate(customerSchema), async (req, res) => {
+router.post('/', authenticateToken, authorize('customers:create'), requireVerifiedEmail, resolveTeam, validate(customerSchema), validateCustomFields('customer'), async (req, res) => {
   try {
+    // Customers belong to the active team unless another team is given
+    const assignment = await resolveCustomerAssignment(req, req.body);
+    if (assignment.error) {
+      return res.status(assignment.status).json({
+        success: false,
+        error: assignment.error
+      });
+    }
+
     const customerData = {
       ...req.body,
-      ownerId: req.user._id
+      ...assignment
     };
 
     const customer = new Customer(customerData);
     await customer.save();
+    await recordAudit(req, { action: 'create', entityType: 'customer', after: customer, customerId: customer._id });
 
-    // Populate owner details
-    await customer.populate('ownerId', 'name email');
+    // Populate owner and team details
+    await customer.populate([
+      { path: 'ownerId', select: 'name email' },
+      { path: 'teamId', select: 'name' }
+    ]);
 
     res.status(201).json({
       success: true,
@@ -29,15 +94,79 @@ router.post('/', authenticateToken, validate(customerSchema), async (req, res) =
     });
   } catch (error) {
     console.error('Create customer error:', error);
-    if (error.code === 11000) {
-      return res.status(400).json({
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create customer'
+    });
+  }
+});
+
+// A text/csv body carries the file itself, with the other import options in the query string
+const acceptCsvBody = [
+  express.text({ type: 'text/csv', limit: '10mb' }),
+  (req, res, next) => {
+    if (typeof req.body === 'string') {
+      req.body = { ...req.query, csv: req.body };
+    }
+    next();
+  }
+];
+
+// @route   POST /api/customers/import
+// @desc    Import customers and their leads from CSV, or preview the import with dryRun
+// @access  Private (customers:create, plus leads:create for lead columns and customers:update to update duplicates)
+router.post('/import', authenticateToken, authorize('customers:create'), requireVerifiedEmail, resolveTeam, acceptCsvBody, validate(customerImportSchema), async (req, res) => {
+  try {
+    const { csv, mapping, duplicates, dryRun, offset, limit, startedAt } = req.body;
+
+    const prepared = prepareImport(csv, mapping);
+    if (prepared.error) {
+      return res.status(prepared.status).json({
+        success: false,
+        error: prepared.error
+      });
+    }
+
+    const importsLeads = Object.values(prepared.mapping.lead).some(Boolean);
+    if (importsLeads && (!hasPermission(req, 'leads:create') || (req.apiKey && !req.apiKey.hasScope('leads:write')))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to import leads'
+      });
+    }
+    if (duplicates === 'update' && !hasPermission(req, 'customers:update')) {
+      return res.status(403).json({
         success: false,
-        error: 'Customer with this email already exists'
+        error: 'You do not have permission to update existing customers'
       });
     }
+
+    // Imported customers go to the active team, like customers created one at a time
+    const assignment = await resolveCustomerAssignment(req, {});
+    if (assignment.error) {
+      return res.status(assignment.status).json({
+        success: false,
+        error: assignment.error
+      });
+    }
+
+    const result = await importCustomers(req, prepared, { assignment, duplicates, dryRun, offset, limit, startedAt });
+
+    res.json({
+      success: true,
+      data: {
+        dryRun,
+        headers: prepared.headers,
+        mapping: prepared.mapping,
+        ...result
+      },
+      message: dryRun ? 'Import preview complete' : 'Import complete'
+    });
+  } catch (error) {
+    console.error('Import customers error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to create customer'
+      error: 'Failed to import customers'
     });
   }
 });
@@ -45,31 +174,17 @@ router.post('/', authenticateToken, validate(customerSchema), async (req, res) =
 // @route   GET /api/customers
 // @desc    Get all customers with pagination and search
 // @access  Private
-router.get('/', authenticateToken, validateQuery(paginationSchema), async (req, res) => {
+router.get('/', authenticateToken, authorize('customers:read'), resolveTeam, validateQuery(customerFilterSchema), validateCustomFieldFilters('customer'), async (req, res) => {
   try {
-    const { page, limit, q } = req.query;
+    const { page, limit, q, scope, ownerId, tags, customFields } = req.query;
     const skip = (page - 1) * limit;
 
-    // Build query
-    let query = {};
-    
-    // If user is not admin, only show their customers
-    if (req.user.role !== 'admin') {
-      query.ownerId = req.user._id;
-    }
-
-    // Add search functionality
-    if (q) {
-      query.$or = [
-        { name: { $regex: q, $options: 'i' } },
-        { email: { $regex: q, $options: 'i' } },
-        { company: { $regex: q, $options: 'i' } }
-      ];
-    }
+    const query = await customerListQuery(req, { q, scope, ownerId, tags, customFields });
 
     // Get customers with pagination
     const customers = await Customer.find(query)
       .populate('ownerId', 'name email')
+      .populate('teamId', 'name')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -110,28 +225,132 @@ router.get('/', authenticateToken, validateQuery(paginationSchema), async (req,
   }
 });
 
-// @route   GET /api/customers/:id
-// @desc    Get customer by ID with leads
-// @access  Private
-router.get('/:id', authenticateToken, async (req, res) => {
+// @route   GET /api/customers/export
+// @desc    Download the customers matching the list filters as CSV, XLSX or NDJSON
+// @access  Private (leads:export)
+router.get('/export', authenticateToken, authorize('leads:export'), resolveTeam, validateQuery(customerExportSchema), validateCustomFieldFilters('customer'), async (req, res) => {
   try {
-    const customer = await Customer.findById(req.params.id)
-      .populate('ownerId', 'name email');
+    const { q, scope, ownerId, tags, customFields, format } = req.query;
 
-    if (!customer) {
-      return res.status(404).json({
-        success: false,
-        error: 'Customer not found'
-      });
-    }
+    const cursor = Customer.find(await customerListQuery(req, { q, scope, ownerId, tags, customFields }))
+      .populate('ownerId', 'name email')
+      .populate('teamId', 'name')
+      .sort({ createdAt: -1 })
+      .cursor();
 
-    // Check ownership or admin access
-    if (req.user.role !== 'admin' && customer.ownerId._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied'
-      });
+    await streamExport(res, {
+      format,
+      name: 'customers',
+      sheet: 'Customers',
+      columns: [...CUSTOMER_COLUMNS, ...customFieldColumns(req.customFieldDefinitions)],
+      cursor
+    });
+  } catch (error) {
+    console.error('Export customers error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
     }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export customers'
+    });
+  }
+});
+
+// @route   GET /api/customers/tags
+// @desc    Suggest tags already used on accessible customers, most used first
+// @access  Private
+router.get('/tags', authenticateToken, authorize('customers:read'), resolveTeam, validateQuery(tagSuggestionSchema), async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+    const tags = await tagSuggestions('customer', await customerScopeFilter(req), q, limit);
+
+    res.json({
+      success: true,
+      data: { tags }
+    });
+  } catch (error) {
+    console.error('Get customer tags error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tags'
+    });
+  }
+});
+
+// @route   GET /api/customers/owners
+// @desc    List the individual owners of accessible customers, for owner filters
+// @access  Private
+router.get('/owners', authenticateToken, authorize(['customers:read', 'leads:read']), resolveTeam, async (req, res) => {
+  try {
+    const ownerIds = await Customer.find(await customerScopeFilter(req)).distinct('ownerId');
+    const owners = await User.find({ _id: { $in: ownerIds } })
+      .select('name email')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { owners }
+    });
+  } catch (error) {
+    console.error('Get customer owners error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch owners'
+    });
+  }
+});
+
+// @route   GET /api/customers/duplicates
+// @desc    Report groups of customers that look like the same person
+// @access  Private
+router.get('/duplicates', authenticateToken, authorize('customers:read'), resolveTeam, async (req, res) => {
+  try {
+    const groups = await duplicateGroups(req);
+
+    res.json({
+      success: true,
+      data: { groups }
+    });
+  } catch (error) {
+    console.error('Get duplicate customers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find duplicate customers'
+    });
+  }
+});
+
+// @route   GET /api/customers/duplicates/check
+// @desc    Find existing customers that look like the given details, before saving them
+// @access  Private
+router.get('/duplicates/check', authenticateToken, authorize('customers:read'), resolveTeam, validateQuery(duplicateCheckSchema), async (req, res) => {
+  try {
+    const { excludeId, ...details } = req.query;
+    const matches = await findDuplicates(req, details, excludeId);
+
+    res.json({
+      success: true,
+      data: { matches }
+    });
+  } catch (error) {
+    console.error('Check duplicate customers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check for duplicate customers'
+    });
+  }
+});
+
+// @route   GET /api/customers/:id
+// @desc    Get customer by ID with leads
+// @access  Private
+router.get('/:id', authenticateToken, authorize('customers:read', loadCustomer()), async (req, res) => {
+  try {
+    const customer = await req.customer.populate([
+      { path: 'ownerId', select: 'name email' },
+      { path: 'teamId', select: 'name' }
+    ]);
 
     // Get customer's leads
     const leads = await Lead.find({ customerId: req.params.id })
@@ -162,31 +381,34 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // @route   PUT /api/customers/:id
 // @desc    Update customer
 // @access  Private
-router.put('/:id', authenticateToken, validate(customerSchema), async (req, res) => {
+router.put('/:id', authenticateToken, authorize('customers:update', loadCustomer()), validate(customerSchema), validateCustomFields('customer'), async (req, res) => {
   try {
-    const customer = await Customer.findById(req.params.id);
-
-    if (!customer) {
-      return res.status(404).json({
-        success: false,
-        error: 'Customer not found'
-      });
-    }
-
-    // Check ownership or admin access
-    if (req.user.role !== 'admin' && customer.ownerId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    // Moving to another team or changing the owner is checked against membership
+    const assignment = await resolveCustomerAssignment(req, req.body, req.customer);
+    if (assignment.error) {
+      return res.status(assignment.status).json({
         success: false,
-        error: 'Access denied'
+        error: assignment.error
       });
     }
 
     // Update customer
     const updatedCustomer = await Customer.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      { ...req.body, ...assignment },
       { new: true, runValidators: true }
-    ).populate('ownerId', 'name email');
+    ).populate([
+      { path: 'ownerId', select: 'name email' },
+      { path: 'teamId', select: 'name' }
+    ]);
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'customer',
+      before: req.customer,
+      after: updatedCustomer,
+      customerId: req.customer._id
+    });
 
     res.json({
       success: true,
@@ -201,12 +423,6 @@ router.put('/:id', authenticateToken, validate(customerSchema), async (req, res)
         error: 'Invalid customer ID'
       });
     }
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        error: 'Customer with this email already exists'
-      });
-    }
     res.status(500).json({
       success: false,
       error: 'Failed to update customer'
@@ -214,37 +430,109 @@ router.put('/:id', authenticateToken, validate(customerSchema), async (req, res)
   }
 });
 
-// @route   DELETE /api/customers/:id
-// @desc    Delete customer and all associated leads
-// @access  Private
-router.delete('/:id', authenticateToken, async (req, res) => {
+// @route   POST /api/customers/:id/merge
+// @desc    Merge duplicates into this customer, moving their leads to it
+// @access  Private (customers:update, and customers:delete for the duplicates)
+router.post('/:id/merge', authenticateToken, authorize('customers:update', loadCustomer()), validate(customerMergeSchema), async (req, res) => {
   try {
-    const customer = await Customer.findById(req.params.id);
+    const { duplicateIds, fields } = req.body;
+
+    if (!hasPermission(req, 'customers:delete')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied - insufficient permissions'
+      });
+    }
+    if (duplicateIds.includes(req.customer._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        error: 'A customer cannot be merged into itself'
+      });
+    }
 
-    if (!customer) {
+    const duplicates = await Customer.find({ _id: { $in: duplicateIds } });
+    if (duplicates.length !== duplicateIds.length) {
       return res.status(404).json({
         success: false,
         error: 'Customer not found'
       });
     }
+    for (const duplicate of duplicates) {
+      if (!(await canAccessCustomer(req, duplicate, 'delete'))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+    }
 
-    // Check ownership or admin access
-    if (req.user.role !== 'admin' && customer.ownerId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    const mergedIds = [req.customer._id.toString(), ...duplicateIds];
+    if (Object.values(fields).some((id) => !mergedIds.includes(id))) {
+      return res.status(400).json({
         success: false,
-        error: 'Access denied'
+        error: 'Field values must come from one of the merged customers'
       });
     }
 
-    // Delete all leads associated with this customer
-    await Lead.deleteMany({ customerId: req.params.id });
+    // The merged customer stays in its team, so the owner has to belong to it
+    const values = mergedValues(req.customer, duplicates, fields);
+    const assignment = await resolveCustomerAssignment(
+      req,
+      { ownerId: values.ownerId ? values.ownerId.toString() : null },
+      req.customer
+    );
+    if (assignment.error) {
+      return res.status(assignment.status).json({
+        success: false,
+        error: assignment.error
+      });
+    }
+
+    const { customer, movedLeads } = await mergeCustomers(req, req.customer, duplicates, { ...values, ...assignment });
+    await customer.populate([
+      { path: 'ownerId', select: 'name email' },
+      { path: 'teamId', select: 'name' }
+    ]);
+
+    res.json({
+      success: true,
+      data: { customer, movedLeads },
+      message: `Merged ${duplicates.length} customers`
+    });
+  } catch (error) {
+    console.error('Merge customers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to merge customers'
+    });
+  }
+});
 
-    // Delete the customer
-    await Customer.findByIdAndDelete(req.params.id);
+// @route   DELETE /api/customers/:id
+// @desc    Move a customer and its leads to the trash
+// @access  Private
+router.delete('/:id', authenticateToken, authorize('customers:delete', loadCustomer()), async (req, res) => {
+  try {
+    const trash = { deletedAt: new Date(), deletedBy: req.user._id };
+
+    // Leads go to the trash with their customer and come back with it
+    const { modifiedCount } = await Lead.updateMany(
+      { customerId: req.customer._id, deletedAt: null },
+      { ...trash, deletedWithCustomer: true }
+    );
+    await Customer.updateOne({ _id: req.customer._id }, trash);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'customer',
+      before: req.customer,
+      customerId: req.customer._id,
+      metadata: { deletedLeads: modifiedCount }
+    });
 
     res.json({
       success: true,
-      message: 'Customer and associated leads deleted successfully'
+      message: 'Customer and associated leads moved to the trash'
     });
   } catch (error) {
     console.error('Delete customer error:', error);
@@ -1,40 +1,52 @@
 const express = require('express');
 const Lead = require('../models/Lead');
-const Customer = require('../models/Customer');
-const { validate, validateQuery, leadSchema, leadFilterSchema } = require('../middleware/validation');
-const { authenticateToken } = require('../middleware/auth');
+const Pipeline = require('../models/Pipeline');
+const {
+  validate,
+  validateQuery,
+  validateCustomFields,
+  validateCustomFieldFilters,
+  leadSchema,
+  leadFilterSchema,
+  leadExportSchema
+} = require('../middleware/validation');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { loadCustomer } = require('../middleware/teams');
+const { recordAudit } = require('../services/audit');
+const { LEAD_COLUMNS, customFieldColumns, streamExport } = require('../services/exporter');
+const { taggedConditions } = require('../services/customFields');
+const { escapeRegex } = require('../utils/escape');
+const { resolveLeadStage, stageFields, checkTransition } = require('../services/pipelines');
+const { sameStage, recordStageChange, stageTimeline } = require('../services/stageHistory');
 
 const router = express.Router();
 
 // @route   POST /api/customers/:customerId/leads
 // @desc    Create a new lead for a customer
 // @access  Private
-router.post('/:customerId/leads', authenticateToken, validate(leadSchema), async (req, res) => {
+router.post('/:customerId/leads', authenticateToken, authorize('leads:create', loadCustomer('customerId')), validate(leadSchema), validateCustomFields('lead'), async (req, res) => {
   try {
-    // Check if customer exists and user has access
-    const customer = await Customer.findById(req.params.customerId);
-    if (!customer) {
-      return res.status(404).json({
+    const { reason, ...fields } = req.body;
+    const placement = await resolveLeadStage(fields);
+    const rejection = placement.error ? placement : checkTransition(null, placement.stage, reason);
+    if (rejection) {
+      return res.status(rejection.status).json({
         success: false,
-        error: 'Customer not found'
-      });
-    }
-
-    // Check ownership or admin access
-    if (req.user.role !== 'admin' && customer.ownerId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied'
+        error: rejection.error
       });
     }
 
     const leadData = {
-      ...req.body,
+      ...fields,
+      ...stageFields(placement),
+      stageEnteredAt: new Date(),
       customerId: req.params.customerId
     };
 
     const lead = new Lead(leadData);
     await lead.save();
+    await recordAudit(req, { action: 'create', entityType: 'lead', after: lead, customerId: req.customer._id });
+    await recordStageChange(req.user, lead, placement.stage, { reason });
 
     // Populate customer details
     await lead.populate('customerId', 'name email company');
@@ -62,26 +74,9 @@ router.post('/:customerId/leads', authenticateToken, validate(leadSchema), async
 // @route   GET /api/customers/:customerId/leads
 // @desc    Get all leads for a customer with filtering
 // @access  Private
-router.get('/:customerId/leads', authenticateToken, validateQuery(leadFilterSchema), async (req, res) => {
+router.get('/:customerId/leads', authenticateToken, authorize('leads:read', loadCustomer('customerId')), validateQuery(leadFilterSchema), validateCustomFieldFilters('lead'), async (req, res) => {
   try {
-    // Check if customer exists and user has access
-    const customer = await Customer.findById(req.params.customerId);
-    if (!customer) {
-      return res.status(404).json({
-        success: false,
-        error: 'Customer not found'
-      });
-    }
-
-    // Check ownership or admin access
-    if (req.user.role !== 'admin' && customer.ownerId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied'
-      });
-    }
-
-    const { page, limit, status } = req.query;
+    const { page, limit, status, pipelineId, stageId, tags, customFields } = req.query;
     const skip = (page - 1) * limit;
 
     // Build query
@@ -89,6 +84,16 @@ router.get('/:customerId/leads', authenticateToken, validateQuery(leadFilterSche
     if (status) {
       query.status = status;
     }
+    if (pipelineId) {
+      query.pipelineId = pipelineId;
+    }
+    if (stageId) {
+      query.stageId = stageId;
+    }
+    const conditions = taggedConditions(req.customFieldDefinitions, { tags, customFields });
+    if (conditions.length > 0) {
+      query.$and = conditions;
+    }
 
     // Get leads with pagination
     const leads = await Lead.find(query)
@@ -128,32 +133,98 @@ router.get('/:customerId/leads', authenticateToken, validateQuery(leadFilterSche
   }
 });
 
+// @route   GET /api/customers/:customerId/leads/export
+// @desc    Download a customer's leads matching the list filters as CSV, XLSX or NDJSON
+// @access  Private (leads:export)
+router.get('/:customerId/leads/export', authenticateToken, authorize('leads:export', loadCustomer('customerId')), validateQuery(leadExportSchema), validateCustomFieldFilters('lead'), async (req, res) => {
+  try {
+    const { status, pipelineId, stageId, q, tags, customFields, format } = req.query;
+
+    const query = { customerId: req.customer._id };
+    if (status) {
+      query.status = status;
+    }
+    if (pipelineId) {
+      query.pipelineId = pipelineId;
+    }
+    if (stageId) {
+      query.stageId = stageId;
+    }
+    if (q) {
+      query.title = { $regex: escapeRegex(q), $options: 'i' };
+    }
+    const conditions = taggedConditions(req.customFieldDefinitions, { tags, customFields });
+    if (conditions.length > 0) {
+      query.$and = conditions;
+    }
+
+    const cursor = Lead.find(query)
+      .populate('customerId', 'name email company')
+      .populate('pipelineId', 'name')
+      .sort({ createdAt: -1 })
+      .cursor();
+
+    await streamExport(res, {
+      format,
+      name: `${req.customer.name} leads`,
+      sheet: 'Leads',
+      columns: [...LEAD_COLUMNS, ...customFieldColumns(req.customFieldDefinitions)],
+      cursor
+    });
+  } catch (error) {
+    console.error('Export leads error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export leads'
+    });
+  }
+});
+
 // @route   GET /api/customers/:customerId/leads/:leadId
 // @desc    Get a specific lead
 // @access  Private
-router.get('/:customerId/leads/:leadId', authenticateToken, async (req, res) => {
+router.get('/:customerId/leads/:leadId', authenticateToken, authorize('leads:read', loadCustomer('customerId')), async (req, res) => {
   try {
-    // Check if customer exists and user has access
-    const customer = await Customer.findById(req.params.customerId);
-    if (!customer) {
+    const lead = await Lead.findOne({
+      _id: req.params.leadId,
+      customerId: req.params.customerId
+    }).populate('customerId', 'name email company');
+
+    if (!lead) {
       return res.status(404).json({
         success: false,
-        error: 'Customer not found'
+        error: 'Lead not found'
       });
     }
 
-    // Check ownership or admin access
-    if (req.user.role !== 'admin' && customer.ownerId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    res.json({
+      success: true,
+      data: { lead }
+    });
+  } catch (error) {
+    console.error('Get lead error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
         success: false,
-        error: 'Access denied'
+        error: 'Invalid lead or customer ID'
       });
     }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch lead'
+    });
+  }
+});
 
-    const lead = await Lead.findOne({
-      _id: req.params.leadId,
-      customerId: req.params.customerId
-    }).populate('customerId', 'name email company');
+// @route   GET /api/customers/:customerId/leads/:leadId/history
+// @desc    Get a lead's stage history with the time spent in each stage
+// @access  Private
+router.get('/:customerId/leads/:leadId/history', authenticateToken, authorize('leads:read', loadCustomer('customerId')), async (req, res) => {
+  try {
+    const lead = await Lead.findOne({ _id: req.params.leadId, customerId: req.params.customerId });
 
     if (!lead) {
       return res.status(404).json({
@@ -162,12 +233,15 @@ router.get('/:customerId/leads/:leadId', authenticateToken, async (req, res) =>
       });
     }
 
+    const pipeline = lead.pipelineId ? await Pipeline.findById(lead.pipelineId) : null;
+    const timeline = await stageTimeline(lead, pipeline);
+
     res.json({
       success: true,
-      data: { lead }
+      data: timeline
     });
   } catch (error) {
-    console.error('Get lead error:', error);
+    console.error('Get lead history error:', error);
     if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
@@ -176,7 +250,7 @@ router.get('/:customerId/leads/:leadId', authenticateToken, async (req, res) =>
     }
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch lead'
+      error: 'Failed to fetch lead history'
     });
   }
 });
@@ -184,36 +258,61 @@ router.get('/:customerId/leads/:leadId', authenticateToken, async (req, res) =>
 // @route   PUT /api/customers/:customerId/leads/:leadId
 // @desc    Update a lead
 // @access  Private
-router.put('/:customerId/leads/:leadId', authenticateToken, validate(leadSchema), async (req, res) => {
+router.put('/:customerId/leads/:leadId', authenticateToken, authorize('leads:update', loadCustomer('customerId')), validate(leadSchema), validateCustomFields('lead'), async (req, res) => {
   try {
-    // Check if customer exists and user has access
-    const customer = await Customer.findById(req.params.customerId);
-    if (!customer) {
+    const existing = await Lead.findOne({ _id: req.params.leadId, customerId: req.params.customerId });
+
+    if (!existing) {
       return res.status(404).json({
         success: false,
-        error: 'Customer not found'
+        error: 'Lead not found'
       });
     }
 
-    // Check ownership or admin access
-    if (req.user.role !== 'admin' && customer.ownerId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    // Stays in its stage unless a new stage or pipeline is chosen
+    const { reason, ...fields } = req.body;
+    const placement = await resolveLeadStage(fields, existing);
+    if (placement.error) {
+      return res.status(placement.status).json({
         success: false,
-        error: 'Access denied'
+        error: placement.error
       });
     }
 
-    const lead = await Lead.findOneAndUpdate(
-      { _id: req.params.leadId, customerId: req.params.customerId },
-      req.body,
+    const changes = { ...fields, ...stageFields(placement) };
+    const moved = !sameStage(existing, changes);
+    if (moved) {
+      // Stage rules apply within a pipeline; leads from another one start afresh.
+      // Leads saved before pipelines existed are in the default one.
+      const { pipeline } = placement;
+      const from = !existing.pipelineId || pipeline._id.equals(existing.pipelineId)
+        ? pipeline.findStage(existing.stageId) || pipeline.findStageByName(existing.status)
+        : null;
+      const rejection = checkTransition(from, placement.stage, reason);
+      if (rejection) {
+        return res.status(rejection.status).json({
+          success: false,
+          error: rejection.error
+        });
+      }
+      changes.stageEnteredAt = new Date();
+    }
+
+    const lead = await Lead.findByIdAndUpdate(
+      existing._id,
+      changes,
       { new: true, runValidators: true }
     ).populate('customerId', 'name email company');
 
-    if (!lead) {
-      return res.status(404).json({
-        success: false,
-        error: 'Lead not found'
-      });
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'lead',
+      before: existing,
+      after: lead,
+      customerId: req.customer._id
+    });
+    if (moved) {
+      await recordStageChange(req.user, lead, placement.stage, { before: existing, reason });
     }
 
     res.json({
@@ -237,31 +336,15 @@ router.put('/:customerId/leads/:leadId', authenticateToken, validate(leadSchema)
 });
 
 // @route   DELETE /api/customers/:customerId/leads/:leadId
-// @desc    Delete a lead
+// @desc    Move a lead to the trash
 // @access  Private
-router.delete('/:customerId/leads/:leadId', authenticateToken, async (req, res) => {
+router.delete('/:customerId/leads/:leadId', authenticateToken, authorize('leads:delete', loadCustomer('customerId')), async (req, res) => {
   try {
-    // Check if customer exists and user has access
-    const customer = await Customer.findById(req.params.customerId);
-    if (!customer) {
-      return res.status(404).json({
-        success: false,
-        error: 'Customer not found'
-      });
-    }
-
-    // Check ownership or admin access
-    if (req.user.role !== 'admin' && customer.ownerId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied'
-      });
-    }
-
-    const lead = await Lead.findOneAndDelete({
-      _id: req.params.leadId,
-      customerId: req.params.customerId
-    });
+    // Returns the lead as it was before it went to the trash
+    const lead = await Lead.findOneAndUpdate(
+      { _id: req.params.leadId, customerId: req.params.customerId },
+      { deletedAt: new Date(), deletedBy: req.user._id }
+    );
 
     if (!lead) {
       return res.status(404).json({
@@ -270,9 +353,11 @@ router.delete('/:customerId/leads/:leadId', authenticateToken, async (req, res)
       });
     }
 
+    await recordAudit(req, { action: 'delete', entityType: 'lead', before: lead, customerId: req.customer._id });
+
     res.json({
       success: true,
-      message: 'Lead deleted successfully'
+      message: 'Lead moved to the trash'
     });
   } catch (error) {
     console.error('Delete lead error:', error);
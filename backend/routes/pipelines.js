@@ -0,0 +1,158 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Pipeline = require('../models/Pipeline');
+const Lead = require('../models/Lead');
+const {
+  validate,
+  pipelineSchema,
+  pipelineUpdateSchema
+} = require('../middleware/validation');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { updateStages, makeDefault } = require('../services/pipelines');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Resource loader for authorize(): the pipeline in the URL
+const loadPipeline = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return { status: 400, error: 'Invalid pipeline ID' };
+  }
+
+  const pipeline = await Pipeline.findById(req.params.id);
+  if (!pipeline) {
+    return { status: 404, error: 'Pipeline not found' };
+  }
+
+  req.pipeline = pipeline;
+  return null;
+};
+
+// @route   GET /api/pipelines
+// @desc    List pipelines and their stages, the default pipeline first
+// @access  Private (anyone who can see leads)
+router.get('/', authorize(['leads:read', 'pipelines:manage']), async (req, res) => {
+  try {
+    // Makes sure the built-in pipeline exists before anyone picks a stage
+    await Pipeline.findDefault();
+    const pipelines = await Pipeline.find().sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { pipelines }
+    });
+  } catch (error) {
+    console.error('Get pipelines error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pipelines'
+    });
+  }
+});
+
+// @route   POST /api/pipelines
+// @desc    Create a pipeline with its stages
+// @access  Admin (pipelines:manage)
+router.post('/', authorize('pipelines:manage'), validate(pipelineSchema), async (req, res) => {
+  try {
+    const { name, isDefault, stages } = req.body;
+
+    const pipeline = new Pipeline({ name, stages, createdBy: req.user._id });
+    if (isDefault) {
+      await makeDefault(pipeline);
+    }
+    await pipeline.save();
+
+    res.status(201).json({
+      success: true,
+      data: { pipeline },
+      message: 'Pipeline created successfully'
+    });
+  } catch (error) {
+    console.error('Create pipeline error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create pipeline'
+    });
+  }
+});
+
+// @route   PUT /api/pipelines/:id
+// @desc    Rename a pipeline, make it the default or change its stages
+// @access  Admin (pipelines:manage)
+router.put('/:id', authorize('pipelines:manage', loadPipeline), validate(pipelineUpdateSchema), async (req, res) => {
+  try {
+    const { name, isDefault, stages, stageMoves } = req.body;
+    const { pipeline } = req;
+
+    if (stages) {
+      const rejection = await updateStages(pipeline, stages, stageMoves, req.user);
+      if (rejection) {
+        return res.status(rejection.status).json({
+          success: false,
+          error: rejection.error
+        });
+      }
+    }
+
+    if (name !== undefined) pipeline.name = name;
+    if (isDefault && !pipeline.isDefault) {
+      await makeDefault(pipeline);
+    }
+    await pipeline.save();
+
+    res.json({
+      success: true,
+      data: { pipeline },
+      message: 'Pipeline updated successfully'
+    });
+  } catch (error) {
+    console.error('Update pipeline error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update pipeline'
+    });
+  }
+});
+
+// @route   DELETE /api/pipelines/:id
+// @desc    Delete a pipeline that no lead uses
+// @access  Admin (pipelines:manage)
+router.delete('/:id', authorize('pipelines:manage', loadPipeline), async (req, res) => {
+  try {
+    const { pipeline } = req;
+
+    if (pipeline.isDefault) {
+      return res.status(400).json({
+        success: false,
+        error: 'The default pipeline cannot be deleted'
+      });
+    }
+
+    // Trashed leads count too, since they may be restored
+    const leadCount = await Lead.countDocuments({ pipelineId: pipeline._id })
+      .setOptions({ withDeleted: true });
+    if (leadCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Move the ${leadCount} lead(s) in this pipeline before deleting it`
+      });
+    }
+
+    await Pipeline.findByIdAndDelete(pipeline._id);
+
+    res.json({
+      success: true,
+      message: 'Pipeline deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete pipeline error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete pipeline'
+    });
+  }
+});
+
+module.exports = router;
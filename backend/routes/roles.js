@@ -0,0 +1,153 @@
+const express = require('express');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { validate, roleSchema, roleUpdateSchema } = require('../middleware/validation');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Resource loader for authorize(): the role named in the URL
+const loadRole = async (req) => {
+  const role = await Role.findByName(req.params.name.toLowerCase());
+  if (!role) {
+    return { status: 404, error: 'Role not found' };
+  }
+
+  req.role = role;
+  return null;
+};
+
+// @route   GET /api/roles
+// @desc    List roles with the permissions they grant
+// @access  Admin (users:manage or roles:manage)
+router.get('/', authorize(['roles:manage', 'users:manage']), async (req, res) => {
+  try {
+    await Role.ensureDefaults();
+    const roles = await Role.find().sort({ builtIn: -1, name: 1 });
+
+    // How many users hold each role
+    const counts = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const userCounts = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+    res.json({
+      success: true,
+      data: {
+        roles: roles.map((role) => ({
+          ...role.toJSON(),
+          userCount: userCounts[role.name] || 0
+        })),
+        permissions: Object.entries(Role.PERMISSIONS).map(([name, description]) => ({ name, description }))
+      }
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch roles'
+    });
+  }
+});
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Admin (roles:manage)
+router.post('/', authorize('roles:manage'), validate(roleSchema), async (req, res) => {
+  try {
+    if (await Role.findByName(req.body.name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A role with this name already exists'
+      });
+    }
+
+    const role = await Role.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: { role },
+      message: 'Role created successfully'
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create role'
+    });
+  }
+});
+
+// @route   PUT /api/roles/:name
+// @desc    Update a role's label, description or permissions
+// @access  Admin (roles:manage)
+router.put('/:name', authorize('roles:manage', loadRole), validate(roleUpdateSchema), async (req, res) => {
+  try {
+    const { label, description, permissions } = req.body;
+
+    if (permissions && req.role.name === 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'The admin role always has every permission'
+      });
+    }
+
+    if (label !== undefined) req.role.label = label;
+    if (description !== undefined) req.role.description = description;
+    if (permissions) req.role.permissions = permissions;
+    await req.role.save();
+    Role.clearPermissionCache();
+
+    res.json({
+      success: true,
+      data: { role: req.role },
+      message: 'Role updated successfully'
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update role'
+    });
+  }
+});
+
+// @route   DELETE /api/roles/:name
+// @desc    Delete a custom role nobody holds
+// @access  Admin (roles:manage)
+router.delete('/:name', authorize('roles:manage', loadRole), async (req, res) => {
+  try {
+    if (req.role.builtIn) {
+      return res.status(400).json({
+        success: false,
+        error: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: req.role.name });
+    if (userCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Assign the ${userCount} user(s) with this role another role first`
+      });
+    }
+
+    await Role.findByIdAndDelete(req.role._id);
+    Role.clearPermissionCache();
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete role'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,206 @@
+const express = require('express');
+const Pipeline = require('../models/Pipeline');
+const {
+  validateQuery,
+  dashboardStatsSchema,
+  trendStatsSchema,
+  funnelStatsSchema,
+  leaderboardStatsSchema,
+  forecastStatsSchema
+} = require('../middleware/validation');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { resolveTeam, customerScopeFilter } = require('../middleware/teams');
+const { escapeRegex } = require('../utils/escape');
+const {
+  MAX_PERIODS,
+  periodsBetween,
+  dashboardStats,
+  trendStats,
+  funnelStats,
+  forecastStats,
+  leaderboardStats
+} = require('../services/stats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statistics over the customers and leads the user can see
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// @route   GET /api/stats/dashboard
+// @desc    Customer and lead counts, values, conversion and leads by stage
+// @access  Private
+router.get('/dashboard', authorize(['customers:read', 'leads:read']), resolveTeam, validateQuery(dashboardStatsSchema), async (req, res) => {
+  try {
+    const stats = await dashboardStats(await customerScopeFilter(req, req.query.scope));
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Get dashboard stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dashboard statistics'
+    });
+  }
+});
+
+// @route   GET /api/stats/trends
+// @desc    Leads created, won and lost, win rate and open pipeline value per
+//          day, week or month, optionally with the previous period
+// @access  Private
+router.get('/trends', authorize(['customers:read', 'leads:read']), resolveTeam, validateQuery(trendStatsSchema), async (req, res) => {
+  try {
+    const { scope, interval, compare } = req.query;
+    const to = req.query.to || new Date();
+    const from = req.query.from || new Date(to.getTime() - 30 * DAY_MS);
+
+    if (periodsBetween(from, to, interval).length > MAX_PERIODS) {
+      return res.status(400).json({
+        success: false,
+        error: `Reports cover at most ${MAX_PERIODS} periods; choose a longer interval or a shorter date range`
+      });
+    }
+
+    const customerFilter = await customerScopeFilter(req, scope);
+    const report = await trendStats(customerFilter, { from, to, interval });
+    report.interval = interval;
+
+    // The period of the same length ending just before this one
+    if (compare) {
+      const length = to.getTime() - from.getTime();
+      const previousTo = new Date(from.getTime() - 1);
+      report.previous = await trendStats(customerFilter, {
+        from: new Date(previousTo.getTime() - length),
+        to: previousTo,
+        interval
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get trend stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trends'
+    });
+  }
+});
+
+// @route   GET /api/stats/funnel
+// @desc    How leads of a pipeline move from stage to stage: leads reaching
+//          each stage, stage-to-stage conversion, average days and win rate
+// @access  Private
+router.get('/funnel', authorize(['customers:read', 'leads:read']), resolveTeam, validateQuery(funnelStatsSchema), async (req, res) => {
+  try {
+    const { scope, pipelineId, ownerId, company, from, to } = req.query;
+
+    const pipeline = pipelineId ? await Pipeline.findById(pipelineId) : await Pipeline.findDefault();
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pipeline not found'
+      });
+    }
+
+    const customerFilters = [await customerScopeFilter(req, scope)];
+    if (ownerId) {
+      customerFilters.push({ ownerId });
+    }
+    if (company) {
+      customerFilters.push({ company: { $regex: `^${escapeRegex(company)}$`, $options: 'i' } });
+    }
+    const funnel = await funnelStats({ $and: customerFilters }, pipeline, { from, to });
+
+    res.json({
+      success: true,
+      data: funnel
+    });
+  } catch (error) {
+    console.error('Get funnel stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch the funnel'
+    });
+  }
+});
+
+// @route   GET /api/stats/forecast
+// @desc    Open lead value and value weighted by probability per month or
+//          quarter of the expected close date
+// @access  Private
+router.get('/forecast', authorize(['customers:read', 'leads:read']), resolveTeam, validateQuery(forecastStatsSchema), async (req, res) => {
+  try {
+    const { scope, interval, pipelineId } = req.query;
+
+    // From the start of the current month or quarter, for a year
+    const now = new Date();
+    const startMonth = interval === 'quarter' ? now.getUTCMonth() - (now.getUTCMonth() % 3) : now.getUTCMonth();
+    const from = req.query.from || new Date(Date.UTC(now.getUTCFullYear(), startMonth, 1));
+    const to = req.query.to ||
+      new Date(Date.UTC(from.getUTCFullYear() + 1, from.getUTCMonth(), from.getUTCDate()) - 1);
+
+    if (periodsBetween(from, to, interval).length > MAX_PERIODS) {
+      return res.status(400).json({
+        success: false,
+        error: `Forecasts cover at most ${MAX_PERIODS} periods; choose a shorter date range`
+      });
+    }
+
+    let pipeline = null;
+    if (pipelineId) {
+      pipeline = await Pipeline.findById(pipelineId);
+      if (!pipeline) {
+        return res.status(404).json({
+          success: false,
+          error: 'Pipeline not found'
+        });
+      }
+    }
+
+    const forecast = await forecastStats(await customerScopeFilter(req, scope), { from, to, interval, pipeline });
+
+    res.json({
+      success: true,
+      data: forecast
+    });
+  } catch (error) {
+    console.error('Get forecast error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch the forecast'
+    });
+  }
+});
+
+// @route   GET /api/stats/leaderboard
+// @desc    Customers added, leads created and won, value won, win rate and
+//          activity of every customer owner over a period
+// @access  Private (stats:leaderboard)
+router.get('/leaderboard', authorize('stats:leaderboard'), resolveTeam, validateQuery(leaderboardStatsSchema), async (req, res) => {
+  try {
+    const to = req.query.to || new Date();
+    const from = req.query.from || new Date(to.getTime() - 30 * DAY_MS);
+
+    const leaderboard = await leaderboardStats(await customerScopeFilter(req), { from, to });
+
+    res.json({
+      success: true,
+      data: leaderboard
+    });
+  } catch (error) {
+    console.error('Get leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch the leaderboard'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,356 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const Customer = require('../models/Customer');
+const { validate, teamSchema, teamMemberSchema, teamMemberRoleSchema } = require('../middleware/validation');
+const { authenticateToken, authorize, hasPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Resource loader for authorize(): members may view the team named in the URL,
+// managers may change it. teams:manage reaches every team.
+const loadTeam = (requireManager = false) => async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return { status: 400, error: 'Invalid team ID' };
+  }
+
+  const team = await Team.findById(req.params.id);
+  if (!team) {
+    return { status: 404, error: 'Team not found' };
+  }
+
+  const managesAll = hasPermission(req, 'teams:manage');
+  if (!managesAll && !team.getMember(req.user._id)) {
+    return { status: 403, error: 'You are not a member of this team' };
+  }
+
+  if (requireManager && !managesAll && !team.isManager(req.user._id)) {
+    return { status: 403, error: 'Only team owners and managers can do this' };
+  }
+
+  req.team = team;
+  return null;
+};
+
+// Only owners (or people who manage every team) may hand out or take away the owner role
+const canAssignOwner = (req) => {
+  return hasPermission(req, 'teams:manage') || req.team.getRole(req.user._id) === 'owner';
+};
+
+const countOwners = (team) => team.members.filter((member) => member.role === 'owner').length;
+
+const populateMembers = (team) => team.populate('members.userId', 'name email');
+
+// @route   GET /api/teams
+// @desc    List the current user's teams with their role in each
+// @access  Private
+router.get('/', authorize('teams:read'), async (req, res) => {
+  try {
+    // Make sure every user has somewhere to keep customers
+    await Team.ensurePersonalTeam(req.user);
+
+    const teams = await Team.find({ 'members.userId': req.user._id }).sort({ personal: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        teams: teams.map((team) => ({
+          _id: team._id,
+          name: team.name,
+          personal: team.personal,
+          memberCount: team.members.length,
+          role: team.getRole(req.user._id)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get teams error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch teams'
+    });
+  }
+});
+
+// @route   POST /api/teams
+// @desc    Create a team owned by the current user
+// @access  Private
+router.post('/', authorize('teams:write'), validate(teamSchema), async (req, res) => {
+  try {
+    const team = await Team.create({
+      name: req.body.name,
+      createdBy: req.user._id,
+      members: [{ userId: req.user._id, role: 'owner' }]
+    });
+
+    await populateMembers(team);
+
+    res.status(201).json({
+      success: true,
+      data: { team },
+      message: 'Team created successfully'
+    });
+  } catch (error) {
+    console.error('Create team error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create team'
+    });
+  }
+});
+
+// @route   GET /api/teams/:id
+// @desc    Get a team with its members
+// @access  Team members
+router.get('/:id', authorize('teams:read', loadTeam()), async (req, res) => {
+  try {
+    const team = await populateMembers(req.team);
+    const customerCount = await Customer.countDocuments({ teamId: team._id });
+
+    res.json({
+      success: true,
+      data: {
+        team,
+        customerCount
+      }
+    });
+  } catch (error) {
+    console.error('Get team error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch team'
+    });
+  }
+});
+
+// @route   PUT /api/teams/:id
+// @desc    Rename a team
+// @access  Team owners and managers
+router.put('/:id', authorize('teams:write', loadTeam(true)), validate(teamSchema), async (req, res) => {
+  try {
+    req.team.name = req.body.name;
+    await req.team.save();
+    await populateMembers(req.team);
+
+    res.json({
+      success: true,
+      data: { team: req.team },
+      message: 'Team updated successfully'
+    });
+  } catch (error) {
+    console.error('Update team error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update team'
+    });
+  }
+});
+
+// @route   DELETE /api/teams/:id
+// @desc    Delete an empty team
+// @access  Team owners
+router.delete('/:id', authorize('teams:write', loadTeam(true)), async (req, res) => {
+  try {
+    if (!canAssignOwner(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only team owners can delete a team'
+      });
+    }
+
+    if (req.team.personal) {
+      return res.status(400).json({
+        success: false,
+        error: 'Personal teams cannot be deleted'
+      });
+    }
+
+    // Customers in the trash still belong to the team until they are purged
+    const customerCount = await Customer.countDocuments({ teamId: req.team._id })
+      .setOptions({ withDeleted: true });
+    if (customerCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Move this team\'s customers to another team first, or wait for the trash to be purged'
+      });
+    }
+
+    await Team.findByIdAndDelete(req.team._id);
+
+    res.json({
+      success: true,
+      message: 'Team deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete team error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete team'
+    });
+  }
+});
+
+// @route   POST /api/teams/:id/members
+// @desc    Add a user to a team by email
+// @access  Team owners and managers
+router.post('/:id/members', authorize('teams:write', loadTeam(true)), validate(teamMemberSchema), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (req.team.personal) {
+      return res.status(400).json({
+        success: false,
+        error: 'Personal teams cannot have other members'
+      });
+    }
+
+    if (role === 'owner' && !canAssignOwner(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only team owners can add owners'
+      });
+    }
+
+    const user = await User.findOne({ email, isActive: true });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active user with this email'
+      });
+    }
+
+    if (req.team.getMember(user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'User is already a member of this team'
+      });
+    }
+
+    req.team.members.push({ userId: user._id, role });
+    await req.team.save();
+    await populateMembers(req.team);
+
+    res.status(201).json({
+      success: true,
+      data: { team: req.team },
+      message: 'Member added successfully'
+    });
+  } catch (error) {
+    console.error('Add team member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add member'
+    });
+  }
+});
+
+// @route   PUT /api/teams/:id/members/:userId
+// @desc    Change a member's role
+// @access  Team owners and managers
+router.put('/:id/members/:userId', authorize('teams:write', loadTeam(true)), validate(teamMemberRoleSchema), async (req, res) => {
+  try {
+    const member = req.team.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    const { role } = req.body;
+    if ((role === 'owner' || member.role === 'owner') && !canAssignOwner(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only team owners can change owners'
+      });
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && countOwners(req.team) === 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'A team needs at least one owner'
+      });
+    }
+
+    member.role = role;
+    await req.team.save();
+    await populateMembers(req.team);
+
+    res.json({
+      success: true,
+      data: { team: req.team },
+      message: 'Member role updated successfully'
+    });
+  } catch (error) {
+    console.error('Update team member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update member'
+    });
+  }
+});
+
+// @route   DELETE /api/teams/:id/members/:userId
+// @desc    Remove a member, or leave the team when removing yourself
+// @access  Team owners and managers, or the member themselves
+router.delete('/:id/members/:userId', authorize('teams:read', loadTeam()), async (req, res) => {
+  try {
+    const member = req.team.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    const isSelf = member.userId.toString() === req.user._id.toString();
+    const managesAll = hasPermission(req, 'teams:manage');
+    if (!isSelf && !managesAll && !req.team.isManager(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only team owners and managers can do this'
+      });
+    }
+
+    if (member.role === 'owner' && !isSelf && !canAssignOwner(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only team owners can change owners'
+      });
+    }
+
+    if (member.role === 'owner' && countOwners(req.team) === 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'A team needs at least one owner'
+      });
+    }
+
+    req.team.members = req.team.members.filter((m) => m !== member);
+    await req.team.save();
+
+    // Their customers stay with the team without an individual owner
+    await Customer.updateMany(
+      { teamId: req.team._id, ownerId: member.userId },
+      { ownerId: null }
+    );
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You left the team' : 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove team member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove member'
+    });
+  }
+});
+
+module.exports = router;
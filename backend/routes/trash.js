@@ -0,0 +1,230 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const { validateQuery, paginationSchema } = require('../middleware/validation');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { resolveTeam, loadCustomer, canAccessCustomer, customerScopeFilter, customerDeleteFilter } = require('../middleware/teams');
+const { recordAudit } = require('../services/audit');
+const { escapeRegex } = require('../utils/escape');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const restoreFields = { deletedAt: null, deletedBy: null, deletedWithCustomer: false };
+
+const paginationFor = (page, limit, total, key) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  [key]: total,
+  hasNextPage: page < Math.ceil(total / limit),
+  hasPrevPage: page > 1
+});
+
+// Resource loader for authorize(): a lead in the trash whose customer the user may edit
+const loadTrashedLead = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return { status: 400, error: 'Invalid lead ID' };
+  }
+
+  const lead = await Lead.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+    .setOptions({ withDeleted: true });
+  if (!lead) {
+    return { status: 404, error: 'Lead not found in the trash' };
+  }
+
+  const customer = await Customer.findById(lead.customerId).setOptions({ withDeleted: true });
+  if (!customer || !(await canAccessCustomer(req, customer, 'write'))) {
+    return { status: 403, error: 'Access denied' };
+  }
+
+  req.lead = lead;
+  req.customer = customer;
+  return null;
+};
+
+// @route   GET /api/trash/customers
+// @desc    List deleted customers the user could delete, newest first
+// @access  Private (customers:delete)
+router.get('/customers', authorize('customers:delete'), resolveTeam, validateQuery(paginationSchema), async (req, res) => {
+  try {
+    const { page, limit, q } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filters = [await customerDeleteFilter(req), { deletedAt: { $ne: null } }];
+    if (q) {
+      const pattern = escapeRegex(q);
+      filters.push({
+        $or: [
+          { name: { $regex: pattern, $options: 'i' } },
+          { email: { $regex: pattern, $options: 'i' } },
+          { company: { $regex: pattern, $options: 'i' } }
+        ]
+      });
+    }
+    const query = { $and: filters };
+
+    const customers = await Customer.find(query)
+      .setOptions({ withDeleted: true })
+      .populate('deletedBy', 'name email')
+      .populate('teamId', 'name')
+      .populate({ path: 'mergedInto', select: 'name email', options: { withDeleted: true } })
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Customer.countDocuments(query).setOptions({ withDeleted: true });
+
+    // Leads that went to the trash with each customer
+    const leadCounts = await Lead.aggregate([
+      { $match: { customerId: { $in: customers.map((customer) => customer._id) }, deletedWithCustomer: true } },
+      { $group: { _id: '$customerId', count: { $sum: 1 } } }
+    ]).option({ withDeleted: true });
+    const counts = Object.fromEntries(leadCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+    res.json({
+      success: true,
+      data: {
+        customers: customers.map((customer) => ({
+          ...customer.toJSON(),
+          leadCount: counts[customer._id.toString()] || 0
+        })),
+        pagination: paginationFor(page, limit, total, 'totalCustomers')
+      }
+    });
+  } catch (error) {
+    console.error('Get trashed customers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trash'
+    });
+  }
+});
+
+// @route   GET /api/trash/leads
+// @desc    List leads deleted on their own from customers the user can see
+// @access  Private (leads:delete)
+router.get('/leads', authorize('leads:delete'), resolveTeam, validateQuery(paginationSchema), async (req, res) => {
+  try {
+    const { page, limit, q } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Leads of deleted customers are restored with their customer instead
+    const customerIds = await Customer.find(await customerScopeFilter(req)).distinct('_id');
+    const query = {
+      customerId: { $in: customerIds },
+      deletedAt: { $ne: null },
+      deletedWithCustomer: false
+    };
+    if (q) {
+      query.title = { $regex: escapeRegex(q), $options: 'i' };
+    }
+
+    const leads = await Lead.find(query)
+      .setOptions({ withDeleted: true })
+      .populate('customerId', 'name email company')
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Lead.countDocuments(query).setOptions({ withDeleted: true });
+
+    res.json({
+      success: true,
+      data: {
+        leads,
+        pagination: paginationFor(page, limit, total, 'totalLeads')
+      }
+    });
+  } catch (error) {
+    console.error('Get trashed leads error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trash'
+    });
+  }
+});
+
+// @route   POST /api/trash/customers/:id/restore
+// @desc    Restore a customer together with the leads deleted with it
+// @access  Private (customers:delete)
+router.post('/customers/:id/restore', authorize('customers:delete', loadCustomer('id', { trashed: true })), async (req, res) => {
+  try {
+    const { modifiedCount } = await Lead.updateMany(
+      { customerId: req.customer._id, deletedWithCustomer: true },
+      restoreFields
+    );
+
+    const before = req.customer.toObject();
+    req.customer.deletedAt = null;
+    req.customer.deletedBy = null;
+    req.customer.mergedInto = null;
+    await req.customer.save();
+
+    await recordAudit(req, {
+      action: 'restore',
+      entityType: 'customer',
+      before,
+      after: req.customer,
+      customerId: req.customer._id,
+      metadata: { restoredLeads: modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        customer: req.customer,
+        restoredLeads: modifiedCount
+      },
+      message: 'Customer restored successfully'
+    });
+  } catch (error) {
+    console.error('Restore customer error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore customer'
+    });
+  }
+});
+
+// @route   POST /api/trash/leads/:id/restore
+// @desc    Restore a lead deleted on its own
+// @access  Private (leads:delete)
+router.post('/leads/:id/restore', authorize('leads:delete', loadTrashedLead), async (req, res) => {
+  try {
+    if (req.customer.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Restore the customer first'
+      });
+    }
+
+    const before = req.lead.toObject();
+    req.lead.set(restoreFields);
+    await req.lead.save();
+
+    await recordAudit(req, {
+      action: 'restore',
+      entityType: 'lead',
+      before,
+      after: req.lead,
+      customerId: req.customer._id
+    });
+
+    res.json({
+      success: true,
+      data: { lead: req.lead },
+      message: 'Lead restored successfully'
+    });
+  } catch (error) {
+    console.error('Restore lead error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore lead'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { validate, twoFactorCodeSchema, twoFactorDisableSchema } = require('../middleware/validation');
+const { authenticateToken, requireSession, isTwoFactorRequired } = require('../middleware/auth');
+const { generateSecret, verifyTotp, buildOtpauthUrl } = require('../utils/totp');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// Load the signed-in user together with their 2FA secrets
+const findUserWithSecrets = (userId) => {
+  return User.findById(userId).select(
+    '+passwordHash +twoFactorSecret +twoFactorPendingSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes'
+  );
+};
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrolment and return the secret and QR code
+// @access  Private
+router.post('/setup', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const user = await findUserWithSecrets(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    const otpauthUrl = buildOtpauthUrl(secret, user.email);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a code and return recovery codes
+// @access  Private
+router.post('/enable', authenticateToken, requireSession, validate(twoFactorCodeSchema), async (req, res) => {
+  try {
+    const user = await findUserWithSecrets(req.user._id);
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const before = user.toObject();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+    await recordAudit(req, { action: 'update', entityType: 'user', before, after: user });
+
+    res.json({
+      success: true,
+      data: { recoveryCodes },
+      message: 'Two-factor authentication enabled'
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA after confirming password and a code
+// @access  Private
+router.post('/disable', authenticateToken, requireSession, validate(twoFactorDisableSchema), async (req, res) => {
+  try {
+    const user = await findUserWithSecrets(req.user._id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is required for admin accounts'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid password or authentication code'
+      });
+    }
+
+    const before = user.toObject();
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    user.twoFactorRecoveryCodes = [];
+    await user.save();
+    await recordAudit(req, { action: 'update', entityType: 'user', before, after: user });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes after confirming a code
+// @access  Private
+router.post('/recovery-codes', authenticateToken, requireSession, validate(twoFactorCodeSchema), async (req, res) => {
+  try {
+    const user = await findUserWithSecrets(req.user._id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      data: { recoveryCodes },
+      message: 'Recovery codes regenerated'
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate recovery codes'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,337 @@
+const express = require('express');
+const User = require('../models/User');
+const Customer = require('../models/Customer');
+const Team = require('../models/Team');
+const RefreshToken = require('../models/RefreshToken');
+const ApiKey = require('../models/ApiKey');
+const Role = require('../models/Role');
+const { validate, validateQuery, userRoleSchema, userStatusSchema, userFilterSchema } = require('../middleware/validation');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { unlockAccount, findLockedAccounts } = require('../services/loginProtection');
+const { recordAudit } = require('../services/audit');
+const { escapeRegex } = require('../utils/escape');
+
+const router = express.Router();
+
+// Every user management route needs users:manage
+router.use(authenticateToken, authorize('users:manage'));
+
+// Nobody can change their own role or status, so there is always an admin left
+const rejectSelf = (req, res) => {
+  if (req.params.id === req.user._id.toString()) {
+    res.status(400).json({
+      success: false,
+      error: 'You cannot change your own account here'
+    });
+    return true;
+  }
+  return false;
+};
+
+// @route   GET /api/users
+// @desc    List users with pagination, search and filters
+// @access  Admin
+router.get('/', validateQuery(userFilterSchema), async (req, res) => {
+  try {
+    const { page, limit, q, role, isActive } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    let query = {};
+    if (role) {
+      query.role = role;
+    }
+    if (isActive !== undefined) {
+      query.isActive = isActive;
+    }
+
+    // Add search functionality
+    if (q) {
+      const pattern = escapeRegex(q);
+      query.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const users = await User.find(query)
+      .select('-passwordHash')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(query);
+
+    // Flag accounts that are locked out after failed logins
+    const locked = await findLockedAccounts(users.map((user) => user._id.toString()));
+    const usersWithLockStatus = users.map((user) => ({
+      ...user.toJSON(),
+      lockedUntil: locked[user._id.toString()] || null
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        users: usersWithLockStatus,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalUsers: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch users'
+    });
+  }
+});
+
+// @route   GET /api/users/:id
+// @desc    Get a user with their customer count
+// @access  Admin
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-passwordHash');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const customerCount = await Customer.countDocuments({ ownerId: user._id });
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        customerCount
+      }
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user'
+    });
+  }
+});
+
+// @route   PUT /api/users/:id/role
+// @desc    Assign a role to a user
+// @access  Admin
+router.put('/:id/role', validate(userRoleSchema), async (req, res) => {
+  try {
+    if (rejectSelf(req, res)) return;
+
+    if (!(await Role.findByName(req.body.role))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role does not exist'
+      });
+    }
+
+    const before = await User.findById(req.params.id).select('-passwordHash');
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role },
+      { new: true, runValidators: true }
+    ).select('-passwordHash');
+
+    await recordAudit(req, { action: 'update', entityType: 'user', before, after: user });
+
+    res.json({
+      success: true,
+      data: { user },
+      message: `User role changed to ${user.role}`
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user role'
+    });
+  }
+});
+
+// @route   PUT /api/users/:id/status
+// @desc    Activate or deactivate a user
+// @access  Admin
+router.put('/:id/status', validate(userStatusSchema), async (req, res) => {
+  try {
+    if (rejectSelf(req, res)) return;
+
+    const before = await User.findById(req.params.id).select('-passwordHash');
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isActive: req.body.isActive },
+      { new: true, runValidators: true }
+    ).select('-passwordHash');
+
+    await recordAudit(req, { action: 'update', entityType: 'user', before, after: user });
+
+    // Sign a deactivated user out everywhere
+    if (!user.isActive) {
+      await RefreshToken.revokeUserSessions(user._id, 'logout');
+    }
+
+    res.json({
+      success: true,
+      data: { user },
+      message: user.isActive ? 'User activated successfully' : 'User deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Update user status error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user status'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/unlock
+// @desc    Clear a login lockout
+// @access  Admin
+router.post('/:id/unlock', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-passwordHash');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    await unlockAccount(user._id);
+
+    res.json({
+      success: true,
+      data: { user },
+      message: 'User unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unlock user'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id
+// @desc    Delete a user, reassigning their personal customers to the acting admin
+// @access  Admin
+router.delete('/:id', async (req, res) => {
+  try {
+    if (rejectSelf(req, res)) return;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Keep customers (and their leads) rather than orphaning them: the personal
+    // team's customers move to the admin, shared team customers lose their owner
+    const personalTeam = await Team.findOne({ personal: true, createdBy: user._id });
+    const adminTeam = await Team.ensurePersonalTeam(req.user);
+    const { modifiedCount } = await Customer.updateMany(
+      {
+        $or: [
+          { teamId: null, ownerId: user._id },
+          ...(personalTeam ? [{ teamId: personalTeam._id }] : [])
+        ]
+      },
+      { ownerId: req.user._id, teamId: adminTeam._id }
+    );
+    await Customer.updateMany({ ownerId: user._id }, { ownerId: null });
+
+    if (personalTeam) {
+      await Team.findByIdAndDelete(personalTeam._id);
+    }
+    await Team.updateMany(
+      { 'members.userId': user._id },
+      { $pull: { members: { userId: user._id } } }
+    );
+
+    await RefreshToken.deleteMany({ userId: user._id });
+    await ApiKey.deleteMany({ userId: user._id });
+    await unlockAccount(user._id);
+    await User.findByIdAndDelete(user._id);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'user',
+      before: user,
+      metadata: { reassignedCustomers: modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      data: { reassignedCustomers: modifiedCount },
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete user'
+    });
+  }
+});
+
+module.exports = router;
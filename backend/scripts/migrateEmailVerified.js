@@ -0,0 +1,26 @@
+// Mark accounts created before email verification existed as verified, so an
+// EMAIL_VERIFICATION_POLICY does not lock them out. Safe to run more than
+// once: npm run migrate:email-verified
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_db');
+
+  // Accounts created since have the flag, verified or not
+  const { modifiedCount } = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  console.log(`Marked ${modifiedCount} existing users as verified`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Email verification migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,33 @@
+// Store the duplicate-matching keys on customers created before duplicate
+// detection existed. Safe to run more than once: npm run migrate:match-keys
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Customer = require('../models/Customer');
+const { matchKeysFor } = require('../utils/matching');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_db');
+
+  // Customers in the trash get keys too, in case they are restored
+  const cursor = Customer.find()
+    .setOptions({ withDeleted: true })
+    .select('name email phone company')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  for await (const customer of cursor) {
+    await Customer.updateOne({ _id: customer._id }, { matchKeys: matchKeysFor(customer) });
+    updated++;
+  }
+
+  console.log(`Updated match keys for ${updated} customers`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Match key migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
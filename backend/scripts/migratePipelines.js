@@ -0,0 +1,48 @@
+// Place leads created before pipelines existed in a stage of the default
+// pipeline, matching their status to a stage name. Leads whose status has no
+// matching stage go to the first stage and are listed so they can be checked.
+// Safe to run more than once: npm run migrate:pipelines
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Lead = require('../models/Lead');
+const Pipeline = require('../models/Pipeline');
+const { stageFields } = require('../services/pipelines');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_db');
+
+  const pipeline = await Pipeline.findDefault();
+
+  // Leads in the trash are placed too, in case they are restored
+  const cursor = Lead.find({ stageId: { $exists: false } })
+    .setOptions({ withDeleted: true })
+    .select('status')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  const unmatched = [];
+  for await (const lead of cursor) {
+    let stage = pipeline.findStageByName(lead.status || '');
+    if (!stage) {
+      stage = pipeline.stages[0];
+      unmatched.push(`${lead._id} (${lead.status || 'no status'})`);
+    }
+    await Lead.updateOne({ _id: lead._id }, stageFields({ pipeline, stage }));
+    updated++;
+  }
+
+  console.log(`Placed ${updated} leads in the ${pipeline.name} pipeline`);
+  if (unmatched.length > 0) {
+    console.log(`${unmatched.length} leads had a status with no matching stage and were put in "${pipeline.stages[0].name}":`);
+    unmatched.forEach((lead) => console.log(`  ${lead}`));
+  }
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Pipeline migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
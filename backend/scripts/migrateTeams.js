@@ -0,0 +1,39 @@
+// Move customers created before teams existed into their owner's personal team.
+// Safe to run more than once: npm run migrate:teams
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const Team = require('../models/Team');
+const Customer = require('../models/Customer');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_db');
+
+  const users = await User.find();
+  let migrated = 0;
+
+  for (const user of users) {
+    const team = await Team.ensurePersonalTeam(user);
+    const { modifiedCount } = await Customer.updateMany(
+      { teamId: null, ownerId: user._id },
+      { teamId: team._id }
+    );
+    migrated += modifiedCount;
+  }
+
+  const remaining = await Customer.countDocuments({ teamId: null });
+
+  console.log(`Created personal teams for ${users.length} users`);
+  console.log(`Moved ${migrated} customers into teams`);
+  if (remaining > 0) {
+    console.log(`${remaining} customers have no existing owner and were left without a team`);
+  }
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Team migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,21 @@
+// Permanently remove customers and leads that have been in the trash longer
+// than TRASH_RETENTION_DAYS. The server also runs this on a timer; use this
+// script from cron when the timer is not wanted: npm run purge:trash
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { purgeTrash } = require('../services/trash');
+
+const purge = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_db');
+
+  const purged = await purgeTrash();
+  console.log(`Purged ${purged.customers} customers and ${purged.leads} leads from the trash`);
+};
+
+purge()
+  .catch((error) => {
+    console.error('Trash purge failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
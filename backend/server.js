@@ -6,33 +6,101 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const customerRoutes = require('./routes/customers');
 const leadRoutes = require('./routes/leads');
+const allLeadRoutes = require('./routes/allLeads');
+const userRoutes = require('./routes/users');
+const apiKeyRoutes = require('./routes/apiKeys');
+const teamRoutes = require('./routes/teams');
+const roleRoutes = require('./routes/roles');
+const auditRoutes = require('./routes/audit');
+const trashRoutes = require('./routes/trash');
+const customFieldRoutes = require('./routes/customFields');
+const pipelineRoutes = require('./routes/pipelines');
+const statsRoutes = require('./routes/stats');
+const { scheduleTrashPurge } = require('./services/trash');
+const { createTransport, setTransport } = require('./services/mailer');
 
 const app = express();
 
+// Set up outgoing email now so a production server without mail settings does not start
+setTransport(createTransport());
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URI || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  // Lets the browser read the file name of exports
+  exposedHeaders: ['Content-Disposition']
 }));
 
-// Rate limiting
-const limiter = rateLimit({
+// Behind a reverse proxy (e.g. Render), trust it so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+// Rate limiting, left off in tests which make many requests from one address
+const limiterDefaults = {
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => process.env.NODE_ENV === 'test'
+};
+
+// Logins only count failures, so busy offices behind one NAT are not blocked
+// by their colleagues' successful sign-ins
+const loginLimiter = rateLimit({
+  ...limiterDefaults,
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX, 10) || 30,
+  skipSuccessfulRequests: true,
+  message: { success: false, error: 'Too many authentication attempts, please try again later' }
+});
+
+// Endpoints that send email or take a token count every request, since they
+// answer the same whether or not the account exists
+const accountLimiter = rateLimit({
+  ...limiterDefaults,
+  max: parseInt(process.env.ACCOUNT_RATE_LIMIT_MAX, 10) || 10,
+  message: { success: false, error: 'Too many requests, please try again later' }
 });
-app.use(limiter);
+
+const apiLimiter = rateLimit({
+  ...limiterDefaults,
+  max: parseInt(process.env.API_RATE_LIMIT_MAX, 10) || 100,
+  message: { success: false, error: 'Too many requests, please try again later' }
+});
+
+// Also covers /api/auth/login/2fa
+app.use('/api/auth/login', loginLimiter);
+app.use([
+  '/api/auth/register',
+  '/api/auth/forgot-password',
+  '/api/auth/resend-verification',
+  '/api/auth/reset-password'
+], accountLimiter);
+app.use('/api', apiLimiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/customers', customerRoutes);
 app.use('/api/customers', leadRoutes);
+app.use('/api/leads', allLeadRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/keys', apiKeyRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/pipelines', pipelineRoutes);
+app.use('/api/stats', statsRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -67,6 +135,11 @@ mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_db', {
 })
 .then(() => {
   console.log('Connected to MongoDB');
+
+  // TRASH_PURGE_DISABLED=true leaves purging to `npm run purge:trash`
+  if (process.env.NODE_ENV !== 'test' && process.env.TRASH_PURGE_DISABLED !== 'true') {
+    scheduleTrashPurge();
+  }
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
@@ -0,0 +1,86 @@
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping and derived fields that never appear in a diff
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'matchKeys'];
+
+// Secrets are recorded as changed without their values
+const REDACTED_FIELDS = [
+  'passwordHash',
+  'passwordResetTokenHash',
+  'passwordResetExpires',
+  'emailVerificationTokenHash',
+  'emailVerificationExpires',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorLastUsedStep',
+  'twoFactorRecoveryCodes'
+];
+const REDACTED = '[redacted]';
+
+// Plain object for a document, with populated references reduced to their ids.
+// Pass doc.toObject() taken before the change when a document is modified in place.
+const snapshot = (doc) => {
+  if (!doc) {
+    return {};
+  }
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+};
+
+const comparable = (value) => {
+  if (value === undefined || value === null) return null;
+  return JSON.stringify(value);
+};
+
+// { field: { from, to } } for every field that differs between two snapshots
+const diff = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (comparable(before[field]) === comparable(after[field])) continue;
+
+    if (REDACTED_FIELDS.includes(field)) {
+      changes[field] = { from: REDACTED, to: REDACTED };
+    } else {
+      changes[field] = {
+        from: before[field] === undefined ? null : before[field],
+        to: after[field] === undefined ? null : after[field]
+      };
+    }
+  }
+  return changes;
+};
+
+// Append an audit entry for a change made by the request's user, or by a
+// scheduled job when req is null.
+// before/after are the entity before and after the change (null on create/delete).
+// Failing to write the log must not fail the change itself.
+const recordAudit = async (req, { action, entityType, before = null, after = null, customerId = null, metadata = {}, actor }) => {
+  try {
+    const entity = after || before;
+    const user = actor || (req && req.user);
+
+    await AuditLog.create({
+      actorId: user ? user._id : null,
+      actorName: user ? user.name : undefined,
+      actorEmail: user ? user.email : undefined,
+      apiKeyId: req && req.apiKey ? req.apiKey._id : null,
+      action,
+      entityType,
+      entityId: entity._id,
+      customerId,
+      changes: diff(snapshot(before), snapshot(after)),
+      metadata,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.headers['user-agent'] : undefined
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = {
+  diff,
+  recordAudit
+};
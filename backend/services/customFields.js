@@ -0,0 +1,88 @@
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const { escapeRegex } = require('../utils/escape');
+
+const MODELS = { customer: Customer, lead: Lead };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Query conditions for tag and custom field filters validated by
+// validateCustomFieldFilters(): every tag must be present and every field must match
+const taggedConditions = (definitions, { tags, customFields = {} }) => {
+  const conditions = [];
+
+  if (tags && tags.length > 0) {
+    conditions.push({ tags: { $all: tags } });
+  }
+
+  for (const field of definitions) {
+    const value = customFields[field.key];
+    if (value === undefined) continue;
+
+    const path = `customFields.${field.key}`;
+    if (field.type === 'text') {
+      conditions.push({ [path]: { $regex: escapeRegex(value), $options: 'i' } });
+    } else if (field.type === 'date') {
+      conditions.push({ [path]: { $gte: value, $lt: new Date(value.getTime() + DAY_MS) } });
+    } else if (field.type === 'multiselect') {
+      conditions.push({ [path]: { $all: value } });
+    } else {
+      conditions.push({ [path]: value });
+    }
+  }
+
+  return conditions;
+};
+
+// Most used tags starting with prefix among the customers or leads matching a filter
+const tagSuggestions = async (entityType, match, prefix, limit) => {
+  const results = await MODELS[entityType].aggregate([
+    { $match: match },
+    { $unwind: '$tags' },
+    ...(prefix ? [{ $match: { tags: { $regex: `^${escapeRegex(prefix)}` } } }] : []),
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+
+  return results.map(({ _id, count }) => ({ tag: _id, count }));
+};
+
+// Remove the values of a deleted field, including those of records in the trash
+const removeFieldValues = async (field) => {
+  const { modifiedCount } = await MODELS[field.entityType].updateMany(
+    { [`customFields.${field.key}`]: { $exists: true } },
+    { $unset: { [`customFields.${field.key}`]: '' } }
+  );
+  return modifiedCount;
+};
+
+// Drop options removed from a select or multiselect field from stored values
+const removeFieldOptions = async (field, removedOptions) => {
+  if (removedOptions.length === 0) {
+    return 0;
+  }
+
+  const Model = MODELS[field.entityType];
+  const path = `customFields.${field.key}`;
+  if (field.type === 'multiselect') {
+    const { modifiedCount } = await Model.updateMany(
+      { [path]: { $in: removedOptions } },
+      { $pull: { [path]: { $in: removedOptions } } }
+    );
+    return modifiedCount;
+  }
+
+  const { modifiedCount } = await Model.updateMany(
+    { [path]: { $in: removedOptions } },
+    { $unset: { [path]: '' } }
+  );
+  return modifiedCount;
+};
+
+module.exports = {
+  taggedConditions,
+  tagSuggestions,
+  removeFieldValues,
+  removeFieldOptions
+};
@@ -0,0 +1,248 @@
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const Pipeline = require('../models/Pipeline');
+const { customerSchema, leadSchema } = require('../middleware/validation');
+const { canAccessCustomer, customerScopeFilter } = require('../middleware/teams');
+const { recordAudit } = require('./audit');
+const { stageFields } = require('./pipelines');
+const { recordStageChange } = require('./stageHistory');
+const { parseCsv } = require('../utils/csv');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Column headers recognised for each field when no mapping is given,
+// compared lowercase with spaces and punctuation removed
+const HEADER_ALIASES = {
+  customer: {
+    name: ['name', 'fullname', 'customer', 'customername', 'contact', 'contactname'],
+    email: ['email', 'emailaddress', 'mail'],
+    phone: ['phone', 'phonenumber', 'telephone', 'tel', 'mobile'],
+    company: ['company', 'companyname', 'organization', 'organisation', 'account']
+  },
+  lead: {
+    title: ['leadtitle', 'lead', 'deal', 'dealname', 'opportunity', 'title'],
+    description: ['leaddescription', 'description', 'notes'],
+    status: ['leadstatus', 'status', 'stage'],
+    value: ['leadvalue', 'value', 'amount', 'dealvalue']
+  }
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Best guess at which column holds each field, e.g. { customer: { email: 'E-mail' }, lead: {} }
+const suggestMapping = (headers) => {
+  const mapping = { customer: {}, lead: {} };
+  const normalized = headers.map(normalizeHeader);
+
+  for (const [entity, fields] of Object.entries(HEADER_ALIASES)) {
+    for (const [field, aliases] of Object.entries(fields)) {
+      const index = normalized.findIndex((header) => aliases.includes(header));
+      if (index !== -1) {
+        mapping[entity][field] = headers[index];
+      }
+    }
+  }
+  return mapping;
+};
+
+// Values of the mapped columns for one row; unmapped and blank values are left out
+const pickFields = (record, headers, columns = {}) => {
+  const values = {};
+  for (const [field, header] of Object.entries(columns)) {
+    const index = header ? headers.indexOf(header) : -1;
+    const value = index === -1 ? '' : (record[index] || '').trim();
+    if (value !== '') {
+      values[field] = value;
+    }
+  }
+  return values;
+};
+
+const validationErrors = (error, prefix = '') => error.details.map((detail) => ({
+  field: prefix + detail.path.join('.'),
+  message: detail.message
+}));
+
+// Parse the CSV and check it can be imported.
+// Returns { headers, records, mapping } or { status, error }.
+const prepareImport = (csv, mapping) => {
+  const [headers, ...records] = parseCsv(csv).map((row) => row.map((cell) => cell.trim()));
+
+  if (!headers) {
+    return { status: 400, error: 'The CSV file is empty' };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { status: 400, error: `CSV files can have at most ${MAX_IMPORT_ROWS} rows` };
+  }
+
+  const columns = mapping || suggestMapping(headers);
+  for (const entity of ['customer', 'lead']) {
+    for (const header of Object.values(columns[entity] || {})) {
+      if (header && !headers.includes(header)) {
+        return { status: 400, error: `Column "${header}" not found in the CSV` };
+      }
+    }
+  }
+
+  return {
+    headers,
+    records,
+    mapping: { customer: columns.customer || {}, lead: columns.lead || {} }
+  };
+};
+
+// Import rows offset..offset+limit of a prepared CSV for the request's user.
+// Each row creates or matches a customer by email and, when lead columns are
+// filled in, adds a lead to it. duplicates decides what happens when a customer
+// with the same email already exists: 'skip' leaves it alone, 'update'
+// overwrites it with the row and 'create' adds another customer.
+// Later rows with the same email as an earlier row always join that row's
+// customer, so one customer can be imported with several leads. When a file is
+// imported in batches, pass the startedAt returned by the first batch to the rest.
+// New customers get the team and owner in assignment (see resolveCustomerAssignment).
+// With dryRun nothing is written but every row is checked.
+const importCustomers = async (req, { headers, records, mapping }, { assignment, duplicates, dryRun, offset = 0, limit = records.length, startedAt = new Date() }) => {
+  const scope = await customerScopeFilter(req);
+  const end = Math.min(records.length, offset + limit);
+  const results = [];
+  const summary = { created: 0, updated: 0, skipped: 0, failed: 0, leads: 0 };
+
+  // Outcome of the first row for each email in this batch: the customer or null when skipped
+  const imported = new Map();
+  const emails = records.map((record) => (pickFields(record, headers, mapping.customer).email || '').toLowerCase());
+  // Imported leads go to the default pipeline, their status naming the stage
+  const pipeline = Object.keys(mapping.lead).length > 0 ? await Pipeline.findDefault() : null;
+
+  for (let index = offset; index < end; index++) {
+    // Row numbers match the spreadsheet: the header is row 1
+    const result = { row: index + 2 };
+    results.push(result);
+
+    const customerFields = pickFields(records[index], headers, mapping.customer);
+    const leadFields = pickFields(records[index], headers, mapping.lead);
+    const hasLead = Object.keys(leadFields).length > 0;
+
+    const customerCheck = customerSchema.validate(customerFields, { abortEarly: false });
+    const leadCheck = hasLead ? leadSchema.validate(leadFields, { abortEarly: false }) : {};
+    const stage = hasLead && !leadCheck.error
+      ? (leadCheck.value.status ? pipeline.findStageByName(leadCheck.value.status) : pipeline.stages[0])
+      : null;
+    const stageError = hasLead && !leadCheck.error && !stage
+      ? [{ field: 'lead.status', message: `"${leadCheck.value.status}" is not a stage of the ${pipeline.name} pipeline` }]
+      : [];
+    if (customerCheck.error || leadCheck.error || stageError.length > 0) {
+      result.status = 'error';
+      result.errors = [
+        ...(customerCheck.error ? validationErrors(customerCheck.error) : []),
+        ...(leadCheck.error ? validationErrors(leadCheck.error, 'lead.') : []),
+        ...stageError
+      ];
+      summary.failed++;
+      continue;
+    }
+
+    const data = customerCheck.value;
+    let customer;
+
+    if (imported.has(data.email)) {
+      customer = imported.get(data.email);
+      result.status = customer ? 'matched' : 'skipped';
+    } else {
+      const existing = await Customer.findOne({ $and: [scope, { email: data.email }] }).sort({ createdAt: -1 });
+      const earlierRow = emails.indexOf(data.email) < index;
+
+      if (existing && earlierRow) {
+        // The first row for this email was in an earlier batch, which skipped
+        // it if the customer was already there when the import started
+        const skipped = duplicates === 'skip' && existing.createdAt < startedAt;
+        customer = skipped ? null : existing;
+        result.status = skipped ? 'skipped' : 'matched';
+      } else if (existing && duplicates === 'skip') {
+        customer = null;
+        result.status = 'skipped';
+      } else if (existing && duplicates === 'update') {
+        if (!(await canAccessCustomer(req, existing, 'write'))) {
+          result.status = 'error';
+          result.errors = [{ field: 'email', message: 'You cannot update the existing customer with this email' }];
+          summary.failed++;
+          continue;
+        }
+
+        customer = existing;
+        result.status = 'updated';
+        if (!dryRun) {
+          const before = existing.toObject();
+          existing.set(data);
+          await existing.save();
+          await recordAudit(req, {
+            action: 'update',
+            entityType: 'customer',
+            before,
+            after: existing,
+            customerId: existing._id,
+            metadata: { import: true }
+          });
+        }
+      } else {
+        customer = new Customer({ ...data, ...assignment });
+        result.status = 'created';
+        if (!dryRun) {
+          await customer.save();
+          await recordAudit(req, {
+            action: 'create',
+            entityType: 'customer',
+            after: customer,
+            customerId: customer._id,
+            metadata: { import: true }
+          });
+        }
+      }
+
+      imported.set(data.email, customer);
+    }
+
+    if (result.status === 'skipped') {
+      summary.skipped++;
+      continue;
+    }
+    if (result.status !== 'matched') {
+      summary[result.status]++;
+    }
+    // Customers created in a dry run have no id yet
+    result.customerId = customer.isNew ? null : customer._id;
+
+    if (hasLead) {
+      if (!dryRun) {
+        const lead = await Lead.create({
+          ...leadCheck.value,
+          ...stageFields({ pipeline, stage }),
+          stageEnteredAt: new Date(),
+          customerId: customer._id
+        });
+        await recordAudit(req, {
+          action: 'create',
+          entityType: 'lead',
+          after: lead,
+          customerId: customer._id,
+          metadata: { import: true }
+        });
+        await recordStageChange(req.user, lead, stage);
+        result.leadId = lead._id;
+      }
+      summary.leads++;
+    }
+  }
+
+  return {
+    startedAt,
+    totalRows: records.length,
+    summary,
+    rows: results
+  };
+};
+
+module.exports = {
+  suggestMapping,
+  prepareImport,
+  importCustomers
+};
@@ -0,0 +1,165 @@
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const { customerScopeFilter } = require('../middleware/teams');
+const { matchKeysFor } = require('../utils/matching');
+const { recordAudit } = require('./audit');
+
+// Why two customers look like the same person, strongest first
+const MATCH_REASONS = ['email', 'phone', 'nameCompany'];
+
+// Fields a merge can take from any of the merged customers
+const MERGE_FIELDS = ['name', 'email', 'phone', 'company', 'ownerId'];
+
+// Groups shown per reason in the duplicates report
+const REPORT_GROUP_LIMIT = 100;
+
+const SUMMARY_FIELDS = 'name email phone company ownerId teamId createdAt';
+
+// Customers the user can see that look like the given details.
+// Returns [{ customer, reasons }] with the closest matches first.
+const findDuplicates = async (req, details, excludeId = null) => {
+  const keys = matchKeysFor(details);
+  const conditions = MATCH_REASONS
+    .filter((reason) => keys[reason])
+    .map((reason) => ({ [`matchKeys.${reason}`]: keys[reason] }));
+  if (conditions.length === 0) {
+    return [];
+  }
+
+  const filters = [await customerScopeFilter(req), { $or: conditions }];
+  if (excludeId) {
+    filters.push({ _id: { $ne: excludeId } });
+  }
+
+  const customers = await Customer.find({ $and: filters })
+    .select(`${SUMMARY_FIELDS} +matchKeys`)
+    .populate('ownerId', 'name email')
+    .limit(20);
+
+  return customers
+    .map((customer) => {
+      const reasons = MATCH_REASONS.filter((reason) => keys[reason] && customer.matchKeys[reason] === keys[reason]);
+      const { matchKeys, ...summary } = customer.toObject();
+      return { customer: summary, reasons };
+    })
+    .sort((a, b) => MATCH_REASONS.indexOf(a.reasons[0]) - MATCH_REASONS.indexOf(b.reasons[0]));
+};
+
+// Groups of two or more accessible customers sharing a match key, for each reason
+const duplicateGroups = async (req) => {
+  const byReason = Object.fromEntries(MATCH_REASONS.map((reason) => [reason, [
+    { $match: { [`matchKeys.${reason}`]: { $ne: null } } },
+    {
+      $group: {
+        _id: `$matchKeys.${reason}`,
+        customerIds: { $push: '$_id' },
+        count: { $sum: 1 }
+      }
+    },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: REPORT_GROUP_LIMIT }
+  ]]));
+
+  const [facets] = await Customer.aggregate([
+    { $match: await customerScopeFilter(req) },
+    { $facet: byReason }
+  ]);
+
+  const ids = MATCH_REASONS.flatMap((reason) => facets[reason].flatMap((group) => group.customerIds));
+  const customers = await Customer.find({ _id: { $in: ids } })
+    .select(SUMMARY_FIELDS)
+    .populate('ownerId', 'name email')
+    .lean();
+  const leadCounts = await Lead.aggregate([
+    { $match: { customerId: { $in: ids } } },
+    { $group: { _id: '$customerId', count: { $sum: 1 } } }
+  ]);
+
+  const customersById = new Map(customers.map((customer) => [customer._id.toString(), customer]));
+  const leadsById = new Map(leadCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+  return MATCH_REASONS.flatMap((reason) => facets[reason].map((group) => ({
+    reason,
+    customers: group.customerIds
+      .map((id) => customersById.get(id.toString()))
+      .filter(Boolean)
+      .map((customer) => ({ ...customer, leadCount: leadsById.get(customer._id.toString()) || 0 }))
+      .sort((a, b) => a.createdAt - b.createdAt)
+  })));
+};
+
+// Values the surviving customer ends up with. fields names, per field, the
+// customer whose value wins; by default the survivor keeps its own values and
+// fills blanks from the duplicates in the order given.
+const mergedValues = (survivor, duplicates, fields = {}) => {
+  const candidates = [survivor, ...duplicates];
+  const values = {};
+
+  for (const field of MERGE_FIELDS) {
+    let winner;
+    if (fields[field]) {
+      winner = candidates.find((customer) => customer._id.toString() === fields[field]);
+    } else {
+      winner = candidates.find((customer) => customer[field]) || survivor;
+    }
+    values[field] = winner[field] === undefined ? null : winner[field];
+  }
+
+  // Tags are combined and custom field values the survivor lacks are filled in
+  values.tags = [...new Set(candidates.flatMap((customer) => customer.tags || []))];
+  values.customFields = Object.assign(
+    {},
+    ...candidates.map((customer) => customer.customFields || {}).reverse()
+  );
+  return values;
+};
+
+// Merge duplicates into the surviving customer: it takes the given values
+// (see mergedValues), every lead of the duplicates moves to it and the
+// duplicates go to the trash, marked with the customer they were merged into,
+// so a wrong merge can be undone. Leads in the trash move too, so they can
+// still be restored.
+const mergeCustomers = async (req, survivor, duplicates, values) => {
+  const before = survivor.toObject();
+  const duplicateIds = duplicates.map((customer) => customer._id);
+
+  survivor.set(values);
+  await survivor.save();
+
+  const { modifiedCount } = await Lead.updateMany(
+    { customerId: { $in: duplicateIds } },
+    { customerId: survivor._id }
+  );
+  await Customer.updateMany(
+    { _id: { $in: duplicateIds } },
+    { deletedAt: new Date(), deletedBy: req.user._id, mergedInto: survivor._id }
+  );
+
+  for (const duplicate of duplicates) {
+    await recordAudit(req, {
+      action: 'merge',
+      entityType: 'customer',
+      before: duplicate,
+      customerId: duplicate._id,
+      metadata: { mergedInto: survivor._id }
+    });
+  }
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'customer',
+    before,
+    after: survivor,
+    customerId: survivor._id,
+    metadata: { mergedCustomers: duplicateIds, movedLeads: modifiedCount }
+  });
+
+  return { customer: survivor, movedLeads: modifiedCount };
+};
+
+module.exports = {
+  findDuplicates,
+  duplicateGroups,
+  mergedValues,
+  mergeCustomers
+};
@@ -0,0 +1,45 @@
+const { sendMail } = require('./mailer');
+const { escapeHtml } = require('../utils/escape');
+
+const frontendUrl = () => process.env.FRONTEND_URI || 'http://localhost:3000';
+
+// Send the password reset link for a freshly issued token
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${frontendUrl()}/reset-password?token=${token}`;
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Mini CRM password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. ` +
+      `Open the link below within ${minutes} minutes to choose a new one:\n\n${link}\n\n` +
+      'If you did not request this, you can ignore this email.',
+    html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+      '<p>We received a request to reset your password. ' +
+      `Open the link below within ${minutes} minutes to choose a new one:</p>` +
+      `<p><a href="${escapeHtml(link)}">Reset password</a></p>` +
+      '<p>If you did not request this, you can ignore this email.</p>'
+  });
+};
+
+// Send the email verification link for a freshly issued token. Anyone can
+// register any address with any name, so the name is escaped in the HTML.
+const sendVerificationEmail = (user, token) => {
+  const link = `${frontendUrl()}/verify-email/${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Mini CRM email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\n` +
+      'If you did not create an account, you can ignore this email.',
+    html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+      '<p>Please confirm your email address by opening the link below:</p>' +
+      `<p><a href="${escapeHtml(link)}">Verify email</a></p>` +
+      '<p>If you did not create an account, you can ignore this email.</p>'
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
@@ -0,0 +1,113 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { toCsvRow } = require('../utils/csv');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Columns of each export: header for CSV/XLSX, key for NDJSON and the value for a document
+const CUSTOMER_COLUMNS = [
+  { header: 'ID', key: 'id', value: (customer) => customer._id.toString() },
+  { header: 'Name', key: 'name', value: (customer) => customer.name },
+  { header: 'Email', key: 'email', value: (customer) => customer.email },
+  { header: 'Phone', key: 'phone', value: (customer) => customer.phone || '' },
+  { header: 'Company', key: 'company', value: (customer) => customer.company || '' },
+  { header: 'Team', key: 'team', value: (customer) => (customer.teamId ? customer.teamId.name : '') },
+  { header: 'Owner', key: 'owner', value: (customer) => (customer.ownerId ? customer.ownerId.name : '') },
+  { header: 'Owner Email', key: 'ownerEmail', value: (customer) => (customer.ownerId ? customer.ownerId.email : '') },
+  { header: 'Tags', key: 'tags', value: (customer) => (customer.tags || []).join(', ') },
+  { header: 'Created', key: 'createdAt', value: (customer) => customer.createdAt },
+  { header: 'Updated', key: 'updatedAt', value: (customer) => customer.updatedAt }
+];
+
+const LEAD_COLUMNS = [
+  { header: 'ID', key: 'id', value: (lead) => lead._id.toString() },
+  { header: 'Title', key: 'title', value: (lead) => lead.title },
+  { header: 'Description', key: 'description', value: (lead) => lead.description || '' },
+  { header: 'Status', key: 'status', value: (lead) => lead.status },
+  { header: 'Pipeline', key: 'pipeline', value: (lead) => (lead.pipelineId ? lead.pipelineId.name || '' : '') },
+  { header: 'Value', key: 'value', value: (lead) => lead.value },
+  { header: 'Probability', key: 'probability', value: (lead) => (typeof lead.probability === 'number' ? lead.probability : '') },
+  { header: 'Expected Close', key: 'expectedCloseDate', value: (lead) => lead.expectedCloseDate || '' },
+  { header: 'Customer ID', key: 'customerId', value: (lead) => String(idOf(lead.customerId)) },
+  { header: 'Customer', key: 'customer', value: (lead) => (lead.customerId ? lead.customerId.name : '') },
+  { header: 'Customer Email', key: 'customerEmail', value: (lead) => (lead.customerId ? lead.customerId.email : '') },
+  { header: 'Company', key: 'company', value: (lead) => (lead.customerId ? lead.customerId.company || '' : '') },
+  { header: 'Tags', key: 'tags', value: (lead) => (lead.tags || []).join(', ') },
+  { header: 'Created', key: 'createdAt', value: (lead) => lead.createdAt },
+  { header: 'Updated', key: 'updatedAt', value: (lead) => lead.updatedAt }
+];
+
+// A column for each custom field, after the built-in ones
+const customFieldColumns = (definitions) => definitions.map((field) => ({
+  header: field.label,
+  key: `customFields.${field.key}`,
+  value: (doc) => {
+    const value = doc.customFields ? doc.customFields[field.key] : undefined;
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return Array.isArray(value) ? value.join(', ') : value;
+  }
+}));
+
+// Name for a download, e.g. "customers-2024-05-01.csv"
+const exportFilename = (name, format) => {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+  const date = new Date().toISOString().slice(0, 10);
+  return `${slug}-${date}.${EXPORT_FORMATS[format].extension}`;
+};
+
+// Respect back-pressure so large exports do not pile up in memory
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await once(res, 'drain');
+  }
+};
+
+// Stream every document from a query cursor to the response as a file download.
+// Rows are written as they are read, so exports of any size use little memory.
+const streamExport = async (res, { format, name, sheet, columns, cursor }) => {
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(name, format)}"`);
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    const worksheet = workbook.addWorksheet(sheet);
+    worksheet.columns = columns.map(({ header, key }) => ({ header, key, width: 20 }));
+    for await (const doc of cursor) {
+      worksheet.addRow(columns.map((column) => column.value(doc))).commit();
+    }
+    worksheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  if (format === 'csv') {
+    // The byte order mark lets Excel detect UTF-8
+    await write(res, '\ufeff' + toCsvRow(columns.map((column) => column.header)));
+  }
+  for await (const doc of cursor) {
+    const values = columns.map((column) => column.value(doc));
+    if (format === 'csv') {
+      await write(res, toCsvRow(values));
+    } else {
+      const record = Object.fromEntries(columns.map((column, index) => [column.key, values[index]]));
+      await write(res, JSON.stringify(record) + '\n');
+    }
+  }
+  res.end();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  CUSTOMER_COLUMNS,
+  LEAD_COLUMNS,
+  customFieldColumns,
+  streamExport
+};
@@ -0,0 +1,161 @@
+const LoginThrottle = require('../models/LoginThrottle');
+
+// Thresholds are configurable; IPs get more room so shared offices are not locked out
+const settings = () => ({
+  account: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+  ip: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 20,
+  lockMs: (parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15) * 60 * 1000,
+  windowMs: (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15) * 60 * 1000
+});
+
+const accountKey = (userId) => `account:${userId}`;
+const ipKey = (ip) => `ip:${ip}`;
+const maxAttemptsFor = (key) => (key.startsWith('account:') ? settings().account : settings().ip);
+
+// The first half of the allowed attempts are free; after that each failure
+// doubles the wait before the next attempt, capped at 30 seconds
+const delayMs = (failures, maxAttempts) => {
+  const free = Math.ceil(maxAttempts / 2);
+  if (failures < free) return 0;
+  return Math.min(2 ** (failures - free), 30) * 1000;
+};
+
+// Throttle keys for a login attempt
+const loginKeys = (req, user) => {
+  const keys = [ipKey(req.ip)];
+  if (user) {
+    keys.push(accountKey(user._id));
+  }
+  return keys;
+};
+
+// Returns { status, error, retryAfter } when the attempt must be refused, otherwise null
+const checkLoginAllowed = async (keys) => {
+  const now = Date.now();
+  const { windowMs } = settings();
+  const throttles = await LoginThrottle.find({ key: { $in: keys } });
+
+  for (const throttle of throttles) {
+    const isAccount = throttle.key.startsWith('account:');
+
+    if (throttle.lockedUntil && throttle.lockedUntil.getTime() > now) {
+      return {
+        status: isAccount ? 423 : 429,
+        error: isAccount
+          ? 'Account temporarily locked after too many failed login attempts'
+          : 'Too many failed login attempts from this address',
+        retryAfter: Math.ceil((throttle.lockedUntil.getTime() - now) / 1000)
+      };
+    }
+
+    if (!throttle.lastFailureAt || now - throttle.lastFailureAt.getTime() > windowMs) {
+      continue;
+    }
+
+    const wait = throttle.lastFailureAt.getTime() + delayMs(throttle.failures, maxAttemptsFor(throttle.key)) - now;
+    if (wait > 0) {
+      return {
+        status: 429,
+        error: 'Too many failed login attempts, please wait before trying again',
+        retryAfter: Math.ceil(wait / 1000)
+      };
+    }
+  }
+
+  return null;
+};
+
+// Add a failure to a key's counter, creating it for the first one. When two
+// first failures race, the upsert that loses hits the unique key and is
+// retried, which then finds the counter the other one created.
+const countFailure = async (key, now, windowMs) => {
+  const increment = () => LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + windowMs) }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  try {
+    return await increment();
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return increment();
+  }
+};
+
+// Count a failed attempt against every key, locking keys that reach their limit
+const recordLoginFailure = async (keys) => {
+  const now = new Date();
+  const { lockMs, windowMs } = settings();
+
+  for (const key of keys) {
+    // Start over when the previous failures are outside the window
+    await LoginThrottle.deleteOne({
+      key,
+      lastFailureAt: { $lt: new Date(now.getTime() - windowMs) },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    });
+
+    const throttle = await countFailure(key, now, windowMs);
+
+    if (throttle.failures >= maxAttemptsFor(key)) {
+      const lockedUntil = new Date(now.getTime() + lockMs);
+      await LoginThrottle.updateOne(
+        { key },
+        {
+          failures: 0,
+          lockedUntil,
+          expiresAt: new Date(Math.max(lockedUntil.getTime(), now.getTime() + windowMs))
+        }
+      );
+    }
+  }
+};
+
+// A successful login clears the account's counter (but not the IP's)
+const recordLoginSuccess = (user) => {
+  return LoginThrottle.deleteOne({ key: accountKey(user._id) });
+};
+
+// Admin unlock: clear the account's counter and lockout
+const unlockAccount = (userId) => {
+  return LoginThrottle.deleteOne({ key: accountKey(userId) });
+};
+
+// Map of userId -> lockedUntil for users that are currently locked out
+const findLockedAccounts = async (userIds) => {
+  const throttles = await LoginThrottle.find({
+    key: { $in: userIds.map(accountKey) },
+    lockedUntil: { $gt: new Date() }
+  });
+
+  return throttles.reduce((locked, throttle) => {
+    locked[throttle.key.slice('account:'.length)] = throttle.lockedUntil;
+    return locked;
+  }, {});
+};
+
+// Refuse a throttled login attempt
+const sendLoginBlocked = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+  return res.status(block.status).json({
+    success: false,
+    error: block.error,
+    retryAfter: block.retryAfter
+  });
+};
+
+module.exports = {
+  loginKeys,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  findLockedAccounts,
+  sendLoginBlocked
+};
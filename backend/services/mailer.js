@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Every transport implements send({ to, subject, text, html })
+
+// SMTP transport for production
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// File transport writes each message as JSON for local inspection
+const createFileTransport = () => {
+  const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    }
+  };
+};
+
+// Console transport logs messages instead of sending them
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+  }
+});
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+// MAIL_TRANSPORT, else SMTP when configured. The console fallback would log
+// live reset and verification links, so production has to configure one.
+const defaultTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  if (process.env.SMTP_HOST) {
+    return 'smtp';
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('No mail transport configured: set SMTP_HOST or MAIL_TRANSPORT');
+  }
+  return 'console';
+};
+
+// Pick a transport from MAIL_TRANSPORT, defaulting to SMTP when configured
+const createTransport = (name = defaultTransportName()) => {
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return factory();
+};
+
+let transport = null;
+
+// Replace the active transport (used by tests to capture messages)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) {
+    transport = createTransport();
+  }
+
+  return transport.send({
+    from: process.env.MAIL_FROM || 'Mini CRM <no-reply@minicrm.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  createTransport,
+  setTransport,
+  sendMail
+};
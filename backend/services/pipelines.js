@@ -0,0 +1,137 @@
+const Pipeline = require('../models/Pipeline');
+const Lead = require('../models/Lead');
+const StageChange = require('../models/StageChange');
+const { stageChangeEntry } = require('./stageHistory');
+
+// Pipeline and stage for a lead being created, or updated when lead is given.
+// The stage is picked by stageId, else by status (the stage name), else the
+// lead keeps its stage; new leads start in the first stage. Without pipelineId
+// the lead stays in its pipeline, or goes to the default one.
+// Returns { pipeline, stage } or { status, error }.
+const resolveLeadStage = async ({ pipelineId, stageId, status }, lead = null) => {
+  let pipeline = null;
+  if (pipelineId) {
+    pipeline = await Pipeline.findById(pipelineId);
+    if (!pipeline) {
+      return { status: 404, error: 'Pipeline not found' };
+    }
+  } else if (lead && lead.pipelineId) {
+    pipeline = await Pipeline.findById(lead.pipelineId);
+  }
+  if (!pipeline) {
+    pipeline = await Pipeline.findDefault();
+  }
+
+  let stage = null;
+  if (stageId) {
+    stage = pipeline.findStage(stageId);
+    if (!stage) {
+      return { status: 400, error: `Stage not found in the ${pipeline.name} pipeline` };
+    }
+  } else if (status) {
+    stage = pipeline.findStageByName(status);
+    if (!stage) {
+      return { status: 400, error: `"${status}" is not a stage of the ${pipeline.name} pipeline` };
+    }
+  } else if (lead) {
+    // Leads saved before pipelines existed only have a status
+    stage = pipeline.findStage(lead.stageId) || pipeline.findStageByName(lead.status);
+  }
+
+  return { pipeline, stage: stage || pipeline.stages[0] };
+};
+
+// Lead fields that place it in a stage
+const stageFields = ({ pipeline, stage }) => ({
+  pipelineId: pipeline._id,
+  stageId: stage._id,
+  status: stage.name
+});
+
+// Check the pipeline's rules for a lead moving from one stage to another.
+// from is null for a new lead or one coming from another pipeline, which only
+// has to give a reason where the stage asks for one.
+// Returns null or { status, error }.
+const checkTransition = (from, to, reason) => {
+  if (from && from.nextStages.length > 0 && !from.nextStages.some((id) => id.equals(to._id))) {
+    return { status: 400, error: `Leads in "${from.name}" cannot move to "${to.name}"` };
+  }
+  if (to.requiresReason && !reason) {
+    return { status: 400, error: `Give a reason for moving the lead to "${to.name}"` };
+  }
+  return null;
+};
+
+// Apply a new list of stages to a pipeline. Stages with an _id update the
+// existing stage, others are added. Leads in removed stages move to the stage
+// given in stageMoves ({ removedStageId: keptStageId }), and leads in renamed
+// stages get the new status. Moves are recorded in the leads' stage history
+// as made by user. Returns null or { status, error }.
+const updateStages = async (pipeline, stages, stageMoves = {}, user = null) => {
+  const keptIds = stages.filter((stage) => stage._id).map((stage) => stage._id);
+  const unknown = keptIds.find((id) => !pipeline.findStage(id));
+  if (unknown) {
+    return { status: 400, error: `Stage ${unknown} is not part of this pipeline` };
+  }
+  const ruleBreaker = stages.find((stage) => (stage.nextStages || []).some((id) => !keptIds.includes(id)));
+  if (ruleBreaker) {
+    return { status: 400, error: `"${ruleBreaker.name}" can only lead to saved stages of this pipeline` };
+  }
+
+  // Trashed leads count too, since they may be restored
+  const removed = pipeline.stages.filter((stage) => !keptIds.includes(stage._id.toString()));
+  const moves = [];
+  for (const stage of removed) {
+    const leadCount = await Lead.countDocuments({ pipelineId: pipeline._id, stageId: stage._id })
+      .setOptions({ withDeleted: true });
+    if (leadCount === 0) continue;
+
+    const target = stageMoves[stage._id.toString()];
+    if (!target || !keptIds.includes(target)) {
+      return {
+        status: 400,
+        error: `Choose a stage for the ${leadCount} lead(s) in "${stage.name}" before removing it`
+      };
+    }
+    moves.push({ from: stage._id, to: target });
+  }
+
+  const renamed = stages.filter((stage) => stage._id && pipeline.findStage(stage._id).name !== stage.name);
+
+  pipeline.stages = stages;
+  await pipeline.save();
+
+  for (const { from, to } of moves) {
+    const stage = pipeline.findStage(to);
+    const leads = await Lead.find({ pipelineId: pipeline._id, stageId: from })
+      .setOptions({ withDeleted: true })
+      .select('pipelineId stageId status');
+    await Lead.updateMany(
+      { pipelineId: pipeline._id, stageId: from },
+      { stageId: stage._id, status: stage.name, stageEnteredAt: new Date() }
+    );
+    await StageChange.insertMany(leads.map((lead) => stageChangeEntry(user, lead, stage, {
+      before: lead,
+      reason: 'Stage removed from the pipeline'
+    })));
+  }
+  for (const { _id, name } of renamed) {
+    await Lead.updateMany({ pipelineId: pipeline._id, stageId: _id }, { status: name });
+  }
+
+  return null;
+};
+
+// Make a pipeline the one new leads go to
+const makeDefault = async (pipeline) => {
+  await Pipeline.updateMany({ _id: { $ne: pipeline._id }, isDefault: true }, { isDefault: false });
+  pipeline.isDefault = true;
+};
+
+module.exports = {
+  resolveLeadStage,
+  stageFields,
+  checkTransition,
+  updateStages,
+  makeDefault
+};
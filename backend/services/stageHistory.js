@@ -0,0 +1,99 @@
+const StageChange = require('../models/StageChange');
+
+// Whether a lead is in the same stage as before a change. Leads saved before
+// pipelines existed only have a status.
+const sameStage = (before, after) => {
+  if (before.stageId) {
+    return String(before.stageId) === String(after.stageId);
+  }
+  return String(before.status).toLowerCase() === String(after.status).toLowerCase();
+};
+
+// History entry for a lead entering stage; before is the lead as it was
+// (null when it was just created)
+const stageChangeEntry = (user, lead, stage, { before = null, reason } = {}) => ({
+  leadId: lead._id,
+  pipelineId: lead.pipelineId,
+  fromStageId: before ? before.stageId : undefined,
+  fromStatus: before ? before.status : undefined,
+  toStageId: stage._id,
+  toStatus: stage.name,
+  outcome: stage.outcome,
+  reason: reason || undefined,
+  changedBy: user ? user._id : null,
+  changedByName: user ? user.name : undefined
+});
+
+// Record that a lead entered its current stage, unless it stayed where it was.
+// Like the audit log, failing to record must not fail the change itself.
+const recordStageChange = async (user, lead, stage, { before = null, reason } = {}) => {
+  if (before && sameStage(before, lead)) {
+    return;
+  }
+  try {
+    await StageChange.create(stageChangeEntry(user, lead, stage, { before, reason }));
+  } catch (error) {
+    console.error('Stage history error:', error);
+  }
+};
+
+// A lead's stage history, oldest first, with how long it stayed in each stage,
+// the total time per stage and, once it is won or lost, its cycle time from
+// creation to closing. pipeline is the lead's pipeline, used for the outcome
+// of stages entered before history was kept.
+const stageTimeline = async (lead, pipeline, now = new Date()) => {
+  const changes = await StageChange.find({ leadId: lead._id })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate('changedBy', 'name email')
+    .lean();
+
+  // Leads created before history was kept start in the stage they left first,
+  // or the one they are still in
+  if (changes.length === 0 || changes[0].fromStatus) {
+    const first = changes[0];
+    const stageId = first ? first.fromStageId : lead.stageId;
+    const stage = pipeline && pipeline.findStage(stageId);
+    changes.unshift({
+      leadId: lead._id,
+      toStageId: stageId,
+      toStatus: first ? first.fromStatus : lead.status,
+      outcome: stage ? stage.outcome : 'open',
+      changedBy: null,
+      createdAt: lead.createdAt,
+      inferred: true
+    });
+  }
+
+  const timeInStage = [];
+  const history = changes.map((change, index) => {
+    const next = changes[index + 1];
+    const durationMs = (next ? next.createdAt : now) - change.createdAt;
+
+    const key = String(change.toStageId || change.toStatus);
+    let total = timeInStage.find((item) => item.key === key);
+    if (!total) {
+      total = { key, stageId: change.toStageId || null, status: change.toStatus, durationMs: 0, visits: 0 };
+      timeInStage.push(total);
+    }
+    total.durationMs += durationMs;
+    total.visits++;
+
+    return { ...change, durationMs, current: !next };
+  });
+
+  const last = history[history.length - 1];
+  const closed = last.outcome === 'won' || last.outcome === 'lost';
+
+  return {
+    history,
+    timeInStage: timeInStage.map(({ key, ...total }) => total),
+    cycleTimeMs: closed ? last.createdAt - lead.createdAt : null
+  };
+};
+
+module.exports = {
+  sameStage,
+  stageChangeEntry,
+  recordStageChange,
+  stageTimeline
+};
@@ -0,0 +1,605 @@
+const Customer = require('../models/Customer');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const Lead = require('../models/Lead');
+const Pipeline = require('../models/Pipeline');
+const StageChange = require('../models/StageChange');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// $dateToString formats of the report intervals; weeks are ISO weeks
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// Reports are cut into at most this many periods
+const MAX_PERIODS = 366;
+
+// Percentage of part in whole, to one decimal; 0 when there is nothing to divide
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+// Amount rounded to cents
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Default probability of each lead's stage, matched by stageId or, for leads
+// saved before pipelines existed, by status in the default pipeline
+const stageProbability = (pipelines) => {
+  const defaultPipeline = pipelines.find((pipeline) => pipeline.isDefault);
+  const branches = [
+    ...pipelines.flatMap((pipeline) => pipeline.stages.map((stage) => ({
+      case: { $eq: ['$stageId', stage._id] },
+      then: stage.probability
+    }))),
+    ...(defaultPipeline ? defaultPipeline.stages : []).map((stage) => ({
+      case: { $and: [{ $eq: [{ $ifNull: ['$stageId', null] }, null] }, { $eq: ['$status', stage.name] }] },
+      then: stage.probability
+    }))
+  ];
+  return branches.length > 0 ? { $switch: { branches, default: 0 } } : 0;
+};
+
+// A lead's value weighted by its own probability, or its stage's when it has none
+const weightedValue = (pipelines) => ({
+  $multiply: ['$value', { $divide: [{ $ifNull: ['$probability', stageProbability(pipelines)] }, 100] }]
+});
+
+// Pipeline and stage of a group of leads, matched by stageId or, for leads
+// saved before pipelines existed, by status in the default pipeline
+const stageFor = (pipelines, { pipelineId, stageId, status }) => {
+  const pipeline = pipelines.find((item) => pipelineId && item._id.equals(pipelineId))
+    || pipelines.find((item) => item.isDefault);
+  if (!pipeline) {
+    return { pipeline: null, stage: null };
+  }
+  const stage = pipeline.findStage(stageId) || (status ? pipeline.findStageByName(status) : null);
+  return { pipeline, stage };
+};
+
+// Headline numbers for the customers matching customerFilter and their leads:
+// counts, values, conversion and a breakdown by stage in pipeline order.
+// Leads whose stage no longer exists are listed by status at the end.
+const dashboardStats = async (customerFilter) => {
+  const customerIds = await Customer.find(customerFilter).distinct('_id');
+
+  // Pipelines first so the default one exists for older leads
+  await Pipeline.findDefault();
+  const pipelines = await Pipeline.find().sort({ isDefault: -1, name: 1 });
+
+  const groups = await Lead.aggregate([
+    { $match: { customerId: { $in: customerIds } } },
+    {
+      $group: {
+        _id: { pipelineId: '$pipelineId', stageId: '$stageId', status: '$status' },
+        count: { $sum: 1 },
+        value: { $sum: '$value' },
+        weightedValue: { $sum: weightedValue(pipelines) }
+      }
+    }
+  ]);
+
+  const stages = pipelines.flatMap((pipeline) => pipeline.stages.map((stage) => ({
+    pipelineId: pipeline._id,
+    pipelineName: pipeline.name,
+    stageId: stage._id,
+    status: stage.name,
+    outcome: stage.outcome,
+    color: stage.color,
+    count: 0,
+    value: 0
+  })));
+
+  const totals = { open: 0, won: 0, lost: 0, openValue: 0, wonValue: 0, lostValue: 0, weightedValue: 0 };
+  for (const group of groups) {
+    const { stage } = stageFor(pipelines, group._id);
+    let row = stage && stages.find((item) => item.stageId.equals(stage._id));
+    if (!row) {
+      row = stages.find((item) => !item.stageId && item.status === group._id.status);
+    }
+    if (!row) {
+      row = { pipelineId: null, pipelineName: null, stageId: null, status: group._id.status, outcome: 'open', color: '#6b7280', count: 0, value: 0 };
+      stages.push(row);
+    }
+    row.count += group.count;
+    row.value += group.value;
+    totals[row.outcome] += group.count;
+    totals[`${row.outcome}Value`] += group.value;
+    if (row.outcome === 'open') {
+      totals.weightedValue += group.weightedValue;
+    }
+  }
+
+  const totalLeads = totals.open + totals.won + totals.lost;
+
+  return {
+    totalCustomers: customerIds.length,
+    totalLeads,
+    openLeads: totals.open,
+    wonLeads: totals.won,
+    lostLeads: totals.lost,
+    totalValue: totals.openValue + totals.wonValue + totals.lostValue,
+    // Value still to be won
+    pipelineValue: totals.openValue,
+    // The same weighted by each lead's probability, or its stage's default
+    weightedPipelineValue: roundAmount(totals.weightedValue),
+    wonValue: totals.wonValue,
+    // Won leads out of all leads, and out of the leads already won or lost
+    conversionRate: percent(totals.won, totalLeads),
+    winRate: percent(totals.won, totals.won + totals.lost),
+    stages
+  };
+};
+
+// ISO week of a date, formatted like %G-W%V
+const isoWeek = (date) => {
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+  const week = Math.ceil(((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / DAY_MS + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+// Period a date falls in, in UTC, matching PERIOD_FORMATS; quarters are
+// formatted like 2026-Q1
+const periodOf = (date, interval) => {
+  if (interval === 'week') {
+    return isoWeek(date);
+  }
+  if (interval === 'quarter') {
+    return `${date.getUTCFullYear()}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+  }
+  const iso = date.toISOString();
+  return interval === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+};
+
+// Every period from from to to, in order
+const periodsBetween = (from, to, interval) => {
+  const periods = [];
+  for (let time = from.getTime(); time <= to.getTime() + DAY_MS; time += DAY_MS) {
+    const period = periodOf(new Date(Math.min(time, to.getTime())), interval);
+    if (periods[periods.length - 1] !== period) {
+      periods.push(period);
+    }
+  }
+  return periods;
+};
+
+// Stage ids, and for leads saved before pipelines existed the default
+// pipeline's stage names, of every stage with the given outcome
+const outcomeMatch = (pipelines, outcome) => {
+  const stages = pipelines.flatMap((pipeline) => pipeline.stages.filter((stage) => stage.outcome === outcome));
+  const defaultPipeline = pipelines.find((pipeline) => pipeline.isDefault);
+  const names = defaultPipeline
+    ? defaultPipeline.stages.filter((stage) => stage.outcome === outcome).map((stage) => stage.name)
+    : [];
+  return {
+    $or: [
+      { $in: ['$stageId', stages.map((stage) => stage._id)] },
+      { $and: [{ $eq: [{ $ifNull: ['$stageId', null] }, null] }, { $in: ['$status', names] }] }
+    ]
+  };
+};
+
+// Leads of the matching customers per period between from and to: how many
+// were created, won and lost (with their values), the win rate of the leads
+// closed in the period and the value of open leads at its end. A lead counts
+// as closed when it entered its current won or lost stage.
+const trendStats = async (customerFilter, { from, to, interval }) => {
+  const customerIds = await Customer.find(customerFilter).distinct('_id');
+  await Pipeline.findDefault();
+  const pipelines = await Pipeline.find();
+  const format = PERIOD_FORMATS[interval];
+
+  const [result] = await Lead.aggregate([
+    { $match: { customerId: { $in: customerIds }, createdAt: { $lte: to } } },
+    {
+      $project: {
+        value: 1,
+        createdAt: 1,
+        outcome: {
+          $switch: {
+            branches: [
+              { case: outcomeMatch(pipelines, 'won'), then: 'won' },
+              { case: outcomeMatch(pipelines, 'lost'), then: 'lost' }
+            ],
+            default: 'open'
+          }
+        },
+        closedAt: { $ifNull: ['$stageEnteredAt', '$updatedAt'] }
+      }
+    },
+    {
+      $facet: {
+        created: [
+          { $match: { createdAt: { $gte: from } } },
+          {
+            $group: {
+              _id: { $dateToString: { format, date: '$createdAt' } },
+              count: { $sum: 1 },
+              value: { $sum: '$value' }
+            }
+          }
+        ],
+        closed: [
+          { $match: { outcome: { $ne: 'open' }, closedAt: { $gte: from, $lte: to } } },
+          {
+            $group: {
+              _id: { period: { $dateToString: { format, date: '$closedAt' } }, outcome: '$outcome' },
+              count: { $sum: 1 },
+              value: { $sum: '$value' }
+            }
+          }
+        ],
+        openAtStart: [
+          { $match: { createdAt: { $lt: from }, $or: [{ outcome: 'open' }, { closedAt: { $gte: from } }] } },
+          { $group: { _id: null, value: { $sum: '$value' } } }
+        ]
+      }
+    }
+  ]);
+
+  const closedIn = (period, outcome) =>
+    result.closed.find((item) => item._id.period === period && item._id.outcome === outcome) || { count: 0, value: 0 };
+
+  let pipelineValue = result.openAtStart.length > 0 ? result.openAtStart[0].value : 0;
+  const totals = { created: 0, createdValue: 0, won: 0, wonValue: 0, lost: 0, lostValue: 0 };
+  const series = periodsBetween(from, to, interval).map((period) => {
+    const created = result.created.find((item) => item._id === period) || { count: 0, value: 0 };
+    const won = closedIn(period, 'won');
+    const lost = closedIn(period, 'lost');
+    pipelineValue += created.value - won.value - lost.value;
+
+    totals.created += created.count;
+    totals.createdValue += created.value;
+    totals.won += won.count;
+    totals.wonValue += won.value;
+    totals.lost += lost.count;
+    totals.lostValue += lost.value;
+
+    return {
+      period,
+      created: created.count,
+      createdValue: created.value,
+      won: won.count,
+      wonValue: won.value,
+      lost: lost.count,
+      lostValue: lost.value,
+      winRate: percent(won.count, won.count + lost.count),
+      pipelineValue
+    };
+  });
+
+  return {
+    from,
+    to,
+    series,
+    totals: { ...totals, winRate: percent(totals.won, totals.won + totals.lost), pipelineValue }
+  };
+};
+
+// Stages a lead went through in order, each with when it got there: its
+// stage history, starting at creation in the stage it first left for leads
+// created before history was kept
+const stagePath = (lead, changes) => {
+  const path = [];
+  if (changes.length === 0 || changes[0].fromStatus) {
+    const first = changes[0];
+    path.push({
+      stageId: first ? first.fromStageId : lead.stageId,
+      status: first ? first.fromStatus : lead.status,
+      at: lead.createdAt
+    });
+  }
+  changes.forEach((change) => path.push({ stageId: change.toStageId, status: change.toStatus, at: change.createdAt }));
+  return path;
+};
+
+// Where the leads of a pipeline created between from and to (any time when
+// left out) drop off, including leads saved before pipelines existed for the
+// default pipeline, placed by their status. Open and won stages form the funnel in pipeline order: a
+// lead counts as having reached every funnel stage up to the furthest one it
+// got to, so the conversion of a stage is the share of its leads that went
+// further. Leads lost are counted against the furthest stage they reached.
+// avgDays is the average length of the finished stays in an open stage.
+const funnelStats = async (customerFilter, pipeline, { from, to } = {}) => {
+  const customerIds = await Customer.find(customerFilter).distinct('_id');
+
+  const leadQuery = {
+    customerId: { $in: customerIds },
+    pipelineId: pipeline.isDefault ? { $in: [pipeline._id, null] } : pipeline._id
+  };
+  if (from || to) {
+    leadQuery.createdAt = {};
+    if (from) leadQuery.createdAt.$gte = from;
+    if (to) leadQuery.createdAt.$lte = to;
+  }
+  const leads = await Lead.find(leadQuery).select('stageId status value createdAt').lean();
+
+  const groups = await StageChange.aggregate([
+    { $match: { leadId: { $in: leads.map((lead) => lead._id) } } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: '$leadId',
+        changes: {
+          $push: { fromStageId: '$fromStageId', fromStatus: '$fromStatus', toStageId: '$toStageId', toStatus: '$toStatus', createdAt: '$createdAt' }
+        }
+      }
+    }
+  ]);
+
+  const histories = new Map(groups.map((group) => [String(group._id), group.changes]));
+
+  // Funnel stages in pipeline order; lost stages sit outside the funnel
+  const funnel = pipeline.stages.filter((stage) => stage.outcome !== 'lost');
+  const stageOf = ({ stageId, status }) => stageFor([pipeline], { pipelineId: pipeline._id, stageId, status }).stage;
+  const positionOf = (step) => {
+    const stage = stageOf(step);
+    return stage ? funnel.findIndex((item) => item._id.equals(stage._id)) : -1;
+  };
+
+  const rows = funnel.map((stage) => ({
+    stageId: stage._id,
+    status: stage.name,
+    outcome: stage.outcome,
+    color: stage.color,
+    reached: 0,
+    current: 0,
+    lost: 0,
+    stays: 0,
+    totalMs: 0
+  }));
+  let won = 0;
+  let lost = 0;
+  let wonValue = 0;
+
+  for (const lead of leads) {
+    const path = stagePath(lead, histories.get(String(lead._id)) || []);
+
+    let furthest = -1;
+    path.forEach((step, index) => {
+      const position = positionOf(step);
+      if (position === -1) return;
+      furthest = Math.max(furthest, position);
+      // Stays in open stages that have ended
+      const next = path[index + 1];
+      if (next && funnel[position].outcome === 'open') {
+        rows[position].stays++;
+        rows[position].totalMs += next.at - step.at;
+      }
+    });
+    const position = positionOf(lead);
+    if (position !== -1) {
+      rows[position].current++;
+    }
+    if (furthest === -1) {
+      // Leads that never reached a funnel stage start at the first one
+      furthest = 0;
+    }
+    for (let i = 0; i <= furthest; i++) {
+      rows[i].reached++;
+    }
+
+    const stage = stageOf(lead);
+    const outcome = stage ? stage.outcome : null;
+    if (outcome === 'won') {
+      won++;
+      wonValue += lead.value || 0;
+    } else if (outcome === 'lost') {
+      lost++;
+      rows[furthest].lost++;
+    }
+  }
+
+  const stages = rows.map(({ stays, totalMs, ...row }, index) => {
+    const next = rows[index + 1];
+    return {
+      ...row,
+      // Share of the leads reaching this stage that went on to the next one
+      conversionRate: next ? percent(next.reached, row.reached) : null,
+      avgDays: stays > 0 ? Math.round((totalMs / stays / DAY_MS) * 10) / 10 : null
+    };
+  });
+
+  return {
+    pipeline: { _id: pipeline._id, name: pipeline.name },
+    totalLeads: leads.length,
+    wonLeads: won,
+    lostLeads: lost,
+    openLeads: leads.length - won - lost,
+    wonValue,
+    conversionRate: percent(won, leads.length),
+    winRate: percent(won, won + lost),
+    stages
+  };
+};
+
+// Open leads of the matching customers by the month or quarter they are
+// expected to close between from and to, with their value and the value
+// weighted by probability, their stage's default when they have none. Open leads expected to close before from are
+// overdue and those without a close date unscheduled. With a pipeline only its
+// leads count, including leads saved before pipelines existed for the default one.
+const forecastStats = async (customerFilter, { from, to, interval, pipeline }) => {
+  const customerIds = await Customer.find(customerFilter).distinct('_id');
+  await Pipeline.findDefault();
+  const pipelines = await Pipeline.find();
+
+  const match = {
+    customerId: { $in: customerIds },
+    $expr: { $not: [{ $or: [outcomeMatch(pipelines, 'won'), outcomeMatch(pipelines, 'lost')] }] }
+  };
+  if (pipeline) {
+    match.pipelineId = pipeline.isDefault ? { $in: [pipeline._id, null] } : pipeline._id;
+  }
+
+  const sums = {
+    leads: { $sum: 1 },
+    value: { $sum: '$value' },
+    weightedValue: { $sum: weightedValue(pipelines) },
+    // Leads weighted by their stage's default probability
+    stageDefaults: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$probability', null] }, null] }, 1, 0] } }
+  };
+  const [result] = await Lead.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        scheduled: [
+          { $match: { expectedCloseDate: { $gte: from, $lte: to } } },
+          { $group: { _id: { year: { $year: '$expectedCloseDate' }, month: { $month: '$expectedCloseDate' } }, ...sums } }
+        ],
+        overdue: [
+          { $match: { expectedCloseDate: { $lt: from } } },
+          { $group: { _id: null, ...sums } }
+        ],
+        unscheduled: [
+          { $match: { expectedCloseDate: null } },
+          { $group: { _id: null, ...sums } }
+        ]
+      }
+    }
+  ]);
+
+  const empty = () => ({ leads: 0, value: 0, weightedValue: 0, stageDefaults: 0 });
+  const add = (sum, group) => {
+    sum.leads += group.leads;
+    sum.value += group.value;
+    sum.weightedValue += group.weightedValue;
+    sum.stageDefaults += group.stageDefaults;
+    return sum;
+  };
+  const rounded = (sum) => ({ ...sum, weightedValue: roundAmount(sum.weightedValue) });
+
+  const periods = new Map(periodsBetween(from, to, interval).map((period) => [period, empty()]));
+  for (const group of result.scheduled) {
+    const period = periodOf(new Date(Date.UTC(group._id.year, group._id.month - 1, 1)), interval);
+    add(periods.get(period) || empty(), group);
+  }
+  const series = [...periods].map(([period, sum]) => ({ period, ...rounded(sum) }));
+
+  return {
+    from,
+    to,
+    interval,
+    series,
+    totals: rounded(result.scheduled.reduce(add, empty())),
+    overdue: rounded(result.overdue.reduce(add, empty())),
+    unscheduled: rounded(result.unscheduled.reduce(add, empty()))
+  };
+};
+
+// How each owner of the matching customers did between from and to: customers
+// added, leads created, leads won and lost with the value won, win rate and
+// activity, the changes they made to those customers and their leads. A lead
+// counts for the owner of its customer and as closed when it entered its
+// current won or lost stage. Customers without an individual owner are left out.
+const leaderboardStats = async (customerFilter, { from, to }) => {
+  const customers = await Customer.find({ $and: [customerFilter, { ownerId: { $ne: null } }] })
+    .select('ownerId createdAt')
+    .lean();
+  const ownerOf = new Map(customers.map((customer) => [String(customer._id), String(customer.ownerId)]));
+  const customerIds = customers.map((customer) => customer._id);
+
+  await Pipeline.findDefault();
+  const pipelines = await Pipeline.find();
+
+  // Leads closed in the period, by outcome
+  const closed = (outcome) => ({
+    $and: [{ $eq: ['$outcome', outcome] }, { $gte: ['$closedAt', from] }, { $lte: ['$closedAt', to] }]
+  });
+  const leadGroups = await Lead.aggregate([
+    { $match: { customerId: { $in: customerIds }, createdAt: { $lte: to } } },
+    {
+      $project: {
+        customerId: 1,
+        value: 1,
+        createdAt: 1,
+        outcome: {
+          $switch: {
+            branches: [
+              { case: outcomeMatch(pipelines, 'won'), then: 'won' },
+              { case: outcomeMatch(pipelines, 'lost'), then: 'lost' }
+            ],
+            default: 'open'
+          }
+        },
+        closedAt: { $ifNull: ['$stageEnteredAt', '$updatedAt'] }
+      }
+    },
+    {
+      $group: {
+        _id: '$customerId',
+        created: { $sum: { $cond: [{ $gte: ['$createdAt', from] }, 1, 0] } },
+        won: { $sum: { $cond: [closed('won'), 1, 0] } },
+        wonValue: { $sum: { $cond: [closed('won'), '$value', 0] } },
+        lost: { $sum: { $cond: [closed('lost'), 1, 0] } }
+      }
+    }
+  ]);
+
+  const users = await User.find({ _id: { $in: [...new Set(ownerOf.values())] } }).select('name email').lean();
+  const activity = await AuditLog.aggregate([
+    {
+      $match: {
+        actorId: { $in: users.map((user) => user._id) },
+        customerId: { $in: customerIds },
+        createdAt: { $gte: from, $lte: to }
+      }
+    },
+    { $group: { _id: '$actorId', count: { $sum: 1 }, lastActiveAt: { $max: '$createdAt' } } }
+  ]);
+
+  const rows = new Map(users.map((user) => [String(user._id), {
+    ownerId: user._id,
+    name: user.name,
+    email: user.email,
+    customers: 0,
+    customersAdded: 0,
+    leadsCreated: 0,
+    leadsWon: 0,
+    leadsLost: 0,
+    wonValue: 0,
+    activity: 0,
+    lastActiveAt: null
+  }]));
+
+  for (const customer of customers) {
+    const row = rows.get(String(customer.ownerId));
+    if (!row) continue;
+    row.customers++;
+    if (customer.createdAt >= from && customer.createdAt <= to) {
+      row.customersAdded++;
+    }
+  }
+  for (const group of leadGroups) {
+    const row = rows.get(ownerOf.get(String(group._id)));
+    if (!row) continue;
+    row.leadsCreated += group.created;
+    row.leadsWon += group.won;
+    row.leadsLost += group.lost;
+    row.wonValue += group.wonValue;
+  }
+  for (const group of activity) {
+    const row = rows.get(String(group._id));
+    if (!row) continue;
+    row.activity = group.count;
+    row.lastActiveAt = group.lastActiveAt;
+  }
+
+  const owners = [...rows.values()]
+    .map((row) => ({ ...row, winRate: percent(row.leadsWon, row.leadsWon + row.leadsLost) }))
+    .sort((a, b) => b.wonValue - a.wonValue || b.leadsWon - a.leadsWon || a.name.localeCompare(b.name));
+
+  return { from, to, owners };
+};
+
+module.exports = {
+  MAX_PERIODS,
+  percent,
+  stageFor,
+  periodsBetween,
+  dashboardStats,
+  trendStats,
+  funnelStats,
+  forecastStats,
+  leaderboardStats
+};
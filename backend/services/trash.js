@@ -0,0 +1,69 @@
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const StageChange = require('../models/StageChange');
+const { recordAudit } = require('./audit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// TRASH_RETENTION_DAYS (default 30) is how long deleted items can be restored;
+// TRASH_PURGE_INTERVAL_HOURS (default 24) is how often the purge runs
+const settings = () => ({
+  retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+  intervalMs: (parseInt(process.env.TRASH_PURGE_INTERVAL_HOURS, 10) || 24) * HOUR_MS
+});
+
+// Permanently remove customers (with all their leads) and leads that have
+// been in the trash longer than the retention period
+const purgeTrash = async ({ retentionDays = settings().retentionDays, now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+
+  const customers = await Customer.find(expired).setOptions({ withDeleted: true });
+  for (const customer of customers) {
+    const leadIds = await Lead.find({ customerId: customer._id }).setOptions({ withDeleted: true }).distinct('_id');
+    const { deletedCount } = await Lead.deleteMany({ customerId: customer._id });
+    await StageChange.deleteMany({ leadId: { $in: leadIds } });
+    await Customer.deleteOne({ _id: customer._id });
+    await recordAudit(null, {
+      action: 'purge',
+      entityType: 'customer',
+      before: customer,
+      customerId: customer._id,
+      metadata: { purgedLeads: deletedCount }
+    });
+  }
+
+  const leads = await Lead.find(expired).setOptions({ withDeleted: true });
+  for (const lead of leads) {
+    await Lead.deleteOne({ _id: lead._id });
+    await StageChange.deleteMany({ leadId: lead._id });
+    await recordAudit(null, { action: 'purge', entityType: 'lead', before: lead, customerId: lead.customerId });
+  }
+
+  return { customers: customers.length, leads: leads.length };
+};
+
+// Purge now and then on an interval; the timer does not keep the process alive
+const scheduleTrashPurge = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeTrash();
+      if (purged.customers || purged.leads) {
+        console.log(`Purged ${purged.customers} customers and ${purged.leads} leads from the trash`);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, settings().intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  purgeTrash,
+  scheduleTrashPurge
+};
@@ -0,0 +1,135 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const ApiKey = require('../models/ApiKey');
+const Customer = require('../models/Customer');
+const { setTransport } = require('../services/mailer');
+const mongoose = require('mongoose');
+
+describe('API Keys API', () => {
+  let token;
+
+  const createKey = async (scopes) => {
+    const response = await request(app)
+      .post('/api/keys')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ label: 'Nightly sync', scopes })
+      .expect(201);
+    return response.body.data;
+  };
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
+    }
+
+    // Discard outgoing email
+    setTransport({ send: async () => {} });
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await ApiKey.deleteMany({});
+    await Customer.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clean up before each test and sign in a user
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await ApiKey.deleteMany({});
+    await Customer.deleteMany({});
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'John Doe', email: 'john@example.com', password: 'password123' });
+    token = response.body.data.token;
+  });
+
+  it('should create a key and only store its hash', async () => {
+    const { apiKey, key } = await createKey(['customers:read']);
+
+    expect(key).toMatch(/^crm_/);
+    expect(apiKey.keyHash).toBeUndefined();
+    expect(key.startsWith(apiKey.keyPrefix)).toBe(true);
+
+    const stored = await ApiKey.findById(apiKey._id);
+    expect(stored.keyHash).not.toBe(key);
+  });
+
+  it('should authenticate with the X-API-Key header and record usage', async () => {
+    const { apiKey, key } = await createKey(['customers:read']);
+
+    await request(app)
+      .get('/api/customers')
+      .set('X-API-Key', key)
+      .expect(200);
+
+    const stored = await ApiKey.findById(apiKey._id);
+    expect(stored.lastUsedAt).not.toBeNull();
+  });
+
+  it('should enforce scopes per route', async () => {
+    const { key } = await createKey(['customers:read']);
+
+    const response = await request(app)
+      .post('/api/customers')
+      .set('X-API-Key', key)
+      .send({ name: 'Acme', email: 'acme@example.com' })
+      .expect(403);
+
+    expect(response.body.error).toBe('API key is missing the customers:write scope');
+  });
+
+  it('should treat write scopes as including read', async () => {
+    const { key } = await createKey(['customers:write']);
+
+    await request(app)
+      .get('/api/customers')
+      .set('X-API-Key', key)
+      .expect(200);
+  });
+
+  it('should reject revoked keys', async () => {
+    const { apiKey, key } = await createKey(['customers:read']);
+
+    await request(app)
+      .delete(`/api/keys/${apiKey._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/customers')
+      .set('X-API-Key', key)
+      .expect(401);
+
+    expect(response.body.error).toBe('Invalid API key');
+  });
+
+  it('should not allow managing keys with a key', async () => {
+    const { key } = await createKey(['customers:write', 'leads:write']);
+
+    await request(app)
+      .get('/api/keys')
+      .set('X-API-Key', key)
+      .expect(403);
+  });
+
+  it('should validate scopes', async () => {
+    const response = await request(app)
+      .post('/api/keys')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ label: 'Bad', scopes: ['users:write'] })
+      .expect(400);
+
+    expect(response.body.error).toBe('Validation failed');
+  });
+});
@@ -0,0 +1,146 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const Team = require('../models/Team');
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const AuditLog = require('../models/AuditLog');
+const { setTransport } = require('../services/mailer');
+const mongoose = require('mongoose');
+
+describe('Audit Log API', () => {
+  let adminToken;
+  let userToken;
+
+  const registerUser = async (name, email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name, email, password: 'password123' });
+    return response.body.data;
+  };
+
+  // The log is append-only through the model, so clear it on the raw collection
+  const cleanUp = async () => {
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await Team.deleteMany({});
+    await Customer.deleteMany({});
+    await Lead.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+  };
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
+    }
+
+    // Discard outgoing email
+    setTransport({ send: async () => {} });
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await cleanUp();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clean up before each test and create an admin and a regular user
+    await cleanUp();
+
+    const admin = await registerUser('Admin User', 'admin@example.com');
+    await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+    adminToken = admin.token;
+
+    userToken = (await registerUser('John Doe', 'john@example.com')).token;
+  });
+
+  it('should record customer and lead changes with a diff', async () => {
+    const created = await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Acme', email: 'acme@example.com' })
+      .expect(201);
+    const customerId = created.body.data.customer._id;
+
+    await request(app)
+      .put(`/api/customers/${customerId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Acme Inc', email: 'acme@example.com' })
+      .expect(200);
+
+    await request(app)
+      .post(`/api/customers/${customerId}/leads`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title: 'Website redesign', value: 5000 })
+      .expect(201);
+
+    await request(app)
+      .delete(`/api/customers/${customerId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/audit?customerId=${customerId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const { entries } = response.body.data;
+    expect(entries.map((entry) => `${entry.entityType}:${entry.action}`)).toEqual([
+      'customer:delete',
+      'lead:create',
+      'customer:update',
+      'customer:create'
+    ]);
+    expect(entries[0].actorEmail).toBe('john@example.com');
+    expect(entries[0].metadata.deletedLeads).toBe(1);
+    expect(entries[2].changes).toEqual({ name: { from: 'Acme', to: 'Acme Inc' } });
+  });
+
+  it('should record user changes without secrets', async () => {
+    await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ currentPassword: 'password123', newPassword: 'newpassword456' })
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/audit?entityType=user&action=update')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.data.entries[0].changes.passwordHash).toEqual({
+      from: '[redacted]',
+      to: '[redacted]'
+    });
+  });
+
+  it('should filter by actor', async () => {
+    const john = await User.findOne({ email: 'john@example.com' });
+
+    const response = await request(app)
+      .get(`/api/audit?actorId=${john._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    // Registering counts as the user creating their own account
+    expect(response.body.data.entries).toHaveLength(1);
+    expect(response.body.data.entries[0].action).toBe('create');
+  });
+
+  it('should reject users without audit:read', async () => {
+    await request(app)
+      .get('/api/audit')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+  });
+
+  it('should not allow entries to be changed or removed', async () => {
+    await expect(AuditLog.updateMany({}, { action: 'delete' })).rejects.toThrow('Audit log entries cannot be changed');
+    await expect(AuditLog.deleteMany({})).rejects.toThrow('Audit log entries cannot be changed');
+  });
+});
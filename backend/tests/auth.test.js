@@ -1,6 +1,9 @@
 const request = require('supertest');
 const app = require('../server');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const { createTransport, setTransport } = require('../services/mailer');
 const mongoose = require('mongoose');
 
 describe('Authentication API', () => {
@@ -9,17 +12,24 @@ describe('Authentication API', () => {
     if (mongoose.connection.readyState === 0) {
       await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
     }
+
+    // Discard outgoing email unless a test captures it
+    setTransport({ send: async () => {} });
   });
 
   afterAll(async () => {
     // Clean up test database
     await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
     await mongoose.connection.close();
   });
 
   beforeEach(async () => {
     // Clean up before each test
     await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
   });
 
   describe('POST /api/auth/register', () => {
@@ -43,9 +53,24 @@ describe('Authentication API', () => {
         role: userData.role
       });
       expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
       expect(response.body.data.user.passwordHash).toBeUndefined();
     });
 
+    it('should never grant the admin role on registration', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Mallory',
+          email: 'mallory@example.com',
+          password: 'password123',
+          role: 'admin'
+        })
+        .expect(201);
+
+      expect(response.body.data.user.role).toBe('user');
+    });
+
     it('should not register user with duplicate email', async () => {
       const userData = {
         name: 'John Doe',
@@ -185,6 +210,61 @@ describe('Authentication API', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error).toBe('Validation failed');
     });
+
+    it('should slow down repeated failed logins', async () => {
+      const loginData = {
+        email: 'john@example.com',
+        password: 'wrongpassword'
+      };
+
+      for (let attempt = 0; attempt < 3; attempt++) {
+        await request(app)
+          .post('/api/auth/login')
+          .send(loginData)
+          .expect(401);
+      }
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send(loginData)
+        .expect(429);
+
+      expect(response.body.success).toBe(false);
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    it('should count simultaneous first failures without an error', async () => {
+      const loginData = {
+        email: 'john@example.com',
+        password: 'wrongpassword'
+      };
+
+      // Both create the same new counters at once
+      const responses = await Promise.all([0, 1].map(() => request(app)
+        .post('/api/auth/login')
+        .send(loginData)));
+      expect(responses.map((response) => response.status)).toEqual([401, 401]);
+
+      const user = await User.findOne({ email: 'john@example.com' });
+      const throttle = await LoginThrottle.findOne({ key: `account:${user._id}` });
+      expect(throttle.failures).toBe(2);
+    });
+
+    it('should refuse a locked account even with the right password', async () => {
+      const user = await User.findOne({ email: 'john@example.com' });
+      await LoginThrottle.create({
+        key: `account:${user._id}`,
+        lockedUntil: new Date(Date.now() + 15 * 60 * 1000),
+        expiresAt: new Date(Date.now() + 15 * 60 * 1000)
+      });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'password123' })
+        .expect(423);
+
+      expect(response.body.error).toBe('Account temporarily locked after too many failed login attempts');
+    });
   });
 
   describe('GET /api/auth/me', () => {
@@ -237,4 +317,360 @@ describe('Authentication API', () => {
       expect(response.body.error).toBe('Invalid token');
     });
   });
+
+  describe('Profile and password management', () => {
+    let authToken;
+    let refreshToken;
+
+    beforeEach(async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'John Doe', email: 'john@example.com', password: 'password123' });
+
+      authToken = registerResponse.body.data.token;
+      refreshToken = registerResponse.body.data.refreshToken;
+    });
+
+    it('should update the name', async () => {
+      const response = await request(app)
+        .put('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Johnny Doe' })
+        .expect(200);
+
+      expect(response.body.data.user.name).toBe('Johnny Doe');
+    });
+
+    it('should require the password to change the email and reset verification', async () => {
+      await request(app)
+        .put('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ email: 'johnny@example.com' })
+        .expect(400);
+
+      const response = await request(app)
+        .put('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ email: 'johnny@example.com', currentPassword: 'password123' })
+        .expect(200);
+
+      expect(response.body.data.user.email).toBe('johnny@example.com');
+      expect(response.body.data.user.emailVerified).toBe(false);
+    });
+
+    it('should change the password and sign out other sessions', async () => {
+      const otherSession = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'password123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword456' })
+        .expect(200);
+
+      // The other session is revoked, this one keeps working
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${otherSession.body.data.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'newpassword456' })
+        .expect(200);
+    });
+
+    it('should reject a wrong current password', async () => {
+      const response = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currentPassword: 'wrongpassword', newPassword: 'newpassword456' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Current password is incorrect');
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    let refreshToken;
+
+    beforeEach(async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'John Doe',
+          email: 'john@example.com',
+          password: 'password123'
+        });
+
+      refreshToken = registerResponse.body.data.refreshToken;
+    });
+
+    it('should rotate the refresh token and issue a new access token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+    });
+
+    it('should revoke the session when a rotated token is reused', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(reuse.body.error).toBe('Invalid refresh token');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken })
+        .expect(401);
+    });
+
+    it('should reject an unknown refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'not-a-real-token' })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the session so access tokens stop working', async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'John Doe',
+          email: 'john@example.com',
+          password: 'password123'
+        });
+
+      const { token, refreshToken } = registerResponse.body.data;
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      expect(response.body.error).toBe('Session has been revoked');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe('Password reset', () => {
+    let sentMail;
+
+    beforeEach(async () => {
+      sentMail = [];
+      setTransport({ send: async (message) => sentMail.push(message) });
+
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'John Doe',
+          email: 'john@example.com',
+          password: 'password123'
+        });
+    });
+
+    const requestResetToken = async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'john@example.com' })
+        .expect(200);
+
+      return sentMail[sentMail.length - 1].text.match(/token=([a-f0-9]+)/)[1];
+    };
+
+    it('should not reveal whether an account exists', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(sentMail).toHaveLength(0);
+    });
+
+    it('should reset the password with a valid token', async () => {
+      const token = await requestResetToken();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword456' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'newpassword456' })
+        .expect(200);
+    });
+
+    it('should only allow a reset token to be used once', async () => {
+      const token = await requestResetToken();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword456' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'anotherpassword' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid or expired reset token');
+    });
+
+    it('should not fall back to logging emails in production', () => {
+      const saved = { NODE_ENV: process.env.NODE_ENV, SMTP_HOST: process.env.SMTP_HOST, MAIL_TRANSPORT: process.env.MAIL_TRANSPORT };
+      process.env.NODE_ENV = 'production';
+      delete process.env.SMTP_HOST;
+      delete process.env.MAIL_TRANSPORT;
+      try {
+        expect(() => createTransport()).toThrow('No mail transport configured');
+      } finally {
+        for (const [name, value] of Object.entries(saved)) {
+          if (value === undefined) {
+            delete process.env[name];
+          } else {
+            process.env[name] = value;
+          }
+        }
+      }
+    });
+  });
+
+  describe('Email verification', () => {
+    let sentMail;
+
+    beforeEach(() => {
+      sentMail = [];
+      setTransport({ send: async (message) => sentMail.push(message) });
+    });
+
+    afterEach(() => {
+      delete process.env.EMAIL_VERIFICATION_POLICY;
+    });
+
+    const verificationToken = () => {
+      return sentMail[sentMail.length - 1].text.match(/verify-email\/([a-f0-9]+)/)[1];
+    };
+
+    it('should send a verification email on register and verify the address', async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'John Doe',
+          email: 'john@example.com',
+          password: 'password123'
+        })
+        .expect(201);
+
+      expect(registerResponse.body.data.user.emailVerified).toBe(false);
+      expect(sentMail[0].to).toBe('john@example.com');
+
+      await request(app)
+        .get(`/api/auth/verify-email/${verificationToken()}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${registerResponse.body.data.token}`)
+        .expect(200);
+
+      expect(response.body.data.user.emailVerified).toBe(true);
+    });
+
+    it('should escape the name in the HTML email', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: '<a href="https://evil.example">Log in</a>',
+          email: 'john@example.com',
+          password: 'password123'
+        })
+        .expect(201);
+
+      expect(sentMail[0].html).toContain('Hi &lt;a href=&quot;https://evil.example&quot;&gt;Log in&lt;/a&gt;,');
+      expect(sentMail[0].html).not.toContain('evil.example">');
+    });
+
+    it('should reject an invalid verification token', async () => {
+      const response = await request(app)
+        .get('/api/auth/verify-email/not-a-real-token')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid or expired verification link');
+    });
+
+    it('should block login until verified when the policy requires it', async () => {
+      process.env.EMAIL_VERIFICATION_POLICY = 'login';
+
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'John Doe',
+          email: 'john@example.com',
+          password: 'password123'
+        })
+        .expect(201);
+
+      expect(registerResponse.body.data.token).toBeUndefined();
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'password123' })
+        .expect(403);
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: 'john@example.com' })
+        .expect(200);
+
+      expect(sentMail).toHaveLength(2);
+
+      await request(app)
+        .get(`/api/auth/verify-email/${verificationToken()}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'password123' })
+        .expect(200);
+    });
+  });
 });
@@ -0,0 +1,159 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const Team = require('../models/Team');
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const Pipeline = require('../models/Pipeline');
+const AuditLog = require('../models/AuditLog');
+const { setTransport } = require('../services/mailer');
+const mongoose = require('mongoose');
+
+describe('Lead Board API', () => {
+  let userToken;
+  let otherToken;
+  let acmeId;
+  let globexId;
+
+  const registerUser = async (name, email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name, email, password: 'password123' });
+    return response.body.data;
+  };
+
+  const cleanUp = async () => {
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await Team.deleteMany({});
+    await Customer.deleteMany({});
+    await Lead.deleteMany({});
+    await Pipeline.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+  };
+
+  const createCustomer = async (token, name, email) => {
+    const response = await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name, email })
+      .expect(201);
+    return response.body.data.customer._id;
+  };
+
+  const createLead = (token, customerId, lead) => request(app)
+    .post(`/api/customers/${customerId}/leads`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(lead)
+    .expect(201);
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
+    }
+
+    // Discard outgoing email
+    setTransport({ send: async () => {} });
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await cleanUp();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clean up before each test and create two users with their own customers
+    await cleanUp();
+    userToken = (await registerUser('John Doe', 'john@example.com')).token;
+    otherToken = (await registerUser('Jane Smith', 'jane@example.com')).token;
+
+    acmeId = await createCustomer(userToken, 'Acme', 'acme@example.com');
+    globexId = await createCustomer(userToken, 'Globex', 'globex@example.com');
+    const initechId = await createCustomer(otherToken, 'Initech', 'initech@example.com');
+
+    await createLead(userToken, acmeId, { title: 'Website redesign', value: 1000, tags: ['web'] });
+    await createLead(userToken, acmeId, { title: 'Hosting', status: 'Contacted', value: 500 });
+    await createLead(userToken, globexId, { title: 'Support contract', value: 2000 });
+    await createLead(otherToken, initechId, { title: 'Printers', value: 9000 });
+  });
+
+  it('should return a column per stage with totals of accessible leads', async () => {
+    const response = await request(app)
+      .get('/api/leads/board?limit=1')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const { pipeline, columns } = response.body.data;
+    expect(pipeline.name).toBe('Sales');
+    expect(columns.map((column) => column.total)).toEqual([2, 1, 0, 0]);
+    expect(columns[0]).toMatchObject({ totalValue: 3000, hasMore: true });
+    expect(columns[0].leads).toHaveLength(1);
+    expect(columns[1].leads[0].title).toBe('Hosting');
+  });
+
+  it('should load further cards of a column with the same filters', async () => {
+    const board = await request(app)
+      .get(`/api/leads/board?customerId=${acmeId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    const { stageId, leads } = board.body.data.columns[0];
+    expect(leads.map((lead) => lead.title)).toEqual(['Website redesign']);
+
+    const column = await request(app)
+      .get(`/api/leads/board/${stageId}?offset=1&limit=5`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(column.body.data).toMatchObject({ leads: [{ title: 'Website redesign' }], hasMore: false });
+
+    const tagged = await request(app)
+      .get(`/api/leads/board/${stageId}?tags=web`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(tagged.body.data.leads.map((lead) => lead.title)).toEqual(['Website redesign']);
+  });
+
+  it('should show leads saved before pipelines existed on the default board', async () => {
+    // Only a status: one a stage has, one no stage has
+    await Lead.collection.updateOne({ title: 'Hosting' }, { $unset: { pipelineId: '', stageId: '' } });
+    await Lead.collection.updateOne(
+      { title: 'Support contract' },
+      { $set: { status: 'Qualified' }, $unset: { pipelineId: '', stageId: '' } }
+    );
+
+    const board = await request(app)
+      .get('/api/leads/board')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    const { columns } = board.body.data;
+    expect(columns.map((column) => column.total)).toEqual([2, 1, 0, 0]);
+    expect(columns[0].leads.map((lead) => lead.title).sort()).toEqual(['Support contract', 'Website redesign']);
+
+    const column = await request(app)
+      .get(`/api/leads/board/${columns[1].stageId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(column.body.data.leads.map((lead) => lead.title)).toEqual(['Hosting']);
+
+    // Other pipelines only show their own leads
+    const renewals = await Pipeline.create({ name: 'Renewals', stages: [{ name: 'Due' }] });
+    const other = await request(app)
+      .get(`/api/leads/board?pipelineId=${renewals._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(other.body.data.columns.map((item) => item.total)).toEqual([0]);
+  });
+
+  it('should list the owners of accessible customers', async () => {
+    const response = await request(app)
+      .get('/api/customers/owners')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(response.body.data.owners.map((owner) => owner.name)).toEqual(['John Doe']);
+  });
+});
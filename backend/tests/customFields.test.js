@@ -0,0 +1,172 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const Team = require('../models/Team');
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const CustomField = require('../models/CustomField');
+const AuditLog = require('../models/AuditLog');
+const { setTransport } = require('../services/mailer');
+const mongoose = require('mongoose');
+
+describe('Custom Fields and Tags API', () => {
+  let adminToken;
+  let userToken;
+
+  const registerUser = async (name, email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name, email, password: 'password123' });
+    return response.body.data;
+  };
+
+  const cleanUp = async () => {
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await Team.deleteMany({});
+    await Customer.deleteMany({});
+    await Lead.deleteMany({});
+    await CustomField.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+  };
+
+  const defineField = async (field) => {
+    const response = await request(app)
+      .post('/api/custom-fields')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(field)
+      .expect(201);
+    return response.body.data.field;
+  };
+
+  const createCustomer = async (customer) => {
+    const response = await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(customer)
+      .expect(201);
+    return response.body.data.customer;
+  };
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
+    }
+
+    // Discard outgoing email
+    setTransport({ send: async () => {} });
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await cleanUp();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clean up before each test and create an admin and a sales rep
+    await cleanUp();
+    adminToken = (await registerUser('Admin User', 'admin@example.com')).token;
+    await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+    userToken = (await registerUser('John Doe', 'john@example.com')).token;
+
+    await defineField({ entityType: 'customer', key: 'industry', label: 'Industry', type: 'select', options: ['Retail', 'Finance'], required: true });
+    await defineField({ entityType: 'customer', key: 'employees', label: 'Employees', type: 'number' });
+  });
+
+  it('should only let fields:manage define custom fields', async () => {
+    await request(app)
+      .post('/api/custom-fields')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ entityType: 'lead', key: 'source', label: 'Source', type: 'text' })
+      .expect(403);
+
+    const response = await request(app)
+      .get('/api/custom-fields?entityType=customer')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(response.body.data.fields.map((field) => field.key)).toEqual(['industry', 'employees']);
+  });
+
+  it('should validate custom field values against their definitions', async () => {
+    const missing = await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Acme', email: 'acme@example.com' })
+      .expect(400);
+    expect(missing.body.details[0].field).toBe('customFields.industry');
+
+    const invalid = await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Acme', email: 'acme@example.com', customFields: { industry: 'Mining', region: 'EU' } })
+      .expect(400);
+    expect(invalid.body.details.map((detail) => detail.field)).toEqual(['customFields.industry', 'customFields.region']);
+
+    const customer = await createCustomer({
+      name: 'Acme',
+      email: 'acme@example.com',
+      tags: ['VIP', 'enterprise'],
+      customFields: { industry: 'Retail', employees: '250' }
+    });
+    expect(customer.tags).toEqual(['vip', 'enterprise']);
+    expect(customer.customFields).toEqual({ industry: 'Retail', employees: 250 });
+  });
+
+  it('should filter customers by tags and custom field values', async () => {
+    await createCustomer({ name: 'Acme', email: 'acme@example.com', tags: ['vip', 'enterprise'], customFields: { industry: 'Retail' } });
+    await createCustomer({ name: 'Globex', email: 'globex@example.com', tags: ['vip'], customFields: { industry: 'Finance' } });
+
+    const byTags = await request(app)
+      .get('/api/customers?tags=vip&tags=enterprise')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(byTags.body.data.customers.map((customer) => customer.name)).toEqual(['Acme']);
+
+    const byField = await request(app)
+      .get('/api/customers?customFields[industry]=Finance')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(byField.body.data.customers.map((customer) => customer.name)).toEqual(['Globex']);
+
+    await request(app)
+      .get('/api/customers?customFields[region]=EU')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(400);
+
+    const suggestions = await request(app)
+      .get('/api/customers/tags?q=v')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(suggestions.body.data.tags).toEqual([{ tag: 'vip', count: 2 }]);
+  });
+
+  it('should remove stored values when a field or option is deleted', async () => {
+    const customer = await createCustomer({
+      name: 'Acme',
+      email: 'acme@example.com',
+      customFields: { industry: 'Retail', employees: 250 }
+    });
+    const fields = await CustomField.find({ entityType: 'customer' });
+    const industry = fields.find((field) => field.key === 'industry');
+    const employees = fields.find((field) => field.key === 'employees');
+
+    await request(app)
+      .put(`/api/custom-fields/${industry._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ options: ['Finance'] })
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/custom-fields/${employees._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const stored = await Customer.findById(customer._id).lean();
+    expect(stored.customFields).toEqual({});
+  });
+});
@@ -0,0 +1,200 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const Team = require('../models/Team');
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const AuditLog = require('../models/AuditLog');
+const { setTransport } = require('../services/mailer');
+const mongoose = require('mongoose');
+
+describe('Duplicate Customers API', () => {
+  let userToken;
+
+  const registerUser = async (name, email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name, email, password: 'password123' });
+    return response.body.data;
+  };
+
+  const cleanUp = async () => {
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await Team.deleteMany({});
+    await Customer.deleteMany({});
+    await Lead.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+  };
+
+  const createCustomer = async (customer) => {
+    const response = await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(customer)
+      .expect(201);
+    return response.body.data.customer._id;
+  };
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
+    }
+
+    // Discard outgoing email
+    setTransport({ send: async () => {} });
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await cleanUp();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clean up before each test and create a user
+    await cleanUp();
+    userToken = (await registerUser('John Doe', 'john@example.com')).token;
+  });
+
+  it('should find likely duplicates by email, phone and name with company', async () => {
+    const acmeId = await createCustomer({
+      name: 'Jane Smith',
+      email: 'jane.smith+crm@gmail.com',
+      phone: '+1 (555) 010-9999',
+      company: 'Acme Inc.'
+    });
+
+    const byEmail = await request(app)
+      .get('/api/customers/duplicates/check?email=janesmith@gmail.com')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(byEmail.body.data.matches).toHaveLength(1);
+    expect(byEmail.body.data.matches[0].reasons).toEqual(['email']);
+    expect(byEmail.body.data.matches[0].customer._id).toBe(acmeId);
+
+    const byPhoneAndName = await request(app)
+      .get('/api/customers/duplicates/check')
+      .query({ name: 'Smith, Jane', company: 'ACME', phone: '555-010-9999', email: 'other@example.com' })
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(byPhoneAndName.body.data.matches[0].reasons).toEqual(['phone', 'nameCompany']);
+
+    // Editing the customer itself is not a duplicate
+    const self = await request(app)
+      .get(`/api/customers/duplicates/check?email=janesmith@gmail.com&excludeId=${acmeId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(self.body.data.matches).toHaveLength(0);
+  });
+
+  it('should keep match keys up to date when a customer is edited', async () => {
+    const id = await createCustomer({ name: 'Jane Smith', email: 'jane@example.com' });
+
+    await request(app)
+      .put(`/api/customers/${id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Jane Smith', email: 'jane@example.com', phone: '555 010 9999' })
+      .expect(200);
+
+    const customer = await Customer.findById(id).select('+matchKeys');
+    expect(customer.matchKeys.phone).toBe('5550109999');
+    expect(customer.matchKeys.email).toBe('jane@example.com');
+  });
+
+  it('should report groups of duplicates', async () => {
+    await createCustomer({ name: 'Jane Smith', email: 'jane@example.com' });
+    await createCustomer({ name: 'J. Smith', email: 'JANE@example.com' });
+    await createCustomer({ name: 'Someone Else', email: 'else@example.com' });
+
+    const response = await request(app)
+      .get('/api/customers/duplicates')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(response.body.data.groups).toHaveLength(1);
+    expect(response.body.data.groups[0].reason).toBe('email');
+    expect(response.body.data.groups[0].customers.map((customer) => customer.name)).toEqual(['Jane Smith', 'J. Smith']);
+  });
+
+  it('should merge duplicates and move their leads', async () => {
+    const survivorId = await createCustomer({ name: 'Jane Smith', email: 'jane@example.com' });
+    const duplicateId = await createCustomer({ name: 'Jane S.', email: 'jane@example.com', phone: '555 010 9999' });
+
+    await request(app)
+      .post(`/api/customers/${duplicateId}/leads`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title: 'Website redesign', value: 5000 })
+      .expect(201);
+
+    const response = await request(app)
+      .post(`/api/customers/${survivorId}/merge`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ duplicateIds: [duplicateId], fields: { name: duplicateId } })
+      .expect(200);
+
+    const { customer, movedLeads } = response.body.data;
+    expect(customer.name).toBe('Jane S.');
+    // Blank fields are filled from the duplicates
+    expect(customer.phone).toBe('555 010 9999');
+    expect(movedLeads).toBe(1);
+
+    // The duplicate waits in the trash instead of being removed
+    expect(await Customer.findById(duplicateId)).toBeNull();
+    const trashed = await Customer.findById(duplicateId).setOptions({ withDeleted: true });
+    expect(trashed.mergedInto.toString()).toBe(survivorId);
+    expect(await Lead.countDocuments({ customerId: survivorId })).toBe(1);
+
+    const merged = await AuditLog.findOne({ entityId: duplicateId, action: 'merge' });
+    expect(merged.metadata.mergedInto.toString()).toBe(survivorId);
+  });
+
+  it('should let a merged duplicate be restored from the trash', async () => {
+    const survivorId = await createCustomer({ name: 'Jane Smith', email: 'jane@example.com' });
+    const duplicateId = await createCustomer({ name: 'Jane S.', email: 'jane@example.com' });
+
+    await request(app)
+      .post(`/api/customers/${survivorId}/merge`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ duplicateIds: [duplicateId] })
+      .expect(200);
+
+    const trash = await request(app)
+      .get('/api/trash/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(trash.body.data.customers).toHaveLength(1);
+    expect(trash.body.data.customers[0]).toMatchObject({ _id: duplicateId, mergedInto: { _id: survivorId, name: 'Jane Smith' } });
+
+    await request(app)
+      .post(`/api/trash/customers/${duplicateId}/restore`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const restored = await Customer.findById(duplicateId);
+    expect(restored.name).toBe('Jane S.');
+    expect(restored.mergedInto).toBeNull();
+  });
+
+  it('should reject field values from customers outside the merge', async () => {
+    const survivorId = await createCustomer({ name: 'Jane Smith', email: 'jane@example.com' });
+    const duplicateId = await createCustomer({ name: 'Jane S.', email: 'jane@example.com' });
+    const otherId = await createCustomer({ name: 'Other', email: 'other@example.com' });
+
+    await request(app)
+      .post(`/api/customers/${survivorId}/merge`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ duplicateIds: [duplicateId], fields: { name: otherId } })
+      .expect(400);
+
+    await request(app)
+      .post(`/api/customers/${survivorId}/merge`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ duplicateIds: [survivorId] })
+      .expect(400);
+  });
+});
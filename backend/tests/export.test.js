@@ -0,0 +1,154 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const Team = require('../models/Team');
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const AuditLog = require('../models/AuditLog');
+const { setTransport } = require('../services/mailer');
+const mongoose = require('mongoose');
+
+describe('Export API', () => {
+  let managerToken;
+  let userToken;
+  let acmeId;
+
+  const registerUser = async (name, email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name, email, password: 'password123' });
+    return response.body.data;
+  };
+
+  const cleanUp = async () => {
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await Team.deleteMany({});
+    await Customer.deleteMany({});
+    await Lead.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+  };
+
+  const createCustomer = async (name, email) => {
+    const response = await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name, email })
+      .expect(201);
+    return response.body.data.customer._id;
+  };
+
+  const createLead = (customerId, title, status) => request(app)
+    .post(`/api/customers/${customerId}/leads`)
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({ title, status, value: 1000 })
+    .expect(201);
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
+    }
+
+    // Discard outgoing email
+    setTransport({ send: async () => {} });
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await cleanUp();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clean up before each test; a sales rep adds customers and a manager exports them
+    await cleanUp();
+
+    userToken = (await registerUser('John Doe', 'john@example.com')).token;
+    managerToken = (await registerUser('Mary Manager', 'mary@example.com')).token;
+    await User.updateOne({ email: 'mary@example.com' }, { role: 'manager' });
+
+    acmeId = await createCustomer('Acme', 'acme@example.com');
+    const globexId = await createCustomer('Globex', 'globex@example.com');
+    await createLead(acmeId, 'Website redesign', 'New');
+    await createLead(acmeId, 'Support contract', 'Converted');
+    await createLead(globexId, 'Hosting', 'Converted');
+  });
+
+  it('should export filtered customers as CSV', async () => {
+    const response = await request(app)
+      .get('/api/customers/export?q=acme')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+    expect(response.headers['content-disposition']).toMatch(/attachment; filename="customers-.*\.csv"/);
+
+    const lines = response.text.trim().split('\r\n');
+    expect(lines[0]).toBe('\ufeffID,Name,Email,Phone,Company,Team,Owner,Owner Email,Tags,Created,Updated');
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toContain('Acme,acme@example.com');
+  });
+
+  it('should search customers as plain text when listing and exporting', async () => {
+    // As regular expressions "(" would fail and ".*" would match every customer
+    for (const q of ['(', '.*']) {
+      const list = await request(app)
+        .get(`/api/customers?q=${encodeURIComponent(q)}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+      expect(list.body.data.customers).toHaveLength(0);
+
+      const response = await request(app)
+        .get(`/api/customers/export?q=${encodeURIComponent(q)}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+      // Only the header row
+      expect(response.text.trim().split('\r\n')).toHaveLength(1);
+    }
+  });
+
+  it('should export a customer\'s leads as NDJSON', async () => {
+    const response = await request(app)
+      .get(`/api/customers/${acmeId}/leads/export?format=ndjson&status=Converted`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => callback(null, body));
+      })
+      .expect(200);
+
+    const records = response.body.trim().split('\n').map((line) => JSON.parse(line));
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({ title: 'Support contract', customer: 'Acme', status: 'Converted' });
+  });
+
+  it('should export leads across customers as XLSX', async () => {
+    const response = await request(app)
+      .get('/api/leads/export?format=xlsx&status=Converted')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+
+    expect(response.headers['content-type']).toBe(
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    expect(response.headers['content-disposition']).toMatch(/filename="leads-.*\.xlsx"/);
+  });
+
+  it('should require the leads:export permission', async () => {
+    await request(app)
+      .get('/api/customers/export')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+
+    await request(app)
+      .get('/api/leads/export?format=pdf')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(400);
+  });
+});
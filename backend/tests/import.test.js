@@ -0,0 +1,140 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const Team = require('../models/Team');
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const AuditLog = require('../models/AuditLog');
+const { setTransport } = require('../services/mailer');
+const mongoose = require('mongoose');
+
+describe('Customer Import API', () => {
+  let userToken;
+
+  const csv = [
+    'Full Name,E-mail,Company,Deal,Amount',
+    'Acme Buyer,acme@example.com,Acme,Website redesign,5000',
+    'Acme Buyer,acme@example.com,Acme,Support contract,1200',
+    'Globex,globex@example.com,Globex,,',
+    'Bad Row,not-an-email,,,'
+  ].join('\n');
+
+  const registerUser = async (name, email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name, email, password: 'password123' });
+    return response.body.data;
+  };
+
+  const cleanUp = async () => {
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await Team.deleteMany({});
+    await Customer.deleteMany({});
+    await Lead.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+  };
+
+  const importCsv = (body) => request(app)
+    .post('/api/customers/import')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send(body);
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
+    }
+
+    // Discard outgoing email
+    setTransport({ send: async () => {} });
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await cleanUp();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clean up before each test and create a user
+    await cleanUp();
+    userToken = (await registerUser('John Doe', 'john@example.com')).token;
+  });
+
+  it('should preview an import without writing anything', async () => {
+    const response = await importCsv({ csv, dryRun: true }).expect(200);
+
+    const { data } = response.body;
+    expect(data.mapping).toEqual({
+      customer: { name: 'Full Name', email: 'E-mail', company: 'Company' },
+      lead: { title: 'Deal', value: 'Amount' }
+    });
+    expect(data.summary).toEqual({ created: 2, updated: 0, skipped: 0, failed: 1, leads: 2 });
+    expect(data.rows.map((row) => row.status)).toEqual(['created', 'matched', 'created', 'error']);
+    expect(data.rows[3]).toMatchObject({ row: 5, errors: [{ field: 'email' }] });
+
+    expect(await Customer.countDocuments()).toBe(0);
+    expect(await Lead.countDocuments()).toBe(0);
+  });
+
+  it('should import customers with their leads', async () => {
+    const response = await importCsv({ csv }).expect(200);
+    expect(response.body.data.summary.created).toBe(2);
+
+    const acme = await Customer.findOne({ email: 'acme@example.com' });
+    expect(acme.company).toBe('Acme');
+    const leads = await Lead.find({ customerId: acme._id }).sort({ value: -1 });
+    expect(leads.map((lead) => lead.title)).toEqual(['Website redesign', 'Support contract']);
+
+    const list = await request(app)
+      .get('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(list.body.data.pagination.totalCustomers).toBe(2);
+  });
+
+  it('should skip, update or duplicate existing customers', async () => {
+    const existing = 'Name,Email,Company\nAcme,acme@example.com,Old name';
+    await importCsv({ csv: existing }).expect(200);
+
+    const skipped = await importCsv({ csv, duplicates: 'skip' }).expect(200);
+    expect(skipped.body.data.rows.map((row) => row.status)).toEqual(['skipped', 'skipped', 'created', 'error']);
+    expect(await Lead.countDocuments()).toBe(0);
+
+    const updated = await importCsv({ csv, duplicates: 'update' }).expect(200);
+    expect(updated.body.data.summary).toMatchObject({ updated: 2, created: 0, leads: 2 });
+    expect((await Customer.findOne({ email: 'acme@example.com' })).company).toBe('Acme');
+
+    await importCsv({ csv: existing, duplicates: 'create' }).expect(200);
+    expect(await Customer.countDocuments({ email: 'acme@example.com' })).toBe(2);
+  });
+
+  it('should keep rows of one customer together across batches', async () => {
+    const first = await importCsv({ csv, offset: 0, limit: 1 }).expect(200);
+    await importCsv({ csv, offset: 1, limit: 3, startedAt: first.body.data.startedAt }).expect(200);
+
+    expect(await Customer.countDocuments({ email: 'acme@example.com' })).toBe(1);
+    expect(await Lead.countDocuments()).toBe(2);
+  });
+
+  it('should accept a raw CSV body', async () => {
+    const response = await request(app)
+      .post('/api/customers/import?dryRun=true')
+      .set('Authorization', `Bearer ${userToken}`)
+      .set('Content-Type', 'text/csv')
+      .send(csv)
+      .expect(200);
+
+    expect(response.body.data.dryRun).toBe(true);
+    expect(response.body.data.totalRows).toBe(4);
+  });
+
+  it('should reject unknown columns in the mapping', async () => {
+    const response = await importCsv({ csv, mapping: { customer: { name: 'Missing', email: 'E-mail' } } }).expect(400);
+    expect(response.body.error).toBe('Column "Missing" not found in the CSV');
+  });
+});
@@ -0,0 +1,122 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const Team = require('../models/Team');
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const AuditLog = require('../models/AuditLog');
+const { setTransport } = require('../services/mailer');
+const mongoose = require('mongoose');
+
+describe('All Leads API', () => {
+  let userToken;
+  let otherToken;
+  let acmeId;
+
+  const registerUser = async (name, email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name, email, password: 'password123' });
+    return response.body.data;
+  };
+
+  const cleanUp = async () => {
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await Team.deleteMany({});
+    await Customer.deleteMany({});
+    await Lead.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+  };
+
+  const createCustomer = async (token, name, email) => {
+    const response = await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name, email })
+      .expect(201);
+    return response.body.data.customer._id;
+  };
+
+  const createLead = (token, customerId, lead) => request(app)
+    .post(`/api/customers/${customerId}/leads`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(lead)
+    .expect(201);
+
+  const listLeads = (query) => request(app)
+    .get(`/api/leads${query}`)
+    .set('Authorization', `Bearer ${userToken}`);
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
+    }
+
+    // Discard outgoing email
+    setTransport({ send: async () => {} });
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await cleanUp();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clean up before each test and create two users with their own customers
+    await cleanUp();
+    userToken = (await registerUser('John Doe', 'john@example.com')).token;
+    otherToken = (await registerUser('Jane Smith', 'jane@example.com')).token;
+
+    acmeId = await createCustomer(userToken, 'Acme', 'acme@example.com');
+    const globexId = await createCustomer(userToken, 'Globex', 'globex@example.com');
+    const initechId = await createCustomer(otherToken, 'Initech', 'initech@example.com');
+
+    await createLead(userToken, acmeId, { title: 'Website redesign', value: 1000 });
+    await createLead(userToken, acmeId, { title: 'Hosting', status: 'Contacted', value: 500 });
+    await createLead(userToken, globexId, { title: 'Support contract', value: 2000 });
+    await createLead(otherToken, initechId, { title: 'Printers', value: 9000 });
+  });
+
+  it('should list leads of accessible customers only', async () => {
+    const response = await listLeads('').expect(200);
+
+    const { leads, pagination } = response.body.data;
+    expect(leads.map((lead) => lead.title)).toEqual(['Support contract', 'Hosting', 'Website redesign']);
+    expect(leads[0].customerId).toMatchObject({ name: 'Globex', ownerId: { name: 'John Doe' } });
+    expect(pagination).toMatchObject({ totalLeads: 3, totalPages: 1 });
+  });
+
+  it('should filter by status, value, customer and title', async () => {
+    const byStatus = await listLeads('?status=Contacted').expect(200);
+    expect(byStatus.body.data.leads.map((lead) => lead.title)).toEqual(['Hosting']);
+
+    const byValue = await listLeads('?minValue=600&maxValue=1500').expect(200);
+    expect(byValue.body.data.leads.map((lead) => lead.title)).toEqual(['Website redesign']);
+
+    const byCustomer = await listLeads(`?customerId=${acmeId}&q=web`).expect(200);
+    expect(byCustomer.body.data.leads.map((lead) => lead.title)).toEqual(['Website redesign']);
+
+    // Searches are plain text, not patterns
+    const byPattern = await listLeads(`?q=${encodeURIComponent('(')}`).expect(200);
+    expect(byPattern.body.data.leads).toHaveLength(0);
+
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const byDate = await listLeads(`?from=${tomorrow}`).expect(200);
+    expect(byDate.body.data.leads).toHaveLength(0);
+
+    await listLeads('?minValue=2000&maxValue=1000').expect(400);
+  });
+
+  it('should sort and paginate', async () => {
+    const response = await listLeads('?sort=value&order=asc&limit=2&page=2').expect(200);
+
+    expect(response.body.data.leads.map((lead) => lead.title)).toEqual(['Support contract']);
+    expect(response.body.data.pagination).toMatchObject({ currentPage: 2, totalPages: 2, hasPrevPage: true });
+  });
+});
@@ -0,0 +1,178 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const Team = require('../models/Team');
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const Pipeline = require('../models/Pipeline');
+const AuditLog = require('../models/AuditLog');
+const { setTransport } = require('../services/mailer');
+const mongoose = require('mongoose');
+
+describe('Pipelines API', () => {
+  let adminToken;
+  let userToken;
+  let customerId;
+
+  const registerUser = async (name, email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name, email, password: 'password123' });
+    return response.body.data;
+  };
+
+  const cleanUp = async () => {
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await Team.deleteMany({});
+    await Customer.deleteMany({});
+    await Lead.deleteMany({});
+    await Pipeline.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+  };
+
+  const createPipeline = async (pipeline) => {
+    const response = await request(app)
+      .post('/api/pipelines')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(pipeline)
+      .expect(201);
+    return response.body.data.pipeline;
+  };
+
+  const createLead = (lead) => request(app)
+    .post(`/api/customers/${customerId}/leads`)
+    .set('Authorization', `Bearer ${userToken}`)
+    .send(lead);
+
+  const renewals = {
+    name: 'Renewals',
+    stages: [
+      { name: 'Due', probability: 50, color: '#6366f1' },
+      { name: 'Renewed', outcome: 'won', probability: 100, color: '#10b981' },
+      { name: 'Churned', outcome: 'lost', color: '#ef4444' }
+    ]
+  };
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
+    }
+
+    // Discard outgoing email
+    setTransport({ send: async () => {} });
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await cleanUp();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clean up before each test and create an admin, a sales rep and a customer
+    await cleanUp();
+    adminToken = (await registerUser('Admin User', 'admin@example.com')).token;
+    await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+    userToken = (await registerUser('John Doe', 'john@example.com')).token;
+
+    const response = await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Acme', email: 'acme@example.com' })
+      .expect(201);
+    customerId = response.body.data.customer._id;
+  });
+
+  it('should create the default pipeline with the built-in stages', async () => {
+    const response = await request(app)
+      .get('/api/pipelines')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const [pipeline] = response.body.data.pipelines;
+    expect(pipeline).toMatchObject({ name: 'Sales', isDefault: true });
+    expect(pipeline.stages.map((stage) => stage.name)).toEqual(['New', 'Contacted', 'Converted', 'Lost']);
+
+    await request(app)
+      .post('/api/pipelines')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(renewals)
+      .expect(403);
+  });
+
+  it('should place leads in a stage of the chosen pipeline', async () => {
+    const lead = (await createLead({ title: 'Website redesign' }).expect(201)).body.data.lead;
+    const sales = await Pipeline.findDefault();
+    expect(lead.pipelineId).toBe(sales._id.toString());
+    expect(lead.stageId).toBe(sales.stages[0]._id.toString());
+    expect(lead.status).toBe('New');
+
+    const pipeline = await createPipeline(renewals);
+    const renewal = (await createLead({ title: 'Support contract', pipelineId: pipeline._id, status: 'renewed' }).expect(201)).body.data.lead;
+    expect(renewal.stageId).toBe(pipeline.stages[1]._id);
+    expect(renewal.status).toBe('Renewed');
+
+    const invalid = await createLead({ title: 'Support contract', pipelineId: pipeline._id, status: 'Contacted' }).expect(400);
+    expect(invalid.body.error).toBe('"Contacted" is not a stage of the Renewals pipeline');
+
+    const filtered = await request(app)
+      .get(`/api/customers/${customerId}/leads?pipelineId=${pipeline._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(filtered.body.data.leads.map((item) => item.title)).toEqual(['Support contract']);
+  });
+
+  it('should rename stages and move leads out of removed stages', async () => {
+    const pipeline = await createPipeline(renewals);
+    const [due, renewed, churned] = pipeline.stages;
+    const lead = (await createLead({ title: 'Support contract', pipelineId: pipeline._id, stageId: churned._id }).expect(201)).body.data.lead;
+
+    const stages = [
+      { ...due, name: 'Up for renewal' },
+      renewed
+    ];
+    const refused = await request(app)
+      .put(`/api/pipelines/${pipeline._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ stages })
+      .expect(400);
+    expect(refused.body.error).toMatch(/Choose a stage for the 1 lead/);
+
+    await request(app)
+      .put(`/api/pipelines/${pipeline._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ stages, stageMoves: { [churned._id]: due._id } })
+      .expect(200);
+
+    const moved = await Lead.findById(lead._id);
+    expect(moved.stageId.toString()).toBe(due._id);
+    expect(moved.status).toBe('Up for renewal');
+  });
+
+  it('should only delete pipelines no lead uses', async () => {
+    const sales = await Pipeline.findDefault();
+    const pipeline = await createPipeline(renewals);
+    await createLead({ title: 'Support contract', pipelineId: pipeline._id }).expect(201);
+
+    await request(app)
+      .delete(`/api/pipelines/${sales._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+
+    await request(app)
+      .delete(`/api/pipelines/${pipeline._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+
+    await Lead.deleteMany({});
+    await request(app)
+      .delete(`/api/pipelines/${pipeline._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+  });
+});
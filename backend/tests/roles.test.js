@@ -0,0 +1,166 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const Role = require('../models/Role');
+const Team = require('../models/Team');
+const Customer = require('../models/Customer');
+const { setTransport } = require('../services/mailer');
+const mongoose = require('mongoose');
+
+describe('Roles API', () => {
+  let adminToken;
+  let userToken;
+  let userId;
+
+  const registerUser = async (name, email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name, email, password: 'password123' });
+    return response.body.data;
+  };
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
+    }
+
+    // Discard outgoing email
+    setTransport({ send: async () => {} });
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await Role.deleteMany({});
+    await Team.deleteMany({});
+    await Customer.deleteMany({});
+    Role.clearPermissionCache();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clean up before each test; built-in roles are recreated with their defaults
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await Role.deleteMany({});
+    await Team.deleteMany({});
+    await Customer.deleteMany({});
+    Role.clearPermissionCache();
+
+    const admin = await registerUser('Admin User', 'admin@example.com');
+    await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+    adminToken = admin.token;
+
+    const user = await registerUser('John Doe', 'john@example.com');
+    userToken = user.token;
+    userId = user.user.id;
+  });
+
+  it('should list the built-in roles and the permission catalog', async () => {
+    const response = await request(app)
+      .get('/api/roles')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const names = response.body.data.roles.map((role) => role.name);
+    expect(names).toEqual(expect.arrayContaining(['admin', 'manager', 'user', 'auditor']));
+    expect(response.body.data.permissions.map((permission) => permission.name))
+      .toContain('customers:delete');
+  });
+
+  it('should return permissions with the signed-in user', async () => {
+    const response = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(response.body.data.user.permissions).toContain('customers:create');
+    expect(response.body.data.user.permissions).not.toContain('users:manage');
+  });
+
+  it('should keep read-only auditors from changing customers', async () => {
+    await User.updateOne({ _id: userId }, { role: 'auditor' });
+
+    await request(app)
+      .get('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const response = await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Acme', email: 'acme@example.com' })
+      .expect(403);
+
+    expect(response.body.error).toBe('Access denied - insufficient permissions');
+  });
+
+  it('should apply edited permissions straight away', async () => {
+    await request(app)
+      .put('/api/roles/user')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ permissions: ['customers:read', 'teams:read'] })
+      .expect(200);
+
+    await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Acme', email: 'acme@example.com' })
+      .expect(403);
+  });
+
+  it('should create, assign and delete a custom role', async () => {
+    await request(app)
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'support', label: 'Support', permissions: ['customers:read', 'leads:read'] })
+      .expect(201);
+
+    await request(app)
+      .put(`/api/users/${userId}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'support' })
+      .expect(200);
+
+    // Still held by a user
+    await request(app)
+      .delete('/api/roles/support')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+
+    await User.updateOne({ _id: userId }, { role: 'user' });
+
+    await request(app)
+      .delete('/api/roles/support')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+  });
+
+  it('should protect the built-in roles', async () => {
+    const adminResponse = await request(app)
+      .put('/api/roles/admin')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ permissions: [] })
+      .expect(400);
+    expect(adminResponse.body.error).toBe('The admin role always has every permission');
+
+    await request(app)
+      .delete('/api/roles/manager')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+  });
+
+  it('should only let role managers edit roles', async () => {
+    await request(app)
+      .put('/api/roles/user')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ permissions: ['users:manage', 'roles:manage'] })
+      .expect(403);
+  });
+});
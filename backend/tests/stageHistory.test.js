@@ -0,0 +1,168 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const Team = require('../models/Team');
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const Pipeline = require('../models/Pipeline');
+const StageChange = require('../models/StageChange');
+const AuditLog = require('../models/AuditLog');
+const { setTransport } = require('../services/mailer');
+const mongoose = require('mongoose');
+
+describe('Lead Stage History', () => {
+  let adminToken;
+  let userToken;
+  let customerId;
+  let stages;
+
+  const registerUser = async (name, email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name, email, password: 'password123' });
+    return response.body.data;
+  };
+
+  const cleanUp = async () => {
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await Team.deleteMany({});
+    await Customer.deleteMany({});
+    await Lead.deleteMany({});
+    await Pipeline.deleteMany({});
+    await StageChange.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+  };
+
+  const createLead = async (lead) => {
+    const response = await request(app)
+      .post(`/api/customers/${customerId}/leads`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(lead)
+      .expect(201);
+    return response.body.data.lead;
+  };
+
+  const moveLead = (lead, stageName, reason) => request(app)
+    .put(`/api/customers/${customerId}/leads/${lead._id}`)
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({ title: lead.title, stageId: stages[stageName]._id, reason });
+
+  const getHistory = (lead) => request(app)
+    .get(`/api/customers/${customerId}/leads/${lead._id}/history`)
+    .set('Authorization', `Bearer ${userToken}`);
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
+    }
+
+    // Discard outgoing email
+    setTransport({ send: async () => {} });
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await cleanUp();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clean up before each test and create an admin, a sales rep and a customer
+    await cleanUp();
+    adminToken = (await registerUser('Admin User', 'admin@example.com')).token;
+    await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+    userToken = (await registerUser('John Doe', 'john@example.com')).token;
+
+    const response = await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Acme', email: 'acme@example.com' })
+      .expect(201);
+    customerId = response.body.data.customer._id;
+
+    const pipeline = await Pipeline.findDefault();
+    stages = Object.fromEntries(pipeline.stages.map((stage) => [stage.name, stage.toObject()]));
+  });
+
+  it('should record every stage a lead enters with who moved it', async () => {
+    const lead = await createLead({ title: 'Website redesign' });
+    await moveLead(lead, 'Contacted').expect(200);
+    // Edits that keep the stage add nothing
+    await moveLead(lead, 'Contacted').expect(200);
+    await moveLead(lead, 'Converted').expect(200);
+
+    const response = await getHistory(lead).expect(200);
+
+    const { history, timeInStage, cycleTimeMs } = response.body.data;
+    expect(history.map((entry) => entry.toStatus)).toEqual(['New', 'Contacted', 'Converted']);
+    expect(history[1]).toMatchObject({ fromStatus: 'New', changedBy: { name: 'John Doe' }, current: false });
+    expect(history[2]).toMatchObject({ outcome: 'won', current: true });
+    expect(timeInStage.map((total) => total.status)).toEqual(['New', 'Contacted', 'Converted']);
+    expect(cycleTimeMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should start the history of older leads at their creation', async () => {
+    const lead = await Lead.create({ customerId, title: 'Hosting', status: 'Contacted' });
+
+    const response = await getHistory(lead).expect(200);
+
+    const { history, cycleTimeMs } = response.body.data;
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ toStatus: 'Contacted', inferred: true, current: true });
+    expect(cycleTimeMs).toBeNull();
+  });
+
+  it('should enforce the transition rules of the pipeline', async () => {
+    const pipeline = await Pipeline.findDefault();
+    const update = pipeline.stages.map((stage) => ({
+      _id: stage._id.toString(),
+      name: stage.name,
+      outcome: stage.outcome,
+      probability: stage.probability,
+      color: stage.color,
+      requiresReason: stage.name === 'Lost',
+      nextStages: stage.name === 'Converted' ? [stages.Lost._id.toString()] : []
+    }));
+    await request(app)
+      .put(`/api/pipelines/${pipeline._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ stages: update })
+      .expect(200);
+
+    const lead = await createLead({ title: 'Website redesign' });
+    const noReason = await moveLead(lead, 'Lost').expect(400);
+    expect(noReason.body.error).toBe('Give a reason for moving the lead to "Lost"');
+
+    await moveLead(lead, 'Converted').expect(200);
+    const back = await moveLead(lead, 'New').expect(400);
+    expect(back.body.error).toBe('Leads in "Converted" cannot move to "New"');
+
+    await moveLead(lead, 'Lost', 'Went with a competitor').expect(200);
+    const history = await StageChange.find({ leadId: lead._id }).sort({ createdAt: 1 });
+    expect(history.map((entry) => entry.toStatus)).toEqual(['New', 'Converted', 'Lost']);
+    expect(history[2].reason).toBe('Went with a competitor');
+  });
+
+  it('should record leads moved out of a removed stage', async () => {
+    const lead = await createLead({ title: 'Website redesign', status: 'Contacted' });
+    const pipeline = await Pipeline.findDefault();
+    const kept = pipeline.stages
+      .filter((stage) => stage.name !== 'Contacted')
+      .map(({ _id, name, outcome }) => ({ _id: _id.toString(), name, outcome }));
+
+    await request(app)
+      .put(`/api/pipelines/${pipeline._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ stages: kept, stageMoves: { [stages.Contacted._id]: stages.New._id.toString() } })
+      .expect(200);
+
+    const response = await getHistory(lead).expect(200);
+    const last = response.body.data.history.pop();
+    expect(last).toMatchObject({ fromStatus: 'Contacted', toStatus: 'New', changedBy: { name: 'Admin User' } });
+  });
+});
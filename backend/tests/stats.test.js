@@ -0,0 +1,429 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const Team = require('../models/Team');
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const Pipeline = require('../models/Pipeline');
+const StageChange = require('../models/StageChange');
+const AuditLog = require('../models/AuditLog');
+const { setTransport } = require('../services/mailer');
+const mongoose = require('mongoose');
+
+describe('Stats API', () => {
+  let userToken;
+  let otherToken;
+
+  const registerUser = async (name, email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name, email, password: 'password123' });
+    return response.body.data;
+  };
+
+  const cleanUp = async () => {
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await Team.deleteMany({});
+    await Customer.deleteMany({});
+    await Lead.deleteMany({});
+    await Pipeline.deleteMany({});
+    await StageChange.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+  };
+
+  const createCustomer = async (token, name, email) => {
+    const response = await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name, email })
+      .expect(201);
+    return response.body.data.customer._id;
+  };
+
+  const createLead = (token, customerId, lead) => request(app)
+    .post(`/api/customers/${customerId}/leads`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(lead)
+    .expect(201);
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
+    }
+
+    // Discard outgoing email
+    setTransport({ send: async () => {} });
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await cleanUp();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clean up before each test and create two users with their own customers
+    await cleanUp();
+    userToken = (await registerUser('John Doe', 'john@example.com')).token;
+    otherToken = (await registerUser('Jane Smith', 'jane@example.com')).token;
+
+    // More customers than the old dashboard loaded
+    const customerIds = [];
+    for (let i = 1; i <= 6; i++) {
+      customerIds.push(await createCustomer(userToken, `Customer ${i}`, `customer${i}@example.com`));
+    }
+    const initechId = await createCustomer(otherToken, 'Initech', 'initech@example.com');
+
+    await createLead(userToken, customerIds[0], { title: 'Website redesign', value: 1000 });
+    await createLead(userToken, customerIds[1], { title: 'Hosting', status: 'Contacted', value: 500 });
+    await createLead(userToken, customerIds[5], { title: 'Support contract', status: 'Converted', value: 2000 });
+    await createLead(userToken, customerIds[5], { title: 'Training', status: 'Lost', value: 300 });
+    await createLead(otherToken, initechId, { title: 'Printers', status: 'Converted', value: 9000 });
+  });
+
+  it('should sum up every accessible customer and lead', async () => {
+    const response = await request(app)
+      .get('/api/stats/dashboard')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      totalCustomers: 6,
+      totalLeads: 4,
+      openLeads: 2,
+      wonLeads: 1,
+      lostLeads: 1,
+      totalValue: 3800,
+      pipelineValue: 1500,
+      wonValue: 2000,
+      conversionRate: 25,
+      winRate: 50
+    });
+    const { stages } = response.body.data;
+    expect(stages.map((stage) => [stage.status, stage.count])).toEqual([
+      ['New', 1], ['Contacted', 1], ['Converted', 1], ['Lost', 1]
+    ]);
+  });
+
+  it('should leave out leads in the trash', async () => {
+    const lead = await Lead.findOne({ title: 'Website redesign' });
+    await Lead.updateOne({ _id: lead._id }, { deletedAt: new Date() });
+
+    const response = await request(app)
+      .get('/api/stats/dashboard')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({ totalLeads: 3, pipelineValue: 500 });
+  });
+
+  it('should report leads created, won and lost per period', async () => {
+    const day = (date) => new Date(`${date}T12:00:00Z`);
+    const setDates = (title, createdAt, stageEnteredAt = createdAt) =>
+      Lead.collection.updateOne({ title }, { $set: { createdAt: day(createdAt), stageEnteredAt: day(stageEnteredAt) } });
+    await setDates('Website redesign', '2026-03-02');
+    await setDates('Hosting', '2026-03-02');
+    await setDates('Support contract', '2026-02-20', '2026-03-03');
+    await setDates('Training', '2026-03-03');
+
+    const response = await request(app)
+      .get('/api/stats/trends?interval=day&from=2026-03-01T00:00:00Z&to=2026-03-04T00:00:00Z&compare=true')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const { series, totals, previous } = response.body.data;
+    expect(series.map((item) => item.period)).toEqual(['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-04']);
+    expect(series.map((item) => item.created)).toEqual([0, 2, 1, 0]);
+    expect(series[2]).toMatchObject({ won: 1, wonValue: 2000, lost: 1, winRate: 50 });
+    // The support contract was open from before the range until it was won
+    expect(series.map((item) => item.pipelineValue)).toEqual([2000, 3500, 1500, 1500]);
+    expect(totals).toMatchObject({ created: 3, won: 1, lost: 1, winRate: 50 });
+    expect(previous.totals).toMatchObject({ created: 0, won: 0 });
+  });
+
+  it('should build the funnel from the stage history', async () => {
+    const customer = await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Umbrella', email: 'umbrella@example.com', company: 'Umbrella Corp' })
+      .expect(201);
+    const customerId = customer.body.data.customer._id;
+    const lead = (await createLead(userToken, customerId, { title: 'Vaccines', value: 700 })).body.data.lead;
+    for (const status of ['Contacted', 'Converted']) {
+      await request(app)
+        .put(`/api/customers/${customerId}/leads/${lead._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ title: 'Vaccines', status })
+        .expect(200);
+    }
+
+    const response = await request(app)
+      .get('/api/stats/funnel')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const { stages, totalLeads, winRate } = response.body.data;
+    expect(totalLeads).toBe(5);
+    expect(winRate).toBe(66.7);
+    // Leads created in a later stage count as having reached the earlier ones
+    expect(stages.map((stage) => [stage.status, stage.reached])).toEqual([
+      ['New', 5], ['Contacted', 3], ['Converted', 2]
+    ]);
+    expect(stages[0]).toMatchObject({ conversionRate: 60, lost: 1 });
+
+    const byCompany = await request(app)
+      .get('/api/stats/funnel?company=umbrella corp')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(byCompany.body.data.stages.map((stage) => stage.reached)).toEqual([1, 1, 1]);
+  });
+
+  it('should place leads saved before pipelines existed in the default funnel', async () => {
+    // Only a status, and no stage history
+    const hosting = await Lead.findOne({ title: 'Hosting' });
+    await Lead.collection.updateOne({ _id: hosting._id }, { $unset: { pipelineId: '', stageId: '' } });
+    await StageChange.deleteMany({ leadId: hosting._id });
+
+    const response = await request(app)
+      .get('/api/stats/funnel')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const { stages, totalLeads, openLeads } = response.body.data;
+    expect(totalLeads).toBe(4);
+    expect(openLeads).toBe(2);
+    expect(stages.map((stage) => [stage.status, stage.reached, stage.current])).toEqual([
+      ['New', 4, 1], ['Contacted', 2, 1], ['Converted', 1, 1]
+    ]);
+  });
+
+  it('should count lost leads at the furthest stage they reached', async () => {
+    const customer = await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Umbrella', email: 'umbrella@example.com', company: 'Umbrella Corp' })
+      .expect(201);
+    const customerId = customer.body.data.customer._id;
+    const lead = (await createLead(userToken, customerId, { title: 'Vaccines', value: 700 })).body.data.lead;
+    await request(app)
+      .put(`/api/customers/${customerId}/leads/${lead._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title: 'Vaccines', status: 'Contacted' })
+      .expect(200);
+    await request(app)
+      .put(`/api/customers/${customerId}/leads/${lead._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title: 'Vaccines', status: 'Lost', reason: 'Went with a competitor' })
+      .expect(200);
+
+    // Two days in New and three in Contacted
+    const leadId = new mongoose.Types.ObjectId(lead._id);
+    const enteredAt = (days) => new Date(Date.UTC(2026, 2, 1 + days));
+    await Lead.collection.updateOne({ _id: leadId }, { $set: { createdAt: enteredAt(0) } });
+    const setEnteredAt = (toStatus, days) =>
+      StageChange.collection.updateOne({ leadId, toStatus }, { $set: { createdAt: enteredAt(days) } });
+    await setEnteredAt('New', 0);
+    await setEnteredAt('Contacted', 2);
+    await setEnteredAt('Lost', 5);
+
+    const response = await request(app)
+      .get('/api/stats/funnel?company=umbrella corp')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const { stages, lostLeads, openLeads } = response.body.data;
+    expect(lostLeads).toBe(1);
+    expect(openLeads).toBe(0);
+    expect(stages.map((stage) => [stage.status, stage.reached, stage.lost, stage.avgDays])).toEqual([
+      ['New', 1, 0, 2], ['Contacted', 1, 1, 3], ['Converted', 0, 0, null]
+    ]);
+  });
+
+  it('should not find the funnel of an unknown pipeline', async () => {
+    const response = await request(app)
+      .get(`/api/stats/funnel?pipelineId=${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(404);
+
+    expect(response.body.error).toBe('Pipeline not found');
+  });
+
+  it('should forecast open leads weighted by probability', async () => {
+    const lead = await Lead.findOne({ title: 'Website redesign' });
+    const updateLead = (changes) => request(app)
+      .put(`/api/customers/${lead.customerId}/leads/${lead._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title: 'Website redesign', ...changes });
+    await updateLead({ probability: 150 }).expect(400);
+    await updateLead({ expectedCloseDate: '2026-02-15T00:00:00Z', probability: 50 }).expect(200);
+    await Lead.updateOne({ title: 'Hosting' }, { expectedCloseDate: new Date('2026-05-10T00:00:00Z') });
+    // Won leads are out of the forecast
+    await Lead.updateOne({ title: 'Support contract' }, { expectedCloseDate: new Date('2026-02-01T00:00:00Z'), probability: 90 });
+
+    const response = await request(app)
+      .get('/api/stats/forecast?interval=quarter&from=2026-01-01T00:00:00Z&to=2026-06-30T23:59:59Z')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const { series, totals, unscheduled } = response.body.data;
+    expect(series).toEqual([
+      { period: '2026-Q1', leads: 1, value: 1000, weightedValue: 500, stageDefaults: 0 },
+      // Without a probability of its own the lead takes its stage's: 30% for Contacted
+      { period: '2026-Q2', leads: 1, value: 500, weightedValue: 150, stageDefaults: 1 }
+    ]);
+    expect(totals).toMatchObject({ leads: 2, value: 1500, weightedValue: 650 });
+    expect(unscheduled.leads).toBe(0);
+
+    const dashboard = await request(app)
+      .get('/api/stats/dashboard')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(dashboard.body.data).toMatchObject({ pipelineValue: 1500, weightedPipelineValue: 650 });
+  });
+
+  it('should forecast by month and pipeline with overdue leads apart', async () => {
+    await Lead.updateOne({ title: 'Website redesign' }, { expectedCloseDate: new Date('2026-01-20T00:00:00Z'), probability: 50 });
+    // Saved before pipelines existed, so it only has a status
+    await Lead.collection.updateOne(
+      { title: 'Hosting' },
+      { $set: { expectedCloseDate: new Date('2026-03-10T00:00:00Z') }, $unset: { pipelineId: '', stageId: '' } }
+    );
+    const renewals = await Pipeline.create({
+      name: 'Renewals',
+      stages: [{ name: 'Due', probability: 60 }, { name: 'Renewed', outcome: 'won', probability: 100 }]
+    });
+    const customer = await Customer.findOne({ name: 'Customer 3' });
+    await createLead(userToken, customer._id, { title: 'Yearly renewal', pipelineId: renewals._id, value: 400 });
+    await Lead.updateOne({ title: 'Yearly renewal' }, { expectedCloseDate: new Date('2026-02-15T00:00:00Z') });
+
+    const forecast = (query) => request(app)
+      .get(`/api/stats/forecast?interval=month&from=2026-02-01T00:00:00Z&to=2026-04-30T23:59:59Z${query}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const all = (await forecast('')).body.data;
+    expect(all.series).toEqual([
+      { period: '2026-02', leads: 1, value: 400, weightedValue: 240, stageDefaults: 1 },
+      { period: '2026-03', leads: 1, value: 500, weightedValue: 150, stageDefaults: 1 },
+      { period: '2026-04', leads: 0, value: 0, weightedValue: 0, stageDefaults: 0 }
+    ]);
+    // Expected to close before the range but still open
+    expect(all.overdue).toEqual({ leads: 1, value: 1000, weightedValue: 500, stageDefaults: 0 });
+
+    const defaultPipeline = await Pipeline.findDefault();
+    const sales = (await forecast(`&pipelineId=${defaultPipeline._id}`)).body.data;
+    expect(sales.series.map((item) => item.leads)).toEqual([0, 1, 0]);
+    expect(sales.totals).toMatchObject({ leads: 1, value: 500 });
+    expect(sales.overdue.leads).toBe(1);
+
+    const renewalsOnly = (await forecast(`&pipelineId=${renewals._id}`)).body.data;
+    expect(renewalsOnly.totals).toMatchObject({ leads: 1, value: 400, weightedValue: 240 });
+    expect(renewalsOnly.overdue.leads).toBe(0);
+  });
+
+  it('should rank customer owners for leaderboard admins only', async () => {
+    await request(app)
+      .get('/api/stats/leaderboard')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+
+    await User.updateOne({ email: 'jane@example.com' }, { role: 'admin' });
+    const response = await request(app)
+      .get('/api/stats/leaderboard')
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(200);
+
+    const { owners } = response.body.data;
+    expect(owners.map((owner) => owner.name)).toEqual(['Jane Smith', 'John Doe']);
+    expect(owners[1]).toMatchObject({
+      customers: 6,
+      customersAdded: 6,
+      leadsCreated: 4,
+      leadsWon: 1,
+      leadsLost: 1,
+      wonValue: 2000,
+      winRate: 50,
+      // Six customers and four leads created
+      activity: 10
+    });
+
+    // Drill down into a rep's customers
+    const customers = await request(app)
+      .get(`/api/customers?ownerId=${owners[1].ownerId}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(200);
+    expect(customers.body.data.pagination.totalCustomers).toBe(6);
+  });
+
+  it('should only count what happened in the leaderboard period', async () => {
+    await User.updateOne({ email: 'jane@example.com' }, { role: 'admin' });
+    const earlier = new Date('2026-01-01T00:00:00Z');
+    const oldCustomer = await Customer.findOne({ name: 'Customer 1' });
+    await Customer.collection.updateOne({ _id: oldCustomer._id }, { $set: { createdAt: earlier } });
+    await AuditLog.collection.updateOne(
+      { entityType: 'customer', action: 'create', customerId: oldCustomer._id },
+      { $set: { createdAt: earlier } }
+    );
+    // Customers without an individual owner and their leads are left out
+    await Customer.updateOne({ name: 'Customer 2' }, { ownerId: null });
+
+    const from = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const to = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const response = await request(app)
+      .get(`/api/stats/leaderboard?from=${from}&to=${to}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(200);
+
+    const { owners } = response.body.data;
+    expect(owners).toHaveLength(2);
+    expect(owners.find((owner) => owner.name === 'John Doe')).toMatchObject({
+      customers: 5,
+      customersAdded: 4,
+      leadsCreated: 3,
+      leadsWon: 1,
+      leadsLost: 1,
+      // Four customers and three leads created in the period
+      activity: 7
+    });
+  });
+
+  it('should refuse a leaderboard with a future from and no to', async () => {
+    await User.updateOne({ email: 'jane@example.com' }, { role: 'admin' });
+    const future = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+    const response = await request(app)
+      .get(`/api/stats/leaderboard?from=${future}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(400);
+    expect(response.body.details[0].message).toBe('from cannot be in the future unless to is given');
+
+    await request(app)
+      .get(`/api/stats/leaderboard?from=${future}&to=${future}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(200);
+  });
+
+  it('should refuse reports with too many periods', async () => {
+    await request(app)
+      .get('/api/stats/trends?interval=day&from=2024-01-01T00:00:00Z&to=2026-01-01T00:00:00Z')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(400);
+  });
+
+  it('should refuse a future from without a to', async () => {
+    const future = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    await request(app)
+      .get(`/api/stats/trends?from=${future}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(400);
+    await request(app)
+      .get(`/api/stats/trends?from=${future}&to=${future}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+  });
+});
@@ -0,0 +1,196 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const Team = require('../models/Team');
+const Customer = require('../models/Customer');
+const { setTransport } = require('../services/mailer');
+const mongoose = require('mongoose');
+
+describe('Teams API', () => {
+  let aliceToken;
+  let bobToken;
+  let bobId;
+  let carolToken;
+  let teamId;
+
+  const registerUser = async (name, email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name, email, password: 'password123' });
+    return response.body.data;
+  };
+
+  const createCustomer = (token, data, team) => {
+    const req = request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${token}`);
+    if (team) {
+      req.set('X-Team-Id', team);
+    }
+    return req.send(data);
+  };
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
+    }
+
+    // Discard outgoing email
+    setTransport({ send: async () => {} });
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await Team.deleteMany({});
+    await Customer.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clean up before each test; Alice owns a sales team that Bob belongs to
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await Team.deleteMany({});
+    await Customer.deleteMany({});
+
+    aliceToken = (await registerUser('Alice Smith', 'alice@example.com')).token;
+    const bob = await registerUser('Bob Jones', 'bob@example.com');
+    bobToken = bob.token;
+    bobId = bob.user.id;
+    carolToken = (await registerUser('Carol White', 'carol@example.com')).token;
+
+    const teamResponse = await request(app)
+      .post('/api/teams')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ name: 'Sales' })
+      .expect(201);
+    teamId = teamResponse.body.data.team._id;
+
+    await request(app)
+      .post(`/api/teams/${teamId}/members`)
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ email: 'bob@example.com', role: 'member' })
+      .expect(201);
+  });
+
+  it('should list teams including a personal team', async () => {
+    const response = await request(app)
+      .get('/api/teams')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .expect(200);
+
+    const { teams } = response.body.data;
+    expect(teams).toHaveLength(2);
+    expect(teams[0].personal).toBe(true);
+    expect(teams.find((team) => team._id === teamId).role).toBe('member');
+  });
+
+  it('should put customers in the personal team without an active team', async () => {
+    const response = await createCustomer(carolToken, { name: 'Solo Corp', email: 'solo@example.com' })
+      .expect(201);
+
+    const team = await Team.findById(response.body.data.customer.teamId._id);
+    expect(team.personal).toBe(true);
+  });
+
+  it('should share team customers with other members', async () => {
+    const created = await createCustomer(aliceToken, { name: 'Acme', email: 'acme@example.com' }, teamId)
+      .expect(201);
+    const customerId = created.body.data.customer._id;
+
+    await request(app)
+      .get(`/api/customers/${customerId}`)
+      .set('Authorization', `Bearer ${bobToken}`)
+      .expect(200);
+
+    await request(app)
+      .put(`/api/customers/${customerId}`)
+      .set('Authorization', `Bearer ${bobToken}`)
+      .send({ name: 'Acme Inc', email: 'acme@example.com' })
+      .expect(200);
+
+    // Deleting needs the individual owner or a team manager
+    await request(app)
+      .delete(`/api/customers/${customerId}`)
+      .set('Authorization', `Bearer ${bobToken}`)
+      .expect(403);
+
+    await request(app)
+      .get(`/api/customers/${customerId}`)
+      .set('Authorization', `Bearer ${carolToken}`)
+      .expect(403);
+  });
+
+  it('should filter team customers by mine and team', async () => {
+    await createCustomer(aliceToken, { name: 'Acme', email: 'acme@example.com' }, teamId).expect(201);
+    await createCustomer(bobToken, { name: 'Globex', email: 'globex@example.com' }, teamId).expect(201);
+
+    const teamResponse = await request(app)
+      .get('/api/customers?scope=team')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .set('X-Team-Id', teamId)
+      .expect(200);
+    expect(teamResponse.body.data.customers).toHaveLength(2);
+
+    const mineResponse = await request(app)
+      .get('/api/customers?scope=mine')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .set('X-Team-Id', teamId)
+      .expect(200);
+    expect(mineResponse.body.data.customers).toHaveLength(1);
+    expect(mineResponse.body.data.customers[0].name).toBe('Globex');
+  });
+
+  it('should reject an active team the user does not belong to', async () => {
+    const response = await request(app)
+      .get('/api/customers')
+      .set('Authorization', `Bearer ${carolToken}`)
+      .set('X-Team-Id', teamId)
+      .expect(403);
+
+    expect(response.body.error).toBe('You are not a member of this team');
+  });
+
+  it('should only assign owners who are team members', async () => {
+    const response = await createCustomer(
+      aliceToken,
+      { name: 'Acme', email: 'acme@example.com', ownerId: bobId },
+      teamId
+    ).expect(201);
+    expect(response.body.data.customer.ownerId._id).toBe(bobId);
+
+    const carol = await User.findOne({ email: 'carol@example.com' });
+    await createCustomer(
+      aliceToken,
+      { name: 'Initech', email: 'initech@example.com', ownerId: carol._id.toString() },
+      teamId
+    ).expect(400);
+  });
+
+  it('should keep at least one owner', async () => {
+    const alice = await User.findOne({ email: 'alice@example.com' });
+
+    const response = await request(app)
+      .put(`/api/teams/${teamId}/members/${alice._id}`)
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ role: 'member' })
+      .expect(400);
+
+    expect(response.body.error).toBe('A team needs at least one owner');
+  });
+
+  it('should not let members manage the team', async () => {
+    await request(app)
+      .post(`/api/teams/${teamId}/members`)
+      .set('Authorization', `Bearer ${bobToken}`)
+      .send({ email: 'carol@example.com' })
+      .expect(403);
+  });
+});
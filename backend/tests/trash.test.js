@@ -0,0 +1,276 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const Team = require('../models/Team');
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const AuditLog = require('../models/AuditLog');
+const { setTransport } = require('../services/mailer');
+const { purgeTrash } = require('../services/trash');
+const mongoose = require('mongoose');
+
+describe('Trash API', () => {
+  let userToken;
+  let customerId;
+
+  const registerUser = async (name, email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name, email, password: 'password123' });
+    return response.body.data;
+  };
+
+  const cleanUp = async () => {
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await Team.deleteMany({});
+    await Customer.deleteMany({});
+    await Lead.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+  };
+
+  const createLead = async (title) => {
+    const response = await request(app)
+      .post(`/api/customers/${customerId}/leads`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title, value: 1000 })
+      .expect(201);
+    return response.body.data.lead._id;
+  };
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
+    }
+
+    // Discard outgoing email
+    setTransport({ send: async () => {} });
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await cleanUp();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clean up before each test and create a user with one customer
+    await cleanUp();
+
+    userToken = (await registerUser('John Doe', 'john@example.com')).token;
+
+    const response = await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Acme', email: 'acme@example.com' })
+      .expect(201);
+    customerId = response.body.data.customer._id;
+  });
+
+  it('should hide deleted customers from lists and lookups', async () => {
+    await createLead('Website redesign');
+
+    await request(app)
+      .delete(`/api/customers/${customerId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const list = await request(app)
+      .get('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(list.body.data.customers).toHaveLength(0);
+    expect(list.body.data.pagination.totalCustomers).toBe(0);
+
+    await request(app)
+      .get(`/api/customers/${customerId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(404);
+
+    // The records are still there until purged
+    const customer = await Customer.findById(customerId).setOptions({ withDeleted: true });
+    expect(customer.deletedAt).not.toBeNull();
+    expect(await Lead.countDocuments({ customerId }).setOptions({ withDeleted: true })).toBe(1);
+
+    const trash = await request(app)
+      .get('/api/trash/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(trash.body.data.customers).toHaveLength(1);
+    expect(trash.body.data.customers[0].leadCount).toBe(1);
+    expect(trash.body.data.customers[0].deletedBy.email).toBe('john@example.com');
+  });
+
+  it('should restore a customer with the leads deleted with it', async () => {
+    const deletedFirst = await createLead('Deleted on its own');
+    await createLead('Website redesign');
+
+    await request(app)
+      .delete(`/api/customers/${customerId}/leads/${deletedFirst}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/customers/${customerId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const response = await request(app)
+      .post(`/api/trash/customers/${customerId}/restore`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(response.body.data.restoredLeads).toBe(1);
+
+    const leads = await request(app)
+      .get(`/api/customers/${customerId}/leads`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(leads.body.data.leads.map((lead) => lead.title)).toEqual(['Website redesign']);
+
+    // The lead deleted before the customer stays in the trash
+    const trash = await request(app)
+      .get('/api/trash/leads')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(trash.body.data.leads).toHaveLength(1);
+    expect(trash.body.data.leads[0]._id).toBe(deletedFirst);
+
+    const audit = await AuditLog.findOne({ entityId: customerId, action: 'restore' });
+    expect(audit.metadata.restoredLeads).toBe(1);
+  });
+
+  it('should restore a lead once its customer is restored', async () => {
+    const leadId = await createLead('Website redesign');
+
+    await request(app)
+      .delete(`/api/customers/${customerId}/leads/${leadId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    await Customer.updateOne({ _id: customerId }, { deletedAt: new Date() });
+
+    const blocked = await request(app)
+      .post(`/api/trash/leads/${leadId}/restore`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(400);
+    expect(blocked.body.error).toBe('Restore the customer first');
+
+    await Customer.updateOne({ _id: customerId }, { deletedAt: null });
+
+    await request(app)
+      .post(`/api/trash/leads/${leadId}/restore`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const lead = await Lead.findById(leadId);
+    expect(lead.deletedAt).toBeNull();
+  });
+
+  it('should not show other users their trash', async () => {
+    await request(app)
+      .delete(`/api/customers/${customerId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const otherToken = (await registerUser('Jane Smith', 'jane@example.com')).token;
+
+    const trash = await request(app)
+      .get('/api/trash/customers')
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(200);
+    expect(trash.body.data.customers).toHaveLength(0);
+
+    await request(app)
+      .post(`/api/trash/customers/${customerId}/restore`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(403);
+  });
+
+  it('should only list team customers the user could delete', async () => {
+    const teamResponse = await request(app)
+      .post('/api/teams')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Sales' })
+      .expect(201);
+    const teamId = teamResponse.body.data.team._id;
+
+    const memberToken = (await registerUser('Jane Smith', 'jane@example.com')).token;
+    await request(app)
+      .post(`/api/teams/${teamId}/members`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ email: 'jane@example.com', role: 'member' })
+      .expect(201);
+
+    const created = await request(app)
+      .post('/api/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .set('X-Team-Id', teamId)
+      .send({ name: 'Globex', email: 'globex@example.com' })
+      .expect(201);
+    const teamCustomerId = created.body.data.customer._id;
+
+    await request(app)
+      .delete(`/api/customers/${teamCustomerId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    // Jane can see team customers but only their owner or a team manager can delete them
+    const memberTrash = await request(app)
+      .get('/api/trash/customers')
+      .set('Authorization', `Bearer ${memberToken}`)
+      .expect(200);
+    expect(memberTrash.body.data.customers).toHaveLength(0);
+
+    await request(app)
+      .post(`/api/trash/customers/${teamCustomerId}/restore`)
+      .set('Authorization', `Bearer ${memberToken}`)
+      .expect(403);
+
+    const ownerTrash = await request(app)
+      .get('/api/trash/customers')
+      .set('Authorization', `Bearer ${userToken}`)
+      .set('X-Team-Id', teamId)
+      .expect(200);
+    expect(ownerTrash.body.data.customers).toHaveLength(1);
+    expect(ownerTrash.body.data.customers[0].name).toBe('Globex');
+  });
+
+  it('should search the trash as plain text', async () => {
+    await request(app)
+      .delete(`/api/customers/${customerId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/trash/customers?q=(')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(response.body.data.customers).toHaveLength(0);
+  });
+
+  it('should purge items older than the retention period', async () => {
+    await createLead('Website redesign');
+
+    await request(app)
+      .delete(`/api/customers/${customerId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const now = new Date();
+    expect(await purgeTrash({ retentionDays: 30, now })).toEqual({ customers: 0, leads: 0 });
+
+    const later = new Date(now.getTime() + 31 * 24 * 60 * 60 * 1000);
+    expect(await purgeTrash({ retentionDays: 30, now: later })).toEqual({ customers: 1, leads: 0 });
+
+    expect(await Customer.countDocuments({}).setOptions({ withDeleted: true })).toBe(0);
+    expect(await Lead.countDocuments({}).setOptions({ withDeleted: true })).toBe(0);
+
+    const audit = await AuditLog.findOne({ action: 'purge', entityType: 'customer' });
+    expect(audit.actorId).toBeNull();
+    expect(audit.metadata.purgedLeads).toBe(1);
+  });
+});
@@ -0,0 +1,163 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const { setTransport } = require('../services/mailer');
+const { hotp, currentStep } = require('../utils/totp');
+const mongoose = require('mongoose');
+
+describe('Two-Factor Authentication API', () => {
+  let authToken;
+
+  const credentials = { email: 'john@example.com', password: 'password123' };
+
+  // Enrol the test user and return the secret and recovery codes
+  const enableTwoFactor = async () => {
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    const { secret } = setup.body.data;
+    const enable = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ code: hotp(secret, currentStep()) })
+      .expect(200);
+
+    return { secret, recoveryCodes: enable.body.data.recoveryCodes };
+  };
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
+    }
+
+    // Discard outgoing email
+    setTransport({ send: async () => {} });
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clean up before each test and create a test user
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'John Doe', ...credentials });
+
+    authToken = response.body.data.token;
+  });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_ADMIN_2FA;
+  });
+
+  it('should return a secret and QR code when starting setup', async () => {
+    const response = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.data.secret).toMatch(/^[A-Z2-7]+$/);
+    expect(response.body.data.otpauthUrl).toContain('otpauth://totp/');
+    expect(response.body.data.qrCode).toMatch(/^data:image\/png;base64,/);
+  });
+
+  it('should reject enabling with a wrong code', async () => {
+    await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    const response = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ code: '000000' })
+      .expect(400);
+
+    expect(response.body.error).toBe('Invalid authentication code');
+  });
+
+  it('should require a second step at login once enabled', async () => {
+    const { secret } = await enableTwoFactor();
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send(credentials)
+      .expect(200);
+
+    expect(login.body.data.twoFactorRequired).toBe(true);
+    expect(login.body.data.token).toBeUndefined();
+
+    // The enrolment code was already used, so take the next time step
+    const response = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({
+        challengeToken: login.body.data.challengeToken,
+        code: hotp(secret, currentStep() + 1)
+      })
+      .expect(200);
+
+    expect(response.body.data.token).toBeDefined();
+    expect(response.body.data.user.twoFactorEnabled).toBe(true);
+  });
+
+  it('should accept each recovery code only once', async () => {
+    const { recoveryCodes } = await enableTwoFactor();
+
+    const completeLogin = async (code) => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send(credentials);
+
+      return request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: login.body.data.challengeToken, code });
+    };
+
+    expect((await completeLogin(recoveryCodes[0])).status).toBe(200);
+    expect((await completeLogin(recoveryCodes[0])).status).toBe(401);
+  });
+
+  it('should not accept the challenge token as an access token', async () => {
+    await enableTwoFactor();
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send(credentials);
+
+    await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${login.body.data.challengeToken}`)
+      .expect(401);
+  });
+
+  it('should keep admins without 2FA out of other routes when required', async () => {
+    process.env.REQUIRE_ADMIN_2FA = 'true';
+    await User.updateOne({ email: credentials.email }, { role: 'admin' });
+
+    const response = await request(app)
+      .get('/api/customers')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(403);
+
+    expect(response.body.error).toBe('Two-factor authentication is required for admin accounts');
+
+    await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+  });
+});
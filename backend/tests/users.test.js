@@ -0,0 +1,192 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const { setTransport } = require('../services/mailer');
+const mongoose = require('mongoose');
+
+describe('User Management API', () => {
+  let adminToken;
+  let userToken;
+  let userId;
+
+  const registerUser = async (name, email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name, email, password: 'password123' });
+    return response.body.data;
+  };
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/crm_test_db');
+    }
+
+    // Discard outgoing email
+    setTransport({ send: async () => {} });
+  });
+
+  afterAll(async () => {
+    // Clean up test database
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clean up before each test and create an admin and a regular user
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+
+    const admin = await registerUser('Admin User', 'admin@example.com');
+    await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+    adminToken = admin.token;
+
+    const user = await registerUser('John Doe', 'john@example.com');
+    userToken = user.token;
+    userId = user.user.id;
+  });
+
+  describe('GET /api/users', () => {
+    it('should list users for admins', async () => {
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.users).toHaveLength(2);
+      expect(response.body.data.pagination.totalUsers).toBe(2);
+    });
+
+    it('should search users by name or email', async () => {
+      const response = await request(app)
+        .get('/api/users?q=john')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.users).toHaveLength(1);
+      expect(response.body.data.users[0].email).toBe('john@example.com');
+    });
+
+    it('should search users as plain text', async () => {
+      // As a regular expression "john.*" would match John Doe
+      const wildcard = await request(app)
+        .get('/api/users?q=john.*')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(wildcard.body.data.users).toHaveLength(0);
+
+      const bracket = await request(app)
+        .get('/api/users?q=(')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(bracket.body.data.users).toHaveLength(0);
+    });
+
+    it('should reject non-admin users', async () => {
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(response.body.error).toBe('Access denied - insufficient permissions');
+    });
+  });
+
+  describe('PUT /api/users/:id/role', () => {
+    it('should promote a user to admin', async () => {
+      const response = await request(app)
+        .put(`/api/users/${userId}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'admin' })
+        .expect(200);
+
+      expect(response.body.data.user.role).toBe('admin');
+    });
+
+    it('should assign a built-in role', async () => {
+      const response = await request(app)
+        .put(`/api/users/${userId}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'auditor' })
+        .expect(200);
+
+      expect(response.body.data.user.role).toBe('auditor');
+    });
+
+    it('should reject a role that does not exist', async () => {
+      const response = await request(app)
+        .put(`/api/users/${userId}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'wizard' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Role does not exist');
+    });
+  });
+
+  describe('PUT /api/users/:id/status', () => {
+    it('should deactivate a user and revoke their sessions', async () => {
+      await request(app)
+        .put(`/api/users/${userId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(401);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'password123' })
+        .expect(403);
+
+      expect(response.body.error).toBe('Account has been deactivated');
+    });
+  });
+
+  describe('POST /api/users/:id/unlock', () => {
+    it('should show and clear a login lockout', async () => {
+      await LoginThrottle.create({
+        key: `account:${userId}`,
+        lockedUntil: new Date(Date.now() + 15 * 60 * 1000),
+        expiresAt: new Date(Date.now() + 15 * 60 * 1000)
+      });
+
+      const listResponse = await request(app)
+        .get('/api/users?q=john')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(listResponse.body.data.users[0].lockedUntil).toBeTruthy();
+
+      await request(app)
+        .post(`/api/users/${userId}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'password123' })
+        .expect(200);
+    });
+  });
+
+  describe('DELETE /api/users/:id', () => {
+    it('should delete a user', async () => {
+      await request(app)
+        .delete(`/api/users/${userId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(await User.findById(userId)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,72 @@
+// Parse CSV text (RFC 4180) into an array of rows, each an array of strings.
+// Handles quoted fields with commas, escaped quotes ("") and line breaks,
+// CRLF or LF line endings and a leading byte order mark. Blank lines are skipped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+};
+
+// Text that spreadsheet apps would run as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Format one CSV line, quoting fields that need it. Strings that look like
+// formulas get a leading apostrophe so opening the file cannot run them.
+const toCsvRow = (values) => values.map((value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let field = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(field)) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}).join(',') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  toCsvRow
+};
@@ -0,0 +1,12 @@
+// Match value literally inside a regular expression, e.g. in a $regex search
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Show value as text inside HTML, including attribute values
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+module.exports = {
+  escapeRegex,
+  escapeHtml
+};
@@ -0,0 +1,66 @@
+// Normalized forms of customer details used to spot likely duplicates.
+// Each returns null when there is not enough to match on.
+
+// Free mail providers that ignore dots in the local part
+const DOTLESS_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// Legal suffixes that do not tell two companies apart
+const COMPANY_SUFFIXES = ['inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'gmbh', 'plc', 'sa', 'ag', 'bv'];
+
+const words = (value) => (value || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()
+  .split(' ')
+  .filter(Boolean);
+
+// "John.Doe+crm@Gmail.com" and "johndoe@gmail.com" reach the same inbox
+const normalizeEmail = (email) => {
+  const [local, domain] = (email || '').toLowerCase().trim().split('@');
+  if (!local || !domain) {
+    return null;
+  }
+  let mailbox = local.split('+')[0];
+  if (DOTLESS_DOMAINS.includes(domain)) {
+    mailbox = mailbox.replace(/\./g, '');
+  }
+  return `${mailbox}@${domain}`;
+};
+
+// Last 10 digits, so "+1 (555) 010-9999" matches "555 010 9999"
+const normalizePhone = (phone) => {
+  const digits = (phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : null;
+};
+
+// Word order is ignored, so "Doe, John" matches "John Doe"
+const normalizeName = (name) => {
+  const parts = words(name);
+  return parts.length > 0 ? parts.sort().join(' ') : null;
+};
+
+const normalizeCompany = (company) => {
+  const parts = words(company).filter((word) => !COMPANY_SUFFIXES.includes(word));
+  return parts.length > 0 ? parts.join(' ') : null;
+};
+
+// Name and company together: "doe john|acme" for John Doe at Acme Inc.
+// Without a company a shared name alone is too weak a signal.
+const normalizeNameCompany = (name, company) => {
+  const normalizedName = normalizeName(name);
+  const normalizedCompany = normalizeCompany(company);
+  return normalizedName && normalizedCompany ? `${normalizedName}|${normalizedCompany}` : null;
+};
+
+// Keys stored on a customer and compared to find duplicates
+const matchKeysFor = ({ name, email, phone, company }) => ({
+  email: normalizeEmail(email),
+  phone: normalizePhone(phone),
+  nameCompany: normalizeNameCompany(name, company)
+});
+
+module.exports = {
+  matchKeysFor
+};
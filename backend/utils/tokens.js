@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Generate a random URL-safe token
+const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Hash a token for storage; only the hash is ever persisted
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+  generateRandomToken,
+  hashToken
+};
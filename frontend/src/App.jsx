@@ -2,17 +2,36 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { TeamProvider } from './contexts/TeamContext';
 import Navbar from './components/Navbar';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import Customers from './pages/Customers';
 import CustomerDetail from './pages/CustomerDetail';
+import Duplicates from './pages/Duplicates';
+import Leads from './pages/Leads';
+import Board from './pages/Board';
+import Reports from './pages/Reports';
+import Analytics from './pages/Analytics';
+import Leaderboard from './pages/Leaderboard';
+import Users from './pages/Users';
+import Roles from './pages/Roles';
+import Trash from './pages/Trash';
+import CustomFields from './pages/CustomFields';
+import Pipelines from './pages/Pipelines';
+import Teams from './pages/Teams';
+import Profile from './pages/Profile';
+import Security from './pages/Security';
+import ApiKeys from './pages/ApiKeys';
 import './App.css';
 
 // Protected Route Component
-const ProtectedRoute = ({ children }) => {
-  const { user, loading } = useAuth();
+const ProtectedRoute = ({ children, permission }) => {
+  const { user, loading, can } = useAuth();
   
   if (loading) {
     return (
@@ -22,7 +41,11 @@ const ProtectedRoute = ({ children }) => {
     );
   }
   
-  return user ? children : <Navigate to="/login" />;
+  if (!user) {
+    return <Navigate to="/login" />;
+  }
+
+  return permission && !can(permission) ? <Navigate to="/dashboard" /> : children;
 };
 
 // Public Route Component (redirect to dashboard if already logged in)
@@ -43,89 +66,258 @@ const PublicRoute = ({ children }) => {
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <div className="App">
-          <Toaster 
-            position="top-right"
-            toastOptions={{
-              duration: 4000,
-              style: {
-                background: '#363636',
-                color: '#fff',
-              },
-              success: {
-                duration: 3000,
-                iconTheme: {
-                  primary: '#10b981',
-                  secondary: '#fff',
+      <TeamProvider>
+        <Router>
+          <div className="App">
+            <Toaster 
+              position="top-right"
+              toastOptions={{
+                duration: 4000,
+                style: {
+                  background: '#363636',
+                  color: '#fff',
                 },
-              },
-              error: {
-                duration: 5000,
-                iconTheme: {
-                  primary: '#ef4445',
-                  secondary: '#fff',
+                success: {
+                  duration: 3000,
+                  iconTheme: {
+                    primary: '#10b981',
+                    secondary: '#fff',
+                  },
                 },
-              },
-            }}
-          />
-          
-          <Routes>
-            {/* Public Routes */}
-            <Route 
-              path="/login" 
-              element={
-                <PublicRoute>
-                  <Login />
-                </PublicRoute>
-              } 
-            />
-            <Route 
-              path="/register" 
-              element={
-                <PublicRoute>
-                  <Register />
-                </PublicRoute>
-              } 
+                error: {
+                  duration: 5000,
+                  iconTheme: {
+                    primary: '#ef4445',
+                    secondary: '#fff',
+                  },
+                },
+              }}
             />
+          
+            <Routes>
+              {/* Public Routes */}
+              <Route 
+                path="/login" 
+                element={
+                  <PublicRoute>
+                    <Login />
+                  </PublicRoute>
+                } 
+              />
+              <Route 
+                path="/register" 
+                element={
+                  <PublicRoute>
+                    <Register />
+                  </PublicRoute>
+                } 
+              />
+              <Route 
+                path="/forgot-password" 
+                element={
+                  <PublicRoute>
+                    <ForgotPassword />
+                  </PublicRoute>
+                } 
+              />
+              <Route 
+                path="/reset-password" 
+                element={
+                  <PublicRoute>
+                    <ResetPassword />
+                  </PublicRoute>
+                } 
+              />
+              <Route path="/verify-email/:token" element={<VerifyEmail />} />
             
-            {/* Protected Routes */}
-            <Route 
-              path="/dashboard" 
-              element={
-                <ProtectedRoute>
-                  <Navbar />
-                  <br />
-                  <Dashboard />
-                </ProtectedRoute>
-              } 
-            />
-            <Route 
-              path="/customers" 
-              element={
-                <ProtectedRoute>
-                  <Navbar />
-                  <br />
-                  <Customers />
-                </ProtectedRoute>
-              } 
-            />
-            <Route 
-              path="/customers/:id" 
-              element={
-                <ProtectedRoute>
-                  <Navbar />
-                  <br />
-                  <CustomerDetail />
-                </ProtectedRoute>
-              } 
-            />
+              {/* Protected Routes */}
+              <Route 
+                path="/dashboard" 
+                element={
+                  <ProtectedRoute>
+                    <Navbar />
+                    <br />
+                    <Dashboard />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/customers" 
+                element={
+                  <ProtectedRoute>
+                    <Navbar />
+                    <br />
+                    <Customers />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/customers/duplicates" 
+                element={
+                  <ProtectedRoute>
+                    <Navbar />
+                    <br />
+                    <Duplicates />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/customers/:id" 
+                element={
+                  <ProtectedRoute>
+                    <Navbar />
+                    <br />
+                    <CustomerDetail />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/leads" 
+                element={
+                  <ProtectedRoute permission="leads:read">
+                    <Navbar />
+                    <br />
+                    <Leads />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/board" 
+                element={
+                  <ProtectedRoute permission="leads:read">
+                    <Navbar />
+                    <br />
+                    <Board />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/reports" 
+                element={
+                  <ProtectedRoute permission="leads:read">
+                    <Navbar />
+                    <br />
+                    <Reports />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/analytics" 
+                element={
+                  <ProtectedRoute permission="leads:read">
+                    <Navbar />
+                    <br />
+                    <Analytics />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/leaderboard" 
+                element={
+                  <ProtectedRoute permission="stats:leaderboard">
+                    <Navbar />
+                    <br />
+                    <Leaderboard />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/profile" 
+                element={
+                  <ProtectedRoute>
+                    <Navbar />
+                    <br />
+                    <Profile />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/security" 
+                element={
+                  <ProtectedRoute>
+                    <Navbar />
+                    <br />
+                    <Security />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/api-keys" 
+                element={
+                  <ProtectedRoute>
+                    <Navbar />
+                    <br />
+                    <ApiKeys />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/teams" 
+                element={
+                  <ProtectedRoute>
+                    <Navbar />
+                    <br />
+                    <Teams />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/users" 
+                element={
+                  <ProtectedRoute permission="users:manage">
+                    <Navbar />
+                    <br />
+                    <Users />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/roles" 
+                element={
+                  <ProtectedRoute permission="roles:manage">
+                    <Navbar />
+                    <br />
+                    <Roles />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/custom-fields" 
+                element={
+                  <ProtectedRoute permission="fields:manage">
+                    <Navbar />
+                    <br />
+                    <CustomFields />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/pipelines" 
+                element={
+                  <ProtectedRoute permission="pipelines:manage">
+                    <Navbar />
+                    <br />
+                    <Pipelines />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/trash" 
+                element={
+                  <ProtectedRoute permission={['customers:delete', 'leads:delete']}>
+                    <Navbar />
+                    <br />
+                    <Trash />
+                  </ProtectedRoute>
+                } 
+              />
             
-            {/* Default redirect */}
-            <Route path="/" element={<Navigate to="/dashboard" />} />
-          </Routes>
-        </div>
-      </Router>
+              {/* Default redirect */}
+              <Route path="/" element={<Navigate to="/dashboard" />} />
+            </Routes>
+          </div>
+        </Router>
+      </TeamProvider>
     </AuthProvider>
   );
 }
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { customFieldsAPI } from '../services/api';
+
+// Custom field definitions for 'customer' or 'lead'
+export const useCustomFields = (entityType) => {
+  const [fields, setFields] = useState([]);
+
+  useEffect(() => {
+    customFieldsAPI.getFields(entityType)
+      .then((response) => setFields(response.data.data.fields))
+      .catch(() => setFields([]));
+  }, [entityType]);
+
+  return fields;
+};
+
+// Form values for stored custom field values: dates as YYYY-MM-DD, blanks as ''
+export const customFieldFormValues = (fields, values = {}) => Object.fromEntries(
+  fields.map((field) => {
+    const value = values[field.key];
+    if (field.type === 'multiselect') {
+      return [field.key, value || []];
+    }
+    if (value === undefined || value === null) {
+      return [field.key, ''];
+    }
+    return [field.key, field.type === 'date' ? String(value).slice(0, 10) : value];
+  })
+);
+
+// Readable value for detail views and tables
+export const formatCustomFieldValue = (field, value) => {
+  if (value === undefined || value === null || value === '') {
+    return '—';
+  }
+  if (field.type === 'multiselect') {
+    return value.length > 0 ? value.join(', ') : '—';
+  }
+  if (field.type === 'date') {
+    return new Date(value).toLocaleDateString();
+  }
+  return String(value);
+};
+
+// Inputs for every custom field; onChange(key, value) and errors keyed by field key
+const CustomFieldInputs = ({ fields, values, onChange, errors = {} }) => {
+  const toggleOption = (field, option) => {
+    const selected = values[field.key] || [];
+    onChange(
+      field.key,
+      selected.includes(option) ? selected.filter((item) => item !== option) : [...selected, option]
+    );
+  };
+
+  return fields.map((field) => {
+    const id = `custom-${field.key}`;
+    const value = values[field.key] ?? (field.type === 'multiselect' ? [] : '');
+    const error = errors[`customFields.${field.key}`];
+
+    let input;
+    if (field.type === 'select') {
+      input = (
+        <select id={id} className="form-select" value={value} onChange={(e) => onChange(field.key, e.target.value)}>
+          <option value="">—</option>
+          {field.options.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      );
+    } else if (field.type === 'multiselect') {
+      input = (
+        <div className="flex flex-wrap gap-2">
+          {field.options.map((option) => (
+            <label key={option} className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={value.includes(option)}
+                onChange={() => toggleOption(field, option)}
+              />
+              {option}
+            </label>
+          ))}
+        </div>
+      );
+    } else {
+      const inputTypes = { number: 'number', date: 'date' };
+      input = (
+        <input
+          type={inputTypes[field.type] || 'text'}
+          id={id}
+          className={`form-input ${error ? 'border-red-500' : ''}`}
+          value={value}
+          onChange={(e) => onChange(field.key, e.target.value)}
+        />
+      );
+    }
+
+    return (
+      <div className="form-group" key={field.key}>
+        <label htmlFor={id} className="form-label">
+          {field.label}
+          {field.required && ' *'}
+        </label>
+        {input}
+        {error && <div className="error">{error}</div>}
+      </div>
+    );
+  });
+};
+
+export default CustomFieldInputs;
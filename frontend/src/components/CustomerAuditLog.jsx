@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { auditAPI } from "../services/api";
+import toast from "react-hot-toast";
+
+const ACTION_BADGES = {
+  create: "status-converted",
+  update: "status-contacted",
+  delete: "status-lost",
+  restore: "status-new",
+  purge: "status-lost",
+  merge: "status-contacted",
+};
+
+// Render a changed value; objects (e.g. ids) fall back to JSON
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+// Title of the created or deleted lead, or name of the customer
+const entityName = (entry) => {
+  const change = entry.changes.title || entry.changes.name;
+  return change ? formatValue(entry.action === "create" ? change.to : change.from) : "";
+};
+
+// Change history for a customer and its leads
+const CustomerAuditLog = ({ customerId }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pagination, setPagination] = useState({});
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await auditAPI.getEntries({ customerId, page: currentPage, limit: 20 });
+      setEntries(response.data.data.entries);
+      setPagination(response.data.data.pagination);
+    } catch (error) {
+      console.error("Error fetching audit log:", error);
+      toast.error("Failed to load audit log");
+    } finally {
+      setLoading(false);
+    }
+  }, [customerId, currentPage]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (entries.length === 0) {
+    return <p className="text-gray-500">No changes recorded yet.</p>;
+  }
+
+  return (
+    <div className="table-container">
+      <table className="table">
+        <thead>
+          <tr>
+            <th>When</th>
+            <th>Who</th>
+            <th>Action</th>
+            <th>Changes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((entry) => (
+            <tr key={entry._id}>
+              <td>
+                <div className="text-sm text-gray-500">
+                  {new Date(entry.createdAt).toLocaleString()}
+                </div>
+              </td>
+              <td>
+                <div className="font-medium text-gray-900">{entry.actorName || "Unknown"}</div>
+                <div className="text-sm text-gray-500">
+                  {entry.actorEmail}
+                  {entry.apiKeyId && " · API key"}
+                </div>
+              </td>
+              <td>
+                <span className={`status-badge ${ACTION_BADGES[entry.action]}`}>
+                  {entry.entityType} {entry.action}
+                </span>
+              </td>
+              <td>
+                {entry.action === "update" ? (
+                  <ul className="text-sm">
+                    {Object.entries(entry.changes).map(([field, change]) => (
+                      <li key={field}>
+                        <span className="font-medium">{field}</span>:{" "}
+                        {formatValue(change.from)} → {formatValue(change.to)}
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <div className="text-sm text-gray-500">
+                    {entityName(entry)}
+                    {entry.metadata?.deletedLeads > 0 &&
+                      ` (with ${entry.metadata.deletedLeads} leads)`}
+                    {entry.metadata?.restoredLeads > 0 &&
+                      ` (with ${entry.metadata.restoredLeads} leads)`}
+                    {entry.metadata?.purgedLeads > 0 &&
+                      ` (with ${entry.metadata.purgedLeads} leads)`}
+                  </div>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between mt-4">
+          <button
+            onClick={() => setCurrentPage(currentPage - 1)}
+            disabled={!pagination.hasPrevPage}
+            className="btn btn-secondary"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-500">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <button
+            onClick={() => setCurrentPage(currentPage + 1)}
+            disabled={!pagination.hasNextPage}
+            className="btn btn-secondary"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CustomerAuditLog;
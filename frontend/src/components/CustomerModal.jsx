@@ -1,17 +1,40 @@
 import React, { useState, useEffect } from 'react';
-import { customersAPI } from '../services/api';
-import { X, User, Mail, Phone, Building } from 'lucide-react';
+import { customersAPI, teamsAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useTeam } from '../contexts/TeamContext';
+import { Link } from 'react-router-dom';
+import { X, User, Mail, Phone, Building, Briefcase, AlertTriangle, Tags } from 'lucide-react';
 import toast from 'react-hot-toast';
+import TagInput from './TagInput';
+import CustomFieldInputs, { useCustomFields, customFieldFormValues } from './CustomFieldInputs';
+
+const REASON_LABELS = {
+  email: 'email',
+  phone: 'phone',
+  nameCompany: 'name and company'
+};
 
 const CustomerModal = ({ customer, onClose, onSuccess }) => {
+  const { user } = useAuth();
+  const { activeTeamId } = useTeam();
+  const customFields = useCustomFields('customer');
   const [formData, setFormData] = useState({
     name: '',
     email: '',
     phone: '',
-    company: ''
+    company: '',
+    ownerId: user?._id || user?.id || '',
+    tags: []
   });
+  const [customValues, setCustomValues] = useState({});
+  const [teamMembers, setTeamMembers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
+  // Likely duplicates found on submit; submitting again saves anyway
+  const [duplicates, setDuplicates] = useState([]);
+
+  // Existing customers stay in their team; new ones go to the active team
+  const teamId = customer?.teamId?._id || customer?.teamId || activeTeamId;
 
   useEffect(() => {
     if (customer) {
@@ -19,17 +42,40 @@ const CustomerModal = ({ customer, onClose, onSuccess }) => {
         name: customer.name || '',
         email: customer.email || '',
         phone: customer.phone || '',
-        company: customer.company || ''
+        company: customer.company || '',
+        ownerId: customer.ownerId?._id || customer.ownerId || '',
+        tags: customer.tags || []
       });
     }
   }, [customer]);
 
+  useEffect(() => {
+    setCustomValues(customFieldFormValues(customFields, customer?.customFields));
+  }, [customFields, customer]);
+
+  // Shared teams let the customer be assigned to any member
+  useEffect(() => {
+    if (!teamId) {
+      setTeamMembers([]);
+      return;
+    }
+    teamsAPI.getTeam(teamId)
+      .then((response) => {
+        const { team } = response.data.data;
+        setTeamMembers(team.personal ? [] : team.members.map((member) => member.userId).filter(Boolean));
+      })
+      .catch(() => setTeamMembers([]));
+  }, [teamId]);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
       ...prev,
       [name]: value
     }));
+    if (name !== 'ownerId') {
+      setDuplicates([]);
+    }
     
     // Clear error when user starts typing
     if (errors[name]) {
@@ -40,6 +86,19 @@ const CustomerModal = ({ customer, onClose, onSuccess }) => {
     }
   };
 
+  const handleCustomFieldChange = (key, value) => {
+    setCustomValues(prev => ({
+      ...prev,
+      [key]: value
+    }));
+    if (errors[`customFields.${key}`]) {
+      setErrors(prev => ({
+        ...prev,
+        [`customFields.${key}`]: ''
+      }));
+    }
+  };
+
   const validateForm = () => {
     const newErrors = {};
     
@@ -52,6 +111,13 @@ const CustomerModal = ({ customer, onClose, onSuccess }) => {
     } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
       newErrors.email = 'Email is invalid';
     }
+
+    customFields.forEach((field) => {
+      const value = customValues[field.key];
+      if (field.required && (value === '' || (Array.isArray(value) && value.length === 0))) {
+        newErrors[`customFields.${field.key}`] = `${field.label} is required`;
+      }
+    });
     
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -66,14 +132,36 @@ const CustomerModal = ({ customer, onClose, onSuccess }) => {
     
     setLoading(true);
     
+    const { ownerId, ...customerData } = formData;
+    customerData.customFields = customValues;
+    if (teamMembers.length > 0) {
+      customerData.ownerId = ownerId || null;
+    }
+    
     try {
+      if (duplicates.length === 0) {
+        const { name, email, phone, company } = customerData;
+        const response = await customersAPI.checkDuplicates({
+          name,
+          email,
+          phone,
+          company,
+          excludeId: customer?._id
+        });
+        const { matches } = response.data.data;
+        if (matches.length > 0) {
+          setDuplicates(matches);
+          return;
+        }
+      }
+
       if (customer) {
         // Update existing customer
-        await customersAPI.updateCustomer(customer._id, formData);
+        await customersAPI.updateCustomer(customer._id, customerData);
         toast.success('Customer updated successfully');
       } else {
         // Create new customer
-        await customersAPI.createCustomer(formData);
+        await customersAPI.createCustomer(customerData);
         toast.success('Customer created successfully');
       }
       
@@ -181,6 +269,68 @@ const CustomerModal = ({ customer, onClose, onSuccess }) => {
                   onChange={handleChange}
                 />
               </div>
+
+              <div className="form-group">
+                <label className="form-label">
+                  <Tags className="h-4 w-4 inline mr-2" />
+                  Tags
+                </label>
+                <TagInput
+                  value={formData.tags}
+                  onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+                  fetchSuggestions={customersAPI.getTags}
+                />
+                {errors.tags && <div className="error">{errors.tags}</div>}
+              </div>
+
+              <CustomFieldInputs
+                fields={customFields}
+                values={customValues}
+                onChange={handleCustomFieldChange}
+                errors={errors}
+              />
+
+              {teamMembers.length > 0 && (
+                <div className="form-group">
+                  <label htmlFor="ownerId" className="form-label">
+                    <Briefcase className="h-4 w-4 inline mr-2" />
+                    Owner
+                  </label>
+                  <select
+                    id="ownerId"
+                    name="ownerId"
+                    className="form-select"
+                    value={formData.ownerId}
+                    onChange={handleChange}
+                  >
+                    <option value="">No individual owner</option>
+                    {teamMembers.map((member) => (
+                      <option key={member._id} value={member._id}>
+                        {member.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {duplicates.length > 0 && (
+                <div className="duplicate-warning">
+                  <div className="font-medium">
+                    <AlertTriangle className="h-4 w-4 inline mr-2" />
+                    This looks like a customer you already have
+                  </div>
+                  <ul className="text-sm mt-2">
+                    {duplicates.map(({ customer: match, reasons }) => (
+                      <li key={match._id}>
+                        <Link to={`/customers/${match._id}`} onClick={onClose}>
+                          {match.name}
+                        </Link>{' '}
+                        ({match.email}) matches on {reasons.map((reason) => REASON_LABELS[reason]).join(', ')}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
           </div>
           
@@ -204,7 +354,7 @@ const CustomerModal = ({ customer, onClose, onSuccess }) => {
                   {customer ? 'Updating...' : 'Creating...'}
                 </>
               ) : (
-                customer ? 'Update Customer' : 'Create Customer'
+                duplicates.length > 0 ? 'Save Anyway' : customer ? 'Update Customer' : 'Create Customer'
               )}
             </button>
           </div>
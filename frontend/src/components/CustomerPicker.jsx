@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+import { customersAPI } from '../services/api';
+
+// Pick one customer by searching names, emails and companies.
+// value is the picked customer ({ _id, name }) or null.
+const CustomerPicker = ({ value, onChange, placeholder = 'Filter by customer...' }) => {
+  const [input, setInput] = useState('');
+  const [results, setResults] = useState([]);
+  const [focused, setFocused] = useState(false);
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    if (!focused) {
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      customersAPI.getCustomers({ q: input.trim(), limit: 10 })
+        .then((response) => setResults(response.data.data.customers))
+        .catch(() => setResults([]));
+    }, 200);
+    return () => clearTimeout(timer);
+  }, [input, focused]);
+
+  const pick = (customer) => {
+    onChange({ _id: customer._id, name: customer.name });
+    setInput('');
+  };
+
+  if (value) {
+    return (
+      <div className="tag-list items-center">
+        <span className="tag">
+          {value.name}
+          <button type="button" onClick={() => onChange(null)} title="Clear customer filter">
+            <X className="h-3 w-3" />
+          </button>
+        </span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="tag-input">
+      <input
+        type="text"
+        className="form-input"
+        placeholder={placeholder}
+        value={input}
+        maxLength={100}
+        onChange={(e) => setInput(e.target.value)}
+        onFocus={() => setFocused(true)}
+        onBlur={() => setFocused(false)}
+      />
+      {focused && results.length > 0 && (
+        <div className="tag-suggestions">
+          {results.map((customer) => (
+            // Keep focus in the input so the list stays open while clicking
+            <button type="button" key={customer._id} onMouseDown={(e) => e.preventDefault()} onClick={() => pick(customer)}>
+              <span>{customer.name}</span>
+              <span className="text-gray-400">{customer.company}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CustomerPicker;
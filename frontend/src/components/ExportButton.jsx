@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import { saveDownload } from '../services/api';
+import { Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'ndjson', label: 'JSON (NDJSON)' }
+];
+
+// Export the current filtered view; onExport(format) returns the download response
+const ExportButton = ({ onExport, name }) => {
+  const [format, setFormat] = useState('csv');
+  const [loading, setLoading] = useState(false);
+
+  const handleExport = async () => {
+    setLoading(true);
+    try {
+      const response = await onExport(format);
+      saveDownload(response, `${name}.${format}`);
+    } catch (error) {
+      console.error('Error exporting:', error);
+      toast.error('Export failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex gap-2">
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        className="form-select"
+        title="Export format"
+      >
+        {FORMATS.map((item) => (
+          <option key={item.value} value={item.value}>
+            {item.label}
+          </option>
+        ))}
+      </select>
+      <button onClick={handleExport} className="btn btn-secondary" disabled={loading}>
+        <Download className="h-4 w-4" />
+        {loading ? 'Exporting...' : 'Export'}
+      </button>
+    </div>
+  );
+};
+
+export default ExportButton;
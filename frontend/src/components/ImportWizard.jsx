@@ -0,0 +1,313 @@
+import React, { useState } from 'react';
+import { customersAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { X, Upload } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const FIELDS = {
+  customer: [
+    { name: 'name', label: 'Name', required: true },
+    { name: 'email', label: 'Email', required: true },
+    { name: 'phone', label: 'Phone' },
+    { name: 'company', label: 'Company' }
+  ],
+  lead: [
+    { name: 'title', label: 'Lead title' },
+    { name: 'description', label: 'Lead description' },
+    { name: 'status', label: 'Lead status' },
+    { name: 'value', label: 'Lead value' }
+  ]
+};
+
+// Rows sent per request while importing, so progress can be shown
+const BATCH_SIZE = 200;
+
+const emptySummary = { created: 0, updated: 0, skipped: 0, failed: 0, leads: 0 };
+
+const addSummaries = (a, b) =>
+  Object.fromEntries(Object.keys(emptySummary).map((key) => [key, a[key] + b[key]]));
+
+// Steps: upload a file, map its columns, preview the result, then import
+const ImportWizard = ({ onClose, onSuccess }) => {
+  const { can } = useAuth();
+  const [step, setStep] = useState('upload');
+  const [csv, setCsv] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [duplicates, setDuplicates] = useState('skip');
+  const [headers, setHeaders] = useState([]);
+  const [mapping, setMapping] = useState({ customer: {}, lead: {} });
+  const [preview, setPreview] = useState(null);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const entities = can('leads:create') ? ['customer', 'lead'] : ['customer'];
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      setFileName(file.name);
+      setCsv(await file.text());
+    }
+  };
+
+  // A dry run without a mapping returns the headers and a suggested mapping
+  const handleUpload = async () => {
+    setLoading(true);
+    try {
+      const response = await customersAPI.importCustomers({ csv, dryRun: true });
+      const { headers, mapping } = response.data.data;
+      setHeaders(headers);
+      setMapping(can('leads:create') ? mapping : { customer: mapping.customer, lead: {} });
+      setStep('mapping');
+    } catch (error) {
+      console.error('Error reading CSV:', error);
+      toast.error(error.response?.data?.error || 'Failed to read CSV file');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMappingChange = (entity, field, header) => {
+    setMapping((prev) => ({
+      ...prev,
+      [entity]: { ...prev[entity], [field]: header }
+    }));
+  };
+
+  const handlePreview = async () => {
+    setLoading(true);
+    try {
+      const response = await customersAPI.importCustomers({ csv, mapping, duplicates, dryRun: true });
+      setPreview(response.data.data);
+      setStep('preview');
+    } catch (error) {
+      console.error('Error previewing import:', error);
+      toast.error(error.response?.data?.error || 'Failed to preview import');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setStep('importing');
+    const total = preview.totalRows;
+    let summary = emptySummary;
+    let errors = [];
+    let startedAt;
+
+    try {
+      for (let offset = 0; offset < total; offset += BATCH_SIZE) {
+        setProgress({ done: offset, total });
+        const response = await customersAPI.importCustomers({
+          csv,
+          mapping,
+          duplicates,
+          offset,
+          limit: BATCH_SIZE,
+          startedAt
+        });
+        const batch = response.data.data;
+        startedAt = batch.startedAt;
+        summary = addSummaries(summary, batch.summary);
+        errors = errors.concat(batch.rows.filter((row) => row.status === 'error'));
+      }
+      setProgress({ done: total, total });
+      toast.success('Import complete');
+    } catch (error) {
+      console.error('Error importing customers:', error);
+      toast.error(error.response?.data?.error || 'Import stopped before it finished');
+    }
+
+    setResult({ summary, errors });
+    setStep('done');
+  };
+
+  const handleClose = () => {
+    if (result) {
+      onSuccess();
+    } else {
+      onClose();
+    }
+  };
+
+  const summaryLine = (summary) =>
+    `${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped, ` +
+    `${summary.failed} with errors, ${summary.leads} leads`;
+
+  const errorList = (rows) => (
+    <ul className="text-sm space-y-1">
+      {rows.map((row) => (
+        <li key={row.row}>
+          <span className="font-medium">Row {row.row}:</span>{' '}
+          {row.errors.map((error) => error.message).join(', ')}
+        </li>
+      ))}
+    </ul>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={step === 'importing' ? undefined : handleClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="flex items-center justify-between">
+            <h2 className="modal-title">Import Customers</h2>
+            {step !== 'importing' && (
+              <button onClick={handleClose} className="text-gray-400 hover:text-gray-600">
+                <X className="h-6 w-6" />
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="modal-body">
+          {step === 'upload' && (
+            <div className="space-y-4">
+              <div className="form-group">
+                <label htmlFor="csvFile" className="form-label">
+                  <Upload className="h-4 w-4 inline mr-2" />
+                  CSV file *
+                </label>
+                <input
+                  type="file"
+                  id="csvFile"
+                  accept=".csv,text/csv"
+                  className="form-input"
+                  onChange={handleFile}
+                />
+                <p className="text-sm text-gray-500 mt-2">
+                  One customer per row with a header row. Rows with the same email become one
+                  customer, so add a row per lead.
+                </p>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="duplicates" className="form-label">
+                  When a customer with the same email exists
+                </label>
+                <select
+                  id="duplicates"
+                  className="form-select"
+                  value={duplicates}
+                  onChange={(e) => setDuplicates(e.target.value)}
+                >
+                  <option value="skip">Skip the row</option>
+                  {can('customers:update') && (
+                    <option value="update">Update the existing customer</option>
+                  )}
+                  <option value="create">Create another customer</option>
+                </select>
+              </div>
+            </div>
+          )}
+
+          {step === 'mapping' && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-500">
+                Choose the column in {fileName} that holds each field.
+              </p>
+              {entities.map((entity) =>
+                FIELDS[entity].map((field) => (
+                  <div className="form-group" key={`${entity}.${field.name}`}>
+                    <label htmlFor={`${entity}.${field.name}`} className="form-label">
+                      {field.label} {field.required && '*'}
+                    </label>
+                    <select
+                      id={`${entity}.${field.name}`}
+                      className="form-select"
+                      value={mapping[entity][field.name] || ''}
+                      onChange={(e) => handleMappingChange(entity, field.name, e.target.value)}
+                    >
+                      <option value="">Not imported</option>
+                      {headers.map((header) => (
+                        <option key={header} value={header}>
+                          {header}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+
+          {step === 'preview' && preview && (
+            <div className="space-y-4">
+              <p className="font-medium text-gray-900">
+                {preview.totalRows} rows: {summaryLine(preview.summary)}
+              </p>
+              {preview.summary.failed > 0 && (
+                <div>
+                  <p className="text-sm text-gray-500 mb-2">
+                    Rows with errors are left out. Fix them in the file and import it again.
+                  </p>
+                  {errorList(preview.rows.filter((row) => row.status === 'error'))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {step === 'importing' && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-500">
+                Imported {progress.done} of {progress.total} rows...
+              </p>
+              <div className="progress-bar">
+                <div
+                  className="progress-bar-fill"
+                  style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+                ></div>
+              </div>
+            </div>
+          )}
+
+          {step === 'done' && result && (
+            <div className="space-y-4">
+              <p className="font-medium text-gray-900">{summaryLine(result.summary)}</p>
+              {result.errors.length > 0 && errorList(result.errors)}
+            </div>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          {step === 'upload' && (
+            <button onClick={handleUpload} className="btn btn-primary" disabled={!csv || loading}>
+              {loading ? 'Reading...' : 'Next'}
+            </button>
+          )}
+          {step === 'mapping' && (
+            <>
+              <button onClick={() => setStep('upload')} className="btn btn-secondary" disabled={loading}>
+                Back
+              </button>
+              <button onClick={handlePreview} className="btn btn-primary" disabled={loading}>
+                {loading ? 'Checking...' : 'Preview'}
+              </button>
+            </>
+          )}
+          {step === 'preview' && (
+            <>
+              <button onClick={() => setStep('mapping')} className="btn btn-secondary">
+                Back
+              </button>
+              <button
+                onClick={handleImport}
+                className="btn btn-primary"
+                disabled={preview.summary.failed === preview.totalRows}
+              >
+                Import
+              </button>
+            </>
+          )}
+          {step === 'done' && (
+            <button onClick={handleClose} className="btn btn-primary">
+              Done
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
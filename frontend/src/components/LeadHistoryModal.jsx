@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { leadsAPI } from '../services/api';
+import { X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Rough length of a stay, e.g. "3d 4h" or "25m"
+export const formatDuration = (ms) => {
+  if (ms >= DAY_MS) {
+    return `${Math.floor(ms / DAY_MS)}d ${Math.floor((ms % DAY_MS) / HOUR_MS)}h`;
+  }
+  if (ms >= HOUR_MS) {
+    return `${Math.floor(ms / HOUR_MS)}h ${Math.floor((ms % HOUR_MS) / MINUTE_MS)}m`;
+  }
+  return `${Math.floor(ms / MINUTE_MS)}m`;
+};
+
+// The stages a lead went through, how long it stayed in each and its cycle time
+const LeadHistoryModal = ({ customerId, lead, onClose }) => {
+  const [timeline, setTimeline] = useState(null);
+
+  useEffect(() => {
+    leadsAPI.getLeadHistory(customerId, lead._id)
+      .then((response) => setTimeline(response.data.data))
+      .catch((error) => {
+        console.error('Error fetching lead history:', error);
+        toast.error('Failed to load lead history');
+        onClose();
+      });
+  }, [customerId, lead, onClose]);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="flex items-center justify-between">
+            <h2 className="modal-title">History of {lead.title}</h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <X className="h-6 w-6" />
+            </button>
+          </div>
+        </div>
+
+        <div className="modal-body">
+          {!timeline ? (
+            <div className="loading">
+              <div className="spinner"></div>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <div className="text-sm text-gray-600">
+                {timeline.cycleTimeMs === null
+                  ? 'Still open'
+                  : `Closed after ${formatDuration(timeline.cycleTimeMs)}`}
+              </div>
+
+              <ul className="space-y-2">
+                {timeline.history.map((entry, index) => (
+                  <li key={entry._id || index} className="border-b pb-2">
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium text-gray-900">
+                        {entry.fromStatus ? `${entry.fromStatus} → ${entry.toStatus}` : `Created in ${entry.toStatus}`}
+                      </span>
+                      <span className="text-sm text-gray-500">
+                        {entry.current ? `${formatDuration(entry.durationMs)} so far` : formatDuration(entry.durationMs)}
+                      </span>
+                    </div>
+                    <div className="text-sm text-gray-500">
+                      {new Date(entry.createdAt).toLocaleString()}
+                      {entry.changedBy && ` by ${entry.changedBy.name}`}
+                      {!entry.changedBy && entry.changedByName && ` by ${entry.changedByName}`}
+                      {entry.inferred && ' (before stage history was kept)'}
+                    </div>
+                    {entry.reason && (
+                      <div className="text-sm text-gray-700 mt-1">{entry.reason}</div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+
+              <div>
+                <h3 className="card-title">Time in stage</h3>
+                <table className="table">
+                  <tbody>
+                    {timeline.timeInStage.map((total) => (
+                      <tr key={total.stageId || total.status}>
+                        <td>{total.status}</td>
+                        <td>{formatDuration(total.durationMs)}</td>
+                        <td className="text-sm text-gray-500">
+                          {total.visits > 1 ? `${total.visits} visits` : ''}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LeadHistoryModal;
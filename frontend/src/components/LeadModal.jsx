@@ -1,29 +1,61 @@
 import React, { useState, useEffect } from 'react';
 import { leadsAPI } from '../services/api';
-import { X, FileText, DollarSign, Tag, MessageSquare } from 'lucide-react';
+import { X, FileText, DollarSign, Tag, Tags, MessageSquare, GitBranch, Calendar, Percent } from 'lucide-react';
 import toast from 'react-hot-toast';
+import TagInput from './TagInput';
+import CustomFieldInputs, { useCustomFields, customFieldFormValues } from './CustomFieldInputs';
+import { usePipelines, stageOf, canMoveTo } from './StageBadge';
 
 const LeadModal = ({ customerId, lead, onClose, onSuccess }) => {
+  const customFields = useCustomFields('lead');
+  const pipelines = usePipelines();
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    status: 'New',
-    value: ''
+    pipelineId: '',
+    stageId: '',
+    reason: '',
+    value: '',
+    expectedCloseDate: '',
+    probability: '',
+    tags: []
   });
+  const [customValues, setCustomValues] = useState({});
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
 
   useEffect(() => {
     if (lead) {
-      setFormData({
+      setFormData(prev => ({
+        ...prev,
         title: lead.title || '',
         description: lead.description || '',
-        status: lead.status || 'New',
-        value: lead.value || ''
-      });
+        value: lead.value || '',
+        // Close dates are whole days, stored at midnight UTC
+        expectedCloseDate: lead.expectedCloseDate ? lead.expectedCloseDate.slice(0, 10) : '',
+        probability: typeof lead.probability === 'number' ? String(lead.probability) : '',
+        tags: lead.tags || []
+      }));
     }
   }, [lead]);
 
+  // New leads start in the first stage of the default pipeline
+  useEffect(() => {
+    if (pipelines.length === 0) {
+      return;
+    }
+    const { pipeline, stage } = lead ? stageOf(pipelines, lead) : { pipeline: pipelines[0], stage: null };
+    setFormData(prev => ({
+      ...prev,
+      pipelineId: pipeline._id,
+      stageId: (stage || pipeline.stages[0])._id
+    }));
+  }, [pipelines, lead]);
+
+  useEffect(() => {
+    setCustomValues(customFieldFormValues(customFields, lead?.customFields));
+  }, [customFields, lead]);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -40,6 +72,28 @@ const LeadModal = ({ customerId, lead, onClose, onSuccess }) => {
     }
   };
 
+  const handlePipelineChange = (e) => {
+    const pipeline = pipelines.find((item) => item._id === e.target.value);
+    setFormData(prev => ({
+      ...prev,
+      pipelineId: pipeline._id,
+      stageId: pipeline.stages[0]._id
+    }));
+  };
+
+  const handleCustomFieldChange = (key, value) => {
+    setCustomValues(prev => ({
+      ...prev,
+      [key]: value
+    }));
+    if (errors[`customFields.${key}`]) {
+      setErrors(prev => ({
+        ...prev,
+        [`customFields.${key}`]: ''
+      }));
+    }
+  };
+
   const validateForm = () => {
     const newErrors = {};
     
@@ -50,6 +104,18 @@ const LeadModal = ({ customerId, lead, onClose, onSuccess }) => {
     if (formData.value && isNaN(parseFloat(formData.value))) {
       newErrors.value = 'Value must be a valid number';
     }
+
+    const probability = Number(formData.probability);
+    if (formData.probability !== '' && (!Number.isInteger(probability) || probability < 0 || probability > 100)) {
+      newErrors.probability = 'Probability must be a whole number from 0 to 100';
+    }
+
+    customFields.forEach((field) => {
+      const value = customValues[field.key];
+      if (field.required && (value === '' || (Array.isArray(value) && value.length === 0))) {
+        newErrors[`customFields.${field.key}`] = `${field.label} is required`;
+      }
+    });
     
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -65,9 +131,17 @@ const LeadModal = ({ customerId, lead, onClose, onSuccess }) => {
     setLoading(true);
     
     try {
+      const { pipelineId, stageId, reason, ...fields } = formData;
       const submitData = {
-        ...formData,
-        value: formData.value ? parseFloat(formData.value) : 0
+        ...fields,
+        ...(needsReason ? { reason } : {}),
+        // Left out until the pipelines have loaded, so the server keeps or picks the stage
+        ...(stageId ? { pipelineId, stageId } : {}),
+        value: formData.value ? parseFloat(formData.value) : 0,
+        // Blank clears them
+        expectedCloseDate: formData.expectedCloseDate ? `${formData.expectedCloseDate}T00:00:00.000Z` : null,
+        probability: formData.probability !== '' ? Number(formData.probability) : null,
+        customFields: customValues
       };
       
       if (lead) {
@@ -99,12 +173,12 @@ const LeadModal = ({ customerId, lead, onClose, onSuccess }) => {
     }
   };
 
-  const statusOptions = [
-    { value: 'New', label: 'New', color: 'bg-blue-100 text-blue-800' },
-    { value: 'Contacted', label: 'Contacted', color: 'bg-yellow-100 text-yellow-800' },
-    { value: 'Converted', label: 'Converted', color: 'bg-green-100 text-green-800' },
-    { value: 'Lost', label: 'Lost', color: 'bg-red-100 text-red-800' }
-  ];
+  const selectedPipeline = pipelines.find((pipeline) => pipeline._id === formData.pipelineId);
+  const selectedStage = selectedPipeline?.stages.find((stage) => stage._id === formData.stageId);
+  // Stage rules only limit moves within the pipeline the lead is in
+  const current = lead && pipelines.length > 0 ? stageOf(pipelines, lead) : { pipeline: null, stage: null };
+  const fromStage = current.pipeline?._id === formData.pipelineId ? current.stage : null;
+  const needsReason = Boolean(selectedStage?.requiresReason) && selectedStage._id !== current.stage?._id;
 
   return (
     <div className="modal-overlay" onClick={onClose}>
@@ -159,25 +233,68 @@ const LeadModal = ({ customerId, lead, onClose, onSuccess }) => {
                 />
               </div>
               
+              {pipelines.length > 1 && (
+                <div className="form-group">
+                  <label htmlFor="pipelineId" className="form-label">
+                    <GitBranch className="h-4 w-4 inline mr-2" />
+                    Pipeline
+                  </label>
+                  <select
+                    id="pipelineId"
+                    name="pipelineId"
+                    className="form-select"
+                    value={formData.pipelineId}
+                    onChange={handlePipelineChange}
+                  >
+                    {pipelines.map((pipeline) => (
+                      <option key={pipeline._id} value={pipeline._id}>
+                        {pipeline.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               <div className="form-group">
-                <label htmlFor="status" className="form-label">
+                <label htmlFor="stageId" className="form-label">
                   <Tag className="h-4 w-4 inline mr-2" />
-                  Status
+                  Stage
                 </label>
                 <select
-                  id="status"
-                  name="status"
+                  id="stageId"
+                  name="stageId"
                   className="form-select"
-                  value={formData.status}
+                  value={formData.stageId}
                   onChange={handleChange}
                 >
-                  {statusOptions.map((option) => (
-                    <option key={option.value} value={option.value}>
-                      {option.label}
+                  {(selectedPipeline?.stages || []).map((stage) => (
+                    <option key={stage._id} value={stage._id} disabled={!canMoveTo(fromStage, stage)}>
+                      {stage.name}
                     </option>
                   ))}
                 </select>
+                {errors.stageId && <div className="error">{errors.stageId}</div>}
               </div>
+
+              {needsReason && (
+                <div className="form-group">
+                  <label htmlFor="reason" className="form-label">
+                    <MessageSquare className="h-4 w-4 inline mr-2" />
+                    Reason for moving to {selectedStage.name} *
+                  </label>
+                  <textarea
+                    id="reason"
+                    name="reason"
+                    rows={2}
+                    required
+                    maxLength={500}
+                    className={`form-input ${errors.reason ? 'border-red-500' : ''}`}
+                    value={formData.reason}
+                    onChange={handleChange}
+                  />
+                  {errors.reason && <div className="error">{errors.reason}</div>}
+                </div>
+              )}
               
               <div className="form-group">
                 <label htmlFor="value" className="form-label">
@@ -197,6 +314,64 @@ const LeadModal = ({ customerId, lead, onClose, onSuccess }) => {
                 />
                 {errors.value && <div className="error">{errors.value}</div>}
               </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div className="form-group">
+                  <label htmlFor="expectedCloseDate" className="form-label">
+                    <Calendar className="h-4 w-4 inline mr-2" />
+                    Expected Close Date
+                  </label>
+                  <input
+                    type="date"
+                    id="expectedCloseDate"
+                    name="expectedCloseDate"
+                    className={`form-input ${errors.expectedCloseDate ? 'border-red-500' : ''}`}
+                    value={formData.expectedCloseDate}
+                    onChange={handleChange}
+                  />
+                  {errors.expectedCloseDate && <div className="error">{errors.expectedCloseDate}</div>}
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="probability" className="form-label">
+                    <Percent className="h-4 w-4 inline mr-2" />
+                    Probability (%)
+                  </label>
+                  <input
+                    type="number"
+                    id="probability"
+                    name="probability"
+                    step="1"
+                    min="0"
+                    max="100"
+                    className={`form-input ${errors.probability ? 'border-red-500' : ''}`}
+                    placeholder={selectedStage ? `Stage default: ${selectedStage.probability}%` : 'Chance of winning'}
+                    value={formData.probability}
+                    onChange={handleChange}
+                  />
+                  {errors.probability && <div className="error">{errors.probability}</div>}
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">
+                  <Tags className="h-4 w-4 inline mr-2" />
+                  Tags
+                </label>
+                <TagInput
+                  value={formData.tags}
+                  onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+                  fetchSuggestions={leadsAPI.getTags}
+                />
+                {errors.tags && <div className="error">{errors.tags}</div>}
+              </div>
+
+              <CustomFieldInputs
+                fields={customFields}
+                values={customValues}
+                onChange={handleCustomFieldChange}
+                errors={errors}
+              />
             </div>
           </div>
           
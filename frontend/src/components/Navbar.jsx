@@ -1,20 +1,35 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useTeam } from '../contexts/TeamContext';
 import { 
   Users, 
   BarChart3, 
   LogOut, 
   Menu, 
   X, 
-  User
+  User,
+  Shield,
+  ShieldCheck,
+  Key,
+  Briefcase,
+  Lock,
+  Trash2,
+  SlidersHorizontal,
+  GitBranch,
+  Columns,
+  TrendingUp,
+  LineChart,
+  Filter,
+  Award
 } from 'lucide-react';
 import './Navbar.css';
 
 const Navbar = () => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [isProfileOpen, setIsProfileOpen] = useState(false);
-  const { user, logout } = useAuth();
+  const { user, logout, can } = useAuth();
+  const { teams, activeTeamId, selectTeam } = useTeam();
   const navigate = useNavigate();
 
   const handleLogout = () => {
@@ -28,7 +43,34 @@ const Navbar = () => {
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: BarChart3 },
     { name: 'Customers', href: '/customers', icon: Users },
-  ];
+    { name: 'Leads', href: '/leads', icon: TrendingUp, permission: 'leads:read' },
+    { name: 'Board', href: '/board', icon: Columns, permission: 'leads:read' },
+    { name: 'Reports', href: '/reports', icon: LineChart, permission: 'leads:read' },
+    { name: 'Analytics', href: '/analytics', icon: Filter, permission: 'leads:read' },
+    { name: 'Leaderboard', href: '/leaderboard', icon: Award, permission: 'stats:leaderboard' },
+    { name: 'Teams', href: '/teams', icon: Briefcase },
+    { name: 'Users', href: '/users', icon: Shield, permission: 'users:manage' },
+    { name: 'Roles', href: '/roles', icon: Lock, permission: 'roles:manage' },
+    { name: 'Fields', href: '/custom-fields', icon: SlidersHorizontal, permission: 'fields:manage' },
+    { name: 'Pipelines', href: '/pipelines', icon: GitBranch, permission: 'pipelines:manage' },
+    { name: 'Trash', href: '/trash', icon: Trash2, permission: ['customers:delete', 'leads:delete'] },
+  ].filter((item) => !item.permission || can(item.permission));
+
+  const teamSwitcher = (className) => (
+    <select
+      className={className}
+      value={activeTeamId || ''}
+      onChange={(e) => selectTeam(e.target.value || null)}
+      title="Active team"
+    >
+      <option value="">All my teams</option>
+      {teams.map((team) => (
+        <option key={team._id} value={team._id}>
+          {team.name}
+        </option>
+      ))}
+    </select>
+  );
 
   return (
     <nav className="navbar">
@@ -53,6 +95,7 @@ const Navbar = () => {
 
         {/* Profile dropdown */}
         <div className="profile-section">
+          {teamSwitcher('team-switcher')}
           <button className="profile-btn" onClick={toggleProfile}>
             <div className="profile-avatar">
               <User className="profile-avatar-icon" />
@@ -67,6 +110,30 @@ const Navbar = () => {
                 <div className="email">{user?.email}</div>
                 <div className="role">{user?.role}</div>
               </div>
+              <Link
+                to="/profile"
+                className="logout-btn"
+                onClick={() => setIsProfileOpen(false)}
+              >
+                <User className="logout-icon" />
+                Profile
+              </Link>
+              <Link
+                to="/security"
+                className="logout-btn"
+                onClick={() => setIsProfileOpen(false)}
+              >
+                <ShieldCheck className="logout-icon" />
+                Security
+              </Link>
+              <Link
+                to="/api-keys"
+                className="logout-btn"
+                onClick={() => setIsProfileOpen(false)}
+              >
+                <Key className="logout-icon" />
+                API Keys
+              </Link>
               <button onClick={handleLogout} className="logout-btn">
                 <LogOut className="logout-icon" />
                 Sign out
@@ -100,6 +167,7 @@ const Navbar = () => {
               </Link>
             );
           })}
+          {teamSwitcher('team-switcher mobile-team-switcher')}
           <div className="mobile-profile">
             <div className="profile-avatar">
               <User className="profile-avatar-icon" />
@@ -109,6 +177,30 @@ const Navbar = () => {
               <div className="email">{user?.email}</div>
               <div className="role">{user?.role}</div>
             </div>
+            <Link
+              to="/profile"
+              className="mobile-logout-btn"
+              onClick={() => setIsMenuOpen(false)}
+            >
+              <User className="logout-icon" />
+              Profile
+            </Link>
+            <Link
+              to="/security"
+              className="mobile-logout-btn"
+              onClick={() => setIsMenuOpen(false)}
+            >
+              <ShieldCheck className="logout-icon" />
+              Security
+            </Link>
+            <Link
+              to="/api-keys"
+              className="mobile-logout-btn"
+              onClick={() => setIsMenuOpen(false)}
+            >
+              <Key className="logout-icon" />
+              API Keys
+            </Link>
             <button onClick={handleLogout} className="mobile-logout-btn">
               <LogOut className="logout-icon" />
               Sign out
@@ -0,0 +1,45 @@
+import React, { useState, useEffect } from 'react';
+import { pipelinesAPI } from '../services/api';
+
+// Every pipeline with its stages, the default pipeline first
+export const usePipelines = () => {
+  const [pipelines, setPipelines] = useState([]);
+
+  useEffect(() => {
+    pipelinesAPI.getPipelines()
+      .then((response) => setPipelines(response.data.data.pipelines))
+      .catch(() => setPipelines([]));
+  }, []);
+
+  return pipelines;
+};
+
+// The pipeline and stage a lead is in; leads not yet migrated are matched by status
+export const stageOf = (pipelines, lead) => {
+  const pipeline = pipelines.find((item) => item._id === lead.pipelineId) || pipelines[0];
+  if (!pipeline) {
+    return { pipeline: null, stage: null };
+  }
+  const stage = pipeline.stages.find((item) => item._id === lead.stageId) ||
+    pipeline.stages.find((item) => item.name.toLowerCase() === (lead.status || '').toLowerCase()) ||
+    null;
+  return { pipeline, stage };
+};
+
+// Whether the pipeline's rules let a lead in stage from move to stage to
+export const canMoveTo = (from, to) =>
+  !from || from._id === to._id || !from.nextStages?.length || from.nextStages.includes(to._id);
+
+// The lead's stage in the stage color
+const StageBadge = ({ pipelines, lead }) => {
+  const { stage } = stageOf(pipelines, lead);
+  const color = stage ? stage.color : '#6b7280';
+
+  return (
+    <span className="status-badge" style={{ backgroundColor: `${color}22`, color }}>
+      {lead.status}
+    </span>
+  );
+};
+
+export default StageBadge;
@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+
+// Free-form tags with suggestions; fetchSuggestions(q) returns the tags API response
+const TagInput = ({ value = [], onChange, fetchSuggestions, placeholder = 'Add a tag' }) => {
+  const [input, setInput] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [focused, setFocused] = useState(false);
+
+  // Wait for a pause in typing before asking for suggestions
+  useEffect(() => {
+    if (!focused) {
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      fetchSuggestions(input.trim().toLowerCase())
+        .then((response) => setSuggestions(response.data.data.tags))
+        .catch(() => setSuggestions([]));
+    }, 200);
+    return () => clearTimeout(timer);
+  }, [input, focused, fetchSuggestions]);
+
+  const addTag = (tag) => {
+    const normalized = tag.trim().toLowerCase();
+    if (normalized && !value.includes(normalized)) {
+      onChange([...value, normalized]);
+    }
+    setInput('');
+  };
+
+  const removeTag = (tag) => {
+    onChange(value.filter((item) => item !== tag));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(input);
+    } else if (e.key === 'Backspace' && !input && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  const available = suggestions.filter(({ tag }) => !value.includes(tag));
+
+  return (
+    <div className="tag-input">
+      {value.length > 0 && (
+        <div className="tag-list mb-2">
+          {value.map((tag) => (
+            <span key={tag} className="tag">
+              {tag}
+              <button type="button" onClick={() => removeTag(tag)} title={`Remove ${tag}`}>
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <input
+        type="text"
+        className="form-input"
+        placeholder={placeholder}
+        value={input}
+        maxLength={30}
+        onChange={(e) => setInput(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setFocused(true)}
+        onBlur={() => {
+          setFocused(false);
+          addTag(input);
+        }}
+      />
+      {focused && available.length > 0 && (
+        <div className="tag-suggestions">
+          {available.map(({ tag, count }) => (
+            // Keep focus in the input so the list stays open while clicking
+            <button type="button" key={tag} onMouseDown={(e) => e.preventDefault()} onClick={() => addTag(tag)}>
+              <span>{tag}</span>
+              <span className="text-gray-400">{count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
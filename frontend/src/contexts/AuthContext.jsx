@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import { authAPI, setAuthTokens, clearAuthTokens, setActiveTeamId } from '../services/api';
 
 const AuthContext = createContext();
 
@@ -26,7 +26,7 @@ export const AuthProvider = ({ children }) => {
         })
         .catch(error => {
           console.error('Auth check failed:', error);
-          localStorage.removeItem('token');
+          clearAuthTokens();
         })
         .finally(() => setLoading(false));
     } else {
@@ -34,14 +34,32 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  // Store tokens and sign the user in
+  const startSession = ({ user, token, refreshToken }) => {
+    setAuthTokens({ token, refreshToken });
+    setUser(user);
+  };
+
+  // Re-fetch the signed-in user after their account changes
+  const refreshProfile = async () => {
+    authAPI.clearProfileCache();
+    const response = await authAPI.getProfile();
+    setUser(response.data.data.user);
+  };
+
   const login = async (email, password) => {
     try {
       const response = await authAPI.login(email, password);
       if (response.data.success) {
-        const { user, token } = response.data.data; // ✅ fixed
-        localStorage.setItem('token', token);
-        setUser(user);
-        return { success: true, user };
+        const { twoFactorRequired, challengeToken, twoFactorSetupRequired } = response.data.data;
+
+        // The caller collects the authenticator code and calls verifyTwoFactor
+        if (twoFactorRequired) {
+          return { success: true, twoFactorRequired, challengeToken };
+        }
+
+        startSession(response.data.data);
+        return { success: true, user: response.data.data.user, twoFactorSetupRequired };
       }
       return { success: false, error: response.data.error };
     } catch (error) {
@@ -52,14 +70,31 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const register = async (name, email, password, role = 'user') => {
+  const verifyTwoFactor = async (challengeToken, code) => {
     try {
-      const response = await authAPI.register(name, email, password, role);
+      const response = await authAPI.loginTwoFactor(challengeToken, code);
+      startSession(response.data.data);
+      return { success: true, user: response.data.data.user };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Verification failed'
+      };
+    }
+  };
+
+  const register = async (name, email, password) => {
+    try {
+      const response = await authAPI.register(name, email, password);
       if (response.data.success) {
-        const { user, token } = response.data.data; // ✅ fixed
-        localStorage.setItem('token', token);
-        setUser(user);
-        return { success: true, user };
+        // The caller starts the session (when one was issued) after showing
+        // the "check your inbox" step
+        const { user, token, refreshToken } = response.data.data;
+        return {
+          success: true,
+          user,
+          session: token ? { user, token, refreshToken } : null
+        };
       }
       return { success: false, error: response.data.error };
     } catch (error) {
@@ -70,13 +105,57 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
+  const updateProfile = async (profile) => {
+    try {
+      const response = await authAPI.updateProfile(profile);
+      if (response.data.success) {
+        setUser(response.data.data.user);
+        return { success: true, message: response.data.message };
+      }
+      return { success: false, error: response.data.error };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Failed to update profile'
+      };
+    }
+  };
+
+  // Whether the signed-in user's role grants a permission, e.g. 'customers:delete',
+  // or any one of an array of permissions
+  const can = (permission) =>
+    [].concat(permission).some((name) => Boolean(user?.permissions?.includes(name)));
+
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearAuthTokens();
+    authAPI.clearProfileCache();
+    setActiveTeamId(null);
     setUser(null);
+
+    // Revoke the session server-side; local state is already cleared
+    if (refreshToken) {
+      try {
+        await authAPI.logout(refreshToken);
+      } catch (error) {
+        console.error('Logout failed:', error);
+      }
+    }
   };
 
   return (
-    <AuthContext.Provider value={{ user, loading, login, register, logout }}>
+    <AuthContext.Provider value={{
+      user,
+      loading,
+      login,
+      verifyTwoFactor,
+      register,
+      logout,
+      can,
+      startSession,
+      refreshProfile,
+      updateProfile
+    }}>
       {children}
     </AuthContext.Provider>
   );
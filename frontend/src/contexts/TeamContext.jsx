@@ -0,0 +1,64 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { teamsAPI, getActiveTeamId, setActiveTeamId } from '../services/api';
+import { useAuth } from './AuthContext';
+
+const TeamContext = createContext();
+
+export const useTeam = () => {
+  const context = useContext(TeamContext);
+  if (!context) {
+    throw new Error('useTeam must be used within a TeamProvider');
+  }
+  return context;
+};
+
+// The active team is sent with every request as X-Team-Id; null means all teams
+export const TeamProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [teams, setTeams] = useState([]);
+  const [activeTeamId, setActiveTeamIdState] = useState(getActiveTeamId());
+
+  const selectTeam = useCallback((teamId) => {
+    setActiveTeamId(teamId);
+    setActiveTeamIdState(teamId || null);
+  }, []);
+
+  const refreshTeams = useCallback(async () => {
+    try {
+      const response = await teamsAPI.getTeams();
+      const loadedTeams = response.data.data.teams;
+      setTeams(loadedTeams);
+
+      // Forget a team the user no longer belongs to
+      const current = getActiveTeamId();
+      if (current && !loadedTeams.some((team) => team._id === current)) {
+        selectTeam(null);
+      }
+    } catch (error) {
+      console.error('Error fetching teams:', error);
+    }
+  }, [selectTeam]);
+
+  useEffect(() => {
+    if (user) {
+      refreshTeams();
+    } else {
+      setTeams([]);
+      setActiveTeamIdState(null);
+    }
+  }, [user, refreshTeams]);
+
+  const activeTeam = teams.find((team) => team._id === activeTeamId) || null;
+
+  return (
+    <TeamContext.Provider value={{
+      teams,
+      activeTeam,
+      activeTeamId,
+      selectTeam,
+      refreshTeams
+    }}>
+      {children}
+    </TeamContext.Provider>
+  );
+};
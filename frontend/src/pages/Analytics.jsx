@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { customersAPI, statsAPI } from "../services/api";
+import { useTeam } from "../contexts/TeamContext";
+import StageBadge, { usePipelines } from "../components/StageBadge";
+import { FunnelChart, Funnel, LabelList, Tooltip, ResponsiveContainer } from "recharts";
+import toast from "react-hot-toast";
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: "USD",
+    maximumFractionDigits: 0,
+  }).format(amount);
+
+const Analytics = () => {
+  const { activeTeamId } = useTeam();
+  const pipelines = usePipelines();
+  const [funnel, setFunnel] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [owners, setOwners] = useState([]);
+  const [pipelineId, setPipelineId] = useState("");
+  const [ownerId, setOwnerId] = useState("");
+  const [company, setCompany] = useState("");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+
+  const fetchFunnel = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await statsAPI.getFunnel({
+        pipelineId: pipelineId || undefined,
+        ownerId: ownerId || undefined,
+        company: company || undefined,
+        from: fromDate ? new Date(`${fromDate}T00:00:00`).toISOString() : undefined,
+        to: toDate ? new Date(`${toDate}T23:59:59.999`).toISOString() : undefined,
+      });
+      setFunnel(response.data.data);
+    } catch (error) {
+      console.error("Error fetching funnel:", error);
+      toast.error(
+        error.response?.data?.details?.[0]?.message ||
+          error.response?.data?.error ||
+          "Failed to load the funnel"
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, [pipelineId, ownerId, company, fromDate, toDate]);
+
+  // The active team is sent as a header, so reload when it changes
+  useEffect(() => {
+    fetchFunnel();
+  }, [fetchFunnel, activeTeamId]);
+
+  useEffect(() => {
+    customersAPI
+      .getOwners()
+      .then((response) => setOwners(response.data.data.owners))
+      .catch(() => setOwners([]));
+  }, [activeTeamId]);
+
+  const funnelData = (funnel?.stages || []).map((stage) => ({
+    name: stage.status,
+    value: stage.reached,
+    fill: stage.color,
+  }));
+
+  return (
+    <div className="main-content">
+      <div className="page-container">
+        <div className="page-header">
+          <h1 className="page-title">Analytics</h1>
+          <p className="page-subtitle">Where leads move on and where they drop off</p>
+          <br />
+        </div>
+
+        <div className="card">
+          <div className="flex flex-col sm:flex-row gap-4">
+            {pipelines.length > 1 && (
+              <select
+                value={pipelineId || funnel?.pipeline._id || ""}
+                onChange={(e) => setPipelineId(e.target.value)}
+                className="form-select"
+              >
+                {pipelines.map((pipeline) => (
+                  <option key={pipeline._id} value={pipeline._id}>
+                    {pipeline.name}
+                  </option>
+                ))}
+              </select>
+            )}
+            <select
+              value={ownerId}
+              onChange={(e) => setOwnerId(e.target.value)}
+              className="form-select"
+            >
+              <option value="">All Owners</option>
+              {owners.map((owner) => (
+                <option key={owner._id} value={owner._id}>
+                  {owner.name}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              className="form-input"
+              placeholder="Company"
+              value={company}
+              onChange={(e) => setCompany(e.target.value)}
+            />
+            <input
+              type="date"
+              className="form-input"
+              title="Leads created from"
+              value={fromDate}
+              onChange={(e) => setFromDate(e.target.value)}
+            />
+            <input
+              type="date"
+              className="form-input"
+              title="Leads created until"
+              value={toDate}
+              onChange={(e) => setToDate(e.target.value)}
+            />
+          </div>
+        </div>
+
+        {loading && !funnel ? (
+          <div className="loading">
+            <div className="spinner"></div>
+          </div>
+        ) : (
+          funnel && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
+                <div className="card">
+                  <div className="text-sm text-gray-500">Leads</div>
+                  <div className="text-2xl font-bold text-gray-900">{funnel.totalLeads}</div>
+                  <div className="text-sm text-gray-500 mt-1">{funnel.openLeads} still open</div>
+                </div>
+                <div className="card">
+                  <div className="text-sm text-gray-500">Won</div>
+                  <div className="text-2xl font-bold text-gray-900">{funnel.wonLeads}</div>
+                  <div className="text-sm text-gray-500 mt-1">{formatCurrency(funnel.wonValue)}</div>
+                </div>
+                <div className="card">
+                  <div className="text-sm text-gray-500">Win rate</div>
+                  <div className="text-2xl font-bold text-gray-900">{funnel.winRate}%</div>
+                  <div className="text-sm text-gray-500 mt-1">of {funnel.wonLeads + funnel.lostLeads} closed leads</div>
+                </div>
+                <div className="card">
+                  <div className="text-sm text-gray-500">Conversion</div>
+                  <div className="text-2xl font-bold text-gray-900">{funnel.conversionRate}%</div>
+                  <div className="text-sm text-gray-500 mt-1">of all leads won</div>
+                </div>
+              </div>
+
+              {funnel.totalLeads > 0 ? (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div className="card">
+                    <div className="card-header">
+                      <h3 className="card-title">{funnel.pipeline.name} funnel</h3>
+                    </div>
+                    <div style={{ height: 320 }}>
+                      <ResponsiveContainer width="100%" height="100%">
+                        <FunnelChart>
+                          <Tooltip />
+                          <Funnel dataKey="value" data={funnelData} isAnimationActive={false}>
+                            <LabelList position="right" fill="#374151" stroke="none" dataKey="name" />
+                          </Funnel>
+                        </FunnelChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+
+                  <div className="table-container">
+                    <table className="table">
+                      <thead>
+                        <tr>
+                          <th>Stage</th>
+                          <th>Reached</th>
+                          <th>On to next</th>
+                          <th>Avg. days</th>
+                          <th>Lost here</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {funnel.stages.map((stage) => (
+                          <tr key={stage.stageId}>
+                            <td>
+                              <StageBadge pipelines={pipelines} lead={{ pipelineId: funnel.pipeline._id, ...stage }} />
+                            </td>
+                            <td>{stage.reached}</td>
+                            <td>{stage.conversionRate === null ? "—" : `${stage.conversionRate}%`}</td>
+                            <td>{stage.avgDays === null ? "—" : stage.avgDays}</td>
+                            <td>{stage.lost}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              ) : (
+                <div className="card text-center py-12">
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">No leads match these filters</h3>
+                </div>
+              )}
+            </>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Analytics;
@@ -0,0 +1,255 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { apiKeysAPI } from "../services/api";
+import { Key, Plus, Trash2, Copy } from "lucide-react";
+import toast from "react-hot-toast";
+
+const SCOPE_LABELS = {
+  "customers:read": "Read customers",
+  "customers:write": "Create, edit and delete customers",
+  "leads:read": "Read leads",
+  "leads:write": "Create, edit and delete leads",
+};
+
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [label, setLabel] = useState("");
+  const [scopes, setScopes] = useState(["customers:read"]);
+  const [newKey, setNewKey] = useState(null);
+  const [creating, setCreating] = useState(false);
+
+  const fetchApiKeys = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiKeysAPI.getApiKeys();
+      setApiKeys(response.data.data.apiKeys);
+    } catch (error) {
+      console.error("Error fetching API keys:", error);
+      toast.error("Failed to load API keys");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, [fetchApiKeys]);
+
+  const toggleScope = (scope) => {
+    setScopes((current) =>
+      current.includes(scope)
+        ? current.filter((s) => s !== scope)
+        : [...current, scope]
+    );
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (scopes.length === 0) {
+      toast.error("Select at least one scope");
+      return;
+    }
+    try {
+      setCreating(true);
+      const response = await apiKeysAPI.createApiKey(label, scopes);
+      setNewKey(response.data.data.key);
+      setLabel("");
+      toast.success("API key created successfully");
+      fetchApiKeys();
+    } catch (error) {
+      console.error("Error creating API key:", error);
+      toast.error(error.response?.data?.error || "Failed to create API key");
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (
+      window.confirm(
+        `Revoke "${apiKey.label}"? Scripts using this key will stop working.`
+      )
+    ) {
+      try {
+        await apiKeysAPI.revokeApiKey(apiKey._id);
+        toast.success("API key revoked successfully");
+        fetchApiKeys();
+      } catch (error) {
+        console.error("Error revoking API key:", error);
+        toast.error(error.response?.data?.error || "Failed to revoke API key");
+      }
+    }
+  };
+
+  const copyNewKey = () => {
+    navigator.clipboard.writeText(newKey);
+    toast.success("API key copied");
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return "Never";
+    return new Date(dateString).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+  };
+
+  return (
+    <div className="main-content">
+      <div className="page-container">
+        <div className="page-header">
+          <h1 className="page-title">API Keys</h1>
+          <p className="page-subtitle">
+            Personal keys for scripts and integrations. Send them in the{" "}
+            <code>X-API-Key</code> header.
+          </p>
+          <br />
+        </div>
+
+        {/* New key, shown once */}
+        {newKey && (
+          <div className="card mb-6">
+            <div className="card-header">
+              <h3 className="card-title">Your new API key</h3>
+            </div>
+            <p className="text-gray-500">
+              Copy this key now. It will not be shown again.
+            </p>
+            <p>
+              <code>{newKey}</code>
+            </p>
+            <button onClick={copyNewKey} className="btn btn-secondary">
+              <Copy className="h-4 w-4" />
+              Copy key
+            </button>
+          </div>
+        )}
+
+        {/* Create */}
+        <div className="card mb-6">
+          <div className="card-header">
+            <h3 className="card-title">Create a key</h3>
+          </div>
+          <form onSubmit={handleCreate}>
+            <div className="form-group">
+              <label htmlFor="label" className="form-label">
+                Label
+              </label>
+              <input
+                id="label"
+                type="text"
+                required
+                maxLength={100}
+                className="form-input"
+                placeholder="Nightly customer sync"
+                value={label}
+                onChange={(e) => setLabel(e.target.value)}
+              />
+            </div>
+            <div className="form-group">
+              <span className="form-label">Scopes</span>
+              {Object.entries(SCOPE_LABELS).map(([scope, description]) => (
+                <label key={scope} className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                  />
+                  <span>
+                    <code>{scope}</code> – {description}
+                  </span>
+                </label>
+              ))}
+            </div>
+            <button type="submit" className="btn btn-primary" disabled={creating}>
+              <Plus className="h-4 w-4" />
+              Create key
+            </button>
+          </form>
+        </div>
+
+        {/* Keys Table */}
+        <div className="table-container">
+          {loading ? (
+            <div className="loading">
+              <div className="spinner"></div>
+            </div>
+          ) : apiKeys.length > 0 ? (
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Label</th>
+                  <th>Scopes</th>
+                  <th>Created</th>
+                  <th>Last used</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {apiKeys.map((apiKey) => (
+                  <tr key={apiKey._id}>
+                    <td>
+                      <div className="font-medium text-gray-900">{apiKey.label}</div>
+                      <div className="text-sm text-gray-500">
+                        <code>{apiKey.keyPrefix}…</code>
+                      </div>
+                    </td>
+                    <td>
+                      <div className="text-sm text-gray-500">
+                        {apiKey.scopes.join(", ")}
+                      </div>
+                    </td>
+                    <td>
+                      <div className="text-sm text-gray-500">
+                        {formatDate(apiKey.createdAt)}
+                      </div>
+                    </td>
+                    <td>
+                      <div className="text-sm text-gray-500">
+                        {formatDate(apiKey.lastUsedAt)}
+                      </div>
+                    </td>
+                    <td>
+                      <span
+                        className={`status-badge ${
+                          apiKey.revokedAt ? "status-lost" : "status-contacted"
+                        }`}
+                      >
+                        {apiKey.revokedAt ? "Revoked" : "Active"}
+                      </span>
+                    </td>
+                    <td>
+                      {!apiKey.revokedAt && (
+                        <button
+                          onClick={() => handleRevoke(apiKey)}
+                          className="text-red-600 hover:text-red-800"
+                          title="Revoke Key"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="card">
+              <Key className="h-12 w-12 text-gray-400 mx-auto mb-5" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                No API keys
+              </h3>
+              <p className="text-gray-500 mb-5 mt-5">
+                Create a key to use the API from scripts and cron jobs.
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeys;
@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import { Link } from "react-router-dom";
+import { customersAPI, leadsAPI } from "../services/api";
+import { useAuth } from "../contexts/AuthContext";
+import { useTeam } from "../contexts/TeamContext";
+import toast from "react-hot-toast";
+import TagInput from "../components/TagInput";
+import CustomerPicker from "../components/CustomerPicker";
+import { usePipelines, canMoveTo } from "../components/StageBadge";
+
+const PAGE_SIZE = 20;
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: "USD",
+    maximumFractionDigits: 0,
+  }).format(amount);
+
+const Board = () => {
+  const { can } = useAuth();
+  const { activeTeamId } = useTeam();
+  const pipelines = usePipelines();
+  const [pipelineId, setPipelineId] = useState("");
+  const [pipeline, setPipeline] = useState(null);
+  const [columns, setColumns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // Columns fetching their next page, by stage id
+  const [loadingMore, setLoadingMore] = useState({});
+  const [owners, setOwners] = useState([]);
+  const [ownerId, setOwnerId] = useState("");
+  const [customer, setCustomer] = useState(null);
+  const [filterTags, setFilterTags] = useState([]);
+  const [draggedLead, setDraggedLead] = useState(null);
+  const [dropStageId, setDropStageId] = useState(null);
+  const canMove = can("leads:update");
+
+  // Filters shared by the board and the column pages
+  const filters = useMemo(
+    () => ({
+      ownerId: ownerId || undefined,
+      customerId: customer?._id,
+      tags: filterTags,
+    }),
+    [ownerId, customer, filterTags]
+  );
+
+  const fetchBoard = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await leadsAPI.getBoard({
+        ...filters,
+        pipelineId: pipelineId || undefined,
+        limit: PAGE_SIZE,
+      });
+      setPipeline(response.data.data.pipeline);
+      setColumns(response.data.data.columns);
+    } catch (error) {
+      console.error("Error fetching lead board:", error);
+      toast.error("Failed to load the lead board");
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, pipelineId]);
+
+  // The active team is sent as a header, so reload when it changes
+  useEffect(() => {
+    fetchBoard();
+  }, [fetchBoard, activeTeamId]);
+
+  useEffect(() => {
+    customersAPI
+      .getOwners()
+      .then((response) => setOwners(response.data.data.owners))
+      .catch(() => setOwners([]));
+  }, [activeTeamId]);
+
+  const updateColumn = (stageId, update) => {
+    setColumns((current) =>
+      current.map((column) => (column.stageId === stageId ? update(column) : column))
+    );
+  };
+
+  const loadMore = async (column) => {
+    if (!column.hasMore || loadingMore[column.stageId]) {
+      return;
+    }
+    try {
+      setLoadingMore((current) => ({ ...current, [column.stageId]: true }));
+      const response = await leadsAPI.getBoardColumn(column.stageId, {
+        ...filters,
+        offset: column.leads.length,
+        limit: PAGE_SIZE,
+      });
+      const { leads, hasMore } = response.data.data;
+      updateColumn(column.stageId, (current) => ({
+        ...current,
+        // Cards moved in meanwhile may show up twice
+        leads: [
+          ...current.leads,
+          ...leads.filter((lead) => !current.leads.some((item) => item._id === lead._id)),
+        ],
+        hasMore,
+      }));
+    } catch (error) {
+      console.error("Error loading leads:", error);
+      toast.error("Failed to load more leads");
+    } finally {
+      setLoadingMore((current) => ({ ...current, [column.stageId]: false }));
+    }
+  };
+
+  // Columns load their next page when scrolled near the bottom
+  const handleScroll = (e, column) => {
+    const { scrollTop, clientHeight, scrollHeight } = e.currentTarget;
+    if (scrollTop + clientHeight >= scrollHeight - 100) {
+      loadMore(column);
+    }
+  };
+
+  const handleDrop = async (stageId) => {
+    const lead = draggedLead;
+    setDraggedLead(null);
+    setDropStageId(null);
+    if (!lead || lead.stageId === stageId) {
+      return;
+    }
+
+    const stage = pipeline.stages.find((item) => item._id === stageId);
+    const from = pipeline.stages.find((item) => item._id === lead.stageId);
+    if (!canMoveTo(from, stage)) {
+      toast.error(`Leads in "${from.name}" cannot move to "${stage.name}"`);
+      return;
+    }
+    let reason;
+    if (stage.requiresReason) {
+      reason = window.prompt(`Why is "${lead.title}" moving to ${stage.name}?`);
+      if (!reason?.trim()) {
+        return;
+      }
+    }
+    const moved = { ...lead, stageId, status: stage.name };
+    const value = lead.value || 0;
+
+    // Move the card straight away and put it back if saving fails
+    updateColumn(lead.stageId, (column) => ({
+      ...column,
+      leads: column.leads.filter((item) => item._id !== lead._id),
+      total: column.total - 1,
+      totalValue: column.totalValue - value,
+    }));
+    updateColumn(stageId, (column) => ({
+      ...column,
+      leads: [moved, ...column.leads],
+      total: column.total + 1,
+      totalValue: column.totalValue + value,
+    }));
+
+    try {
+      await leadsAPI.updateLead(lead.customerId._id, lead._id, {
+        title: lead.title,
+        description: lead.description || "",
+        value,
+        tags: lead.tags || [],
+        pipelineId: pipeline._id,
+        stageId,
+        reason,
+      });
+    } catch (error) {
+      console.error("Error moving lead:", error);
+      toast.error(error.response?.data?.error || "Failed to move lead");
+      fetchBoard();
+    }
+  };
+
+  if (loading && !pipeline) {
+    return (
+      <div className="main-content">
+        <div className="loading">
+          <div className="spinner"></div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="main-content">
+      <div className="page-container">
+        <div className="page-header">
+          <h1 className="page-title">Lead Board</h1>
+          <p className="page-subtitle">
+            {canMove
+              ? "Drag leads between stages to move them along the pipeline"
+              : "Leads by pipeline stage"}
+          </p>
+          <br />
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          {pipelines.length > 1 && (
+            <select
+              value={pipelineId || pipeline?._id || ""}
+              onChange={(e) => setPipelineId(e.target.value)}
+              className="form-select"
+            >
+              {pipelines.map((item) => (
+                <option key={item._id} value={item._id}>
+                  {item.name}
+                </option>
+              ))}
+            </select>
+          )}
+          <select value={ownerId} onChange={(e) => setOwnerId(e.target.value)} className="form-select">
+            <option value="">All Owners</option>
+            {owners.map((owner) => (
+              <option key={owner._id} value={owner._id}>
+                {owner.name}
+              </option>
+            ))}
+          </select>
+          <CustomerPicker value={customer} onChange={setCustomer} />
+          <TagInput
+            value={filterTags}
+            onChange={setFilterTags}
+            fetchSuggestions={leadsAPI.getTags}
+            placeholder="Filter by tags..."
+          />
+        </div>
+
+        <div className="board">
+          {pipeline?.stages.map((stage) => {
+            const column = columns.find((item) => item.stageId === stage._id);
+            if (!column) {
+              return null;
+            }
+            return (
+              <div
+                key={stage._id}
+                className={`board-column ${dropStageId === stage._id ? "board-column-over" : ""}`}
+                onDragOver={(e) => {
+                  if (draggedLead) {
+                    e.preventDefault();
+                    setDropStageId(stage._id);
+                  }
+                }}
+                onDragLeave={() => setDropStageId(null)}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  handleDrop(stage._id);
+                }}
+              >
+                <div className="board-column-header" style={{ borderTopColor: stage.color }}>
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium text-gray-900">{stage.name}</span>
+                    <span className="text-sm text-gray-500">{column.total}</span>
+                  </div>
+                  <div className="text-sm text-gray-500">{formatCurrency(column.totalValue)}</div>
+                </div>
+                <div className="board-column-body" onScroll={(e) => handleScroll(e, column)}>
+                  {column.leads.map((lead) => (
+                    <div
+                      key={lead._id}
+                      className="board-card"
+                      draggable={canMove}
+                      // Leads saved before pipelines existed have no stageId of their own
+                      onDragStart={() => setDraggedLead({ ...lead, stageId: stage._id })}
+                      onDragEnd={() => {
+                        setDraggedLead(null);
+                        setDropStageId(null);
+                      }}
+                    >
+                      <div className="font-medium text-gray-900">{lead.title}</div>
+                      {lead.customerId && (
+                        <Link
+                          to={`/customers/${lead.customerId._id}`}
+                          className="text-sm text-blue-600 hover:text-blue-800"
+                        >
+                          {lead.customerId.name}
+                        </Link>
+                      )}
+                      <div className="text-sm text-gray-700 mt-1">
+                        {formatCurrency(lead.value || 0)}
+                      </div>
+                      {lead.tags?.length > 0 && (
+                        <div className="tag-list mt-1">
+                          {lead.tags.map((tag) => (
+                            <span key={tag} className="tag">
+                              {tag}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                  {column.hasMore && (
+                    <button
+                      type="button"
+                      onClick={() => loadMore(column)}
+                      className="btn btn-secondary w-full"
+                      disabled={loadingMore[stage._id]}
+                    >
+                      {loadingMore[stage._id] ? "Loading..." : "Load more"}
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Board;
@@ -0,0 +1,361 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { customFieldsAPI } from "../services/api";
+import { Edit, Plus, Trash2 } from "lucide-react";
+import toast from "react-hot-toast";
+
+const TABS = [
+  { entityType: "customer", label: "Customers" },
+  { entityType: "lead", label: "Leads" },
+];
+
+const TYPE_LABELS = {
+  text: "Text",
+  number: "Number",
+  date: "Date",
+  select: "Select",
+  multiselect: "Multi-select",
+};
+
+const EMPTY_FIELD = { label: "", key: "", type: "text", options: "", required: false };
+
+// "Lead source" -> "lead_source"
+const keyFromLabel = (label) =>
+  label
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^[^a-z]+|_+$/g, "")
+    .slice(0, 50);
+
+const hasOptions = (type) => ["select", "multiselect"].includes(type);
+
+const CustomFields = () => {
+  const [entityType, setEntityType] = useState("customer");
+  const [fields, setFields] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  // Field being edited, or null while adding a new one
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_FIELD);
+  const [keyEdited, setKeyEdited] = useState(false);
+
+  const errorMessage = (error, fallback) =>
+    error.response?.data?.details?.[0]?.message || error.response?.data?.error || fallback;
+
+  const fetchFields = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await customFieldsAPI.getFields(entityType);
+      setFields(response.data.data.fields);
+    } catch (error) {
+      console.error("Error fetching custom fields:", error);
+      toast.error("Failed to load custom fields");
+    } finally {
+      setLoading(false);
+    }
+  }, [entityType]);
+
+  useEffect(() => {
+    fetchFields();
+  }, [fetchFields]);
+
+  const resetForm = () => {
+    setEditingId(null);
+    setDraft(EMPTY_FIELD);
+    setKeyEdited(false);
+  };
+
+  const handleTabChange = (type) => {
+    setEntityType(type);
+    resetForm();
+  };
+
+  const handleEdit = (field) => {
+    setEditingId(field._id);
+    setDraft({
+      label: field.label,
+      key: field.key,
+      type: field.type,
+      options: field.options.join("\n"),
+      required: field.required,
+    });
+  };
+
+  const handleLabelChange = (label) => {
+    // The key follows the label until it is edited by hand
+    setDraft((current) => ({
+      ...current,
+      label,
+      key: editingId || keyEdited ? current.key : keyFromLabel(label),
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const options = draft.options
+      .split("\n")
+      .map((option) => option.trim())
+      .filter(Boolean);
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        const editing = fields.find((field) => field._id === editingId);
+        const update = { label: draft.label, required: draft.required };
+        if (hasOptions(draft.type)) {
+          const removed = editing.options.filter((option) => !options.includes(option));
+          if (
+            removed.length > 0 &&
+            !window.confirm(
+              `Remove ${removed.join(", ")}? Customers and leads using these options lose the value.`
+            )
+          ) {
+            return;
+          }
+          update.options = options;
+        }
+        await customFieldsAPI.updateField(editingId, update);
+        toast.success("Custom field updated successfully");
+      } else {
+        const field = {
+          entityType,
+          label: draft.label,
+          key: draft.key,
+          type: draft.type,
+          required: draft.required,
+          order: fields.length,
+        };
+        if (hasOptions(draft.type)) {
+          field.options = options;
+        }
+        await customFieldsAPI.createField(field);
+        toast.success("Custom field created successfully");
+      }
+      resetForm();
+      fetchFields();
+    } catch (error) {
+      console.error("Error saving custom field:", error);
+      toast.error(errorMessage(error, "Failed to save custom field"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (field) => {
+    if (
+      !window.confirm(
+        `Delete the ${field.label} field? Its values are removed from every ${field.entityType}.`
+      )
+    ) {
+      return;
+    }
+    try {
+      await customFieldsAPI.deleteField(field._id);
+      toast.success("Custom field deleted successfully");
+      if (editingId === field._id) {
+        resetForm();
+      }
+      fetchFields();
+    } catch (error) {
+      console.error("Error deleting custom field:", error);
+      toast.error(errorMessage(error, "Failed to delete custom field"));
+    }
+  };
+
+  return (
+    <div className="main-content">
+      <div className="page-container">
+        <div className="page-header">
+          <h1 className="page-title">Custom Fields</h1>
+          <p className="page-subtitle">
+            Extra details to keep on customers and leads
+          </p>
+          <br />
+        </div>
+
+        <div className="flex space-x-2 mb-4">
+          {TABS.map((tab) => (
+            <button
+              key={tab.entityType}
+              onClick={() => handleTabChange(tab.entityType)}
+              className={`btn ${entityType === tab.entityType ? "btn-primary" : "btn-secondary"}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="card md:col-span-2">
+            {loading ? (
+              <div className="loading">
+                <div className="spinner"></div>
+              </div>
+            ) : fields.length > 0 ? (
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Field</th>
+                      <th>Type</th>
+                      <th>Options</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {fields.map((field) => (
+                      <tr key={field._id}>
+                        <td>
+                          <div className="font-medium text-gray-900">
+                            {field.label}
+                            {field.required && " *"}
+                          </div>
+                          <div className="text-sm text-gray-500">
+                            <code>{field.key}</code>
+                          </div>
+                        </td>
+                        <td>{TYPE_LABELS[field.type]}</td>
+                        <td>
+                          <div className="text-sm text-gray-500">
+                            {field.options.join(", ") || "—"}
+                          </div>
+                        </td>
+                        <td>
+                          <div className="flex items-center space-x-2">
+                            <button
+                              onClick={() => handleEdit(field)}
+                              className="text-gray-600 hover:text-gray-800"
+                              title="Edit field"
+                            >
+                              <Edit className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => handleDelete(field)}
+                              className="text-red-600 hover:text-red-800"
+                              title="Delete field"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="text-gray-500">
+                No custom fields for {entityType === "customer" ? "customers" : "leads"} yet.
+              </p>
+            )}
+          </div>
+
+          <div className="card">
+            <form onSubmit={handleSubmit}>
+              <div className="card-header">
+                <h3 className="card-title">{editingId ? "Edit field" : "New field"}</h3>
+              </div>
+              <div className="form-group">
+                <label htmlFor="field-label" className="form-label">
+                  Label
+                </label>
+                <input
+                  id="field-label"
+                  type="text"
+                  required
+                  maxLength={100}
+                  className="form-input"
+                  placeholder="Industry"
+                  value={draft.label}
+                  onChange={(e) => handleLabelChange(e.target.value)}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="field-key" className="form-label">
+                  Key
+                </label>
+                <input
+                  id="field-key"
+                  type="text"
+                  required
+                  maxLength={50}
+                  pattern="[a-z][a-z0-9_]*"
+                  title="Lowercase letters, numbers and underscores"
+                  className="form-input"
+                  placeholder="industry"
+                  value={draft.key}
+                  disabled={Boolean(editingId)}
+                  onChange={(e) => {
+                    setKeyEdited(true);
+                    setDraft({ ...draft, key: e.target.value });
+                  }}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="field-type" className="form-label">
+                  Type
+                </label>
+                <select
+                  id="field-type"
+                  className="form-select"
+                  value={draft.type}
+                  disabled={Boolean(editingId)}
+                  onChange={(e) => setDraft({ ...draft, type: e.target.value })}
+                >
+                  {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {hasOptions(draft.type) && (
+                <div className="form-group">
+                  <label htmlFor="field-options" className="form-label">
+                    Options (one per line)
+                  </label>
+                  <textarea
+                    id="field-options"
+                    rows={4}
+                    required
+                    className="form-input"
+                    value={draft.options}
+                    onChange={(e) => setDraft({ ...draft, options: e.target.value })}
+                  />
+                </div>
+              )}
+              <div className="form-group">
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={draft.required}
+                    onChange={(e) => setDraft({ ...draft, required: e.target.checked })}
+                  />
+                  <span>Required</span>
+                </label>
+              </div>
+              <div className="flex gap-2">
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                  {editingId ? (
+                    saving ? "Saving..." : "Save field"
+                  ) : (
+                    <>
+                      <Plus className="h-4 w-4" />
+                      Add field
+                    </>
+                  )}
+                </button>
+                {editingId && (
+                  <button type="button" onClick={resetForm} className="btn btn-secondary">
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CustomFields;
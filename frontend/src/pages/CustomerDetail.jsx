@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback } from "react";
 import { useParams, Link } from "react-router-dom";
 import { customersAPI, leadsAPI } from "../services/api";
+import { useAuth } from "../contexts/AuthContext";
 import {
   ArrowLeft,
   Edit,
@@ -11,22 +12,37 @@ import {
   Building,
   DollarSign,
   Calendar,
+  Clock,
 } from "lucide-react";
 import toast from "react-hot-toast";
 import LeadModal from "../components/LeadModal";
+import LeadHistoryModal from "../components/LeadHistoryModal";
+import CustomerAuditLog from "../components/CustomerAuditLog";
+import ExportButton from "../components/ExportButton";
+import TagInput from "../components/TagInput";
+import { useCustomFields, formatCustomFieldValue } from "../components/CustomFieldInputs";
+import StageBadge, { usePipelines } from "../components/StageBadge";
 
 const CustomerDetail = () => {
   const { id } = useParams();
+  const { can } = useAuth();
   const [customer, setCustomer] = useState(null);
   const [leads, setLeads] = useState([]);
   const [loading, setLoading] = useState(true);
   const [leadsLoading, setLeadsLoading] = useState(false);
-  const [statusFilter, setStatusFilter] = useState("");
+  const [stageFilter, setStageFilter] = useState("");
+  const [tagFilter, setTagFilter] = useState([]);
+  const customFields = useCustomFields("customer");
+  const pipelines = usePipelines();
+  const isFiltered = Boolean(stageFilter) || tagFilter.length > 0;
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [pagination, setPagination] = useState({});
   const [showLeadModal, setShowLeadModal] = useState(false);
   const [editingLead, setEditingLead] = useState(null);
+  const [historyLead, setHistoryLead] = useState(null);
+  const closeHistory = useCallback(() => setHistoryLead(null), []);
+  const [activeTab, setActiveTab] = useState("leads");
 
   // --- Define fetch functions first ---
   const fetchCustomer = useCallback(async () => {
@@ -45,7 +61,7 @@ const CustomerDetail = () => {
   const fetchLeads = useCallback(async () => {
     try {
       setLeadsLoading(true);
-      const params = { page: currentPage, limit: 10, status: statusFilter };
+      const params = { page: currentPage, limit: 10, stageId: stageFilter || undefined, tags: tagFilter };
       const response = await leadsAPI.getLeads(id, params);
       const { leads, pagination: paginationData } = response.data.data;
       setLeads(leads);
@@ -57,7 +73,7 @@ const CustomerDetail = () => {
     } finally {
       setLeadsLoading(false);
     }
-  }, [id, currentPage, statusFilter]);
+  }, [id, currentPage, stageFilter, tagFilter]);
 
   // --- Now useEffect can safely call them ---
   useEffect(() => {
@@ -71,10 +87,10 @@ const CustomerDetail = () => {
   }, [customer, fetchLeads]);
 
   const handleDeleteLead = async (leadId) => {
-    if (window.confirm("Are you sure you want to delete this lead?")) {
+    if (window.confirm("Move this lead to the trash?")) {
       try {
         await leadsAPI.deleteLead(id, leadId);
-        toast.success("Lead deleted successfully");
+        toast.success("Lead moved to the trash");
         fetchLeads();
       } catch (error) {
         console.error("Error deleting lead:", error);
@@ -98,21 +114,6 @@ const CustomerDetail = () => {
     handleModalClose();
   };
 
-  const getStatusBadgeClass = (status) => {
-    switch (status) {
-      case "New":
-        return "status-new";
-      case "Contacted":
-        return "status-contacted";
-      case "Converted":
-        return "status-converted";
-      case "Lost":
-        return "status-lost";
-      default:
-        return "status-new";
-    }
-  };
-
   const formatDate = (dateString) =>
     new Date(dateString).toLocaleDateString("en-US", {
       year: "numeric",
@@ -170,12 +171,14 @@ const CustomerDetail = () => {
               <br />
             </div>
           </div>
-          <button
-            onClick={() => setShowLeadModal(true)}
-            className="btn btn-primary"
-          >
-            <Plus className="h-4 w-4" /> Add Lead
-          </button>
+          {can("leads:create") && (
+            <button
+              onClick={() => setShowLeadModal(true)}
+              className="btn btn-primary"
+            >
+              <Plus className="h-4 w-4" /> Add Lead
+            </button>
+          )}
         </div>
 
         {/* Customer Info */}
@@ -229,129 +232,205 @@ const CustomerDetail = () => {
                   </span>
                 </div>
               </div>
+              {customFields.map((field) => (
+                <div key={field.key}>
+                  <span className="text-sm font-medium text-gray-500">{field.label} - </span>
+                  <span className="text-gray-900">
+                    {formatCustomFieldValue(field, customer.customFields?.[field.key])}
+                  </span>
+                </div>
+              ))}
+              {customer.tags?.length > 0 && (
+                <div className="tag-list">
+                  {customer.tags.map((tag) => (
+                    <span key={tag} className="tag">
+                      {tag}
+                    </span>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
         </div>
 
-        {/* Leads Section */}
-        <div className="card">
-          <div className="card-header flex flex-col sm:flex-row sm:items-center sm:justify-between">
-            <h3 className="card-title">Leads ({pagination.totalLeads || 0})</h3>
-            <div className="mt-4 sm:mt-0">
-              <select
-                value={statusFilter}
-                onChange={(e) => {
-                  setStatusFilter(e.target.value);
-                  setCurrentPage(1);
-                }}
-                className="form-select"
+        {can("audit:read") && (
+          <div className="flex space-x-2 mb-4">
+            {["leads", "audit"].map((tab) => (
+              <button
+                key={tab}
+                onClick={() => setActiveTab(tab)}
+                className={`btn ${activeTab === tab ? "btn-primary" : "btn-secondary"}`}
               >
-                <option value="">All Statuses</option>
-                <option value="New">New</option>
-                <option value="Contacted">Contacted</option>
-                <option value="Converted">Converted</option>
-                <option value="Lost">Lost</option>
-              </select>
-            </div>
+                {tab === "leads" ? "Leads" : "Audit log"}
+              </button>
+            ))}
           </div>
+        )}
 
-          {leadsLoading ? (
-            <div className="loading py-8">
-              <div className="spinner"></div>
-            </div>
-          ) : leads.length > 0 ? (
-            <div className="table-container">
-              <table className="table">
-                <thead>
-                  <tr>
-                    <th>Title</th>
-                    <th>Status</th>
-                    <th>Value</th>
-                    <th>Created</th>
-                    <th>Actions</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {leads.map((lead) => (
-                    <tr key={lead._id}>
-                      <td>
-                        <div>
-                          <div className="font-medium text-gray-900">
-                            {lead.title}
-                          </div>
-                          {lead.description && (
-                            <div className="text-sm text-gray-500 truncate max-w-xs">
-                              {lead.description}
-                            </div>
-                          )}
-                        </div>
-                      </td>
-                      <td>
-                        <span
-                          className={`status-badge ${getStatusBadgeClass(
-                            lead.status
-                          )}`}
-                        >
-                          {lead.status}
-                        </span>
-                      </td>
-                      <td>
-                        <div className="flex items-center text-gray-900">
-                          <DollarSign className="h-4 w-4 mr-1" />
-                          {formatCurrency(lead.value || 0)}
-                        </div>
-                      </td>
-                      <td>
-                        <div className="text-sm text-gray-500">
-                          {formatDate(lead.createdAt)}
-                        </div>
-                      </td>
-                      <td>
-                        <div className="flex items-center space-x-2">
-                          <button
-                            onClick={() => handleEditLead(lead)}
-                            className="text-gray-600 hover:text-gray-800"
-                          >
-                            <Edit className="h-4 w-4" />
-                          </button>
-                          <button
-                            onClick={() => handleDeleteLead(lead._id)}
-                            className="text-red-600 hover:text-red-800"
-                          >
-                            <Trash2 className="h-4 w-4" />
-                          </button>
-                        </div>
-                      </td>
-                    </tr>
+        {/* Leads Section */}
+        {activeTab === "leads" ? (
+          <div className="card">
+            <div className="card-header flex flex-col sm:flex-row sm:items-center sm:justify-between">
+              <h3 className="card-title">Leads ({pagination.totalLeads || 0})</h3>
+              <div className="flex gap-2 mt-4 sm:mt-0">
+                {can("leads:export") && (
+                  <ExportButton
+                    name="leads"
+                    onExport={(format) =>
+                      leadsAPI.exportLeads(id, { stageId: stageFilter || undefined, tags: tagFilter, format })
+                    }
+                  />
+                )}
+                <TagInput
+                  value={tagFilter}
+                  onChange={(tags) => {
+                    setTagFilter(tags);
+                    setCurrentPage(1);
+                  }}
+                  fetchSuggestions={leadsAPI.getTags}
+                  placeholder="Filter by tags..."
+                />
+                <select
+                  value={stageFilter}
+                  onChange={(e) => {
+                    setStageFilter(e.target.value);
+                    setCurrentPage(1);
+                  }}
+                  className="form-select"
+                >
+                  <option value="">All Stages</option>
+                  {pipelines.map((pipeline) => (
+                    <optgroup key={pipeline._id} label={pipeline.name}>
+                      {pipeline.stages.map((stage) => (
+                        <option key={stage._id} value={stage._id}>
+                          {stage.name}
+                        </option>
+                      ))}
+                    </optgroup>
                   ))}
-                </tbody>
-              </table>
+                </select>
+              </div>
             </div>
-          ) : (
-            <div className="text-center py-12">
-              <h3 className="text-lg font-medium text-gray-900 mb-2">
-                {statusFilter
-                  ? "No leads found with this status"
-                  : "No leads yet"}
-              </h3>
+
+            {leadsLoading ? (
+              <div className="loading py-8">
+                <div className="spinner"></div>
+              </div>
+            ) : leads.length > 0 ? (
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Title</th>
+                      <th>Stage</th>
+                      <th>Value</th>
+                      <th>Created</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {leads.map((lead) => (
+                      <tr key={lead._id}>
+                        <td>
+                          <div>
+                            <div className="font-medium text-gray-900">
+                              {lead.title}
+                            </div>
+                            {lead.description && (
+                              <div className="text-sm text-gray-500 truncate max-w-xs">
+                                {lead.description}
+                              </div>
+                            )}
+                            {lead.tags?.length > 0 && (
+                              <div className="tag-list mt-1">
+                                {lead.tags.map((tag) => (
+                                  <span key={tag} className="tag">
+                                    {tag}
+                                  </span>
+                                ))}
+                              </div>
+                            )}
+                          </div>
+                        </td>
+                        <td>
+                          <StageBadge pipelines={pipelines} lead={lead} />
+                        </td>
+                        <td>
+                          <div className="flex items-center text-gray-900">
+                            <DollarSign className="h-4 w-4 mr-1" />
+                            {formatCurrency(lead.value || 0)}
+                          </div>
+                        </td>
+                        <td>
+                          <div className="text-sm text-gray-500">
+                            {formatDate(lead.createdAt)}
+                          </div>
+                        </td>
+                        <td>
+                          <div className="flex items-center space-x-2">
+                            <button
+                              onClick={() => setHistoryLead(lead)}
+                              className="text-gray-600 hover:text-gray-800"
+                              title="Stage history"
+                            >
+                              <Clock className="h-4 w-4" />
+                            </button>
+                            {can("leads:update") && (
+                              <button
+                                onClick={() => handleEditLead(lead)}
+                                className="text-gray-600 hover:text-gray-800"
+                              >
+                                <Edit className="h-4 w-4" />
+                              </button>
+                            )}
+                            {can("leads:delete") && (
+                              <button
+                                onClick={() => handleDeleteLead(lead._id)}
+                                className="text-red-600 hover:text-red-800"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="text-center py-12">
+                <h3 className="text-lg font-medium text-gray-900 mb-2">
+                  {isFiltered
+                    ? "No leads match these filters"
+                    : "No leads yet"}
+                </h3>
               
-              <p className="text-gray-500 mb-5 mt-5">
-                {statusFilter
-                  ? "Try selecting a different status filter."
-                  : "Get started by adding your first lead for this customer."}
-              </p>
-              <br />
-              {!statusFilter && (
-                <button
-                  onClick={() => setShowLeadModal(true)}
-                  className="btn btn-primary mt-5"
-                >
-                  <Plus className="h-4 w-4" /> Add Lead
-                </button>
-              )}
+                <p className="text-gray-500 mb-5 mt-5">
+                  {isFiltered
+                    ? "Try a different stage or tag filter."
+                    : "Get started by adding your first lead for this customer."}
+                </p>
+                <br />
+                {!isFiltered && can("leads:create") && (
+                  <button
+                    onClick={() => setShowLeadModal(true)}
+                    className="btn btn-primary mt-5"
+                  >
+                    <Plus className="h-4 w-4" /> Add Lead
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        ) : (
+          <div className="card">
+            <div className="card-header">
+              <h3 className="card-title">Audit log</h3>
             </div>
-          )}
-        </div>
+            <CustomerAuditLog customerId={id} />
+          </div>
+        )}
 
         {/* Lead Modal */}
         {showLeadModal && (
@@ -362,6 +441,10 @@ const CustomerDetail = () => {
             onSuccess={handleModalSuccess}
           />
         )}
+
+        {historyLead && (
+          <LeadHistoryModal customerId={id} lead={historyLead} onClose={closeHistory} />
+        )}
       </div>
     </div>
   );
@@ -1,6 +1,8 @@
-import React, { useState, useEffect, useCallback } from "react";
-import { Link } from "react-router-dom";
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import { Link, useSearchParams } from "react-router-dom";
 import { customersAPI } from "../services/api";
+import { useAuth } from "../contexts/AuthContext";
+import { useTeam } from "../contexts/TeamContext";
 import {
   Plus,
   Search,
@@ -11,19 +13,53 @@ import {
   Phone,
   Building,
   Users,
+  Upload,
+  Copy,
 } from "lucide-react";
 import toast from "react-hot-toast";
 import CustomerModal from "../components/CustomerModal";
+import ImportWizard from "../components/ImportWizard";
+import ExportButton from "../components/ExportButton";
+import TagInput from "../components/TagInput";
+import { useCustomFields } from "../components/CustomFieldInputs";
 
 const Customers = () => {
+  const { can } = useAuth();
+  const { activeTeamId } = useTeam();
   const [customers, setCustomers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState("");
+  const [scope, setScope] = useState("team");
+  // The leaderboard links here with ?ownerId= to show one rep's customers
+  const [searchParams] = useSearchParams();
+  const [ownerId, setOwnerId] = useState(searchParams.get("ownerId") || "");
+  const [owners, setOwners] = useState([]);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [pagination, setPagination] = useState({});
   const [showModal, setShowModal] = useState(false);
   const [editingCustomer, setEditingCustomer] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [filterTags, setFilterTags] = useState([]);
+  const [fieldFilters, setFieldFilters] = useState({});
+  // Select fields can be filtered on from the list
+  const filterableFields = useCustomFields("customer").filter((field) =>
+    ["select", "multiselect"].includes(field.type)
+  );
+
+  // Filters shared by the list and the export
+  const listFilters = useMemo(
+    () => ({
+      q: searchTerm,
+      scope,
+      ownerId: ownerId || undefined,
+      tags: filterTags,
+      customFields: Object.fromEntries(
+        Object.entries(fieldFilters).filter(([, value]) => value)
+      ),
+    }),
+    [searchTerm, scope, ownerId, filterTags, fieldFilters]
+  );
 
   // ✅ Declare fetchCustomers before useEffect
   const fetchCustomers = useCallback(async () => {
@@ -32,7 +68,7 @@ const Customers = () => {
       const params = {
         page: currentPage,
         limit: 10,
-        q: searchTerm,
+        ...listFilters,
       };
 
       const response = await customersAPI.getCustomers(params);
@@ -47,12 +83,20 @@ const Customers = () => {
     } finally {
       setLoading(false);
     }
-  }, [currentPage, searchTerm]);
+  }, [currentPage, listFilters]);
 
   // ✅ useEffect now safely calls fetchCustomers
+  // The active team is sent as a header, so refetch when it changes
   useEffect(() => {
     fetchCustomers();
-  }, [fetchCustomers]);
+  }, [fetchCustomers, activeTeamId]);
+
+  useEffect(() => {
+    customersAPI
+      .getOwners()
+      .then((response) => setOwners(response.data.data.owners))
+      .catch(() => setOwners([]));
+  }, [activeTeamId]);
 
   const handleSearch = (e) => {
     setSearchTerm(e.target.value);
@@ -62,12 +106,12 @@ const Customers = () => {
   const handleDelete = async (customerId) => {
     if (
       window.confirm(
-        "Are you sure you want to delete this customer? This will also delete all associated leads."
+        "Move this customer and all associated leads to the trash? They can be restored from the Trash page."
       )
     ) {
       try {
         await customersAPI.deleteCustomer(customerId);
-        toast.success("Customer deleted successfully");
+        toast.success("Customer moved to the trash");
         fetchCustomers();
       } catch (error) {
         console.error("Error deleting customer:", error);
@@ -123,13 +167,30 @@ const Customers = () => {
               </p>
               <br />
             </div>
-            <button
-              onClick={() => setShowModal(true)}
-              className="btn btn-primary mt-4 sm:mt-0"
-            >
-              <Plus className="h-4 w-4" />
-              Add Customer
-            </button>
+            <div className="flex gap-2 mt-4 sm:mt-0">
+              <Link to="/customers/duplicates" className="btn btn-secondary">
+                <Copy className="h-4 w-4" />
+                Duplicates
+              </Link>
+              {can("customers:create") && (
+                <>
+                  <button
+                    onClick={() => setShowImport(true)}
+                    className="btn btn-secondary"
+                  >
+                    <Upload className="h-4 w-4" />
+                    Import
+                  </button>
+                  <button
+                    onClick={() => setShowModal(true)}
+                    className="btn btn-primary"
+                  >
+                    <Plus className="h-4 w-4" />
+                    Add Customer
+                  </button>
+                </>
+              )}
+            </div>
           </div>
         </div>
 
@@ -148,6 +209,40 @@ const Customers = () => {
                 />
               </div>
             </div>
+            <select
+              value={scope}
+              onChange={(e) => {
+                setScope(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="form-select"
+            >
+              <option value="team">Team customers</option>
+              <option value="mine">My customers</option>
+            </select>
+            <select
+              value={ownerId}
+              onChange={(e) => {
+                setOwnerId(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="form-select"
+            >
+              <option value="">All Owners</option>
+              {owners.map((owner) => (
+                <option key={owner._id} value={owner._id}>
+                  {owner.name}
+                </option>
+              ))}
+            </select>
+            {can("leads:export") && (
+              <ExportButton
+                name="customers"
+                onExport={(format) =>
+                  customersAPI.exportCustomers({ ...listFilters, format })
+                }
+              />
+            )}
             <div
               className="text-sm text-gray-500 flex items-center"
               style={{ marginTop: "10px" }}
@@ -155,6 +250,38 @@ const Customers = () => {
               {pagination.totalCustomers || 0} customers found
             </div>
           </div>
+          <div className="flex flex-col sm:flex-row gap-4 mt-4">
+            <div className="flex-1">
+              <TagInput
+                value={filterTags}
+                onChange={(tags) => {
+                  setFilterTags(tags);
+                  setCurrentPage(1);
+                }}
+                fetchSuggestions={customersAPI.getTags}
+                placeholder="Filter by tags..."
+              />
+            </div>
+            {filterableFields.map((field) => (
+              <select
+                key={field.key}
+                value={fieldFilters[field.key] || ""}
+                onChange={(e) => {
+                  setFieldFilters((prev) => ({ ...prev, [field.key]: e.target.value }));
+                  setCurrentPage(1);
+                }}
+                className="form-select"
+                title={field.label}
+              >
+                <option value="">Any {field.label.toLowerCase()}</option>
+                {field.options.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            ))}
+          </div>
         </div>
 
         {/* Customers Table */}
@@ -166,6 +293,7 @@ const Customers = () => {
                   <th>Customer</th>
                   <th>Contact</th>
                   <th>Company</th>
+                  <th>Owner</th>
                   <th>Leads</th>
                   <th>Created</th>
                   <th>Actions</th>
@@ -182,6 +310,15 @@ const Customers = () => {
                         <div className="text-sm text-gray-500">
                           ID: {customer._id.slice(-8)}
                         </div>
+                        {customer.tags?.length > 0 && (
+                          <div className="tag-list mt-1">
+                            {customer.tags.map((tag) => (
+                              <span key={tag} className="tag">
+                                {tag}
+                              </span>
+                            ))}
+                          </div>
+                        )}
                       </div>
                     </td>
                     <td>
@@ -208,6 +345,18 @@ const Customers = () => {
                         <span className="text-gray-400">-</span>
                       )}
                     </td>
+                    <td>
+                      <div className="text-sm text-gray-600">
+                        {customer.ownerId?.name || (
+                          <span className="text-gray-400">Unassigned</span>
+                        )}
+                      </div>
+                      {customer.teamId?.name && (
+                        <div className="text-sm text-gray-500">
+                          {customer.teamId.name}
+                        </div>
+                      )}
+                    </td>
                     <td>
                       <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
                         {customer.leadCount || 0} leads
@@ -228,20 +377,24 @@ const Customers = () => {
                           <Eye className="h-4 w-4" />
                           &nbsp;
                         </Link>
-                        <button
-                          onClick={() => handleEdit(customer)}
-                          className="text-gray-600 hover:text-gray-800"
-                          title="Edit Customer"
-                        >
-                          <Edit className="h-4 w-4" /> &nbsp;
-                        </button>
-                        <button
-                          onClick={() => handleDelete(customer._id)}
-                          className="text-red-600 hover:text-red-800"
-                          title="Delete Customer"
-                        >
-                          <Trash2 className="h-4 w-4" /> &nbsp;
-                        </button>
+                        {can("customers:update") && (
+                          <button
+                            onClick={() => handleEdit(customer)}
+                            className="text-gray-600 hover:text-gray-800"
+                            title="Edit Customer"
+                          >
+                            <Edit className="h-4 w-4" /> &nbsp;
+                          </button>
+                        )}
+                        {can("customers:delete") && (
+                          <button
+                            onClick={() => handleDelete(customer._id)}
+                            className="text-red-600 hover:text-red-800"
+                            title="Delete Customer"
+                          >
+                            <Trash2 className="h-4 w-4" /> &nbsp;
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -263,7 +416,7 @@ const Customers = () => {
                     : "Get started by adding your first customer."}
                 </p>
                 <br />
-                {!searchTerm && (
+                {!searchTerm && can("customers:create") && (
                   <button
                     onClick={() => setShowModal(true)}
                     className="btn btn-primary"
@@ -322,6 +475,17 @@ const Customers = () => {
             onSuccess={handleModalSuccess}
           />
         )}
+
+        {/* Import Wizard */}
+        {showImport && (
+          <ImportWizard
+            onClose={() => setShowImport(false)}
+            onSuccess={() => {
+              setShowImport(false);
+              fetchCustomers();
+            }}
+          />
+        )}
       </div>
     </div>
   );
@@ -1,10 +1,12 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
-import { customersAPI } from '../services/api';
+import { customersAPI, statsAPI } from '../services/api';
+import { useTeam } from '../contexts/TeamContext';
 import { 
   Users, 
   TrendingUp, 
   DollarSign, 
+  Percent,
   Eye,
   Plus,
   Search
@@ -14,80 +16,52 @@ import toast from 'react-hot-toast';
 import './Dashboard.css';
 
 const Dashboard = () => {
+  const { activeTeamId } = useTeam();
   const [stats, setStats] = useState({
     totalCustomers: 0,
     totalLeads: 0,
-    totalValue: 0,
-    convertedLeads: 0
+    pipelineValue: 0,
+    weightedPipelineValue: 0,
+    wonLeads: 0,
+    conversionRate: 0
   });
   const [recentCustomers, setRecentCustomers] = useState([]);
   const [leadStatusData, setLeadStatusData] = useState([]);
   const [loading, setLoading] = useState(true);
 
-
-  useEffect(() => {
-    fetchDashboardData();
-  }, []);
-
-  const fetchDashboardData = async () => {
+  const fetchDashboardData = useCallback(async () => {
     try {
       setLoading(true);
-      
-      // Fetch customers with pagination to get recent ones
-      const customersResponse = await customersAPI.getCustomers({ page: 1, limit: 5 });
-      const customers = customersResponse.data.data.customers;
-      
-      setRecentCustomers(customers);
-      
-      // Calculate stats from customers data
-      let totalLeads = 0;
-      let totalValue = 0;
-      let convertedLeads = 0;
-      const statusCounts = { New: 0, Contacted: 0, Converted: 0, Lost: 0 };
-      
-      // For each customer, fetch their leads to calculate stats
-      for (const customer of customers) {
-        try {
-          const leadsResponse = await customersAPI.getCustomer(customer._id);
-          const leads = leadsResponse.data.data.leads;
-          
-          totalLeads += leads.length;
-          
-          leads.forEach(lead => {
-            const leadValue = lead.value || 0;
-            totalValue += leadValue;
-            statusCounts[lead.status]++;
-            if (lead.status === 'Converted') {
-              convertedLeads++;
-            }
-          });
-        } catch (error) {
-          console.error(`Error fetching leads for customer ${customer._id}:`, error);
-        }
-      }
-      
-      setStats({
-        totalCustomers: customers.length,
-        totalLeads,
-        totalValue,
-        convertedLeads
-      });
-      
-      // Prepare chart data
-      setLeadStatusData([
-        { name: 'New', value: statusCounts.New, color: '#3b82f6' },
-        { name: 'Contacted', value: statusCounts.Contacted, color: '#f59e0b' },
-        { name: 'Converted', value: statusCounts.Converted, color: '#10b981' },
-        { name: 'Lost', value: statusCounts.Lost, color: '#ef4444' }
+
+      // Totals are worked out by the server over every accessible customer
+      const [statsResponse, customersResponse] = await Promise.all([
+        statsAPI.getDashboard(),
+        customersAPI.getCustomers({ page: 1, limit: 5 })
       ]);
-      
+      const dashboard = statsResponse.data.data;
+
+      setStats(dashboard);
+      setRecentCustomers(customersResponse.data.data.customers);
+
+      // Prepare chart data, naming the pipeline when there is more than one
+      const pipelineCount = new Set(dashboard.stages.map((stage) => stage.pipelineId)).size;
+      setLeadStatusData(dashboard.stages.map((stage) => ({
+        name: pipelineCount > 1 && stage.pipelineName ? `${stage.pipelineName}: ${stage.status}` : stage.status,
+        value: stage.count,
+        color: stage.color
+      })));
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
       toast.error('Failed to load dashboard data');
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
+
+  // The active team is sent as a header, so reload when it changes
+  useEffect(() => {
+    fetchDashboardData();
+  }, [fetchDashboardData, activeTeamId]);
 
   const StatCard = ({ title, value, icon: Icon, color = 'blue' }) => (
     <div className={`stat-card stat-card-${color}`}>
@@ -135,15 +109,15 @@ const Dashboard = () => {
           color="green"
         />
         <StatCard
-          title="Total Value"
-          value={`$${stats.totalValue.toLocaleString()}`}
+          title={`Pipeline Value ($${stats.weightedPipelineValue.toLocaleString()} weighted)`}
+          value={`$${stats.pipelineValue.toLocaleString()}`}
           icon={DollarSign}
           color="yellow"
         />
         <StatCard
-          title="Converted Leads"
-          value={stats.convertedLeads}
-          icon={TrendingUp}
+          title={`Conversion Rate (${stats.wonLeads} won)`}
+          value={`${stats.conversionRate}%`}
+          icon={Percent}
           color="purple"
         />
       </div>
@@ -198,7 +172,7 @@ const Dashboard = () => {
         {/* Lead Status Chart */}
         <div className="dashboard-card">
           <div className="card-header">
-            <h3 className="card-title">Leads by Status</h3>
+            <h3 className="card-title">Leads by Stage</h3>
           </div>
           
           {stats.totalLeads > 0 ? (
@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { customersAPI } from "../services/api";
+import { useAuth } from "../contexts/AuthContext";
+import { useTeam } from "../contexts/TeamContext";
+import { ArrowLeft, Copy, GitMerge } from "lucide-react";
+import toast from "react-hot-toast";
+
+const REASON_LABELS = {
+  email: "Same email",
+  phone: "Same phone number",
+  nameCompany: "Same name and company",
+};
+
+const FIELDS = [
+  { name: "name", label: "Name" },
+  { name: "email", label: "Email" },
+  { name: "phone", label: "Phone" },
+  { name: "company", label: "Company" },
+];
+
+// One group of likely duplicates: pick the customer to keep and, per field,
+// whose value it should end up with
+const DuplicateGroup = ({ group, canMerge, onMerged }) => {
+  const { customers } = group;
+  const [survivorId, setSurvivorId] = useState(customers[0]._id);
+  const [fields, setFields] = useState({});
+  const [merging, setMerging] = useState(false);
+
+  // Fields without an explicit choice follow the survivor
+  const winnerFor = (field) => fields[field] || survivorId;
+
+  const handleMerge = async () => {
+    const duplicateIds = customers
+      .map((customer) => customer._id)
+      .filter((id) => id !== survivorId);
+    const survivor = customers.find((customer) => customer._id === survivorId);
+
+    if (
+      !window.confirm(
+        `Merge ${duplicateIds.length} customers into ${survivor.name}? Their leads move to ${survivor.name} and the duplicates go to the trash.`
+      )
+    ) {
+      return;
+    }
+
+    setMerging(true);
+    try {
+      const chosen = Object.fromEntries(FIELDS.map(({ name }) => [name, winnerFor(name)]));
+      await customersAPI.mergeCustomers(survivorId, { duplicateIds, fields: chosen });
+      toast.success(`Merged into ${survivor.name}`);
+      onMerged();
+    } catch (error) {
+      console.error("Error merging customers:", error);
+      toast.error(error.response?.data?.error || "Failed to merge customers");
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="card-title">{REASON_LABELS[group.reason]}</h3>
+        {canMerge && (
+          <button onClick={handleMerge} className="btn btn-primary" disabled={merging}>
+            <GitMerge className="h-4 w-4" />
+            {merging ? "Merging..." : "Merge"}
+          </button>
+        )}
+      </div>
+      <div className="table-container">
+        <table className="table">
+          <thead>
+            <tr>
+              {canMerge && <th>Keep</th>}
+              {FIELDS.map((field) => (
+                <th key={field.name}>{field.label}</th>
+              ))}
+              <th>Leads</th>
+            </tr>
+          </thead>
+          <tbody>
+            {customers.map((customer) => (
+              <tr key={customer._id}>
+                {canMerge && (
+                  <td>
+                    <input
+                      type="radio"
+                      name={`survivor-${group.reason}-${customers[0]._id}`}
+                      checked={survivorId === customer._id}
+                      onChange={() => setSurvivorId(customer._id)}
+                    />
+                  </td>
+                )}
+                {FIELDS.map((field) => (
+                  <td key={field.name}>
+                    <label className="flex items-center gap-2">
+                      {canMerge && (
+                        <input
+                          type="radio"
+                          name={`${field.name}-${group.reason}-${customers[0]._id}`}
+                          checked={winnerFor(field.name) === customer._id}
+                          onChange={() =>
+                            setFields((prev) => ({ ...prev, [field.name]: customer._id }))
+                          }
+                        />
+                      )}
+                      {field.name === "name" ? (
+                        <Link to={`/customers/${customer._id}`}>{customer.name}</Link>
+                      ) : (
+                        <span className="text-sm text-gray-500">{customer[field.name] || "—"}</span>
+                      )}
+                    </label>
+                  </td>
+                ))}
+                <td>
+                  <div className="text-sm text-gray-500">{customer.leadCount}</div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const Duplicates = () => {
+  const { can } = useAuth();
+  const { activeTeamId } = useTeam();
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchGroups = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await customersAPI.getDuplicates();
+      setGroups(response.data.data.groups);
+    } catch (error) {
+      console.error("Error fetching duplicates:", error);
+      toast.error("Failed to load possible duplicates");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchGroups();
+  }, [fetchGroups, activeTeamId]);
+
+  const canMerge = can("customers:update") && can("customers:delete");
+
+  return (
+    <div className="main-content">
+      <div className="page-container">
+        <div className="page-header">
+          <Link to="/customers" className="text-sm text-gray-500">
+            <ArrowLeft className="h-4 w-4 inline mr-2" />
+            Back to customers
+          </Link>
+          <h1 className="page-title">Possible Duplicates</h1>
+          <p className="page-subtitle">
+            Customers that share an email, phone number or name and company
+          </p>
+          <br />
+        </div>
+
+        {loading ? (
+          <div className="loading">
+            <div className="spinner"></div>
+          </div>
+        ) : groups.length > 0 ? (
+          groups.map((group) => (
+            <DuplicateGroup
+              key={`${group.reason}-${group.customers.map((customer) => customer._id).join("-")}`}
+              group={group}
+              canMerge={canMerge}
+              onMerged={fetchGroups}
+            />
+          ))
+        ) : (
+          <div className="card">
+            <Copy className="h-12 w-12 text-gray-400 mx-auto mb-5" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">
+              No duplicates found
+            </h3>
+            <p className="text-gray-500 mb-5 mt-5">
+              Customers that look like the same person will show up here.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Duplicates;
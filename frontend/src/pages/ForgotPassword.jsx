@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { Key, Mail } from 'lucide-react';
+import toast from 'react-hot-toast';
+import './Login.css';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await authAPI.forgotPassword(email);
+      setSent(true);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to send reset email');
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <div className="login-icon">
+            <Key className="h-6 w-6" />
+          </div>
+          <h2 className="login-title">
+            Forgot your password?
+          </h2>
+          <p className="login-subtitle">
+            Remembered it?{' '}
+            <Link to="/login" className="login-link">
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+
+        {sent ? (
+          <p className="login-subtitle">
+            If an account exists for <strong>{email}</strong>, we've sent a link to reset
+            your password. Check your inbox.
+          </p>
+        ) : (
+          <form className="login-form" onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label htmlFor="email" className="form-label">
+                Email address
+              </label>
+              <div className="input-container">
+                <Mail className="input-icon" />
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  className="form-input"
+                  placeholder="Enter your email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="login-button"
+            >
+              {loading ? (
+                <>
+                  <div className="loading-spinner"></div>
+                  Sending...
+                </>
+              ) : (
+                'Send reset link'
+              )}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
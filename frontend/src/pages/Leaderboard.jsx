@@ -0,0 +1,173 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { statsAPI } from "../services/api";
+import { useTeam } from "../contexts/TeamContext";
+import { ChevronUp, ChevronDown } from "lucide-react";
+import toast from "react-hot-toast";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD of a date in local time, as date inputs use
+const dateInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000);
+  return local.toISOString().slice(0, 10);
+};
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: "USD",
+    maximumFractionDigits: 0,
+  }).format(amount);
+
+// Sortable columns; numbers sort highest first when first picked
+const COLUMNS = [
+  { key: "name", label: "Owner" },
+  { key: "customersAdded", label: "Customers added" },
+  { key: "leadsCreated", label: "Leads created" },
+  { key: "leadsWon", label: "Won" },
+  { key: "wonValue", label: "Value won", format: formatCurrency },
+  { key: "winRate", label: "Win rate", format: (value) => `${value}%` },
+  { key: "activity", label: "Activity" },
+];
+
+const Leaderboard = () => {
+  const { activeTeamId } = useTeam();
+  const [fromDate, setFromDate] = useState(dateInput(new Date(Date.now() - 30 * DAY_MS)));
+  const [toDate, setToDate] = useState(dateInput(new Date()));
+  const [owners, setOwners] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [sort, setSort] = useState({ key: "wonValue", order: "desc" });
+
+  const fetchLeaderboard = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await statsAPI.getLeaderboard({
+        from: new Date(`${fromDate}T00:00:00`).toISOString(),
+        to: new Date(`${toDate}T23:59:59.999`).toISOString(),
+      });
+      setOwners(response.data.data.owners);
+    } catch (error) {
+      console.error("Error fetching leaderboard:", error);
+      toast.error(
+        error.response?.data?.details?.[0]?.message ||
+          error.response?.data?.error ||
+          "Failed to load the leaderboard"
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, [fromDate, toDate]);
+
+  // The active team is sent as a header, so reload when it changes
+  useEffect(() => {
+    fetchLeaderboard();
+  }, [fetchLeaderboard, activeTeamId]);
+
+  const toggleSort = (key) => {
+    setSort((current) =>
+      current.key === key
+        ? { key, order: current.order === "asc" ? "desc" : "asc" }
+        : { key, order: key === "name" ? "asc" : "desc" }
+    );
+  };
+
+  const sorted = [...owners].sort((a, b) => {
+    const result =
+      sort.key === "name" ? a.name.localeCompare(b.name) : a[sort.key] - b[sort.key];
+    return sort.order === "asc" ? result : -result;
+  });
+
+  return (
+    <div className="main-content">
+      <div className="page-container">
+        <div className="page-header">
+          <h1 className="page-title">Leaderboard</h1>
+          <p className="page-subtitle">How each rep did over the period</p>
+          <br />
+        </div>
+
+        <div className="card">
+          <div className="flex flex-col sm:flex-row gap-4">
+            <input
+              type="date"
+              className="form-input"
+              title="From"
+              value={fromDate}
+              max={toDate}
+              onChange={(e) => setFromDate(e.target.value)}
+            />
+            <input
+              type="date"
+              className="form-input"
+              title="To"
+              value={toDate}
+              min={fromDate}
+              onChange={(e) => setToDate(e.target.value)}
+            />
+          </div>
+        </div>
+
+        {loading && owners.length === 0 ? (
+          <div className="loading">
+            <div className="spinner"></div>
+          </div>
+        ) : owners.length === 0 ? (
+          <div className="card text-center py-12">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No customers have an owner yet</h3>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  {COLUMNS.map((column) => (
+                    <th key={column.key}>
+                      <button
+                        onClick={() => toggleSort(column.key)}
+                        className="flex items-center gap-1"
+                      >
+                        {column.label}
+                        {sort.key === column.key &&
+                          (sort.order === "asc" ? (
+                            <ChevronUp className="h-4 w-4" />
+                          ) : (
+                            <ChevronDown className="h-4 w-4" />
+                          ))}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sorted.map((owner, index) => (
+                  <tr key={owner.ownerId}>
+                    <td className="text-gray-500">{index + 1}</td>
+                    <td>
+                      <Link
+                        to={`/customers?ownerId=${owner.ownerId}`}
+                        className="font-medium text-blue-600 hover:text-blue-800"
+                        title={`${owner.customers} customers in total`}
+                      >
+                        {owner.name}
+                      </Link>
+                      <div className="text-sm text-gray-500">{owner.email}</div>
+                    </td>
+                    {COLUMNS.slice(1).map((column) => (
+                      <td key={column.key}>
+                        {column.format ? column.format(owner[column.key]) : owner[column.key]}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Leaderboard;
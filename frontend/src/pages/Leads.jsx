@@ -0,0 +1,332 @@
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import { Link } from "react-router-dom";
+import { customersAPI, leadsAPI } from "../services/api";
+import { useAuth } from "../contexts/AuthContext";
+import { useTeam } from "../contexts/TeamContext";
+import { ArrowDown, ArrowUp, Search, TrendingUp } from "lucide-react";
+import toast from "react-hot-toast";
+import ExportButton from "../components/ExportButton";
+import CustomerPicker from "../components/CustomerPicker";
+import StageBadge, { usePipelines } from "../components/StageBadge";
+
+// Sortable columns and the field each one sorts by
+const COLUMNS = [
+  { label: "Lead", sort: "title" },
+  { label: "Customer" },
+  { label: "Owner" },
+  { label: "Stage", sort: "status" },
+  { label: "Value", sort: "value" },
+  { label: "Created", sort: "createdAt" },
+];
+
+const Leads = () => {
+  const { can } = useAuth();
+  const { activeTeamId } = useTeam();
+  const pipelines = usePipelines();
+  const [leads, setLeads] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({});
+  const [currentPage, setCurrentPage] = useState(1);
+  const [owners, setOwners] = useState([]);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [stageId, setStageId] = useState("");
+  const [ownerId, setOwnerId] = useState("");
+  const [customer, setCustomer] = useState(null);
+  const [minValue, setMinValue] = useState("");
+  const [maxValue, setMaxValue] = useState("");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const [sort, setSort] = useState({ field: "createdAt", order: "desc" });
+
+  // Filters shared by the list and the export; dates cover whole local days
+  const listFilters = useMemo(
+    () => ({
+      q: searchTerm || undefined,
+      stageId: stageId || undefined,
+      ownerId: ownerId || undefined,
+      customerId: customer?._id,
+      minValue: minValue || undefined,
+      maxValue: maxValue || undefined,
+      from: fromDate ? new Date(`${fromDate}T00:00:00`).toISOString() : undefined,
+      to: toDate ? new Date(`${toDate}T23:59:59.999`).toISOString() : undefined,
+    }),
+    [searchTerm, stageId, ownerId, customer, minValue, maxValue, fromDate, toDate]
+  );
+
+  const fetchLeads = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await leadsAPI.getAllLeads({
+        page: currentPage,
+        limit: 20,
+        sort: sort.field,
+        order: sort.order,
+        ...listFilters,
+      });
+      const { leads, pagination: paginationData } = response.data.data;
+      setLeads(leads);
+      setPagination(paginationData);
+    } catch (error) {
+      console.error("Error fetching leads:", error);
+      toast.error(
+        error.response?.data?.details?.[0]?.message || "Failed to load leads"
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, sort, listFilters]);
+
+  // The active team is sent as a header, so refetch when it changes
+  useEffect(() => {
+    fetchLeads();
+  }, [fetchLeads, activeTeamId]);
+
+  useEffect(() => {
+    customersAPI
+      .getOwners()
+      .then((response) => setOwners(response.data.data.owners))
+      .catch(() => setOwners([]));
+  }, [activeTeamId]);
+
+  // Any filter change starts again from the first page
+  const setFilter = (setter) => (value) => {
+    setter(value);
+    setCurrentPage(1);
+  };
+
+  const handleSort = (field) => {
+    setSort((current) => ({
+      field,
+      order: current.field === field && current.order === "desc" ? "asc" : "desc",
+    }));
+    setCurrentPage(1);
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+
+  const formatCurrency = (amount) =>
+    new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency: "USD",
+    }).format(amount);
+
+  const SortIcon = sort.order === "asc" ? ArrowUp : ArrowDown;
+
+  return (
+    <div className="main-content">
+      <div className="page-container">
+        <div className="page-header">
+          <h1 className="page-title">Leads</h1>
+          <p className="page-subtitle">Every lead across your customers</p>
+          <br />
+        </div>
+
+        <div className="card">
+          <div className="flex flex-col sm:flex-row gap-4">
+            <div className="flex-1">
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                <input
+                  type="text"
+                  placeholder="Search leads by title..."
+                  className="form-input pl-10"
+                  value={searchTerm}
+                  onChange={(e) => setFilter(setSearchTerm)(e.target.value)}
+                />
+              </div>
+            </div>
+            <select
+              value={stageId}
+              onChange={(e) => setFilter(setStageId)(e.target.value)}
+              className="form-select"
+            >
+              <option value="">All Stages</option>
+              {pipelines.map((pipeline) => (
+                <optgroup key={pipeline._id} label={pipeline.name}>
+                  {pipeline.stages.map((stage) => (
+                    <option key={stage._id} value={stage._id}>
+                      {stage.name}
+                    </option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+            <select
+              value={ownerId}
+              onChange={(e) => setFilter(setOwnerId)(e.target.value)}
+              className="form-select"
+            >
+              <option value="">All Owners</option>
+              {owners.map((owner) => (
+                <option key={owner._id} value={owner._id}>
+                  {owner.name}
+                </option>
+              ))}
+            </select>
+            {can("leads:export") && (
+              <ExportButton
+                name="leads"
+                onExport={(format) => leadsAPI.exportAllLeads({ ...listFilters, format })}
+              />
+            )}
+          </div>
+          <div className="flex flex-col sm:flex-row gap-4 mt-4">
+            <div className="flex-1">
+              <CustomerPicker value={customer} onChange={setFilter(setCustomer)} />
+            </div>
+            <input
+              type="number"
+              min="0"
+              placeholder="Min value"
+              className="form-input"
+              value={minValue}
+              onChange={(e) => setFilter(setMinValue)(e.target.value)}
+            />
+            <input
+              type="number"
+              min="0"
+              placeholder="Max value"
+              className="form-input"
+              value={maxValue}
+              onChange={(e) => setFilter(setMaxValue)(e.target.value)}
+            />
+            <input
+              type="date"
+              className="form-input"
+              title="Created from"
+              value={fromDate}
+              onChange={(e) => setFilter(setFromDate)(e.target.value)}
+            />
+            <input
+              type="date"
+              className="form-input"
+              title="Created until"
+              value={toDate}
+              onChange={(e) => setFilter(setToDate)(e.target.value)}
+            />
+          </div>
+          <div className="text-sm text-gray-500 mt-4">
+            {pagination.totalLeads || 0} leads found
+          </div>
+        </div>
+
+        <div className="table-container">
+          {loading && leads.length === 0 ? (
+            <div className="loading py-8">
+              <div className="spinner"></div>
+            </div>
+          ) : leads.length > 0 ? (
+            <table className="table">
+              <thead>
+                <tr>
+                  {COLUMNS.map((column) => (
+                    <th key={column.label}>
+                      {column.sort ? (
+                        <button
+                          type="button"
+                          onClick={() => handleSort(column.sort)}
+                          className="flex items-center gap-1"
+                        >
+                          {column.label}
+                          {sort.field === column.sort && <SortIcon className="h-3 w-3" />}
+                        </button>
+                      ) : (
+                        column.label
+                      )}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {leads.map((lead) => (
+                  <tr key={lead._id}>
+                    <td>
+                      <div className="font-medium text-gray-900">{lead.title}</div>
+                      {lead.tags?.length > 0 && (
+                        <div className="tag-list mt-1">
+                          {lead.tags.map((tag) => (
+                            <span key={tag} className="tag">
+                              {tag}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      {lead.customerId ? (
+                        <Link
+                          to={`/customers/${lead.customerId._id}`}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          {lead.customerId.name}
+                        </Link>
+                      ) : (
+                        <span className="text-gray-400">-</span>
+                      )}
+                      {lead.customerId?.company && (
+                        <div className="text-sm text-gray-500">{lead.customerId.company}</div>
+                      )}
+                    </td>
+                    <td>
+                      <div className="text-sm text-gray-600">
+                        {lead.customerId?.ownerId?.name || (
+                          <span className="text-gray-400">Unassigned</span>
+                        )}
+                      </div>
+                    </td>
+                    <td>
+                      <StageBadge pipelines={pipelines} lead={lead} />
+                    </td>
+                    <td>
+                      <div className="text-gray-900">{formatCurrency(lead.value || 0)}</div>
+                    </td>
+                    <td>
+                      <div className="text-sm text-gray-500">{formatDate(lead.createdAt)}</div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="card text-center py-12">
+              <TrendingUp className="h-12 w-12 text-gray-400 mx-auto mb-5" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">No leads found</h3>
+              <p className="text-gray-500">
+                Try different filters, or add leads from a customer's page.
+              </p>
+            </div>
+          )}
+        </div>
+
+        {pagination.totalPages > 1 && (
+          <div className="pagination">
+            <button
+              onClick={() => setCurrentPage(currentPage - 1)}
+              disabled={!pagination.hasPrevPage}
+              className="btn btn-secondary"
+            >
+              Previous
+            </button>
+            <div className="text-sm text-gray-500">
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </div>
+            <button
+              onClick={() => setCurrentPage(currentPage + 1)}
+              disabled={!pagination.hasNextPage}
+              className="btn btn-secondary"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Leads;
@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { User, Lock, Mail } from 'lucide-react';
+import { authAPI } from '../services/api';
+import { User, Lock, Mail, ShieldCheck } from 'lucide-react';
 import toast from 'react-hot-toast';
 import './Login.css';
 
@@ -11,7 +12,10 @@ const Login = () => {
     password: ''
   });
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const [needsVerification, setNeedsVerification] = useState(false);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -27,16 +31,126 @@ const Login = () => {
 
     const result = await login(formData.email, formData.password);
     
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    } else if (result.success) {
+      toast.success('Login successful!');
+      if (result.twoFactorSetupRequired) {
+        toast.error('Admin accounts must set up two-factor authentication');
+        navigate('/security');
+      } else {
+        navigate('/dashboard');
+      }
+    } else {
+      toast.error(result.error);
+      setNeedsVerification(/verify your email/i.test(result.error));
+    }
+    
+    setLoading(false);
+  };
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    const result = await verifyTwoFactor(challengeToken, code);
+
     if (result.success) {
       toast.success('Login successful!');
       navigate('/dashboard');
     } else {
       toast.error(result.error);
+      // An expired challenge means starting over from the password step
+      if (/sign in again/i.test(result.error)) {
+        setChallengeToken(null);
+        setCode('');
+      }
     }
-    
+
     setLoading(false);
   };
 
+  const handleResend = async () => {
+    try {
+      await authAPI.resendVerification(formData.email);
+      toast.success('Verification email sent');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to resend verification email');
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="login-container">
+        <div className="login-card">
+          <div className="login-header">
+            <div className="login-icon">
+              <ShieldCheck className="h-6 w-6" />
+            </div>
+            <h2 className="login-title">
+              Two-factor authentication
+            </h2>
+            <p className="login-subtitle">
+              Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+            </p>
+          </div>
+
+          <form className="login-form" onSubmit={handleVerifyCode}>
+            <div className="form-group">
+              <label htmlFor="code" className="form-label">
+                Authentication code
+              </label>
+              <div className="input-container">
+                <Lock className="input-icon" />
+                <input
+                  id="code"
+                  name="code"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                  className="form-input"
+                  placeholder="123456"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="login-button"
+            >
+              {loading ? (
+                <>
+                  <div className="loading-spinner"></div>
+                  Verifying...
+                </>
+              ) : (
+                'Verify'
+              )}
+            </button>
+
+            <p className="login-subtitle">
+              <button
+                type="button"
+                onClick={() => {
+                  setChallengeToken(null);
+                  setCode('');
+                }}
+                className="login-link"
+              >
+                Back to sign in
+              </button>
+            </p>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="login-container">
       <div className="login-card">
@@ -96,6 +210,21 @@ const Login = () => {
             </div>
           </div>
 
+          {needsVerification && (
+            <p className="login-subtitle">
+              Your email address is not verified yet.{' '}
+              <button type="button" onClick={handleResend} className="login-link">
+                Resend verification email
+              </button>
+            </p>
+          )}
+
+          <p className="login-subtitle">
+            <Link to="/forgot-password" className="login-link">
+              Forgot your password?
+            </Link>
+          </p>
+
           <button
             type="submit"
             disabled={loading}
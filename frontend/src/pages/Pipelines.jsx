@@ -0,0 +1,444 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { pipelinesAPI } from "../services/api";
+import { ArrowDown, ArrowUp, Plus, Trash2 } from "lucide-react";
+import toast from "react-hot-toast";
+
+const OUTCOME_LABELS = {
+  open: "Open",
+  won: "Won",
+  lost: "Lost",
+};
+
+const NEW_STAGE = {
+  name: "",
+  outcome: "open",
+  probability: 0,
+  color: "#6b7280",
+  requiresReason: false,
+  nextStages: [],
+};
+
+const NEW_PIPELINE = {
+  name: "",
+  isDefault: false,
+  stages: [
+    { ...NEW_STAGE, name: "New", probability: 10, color: "#3b82f6" },
+    { ...NEW_STAGE, name: "Won", outcome: "won", probability: 100, color: "#10b981" },
+    { ...NEW_STAGE, name: "Lost", outcome: "lost", color: "#ef4444", requiresReason: true },
+  ],
+};
+
+// Editable copy of a saved pipeline
+const draftOf = (pipeline) => ({
+  name: pipeline.name,
+  isDefault: pipeline.isDefault,
+  stages: pipeline.stages.map(
+    ({ _id, name, outcome, probability, color, requiresReason, nextStages }) => ({
+      _id,
+      name,
+      outcome,
+      probability,
+      color,
+      requiresReason: Boolean(requiresReason),
+      nextStages: nextStages || [],
+    })
+  ),
+});
+
+const Pipelines = () => {
+  const [pipelines, setPipelines] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  // Pipeline being edited, or null while adding a new one
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(NEW_PIPELINE);
+  // Where the leads of each removed stage go: { removedStageId: keptStageId }
+  const [stageMoves, setStageMoves] = useState({});
+
+  const errorMessage = (error, fallback) =>
+    error.response?.data?.details?.[0]?.message || error.response?.data?.error || fallback;
+
+  const fetchPipelines = useCallback(async (selectId) => {
+    try {
+      setLoading(true);
+      const response = await pipelinesAPI.getPipelines();
+      const { pipelines } = response.data.data;
+      setPipelines(pipelines);
+
+      const selected = pipelines.find((pipeline) => pipeline._id === selectId) || pipelines[0];
+      setSelectedId(selected._id);
+      setDraft(draftOf(selected));
+      setStageMoves({});
+    } catch (error) {
+      console.error("Error fetching pipelines:", error);
+      toast.error("Failed to load pipelines");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPipelines();
+  }, [fetchPipelines]);
+
+  const selected = pipelines.find((pipeline) => pipeline._id === selectedId);
+  const removedStages = selected
+    ? selected.stages.filter((stage) => !draft.stages.some((item) => item._id === stage._id))
+    : [];
+  const keptStages = draft.stages.filter((stage) => stage._id);
+
+  const handleSelect = (pipeline) => {
+    setSelectedId(pipeline._id);
+    setDraft(draftOf(pipeline));
+    setStageMoves({});
+  };
+
+  const handleAdd = () => {
+    setSelectedId(null);
+    setDraft(NEW_PIPELINE);
+    setStageMoves({});
+  };
+
+  const updateStage = (index, changes) => {
+    setDraft((current) => ({
+      ...current,
+      stages: current.stages.map((stage, i) => (i === index ? { ...stage, ...changes } : stage)),
+    }));
+  };
+
+  const moveStage = (index, offset) => {
+    setDraft((current) => {
+      const stages = [...current.stages];
+      const [stage] = stages.splice(index, 1);
+      stages.splice(index + offset, 0, stage);
+      return { ...current, stages };
+    });
+  };
+
+  // Other stages can no longer lead to a removed one
+  const removeStage = (index) => {
+    setDraft((current) => {
+      const removedId = current.stages[index]._id;
+      return {
+        ...current,
+        stages: current.stages
+          .filter((_, i) => i !== index)
+          .map((stage) => ({
+            ...stage,
+            nextStages: stage.nextStages.filter((id) => id !== removedId),
+          })),
+      };
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const stages = draft.stages.map((stage) => ({
+      ...stage,
+      probability: Number(stage.probability) || 0,
+    }));
+
+    try {
+      setSaving(true);
+      if (selectedId) {
+        const update = { name: draft.name, stages };
+        if (draft.isDefault && !selected.isDefault) {
+          update.isDefault = true;
+        }
+        const moves = Object.fromEntries(
+          Object.entries(stageMoves).filter(([, target]) => target)
+        );
+        if (Object.keys(moves).length > 0) {
+          update.stageMoves = moves;
+        }
+        await pipelinesAPI.updatePipeline(selectedId, update);
+        toast.success("Pipeline updated successfully");
+        fetchPipelines(selectedId);
+      } else {
+        // Stages of a new pipeline have no ids to point to yet
+        const response = await pipelinesAPI.createPipeline({
+          ...draft,
+          stages: stages.map(({ nextStages, ...stage }) => stage),
+        });
+        toast.success("Pipeline created successfully");
+        fetchPipelines(response.data.data.pipeline._id);
+      }
+    } catch (error) {
+      console.error("Error saving pipeline:", error);
+      toast.error(errorMessage(error, "Failed to save pipeline"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the ${selected.name} pipeline?`)) {
+      return;
+    }
+    try {
+      await pipelinesAPI.deletePipeline(selected._id);
+      toast.success("Pipeline deleted successfully");
+      fetchPipelines();
+    } catch (error) {
+      console.error("Error deleting pipeline:", error);
+      toast.error(errorMessage(error, "Failed to delete pipeline"));
+    }
+  };
+
+  if (loading && pipelines.length === 0) {
+    return (
+      <div className="main-content">
+        <div className="loading">
+          <div className="spinner"></div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="main-content">
+      <div className="page-container">
+        <div className="page-header">
+          <h1 className="page-title">Pipelines</h1>
+          <p className="page-subtitle">
+            The stages leads move through, from first contact to won or lost
+          </p>
+          <br />
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          {pipelines.map((pipeline) => (
+            <button
+              key={pipeline._id}
+              onClick={() => handleSelect(pipeline)}
+              className={`btn ${selectedId === pipeline._id ? "btn-primary" : "btn-secondary"}`}
+            >
+              {pipeline.name}
+              {pipeline.isDefault && " (default)"}
+            </button>
+          ))}
+          <button
+            onClick={handleAdd}
+            className={`btn ${selectedId === null ? "btn-primary" : "btn-secondary"}`}
+          >
+            <Plus className="h-4 w-4" />
+            New pipeline
+          </button>
+        </div>
+
+        <div className="card">
+          <form onSubmit={handleSubmit}>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div className="form-group">
+                <label htmlFor="pipeline-name" className="form-label">
+                  Name
+                </label>
+                <input
+                  id="pipeline-name"
+                  type="text"
+                  required
+                  minLength={2}
+                  maxLength={100}
+                  className="form-input"
+                  placeholder="Renewals"
+                  value={draft.name}
+                  onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                />
+              </div>
+              <div className="form-group">
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={draft.isDefault}
+                    disabled={Boolean(selected?.isDefault)}
+                    onChange={(e) => setDraft({ ...draft, isDefault: e.target.checked })}
+                  />
+                  <span>New leads go to this pipeline by default</span>
+                </label>
+              </div>
+            </div>
+
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Stage</th>
+                    <th>Outcome</th>
+                    <th title="Weights leads in the stage that have no probability of their own">Default probability (%)</th>
+                    <th>Color</th>
+                    <th>Reason required</th>
+                    <th>Can move to</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {draft.stages.map((stage, index) => (
+                    <tr key={stage._id || index}>
+                      <td>
+                        <input
+                          type="text"
+                          required
+                          maxLength={50}
+                          className="form-input"
+                          value={stage.name}
+                          onChange={(e) => updateStage(index, { name: e.target.value })}
+                        />
+                      </td>
+                      <td>
+                        <select
+                          className="form-select"
+                          value={stage.outcome}
+                          onChange={(e) => updateStage(index, { outcome: e.target.value })}
+                        >
+                          {Object.entries(OUTCOME_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          className="form-input"
+                          value={stage.probability}
+                          onChange={(e) => updateStage(index, { probability: e.target.value })}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="color"
+                          value={stage.color}
+                          onChange={(e) => updateStage(index, { color: e.target.value })}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={stage.requiresReason}
+                          onChange={(e) => updateStage(index, { requiresReason: e.target.checked })}
+                          title="Ask for a reason when a lead moves into this stage"
+                        />
+                      </td>
+                      <td>
+                        {stage._id ? (
+                          <select
+                            multiple
+                            className="form-select"
+                            title="Leave empty to allow any stage"
+                            value={stage.nextStages}
+                            onChange={(e) =>
+                              updateStage(index, {
+                                nextStages: Array.from(e.target.selectedOptions, (option) => option.value),
+                              })
+                            }
+                          >
+                            {keptStages
+                              .filter((kept) => kept._id !== stage._id)
+                              .map((kept) => (
+                                <option key={kept._id} value={kept._id}>
+                                  {kept.name}
+                                </option>
+                              ))}
+                          </select>
+                        ) : (
+                          <span className="text-sm text-gray-400">Any, once saved</span>
+                        )}
+                      </td>
+                      <td>
+                        <div className="flex items-center space-x-2">
+                          <button
+                            type="button"
+                            onClick={() => moveStage(index, -1)}
+                            disabled={index === 0}
+                            className="text-gray-600 hover:text-gray-800"
+                            title="Move up"
+                          >
+                            <ArrowUp className="h-4 w-4" />
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => moveStage(index, 1)}
+                            disabled={index === draft.stages.length - 1}
+                            className="text-gray-600 hover:text-gray-800"
+                            title="Move down"
+                          >
+                            <ArrowDown className="h-4 w-4" />
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => removeStage(index)}
+                            disabled={draft.stages.length === 1}
+                            className="text-red-600 hover:text-red-800"
+                            title="Remove stage"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <button
+              type="button"
+              onClick={() => setDraft({ ...draft, stages: [...draft.stages, NEW_STAGE] })}
+              className="btn btn-secondary mt-4"
+            >
+              <Plus className="h-4 w-4" />
+              Add stage
+            </button>
+
+            {removedStages.length > 0 && (
+              <div className="mt-4">
+                <h3 className="card-title">Removed stages</h3>
+                <p className="text-sm text-gray-500 mb-2">
+                  Leads in a removed stage need a new one.
+                </p>
+                {removedStages.map((stage) => (
+                  <div key={stage._id} className="form-group">
+                    <label htmlFor={`move-${stage._id}`} className="form-label">
+                      Move leads in {stage.name} to
+                    </label>
+                    <select
+                      id={`move-${stage._id}`}
+                      className="form-select"
+                      value={stageMoves[stage._id] || ""}
+                      onChange={(e) => setStageMoves({ ...stageMoves, [stage._id]: e.target.value })}
+                    >
+                      <option value="">—</option>
+                      {keptStages.map((kept) => (
+                        <option key={kept._id} value={kept._id}>
+                          {kept.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="flex gap-2 mt-4">
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                {saving ? "Saving..." : selectedId ? "Save pipeline" : "Create pipeline"}
+              </button>
+              {selected && !selected.isDefault && (
+                <button type="button" onClick={handleDelete} className="btn btn-danger">
+                  <Trash2 className="h-4 w-4" />
+                  Delete pipeline
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Pipelines;
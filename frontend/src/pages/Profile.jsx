@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from "react";
+import { authAPI } from "../services/api";
+import { useAuth } from "../contexts/AuthContext";
+import { User, Lock } from "lucide-react";
+import toast from "react-hot-toast";
+
+const Profile = () => {
+  const { user, updateProfile } = useAuth();
+  const [profile, setProfile] = useState({ name: "", email: "" });
+  const [profilePassword, setProfilePassword] = useState("");
+  const [passwords, setPasswords] = useState({
+    currentPassword: "",
+    newPassword: "",
+    confirmPassword: "",
+  });
+  const [savingProfile, setSavingProfile] = useState(false);
+  const [savingPassword, setSavingPassword] = useState(false);
+
+  useEffect(() => {
+    if (user) {
+      setProfile({ name: user.name, email: user.email });
+    }
+  }, [user]);
+
+  const emailChanged = user && profile.email.trim().toLowerCase() !== user.email;
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    setSavingProfile(true);
+
+    const changes = { name: profile.name };
+    if (emailChanged) {
+      changes.email = profile.email;
+      changes.currentPassword = profilePassword;
+    }
+
+    const result = await updateProfile(changes);
+    if (result.success) {
+      toast.success(result.message);
+      setProfilePassword("");
+    } else {
+      toast.error(result.error);
+    }
+    setSavingProfile(false);
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      toast.error("Passwords do not match");
+      return;
+    }
+
+    try {
+      setSavingPassword(true);
+      await authAPI.changePassword(passwords.currentPassword, passwords.newPassword);
+      toast.success("Password changed. Other sessions have been signed out");
+      setPasswords({ currentPassword: "", newPassword: "", confirmPassword: "" });
+    } catch (error) {
+      console.error("Error changing password:", error);
+      toast.error(error.response?.data?.error || "Failed to change password");
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  const handlePasswordChange = (e) => {
+    setPasswords({ ...passwords, [e.target.name]: e.target.value });
+  };
+
+  return (
+    <div className="main-content">
+      <div className="page-container">
+        <div className="page-header">
+          <h1 className="page-title">Profile</h1>
+          <p className="page-subtitle">Manage your name, email and password</p>
+          <br />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {/* Profile details */}
+          <div className="card">
+            <div className="card-header">
+              <h3 className="card-title">
+                <User className="h-4 w-4 inline mr-2" />
+                Account details
+              </h3>
+            </div>
+            <form onSubmit={handleProfileSubmit}>
+              <div className="form-group">
+                <label htmlFor="name" className="form-label">
+                  Name
+                </label>
+                <input
+                  id="name"
+                  type="text"
+                  required
+                  minLength={2}
+                  maxLength={50}
+                  className="form-input"
+                  value={profile.name}
+                  onChange={(e) => setProfile({ ...profile, name: e.target.value })}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="email" className="form-label">
+                  Email
+                </label>
+                <input
+                  id="email"
+                  type="email"
+                  required
+                  className="form-input"
+                  value={profile.email}
+                  onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+                />
+                {user && !user.emailVerified && !emailChanged && (
+                  <p className="text-sm text-gray-500">This address is not verified yet.</p>
+                )}
+              </div>
+              {emailChanged && (
+                <div className="form-group">
+                  <label htmlFor="profile-password" className="form-label">
+                    Current password
+                  </label>
+                  <input
+                    id="profile-password"
+                    type="password"
+                    autoComplete="current-password"
+                    required
+                    className="form-input"
+                    value={profilePassword}
+                    onChange={(e) => setProfilePassword(e.target.value)}
+                  />
+                  <p className="text-sm text-gray-500">
+                    We will send a verification link to the new address.
+                  </p>
+                </div>
+              )}
+              <button type="submit" className="btn btn-primary" disabled={savingProfile}>
+                Save changes
+              </button>
+            </form>
+          </div>
+
+          {/* Password */}
+          <div className="card">
+            <div className="card-header">
+              <h3 className="card-title">
+                <Lock className="h-4 w-4 inline mr-2" />
+                Change password
+              </h3>
+            </div>
+            <form onSubmit={handlePasswordSubmit}>
+              <div className="form-group">
+                <label htmlFor="currentPassword" className="form-label">
+                  Current password
+                </label>
+                <input
+                  id="currentPassword"
+                  name="currentPassword"
+                  type="password"
+                  autoComplete="current-password"
+                  required
+                  className="form-input"
+                  value={passwords.currentPassword}
+                  onChange={handlePasswordChange}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="newPassword" className="form-label">
+                  New password
+                </label>
+                <input
+                  id="newPassword"
+                  name="newPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  minLength={6}
+                  className="form-input"
+                  value={passwords.newPassword}
+                  onChange={handlePasswordChange}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="confirmPassword" className="form-label">
+                  Confirm new password
+                </label>
+                <input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  minLength={6}
+                  className="form-input"
+                  value={passwords.confirmPassword}
+                  onChange={handlePasswordChange}
+                />
+              </div>
+              <p className="text-sm text-gray-500">
+                Changing your password signs you out on every other device.
+              </p>
+              <button type="submit" className="btn btn-primary" disabled={savingPassword}>
+                Change password
+              </button>
+            </form>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
 import { User, Lock, Mail, UserPlus } from 'lucide-react';
 import toast from 'react-hot-toast';
 import './Register.css';
@@ -10,11 +11,11 @@ const Register = () => {
     name: '',
     email: '',
     password: '',
-    confirmPassword: '',
-    role: 'user'
+    confirmPassword: ''
   });
   const [loading, setLoading] = useState(false);
-  const { register } = useAuth();
+  const [registration, setRegistration] = useState(null);
+  const { register, startSession } = useAuth();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -42,13 +43,12 @@ const Register = () => {
     const result = await register(
       formData.name, 
       formData.email, 
-      formData.password, 
-      formData.role
+      formData.password
     );
     
     if (result.success) {
       toast.success('Registration successful!');
-      navigate('/dashboard');
+      setRegistration(result);
     } else {
       toast.error(result.error);
     }
@@ -56,6 +56,57 @@ const Register = () => {
     setLoading(false);
   };
 
+  const handleResend = async () => {
+    try {
+      await authAPI.resendVerification(registration.user.email);
+      toast.success('Verification email sent');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to resend verification email');
+    }
+  };
+
+  const handleContinue = () => {
+    startSession(registration.session);
+    navigate('/dashboard');
+  };
+
+  if (registration) {
+    return (
+      <div className="register-container">
+        <div className="register-card">
+          <div className="register-header">
+            <div className="register-icon">
+              <Mail className="h-6 w-6" />
+            </div>
+            <h2 className="register-title">
+              Check your inbox
+            </h2>
+            <p className="register-subtitle">
+              We sent a verification link to <strong>{registration.user.email}</strong>.
+              Open it to confirm your email address.
+            </p>
+            <p className="register-subtitle">
+              Didn't get it?{' '}
+              <button type="button" onClick={handleResend} className="register-link">
+                Resend email
+              </button>
+            </p>
+          </div>
+
+          {registration.session ? (
+            <button onClick={handleContinue} className="register-button">
+              Continue to dashboard
+            </button>
+          ) : (
+            <Link to="/login" className="register-button">
+              Back to sign in
+            </Link>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="register-container">
       <div className="register-card">
@@ -115,22 +166,6 @@ const Register = () => {
             </div>
           </div>
           
-          <div className="form-group">
-            <label htmlFor="role" className="form-label">
-              Role
-            </label>
-            <select
-              id="role"
-              name="role"
-              className="form-select"
-              value={formData.role}
-              onChange={handleChange}
-            >
-              <option value="user">User</option>
-              <option value="admin">Admin</option>
-            </select>
-          </div>
-          
           <div className="form-group">
             <label htmlFor="password" className="form-label">
               Password
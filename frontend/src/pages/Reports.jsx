@@ -0,0 +1,331 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { statsAPI } from "../services/api";
+import { useTeam } from "../contexts/TeamContext";
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import toast from "react-hot-toast";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD of a date in local time, as date inputs use
+const dateInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000);
+  return local.toISOString().slice(0, 10);
+};
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: "USD",
+    maximumFractionDigits: 0,
+  }).format(amount);
+
+// Change from the previous period, e.g. "+25% vs previous period"
+const changeLabel = (current, previous) => {
+  if (previous === undefined) {
+    return null;
+  }
+  if (previous === 0) {
+    return current === 0 ? "No change vs previous period" : "New vs previous period";
+  }
+  const change = Math.round(((current - previous) / previous) * 100);
+  return `${change > 0 ? "+" : ""}${change}% vs previous period`;
+};
+
+const SummaryCard = ({ title, value, change }) => (
+  <div className="card">
+    <div className="text-sm text-gray-500">{title}</div>
+    <div className="text-2xl font-bold text-gray-900">{value}</div>
+    {change && <div className="text-sm text-gray-500 mt-1">{change}</div>}
+  </div>
+);
+
+// Open leads by the month or quarter they are expected to close, at full
+// value and weighted by their probability
+const Forecast = ({ activeTeamId }) => {
+  const [unit, setUnit] = useState("month");
+  const [forecast, setForecast] = useState(null);
+
+  useEffect(() => {
+    statsAPI
+      .getForecast({ interval: unit })
+      .then((response) => setForecast(response.data.data))
+      .catch((error) => {
+        console.error("Error fetching forecast:", error);
+        toast.error("Failed to load the forecast");
+      });
+  }, [unit, activeTeamId]);
+
+  return (
+    <div className="card mt-6">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="card-title">Forecast by expected close date</h3>
+        <select
+          value={unit}
+          onChange={(e) => setUnit(e.target.value)}
+          className="form-select"
+          style={{ width: "auto" }}
+        >
+          <option value="month">Monthly</option>
+          <option value="quarter">Quarterly</option>
+        </select>
+      </div>
+      {forecast && (
+        <>
+          <div style={{ height: 300 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={forecast.series}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="period" />
+                <YAxis tickFormatter={formatCurrency} width={90} />
+                <Tooltip formatter={(value) => formatCurrency(value)} />
+                <Legend />
+                <Bar dataKey="value" name="Open value" fill="#93c5fd" />
+                <Bar dataKey="weightedValue" name="Weighted by probability" fill="#3b82f6" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="text-sm text-gray-500 mt-2">
+            {formatCurrency(forecast.totals.weightedValue)} weighted of{" "}
+            {formatCurrency(forecast.totals.value)} expected to close.{" "}
+            {forecast.overdue.leads > 0 &&
+              `${forecast.overdue.leads} open leads (${formatCurrency(forecast.overdue.value)}) are past their close date. `}
+            {forecast.unscheduled.leads > 0 &&
+              `${forecast.unscheduled.leads} open leads (${formatCurrency(forecast.unscheduled.value)}) have no close date. `}
+            {forecast.totals.stageDefaults > 0 &&
+              `${forecast.totals.stageDefaults} scheduled leads have no probability of their own and use their stage's default.`}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const Reports = () => {
+  const { activeTeamId } = useTeam();
+  const [fromDate, setFromDate] = useState(dateInput(new Date(Date.now() - 30 * DAY_MS)));
+  const [toDate, setToDate] = useState(dateInput(new Date()));
+  // Length of each period in the charts: day, week or month
+  const [unit, setUnit] = useState("day");
+  const [compare, setCompare] = useState(true);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await statsAPI.getTrends({
+        interval: unit,
+        compare,
+        // Periods are cut in UTC, so the range is whole UTC days too
+        from: `${fromDate}T00:00:00.000Z`,
+        to: `${toDate}T23:59:59.999Z`,
+      });
+      setReport(response.data.data);
+    } catch (error) {
+      console.error("Error fetching report:", error);
+      toast.error(
+        error.response?.data?.details?.[0]?.message ||
+          error.response?.data?.error ||
+          "Failed to load report"
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, [fromDate, toDate, unit, compare]);
+
+  // The active team is sent as a header, so reload when it changes
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport, activeTeamId]);
+
+  const totals = report?.totals;
+  const previous = report?.previous?.totals;
+
+  // The previous period is lined up with this one period by period
+  const chartData = (report?.series || []).map((item, index) => {
+    const before = report.previous?.series[index];
+    return {
+      ...item,
+      previousCreated: before?.created,
+      previousWinRate: before?.winRate,
+      previousPipelineValue: before?.pipelineValue,
+    };
+  });
+
+  return (
+    <div className="main-content">
+      <div className="page-container">
+        <div className="page-header">
+          <h1 className="page-title">Reports</h1>
+          <p className="page-subtitle">How leads come in and close over time</p>
+          <br />
+        </div>
+
+        <div className="card">
+          <div className="flex flex-col sm:flex-row gap-4 items-center">
+            <input
+              type="date"
+              className="form-input"
+              title="From"
+              value={fromDate}
+              max={toDate}
+              onChange={(e) => setFromDate(e.target.value)}
+            />
+            <input
+              type="date"
+              className="form-input"
+              title="To"
+              value={toDate}
+              min={fromDate}
+              onChange={(e) => setToDate(e.target.value)}
+            />
+            <select
+              value={unit}
+              onChange={(e) => setUnit(e.target.value)}
+              className="form-select"
+            >
+              <option value="day">Daily</option>
+              <option value="week">Weekly</option>
+              <option value="month">Monthly</option>
+            </select>
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={compare}
+                onChange={(e) => setCompare(e.target.checked)}
+              />
+              <span>Compare with the previous period</span>
+            </label>
+          </div>
+        </div>
+
+        {loading && !report ? (
+          <div className="loading">
+            <div className="spinner"></div>
+          </div>
+        ) : (
+          totals && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
+                <SummaryCard
+                  title="Leads created"
+                  value={totals.created}
+                  change={changeLabel(totals.created, previous?.created)}
+                />
+                <SummaryCard
+                  title="Leads won"
+                  value={`${totals.won} (${formatCurrency(totals.wonValue)})`}
+                  change={changeLabel(totals.wonValue, previous?.wonValue)}
+                />
+                <SummaryCard
+                  title="Leads lost"
+                  value={totals.lost}
+                  change={changeLabel(totals.lost, previous?.lost)}
+                />
+                <SummaryCard
+                  title="Win rate"
+                  value={`${totals.winRate}%`}
+                  change={previous ? `${previous.winRate}% in the previous period` : null}
+                />
+              </div>
+
+              <div className="card">
+                <div className="card-header">
+                  <h3 className="card-title">Leads created, won and lost</h3>
+                </div>
+                <div style={{ height: 300 }}>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={chartData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="period" />
+                      <YAxis allowDecimals={false} />
+                      <Tooltip />
+                      <Legend />
+                      <Bar dataKey="created" name="Created" fill="#3b82f6" />
+                      <Bar dataKey="won" name="Won" fill="#10b981" />
+                      <Bar dataKey="lost" name="Lost" fill="#ef4444" />
+                      {report.previous && (
+                        <Bar dataKey="previousCreated" name="Created (previous period)" fill="#93c5fd" />
+                      )}
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
+                <div className="card">
+                  <div className="card-header">
+                    <h3 className="card-title">Open pipeline value</h3>
+                  </div>
+                  <div style={{ height: 300 }}>
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={chartData}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="period" />
+                        <YAxis tickFormatter={formatCurrency} width={90} />
+                        <Tooltip formatter={(value) => formatCurrency(value)} />
+                        <Legend />
+                        <Line type="monotone" dataKey="pipelineValue" name="Pipeline value" stroke="#3b82f6" />
+                        {report.previous && (
+                          <Line
+                            type="monotone"
+                            dataKey="previousPipelineValue"
+                            name="Previous period"
+                            stroke="#9ca3af"
+                            strokeDasharray="5 5"
+                          />
+                        )}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+
+                <div className="card">
+                  <div className="card-header">
+                    <h3 className="card-title">Win rate of closed leads (%)</h3>
+                  </div>
+                  <div style={{ height: 300 }}>
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={chartData}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="period" />
+                        <YAxis domain={[0, 100]} />
+                        <Tooltip formatter={(value) => `${value}%`} />
+                        <Legend />
+                        <Line type="monotone" dataKey="winRate" name="Win rate" stroke="#10b981" />
+                        {report.previous && (
+                          <Line
+                            type="monotone"
+                            dataKey="previousWinRate"
+                            name="Previous period"
+                            stroke="#9ca3af"
+                            strokeDasharray="5 5"
+                          />
+                        )}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+              </div>
+            </>
+          )
+        )}
+
+        <Forecast activeTeamId={activeTeamId} />
+      </div>
+    </div>
+  );
+};
+
+export default Reports;
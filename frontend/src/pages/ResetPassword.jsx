@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { Key, Lock } from 'lucide-react';
+import toast from 'react-hot-toast';
+import './Login.css';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password !== formData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    if (formData.password.length < 6) {
+      toast.error('Password must be at least 6 characters');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await authAPI.resetPassword(token, formData.password);
+      toast.success('Password reset! Please sign in.');
+      navigate('/login');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Password reset failed');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <div className="login-icon">
+            <Key className="h-6 w-6" />
+          </div>
+          <h2 className="login-title">
+            Choose a new password
+          </h2>
+          <p className="login-subtitle">
+            Or{' '}
+            <Link to="/forgot-password" className="login-link">
+              request a new reset link
+            </Link>
+          </p>
+        </div>
+
+        {!token ? (
+          <p className="login-subtitle">
+            This reset link is missing its token. Please use the link from your email.
+          </p>
+        ) : (
+          <form className="login-form" onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label htmlFor="password" className="form-label">
+                New password
+              </label>
+              <div className="input-container">
+                <Lock className="input-icon" />
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  className="form-input"
+                  placeholder="Enter a new password"
+                  value={formData.password}
+                  onChange={handleChange}
+                />
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmPassword" className="form-label">
+                Confirm new password
+              </label>
+              <div className="input-container">
+                <Lock className="input-icon" />
+                <input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  className="form-input"
+                  placeholder="Confirm your new password"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                />
+              </div>
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="login-button"
+            >
+              {loading ? (
+                <>
+                  <div className="loading-spinner"></div>
+                  Resetting...
+                </>
+              ) : (
+                'Reset password'
+              )}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { rolesAPI } from "../services/api";
+import { useAuth } from "../contexts/AuthContext";
+import { Lock, Plus, Trash2 } from "lucide-react";
+import toast from "react-hot-toast";
+
+const Roles = () => {
+  const { refreshProfile } = useAuth();
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [selectedName, setSelectedName] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [newRole, setNewRole] = useState({ name: "", label: "" });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const errorMessage = (error, fallback) =>
+    error.response?.data?.error || fallback;
+
+  const fetchRoles = useCallback(async () => {
+    try {
+      const response = await rolesAPI.getRoles();
+      setRoles(response.data.data.roles);
+      setPermissions(response.data.data.permissions);
+    } catch (error) {
+      console.error("Error fetching roles:", error);
+      toast.error("Failed to load roles");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRoles();
+  }, [fetchRoles]);
+
+  const selectedRole = roles.find((role) => role.name === selectedName) || null;
+
+  // Edit a copy so unsaved changes can be discarded by picking the role again
+  useEffect(() => {
+    setDraft(
+      selectedRole
+        ? {
+            label: selectedRole.label,
+            description: selectedRole.description || "",
+            permissions: selectedRole.permissions,
+          }
+        : null
+    );
+  }, [selectedRole]);
+
+  // Group permissions by resource: customers, leads, teams...
+  const groups = permissions.reduce((acc, permission) => {
+    const [resource] = permission.name.split(":");
+    (acc[resource] = acc[resource] || []).push(permission);
+    return acc;
+  }, {});
+
+  const isAdminRole = selectedRole?.name === "admin";
+
+  const togglePermission = (name) => {
+    setDraft((current) => ({
+      ...current,
+      permissions: current.permissions.includes(name)
+        ? current.permissions.filter((item) => item !== name)
+        : [...current.permissions, name],
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const update = { label: draft.label, description: draft.description };
+      if (!isAdminRole) {
+        update.permissions = draft.permissions;
+      }
+      await rolesAPI.updateRole(selectedRole.name, update);
+      toast.success("Role updated successfully");
+      await fetchRoles();
+      refreshProfile();
+    } catch (error) {
+      console.error("Error updating role:", error);
+      toast.error(errorMessage(error, "Failed to update role"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await rolesAPI.createRole(newRole);
+      toast.success("Role created successfully");
+      setNewRole({ name: "", label: "" });
+      await fetchRoles();
+      setSelectedName(response.data.data.role.name);
+    } catch (error) {
+      console.error("Error creating role:", error);
+      toast.error(errorMessage(error, "Failed to create role"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the ${selectedRole.label} role?`)) {
+      return;
+    }
+    try {
+      await rolesAPI.deleteRole(selectedRole.name);
+      toast.success("Role deleted successfully");
+      setSelectedName(null);
+      fetchRoles();
+    } catch (error) {
+      console.error("Error deleting role:", error);
+      toast.error(errorMessage(error, "Failed to delete role"));
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="main-content">
+      <div className="page-container">
+        <div className="page-header">
+          <h1 className="page-title">Roles</h1>
+          <p className="page-subtitle">
+            Choose what each role is allowed to do
+          </p>
+          <br />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          {/* Role list */}
+          <div className="card">
+            <div className="card-header">
+              <h3 className="card-title">Roles</h3>
+            </div>
+            <ul className="space-y-2">
+              {roles.map((role) => (
+                <li key={role.name}>
+                  <button
+                    onClick={() => setSelectedName(role.name)}
+                    className={`btn ${
+                      role.name === selectedName ? "btn-primary" : "btn-secondary"
+                    } w-full`}
+                  >
+                    <Lock className="h-4 w-4" />
+                    {role.label}
+                    <span className="text-sm"> ({role.userCount} users)</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <br />
+            <form onSubmit={handleCreate}>
+              <div className="form-group">
+                <label htmlFor="role-label" className="form-label">
+                  New role
+                </label>
+                <input
+                  id="role-label"
+                  type="text"
+                  required
+                  minLength={2}
+                  maxLength={50}
+                  className="form-input"
+                  placeholder="Support agent"
+                  value={newRole.label}
+                  onChange={(e) => setNewRole({ ...newRole, label: e.target.value })}
+                />
+              </div>
+              <div className="form-group">
+                <input
+                  type="text"
+                  required
+                  maxLength={50}
+                  pattern="[a-z][a-z0-9_\-]*"
+                  title="Lowercase letters, numbers, dashes and underscores"
+                  className="form-input"
+                  placeholder="support"
+                  value={newRole.name}
+                  onChange={(e) => setNewRole({ ...newRole, name: e.target.value })}
+                />
+              </div>
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                <Plus className="h-4 w-4" />
+                Create role
+              </button>
+            </form>
+          </div>
+
+          {/* Role permissions */}
+          <div className="card md:col-span-2">
+            {selectedRole && draft ? (
+              <form onSubmit={handleSave}>
+                <div className="card-header">
+                  <div className="flex items-center justify-between">
+                    <h3 className="card-title">
+                      {selectedRole.label}{" "}
+                      <span className="text-sm text-gray-500">({selectedRole.name})</span>
+                    </h3>
+                    {!selectedRole.builtIn && (
+                      <button type="button" onClick={handleDelete} className="btn btn-danger">
+                        <Trash2 className="h-4 w-4" />
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="role-edit-label" className="form-label">
+                    Label
+                  </label>
+                  <input
+                    id="role-edit-label"
+                    type="text"
+                    required
+                    minLength={2}
+                    maxLength={50}
+                    className="form-input"
+                    value={draft.label}
+                    onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="role-edit-description" className="form-label">
+                    Description
+                  </label>
+                  <input
+                    id="role-edit-description"
+                    type="text"
+                    maxLength={200}
+                    className="form-input"
+                    value={draft.description}
+                    onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                  />
+                </div>
+
+                {isAdminRole && (
+                  <p className="text-sm text-gray-500">
+                    The admin role always has every permission.
+                  </p>
+                )}
+
+                {Object.entries(groups).map(([resource, items]) => (
+                  <div key={resource} className="form-group">
+                    <label className="form-label" style={{ textTransform: "capitalize" }}>
+                      {resource}
+                    </label>
+                    {items.map((permission) => (
+                      <label key={permission.name} className="flex items-center space-x-2">
+                        <input
+                          type="checkbox"
+                          checked={draft.permissions.includes(permission.name)}
+                          disabled={isAdminRole}
+                          onChange={() => togglePermission(permission.name)}
+                        />
+                        <span>
+                          <code>{permission.name}</code>
+                          <span className="text-sm text-gray-500"> — {permission.description}</span>
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                ))}
+
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                  {saving ? "Saving..." : "Save role"}
+                </button>
+              </form>
+            ) : (
+              <p className="text-gray-500">Select a role to edit its permissions.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Roles;
@@ -0,0 +1,254 @@
+import React, { useState } from "react";
+import { twoFactorAPI } from "../services/api";
+import { useAuth } from "../contexts/AuthContext";
+import { ShieldCheck, ShieldOff, Key, Copy } from "lucide-react";
+import toast from "react-hot-toast";
+
+const Security = () => {
+  const { user, refreshProfile } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [disableCode, setDisableCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const errorMessage = (error, fallback) =>
+    error.response?.data?.error || fallback;
+
+  const handleStartSetup = async () => {
+    try {
+      setLoading(true);
+      const response = await twoFactorAPI.setup();
+      setSetup(response.data.data);
+      setRecoveryCodes(null);
+    } catch (error) {
+      console.error("Error starting 2FA setup:", error);
+      toast.error(errorMessage(error, "Failed to start two-factor setup"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      const response = await twoFactorAPI.enable(code);
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      setSetup(null);
+      setCode("");
+      toast.success("Two-factor authentication enabled");
+      await refreshProfile();
+    } catch (error) {
+      console.error("Error enabling 2FA:", error);
+      toast.error(errorMessage(error, "Failed to enable two-factor authentication"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      const response = await twoFactorAPI.regenerateRecoveryCodes(code);
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      setCode("");
+      toast.success("Recovery codes regenerated");
+    } catch (error) {
+      console.error("Error regenerating recovery codes:", error);
+      toast.error(errorMessage(error, "Failed to regenerate recovery codes"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    if (!window.confirm("Turn off two-factor authentication for your account?")) {
+      return;
+    }
+    try {
+      setLoading(true);
+      await twoFactorAPI.disable(password, disableCode);
+      setRecoveryCodes(null);
+      setDisableCode("");
+      setPassword("");
+      toast.success("Two-factor authentication disabled");
+      await refreshProfile();
+    } catch (error) {
+      console.error("Error disabling 2FA:", error);
+      toast.error(errorMessage(error, "Failed to disable two-factor authentication"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const copyRecoveryCodes = () => {
+    navigator.clipboard.writeText(recoveryCodes.join("\n"));
+    toast.success("Recovery codes copied");
+  };
+
+  const codeInput = (id, value, onChange) => (
+    <div className="form-group">
+      <label htmlFor={id} className="form-label">
+        Authentication code
+      </label>
+      <input
+        id={id}
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        required
+        className="form-input"
+        placeholder="123456"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    </div>
+  );
+
+  return (
+    <div className="main-content">
+      <div className="page-container">
+        <div className="page-header">
+          <h1 className="page-title">Security</h1>
+          <p className="page-subtitle">
+            Protect your account with two-factor authentication
+          </p>
+          <br />
+        </div>
+
+        {/* Status */}
+        <div className="card mb-6">
+          <div className="card-header">
+            <h3 className="card-title">Two-factor authentication</h3>
+          </div>
+          <div className="flex items-center space-x-3">
+            {user?.twoFactorEnabled ? (
+              <>
+                <ShieldCheck className="h-5 w-5 text-green-600" />
+                <span className="status-badge status-converted">Enabled</span>
+              </>
+            ) : (
+              <>
+                <ShieldOff className="h-5 w-5 text-gray-400" />
+                <span className="status-badge status-lost">Disabled</span>
+              </>
+            )}
+          </div>
+          <br />
+          {!user?.twoFactorEnabled && !setup && (
+            <button
+              onClick={handleStartSetup}
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              <ShieldCheck className="h-4 w-4" />
+              Set up two-factor authentication
+            </button>
+          )}
+        </div>
+
+        {/* Enrolment */}
+        {setup && (
+          <div className="card mb-6">
+            <div className="card-header">
+              <h3 className="card-title">Scan the QR code</h3>
+            </div>
+            <p className="text-gray-500">
+              Scan this code with an authenticator app such as Google
+              Authenticator or 1Password, then enter the 6-digit code it shows.
+            </p>
+            <img src={setup.qrCode} alt="Two-factor QR code" width={200} height={200} />
+            <p className="text-sm text-gray-500">
+              Can't scan it? Enter this key manually: <code>{setup.secret}</code>
+            </p>
+            <form onSubmit={handleEnable}>
+              {codeInput("enable-code", code, setCode)}
+              <button type="submit" className="btn btn-primary" disabled={loading}>
+                Verify and enable
+              </button>
+            </form>
+          </div>
+        )}
+
+        {/* Recovery codes, shown once */}
+        {recoveryCodes && (
+          <div className="card mb-6">
+            <div className="card-header">
+              <h3 className="card-title">Recovery codes</h3>
+            </div>
+            <p className="text-gray-500">
+              Save these codes somewhere safe. Each one can be used once to sign in
+              if you lose access to your authenticator app. They will not be shown again.
+            </p>
+            <ul>
+              {recoveryCodes.map((recoveryCode) => (
+                <li key={recoveryCode}>
+                  <code>{recoveryCode}</code>
+                </li>
+              ))}
+            </ul>
+            <button onClick={copyRecoveryCodes} className="btn btn-secondary">
+              <Copy className="h-4 w-4" />
+              Copy codes
+            </button>
+          </div>
+        )}
+
+        {/* Manage enabled 2FA */}
+        {user?.twoFactorEnabled && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="card">
+              <div className="card-header">
+                <h3 className="card-title">
+                  <Key className="h-4 w-4 inline mr-2" />
+                  New recovery codes
+                </h3>
+              </div>
+              <form onSubmit={handleRegenerate}>
+                {codeInput("regenerate-code", code, setCode)}
+                <button type="submit" className="btn btn-secondary" disabled={loading}>
+                  Regenerate recovery codes
+                </button>
+              </form>
+            </div>
+
+            <div className="card">
+              <div className="card-header">
+                <h3 className="card-title">
+                  <ShieldOff className="h-4 w-4 inline mr-2" />
+                  Turn off two-factor authentication
+                </h3>
+              </div>
+              <form onSubmit={handleDisable}>
+                <div className="form-group">
+                  <label htmlFor="password" className="form-label">
+                    Current password
+                  </label>
+                  <input
+                    id="password"
+                    type="password"
+                    autoComplete="current-password"
+                    required
+                    className="form-input"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                  />
+                </div>
+                {codeInput("disable-code", disableCode, setDisableCode)}
+                <button type="submit" className="btn btn-danger" disabled={loading}>
+                  Disable
+                </button>
+              </form>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Security;
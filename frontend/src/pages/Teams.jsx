@@ -0,0 +1,340 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { teamsAPI } from "../services/api";
+import { useAuth } from "../contexts/AuthContext";
+import { useTeam } from "../contexts/TeamContext";
+import { Briefcase, Plus, Trash2, UserPlus, LogOut } from "lucide-react";
+import toast from "react-hot-toast";
+
+const ROLES = ["owner", "manager", "member"];
+
+const Teams = () => {
+  const { user, can } = useAuth();
+  const { teams, activeTeamId, selectTeam, refreshTeams } = useTeam();
+  const [selectedTeamId, setSelectedTeamId] = useState(null);
+  const [team, setTeam] = useState(null);
+  const [customerCount, setCustomerCount] = useState(0);
+  const [newTeamName, setNewTeamName] = useState("");
+  const [memberEmail, setMemberEmail] = useState("");
+  const [memberRole, setMemberRole] = useState("member");
+  const [saving, setSaving] = useState(false);
+
+  const currentUserId = user?._id || user?.id;
+  const errorMessage = (error, fallback) =>
+    error.response?.data?.error || fallback;
+
+  // Default to the active team, then the first team
+  useEffect(() => {
+    if (!selectedTeamId && teams.length > 0) {
+      setSelectedTeamId(activeTeamId || teams[0]._id);
+    }
+  }, [teams, activeTeamId, selectedTeamId]);
+
+  const fetchTeam = useCallback(async () => {
+    if (!selectedTeamId) return;
+    try {
+      const response = await teamsAPI.getTeam(selectedTeamId);
+      setTeam(response.data.data.team);
+      setCustomerCount(response.data.data.customerCount);
+    } catch (error) {
+      console.error("Error fetching team:", error);
+      toast.error(errorMessage(error, "Failed to load team"));
+      setTeam(null);
+    }
+  }, [selectedTeamId]);
+
+  useEffect(() => {
+    fetchTeam();
+  }, [fetchTeam]);
+
+  const myRole = team?.members.find(
+    (member) => member.userId?._id === currentUserId
+  )?.role;
+  const managesAll = can("teams:manage");
+  const canManage = managesAll || (can("teams:write") && ["owner", "manager"].includes(myRole));
+  const isOwner = managesAll || (can("teams:write") && myRole === "owner");
+
+  const handleCreateTeam = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await teamsAPI.createTeam(newTeamName);
+      toast.success("Team created successfully");
+      setNewTeamName("");
+      await refreshTeams();
+      setSelectedTeamId(response.data.data.team._id);
+    } catch (error) {
+      console.error("Error creating team:", error);
+      toast.error(errorMessage(error, "Failed to create team"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await teamsAPI.addMember(team._id, memberEmail, memberRole);
+      setTeam(response.data.data.team);
+      setMemberEmail("");
+      setMemberRole("member");
+      toast.success("Member added successfully");
+      refreshTeams();
+    } catch (error) {
+      console.error("Error adding member:", error);
+      toast.error(errorMessage(error, "Failed to add member"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      const response = await teamsAPI.updateMemberRole(team._id, member.userId._id, role);
+      setTeam(response.data.data.team);
+      toast.success("Member role updated successfully");
+    } catch (error) {
+      console.error("Error updating member role:", error);
+      toast.error(errorMessage(error, "Failed to update member"));
+    }
+  };
+
+  const handleRemoveMember = async (member) => {
+    const isSelf = member.userId._id === currentUserId;
+    const prompt = isSelf
+      ? `Leave ${team.name}?`
+      : `Remove ${member.userId.name} from ${team.name}? Their customers stay with the team.`;
+    if (!window.confirm(prompt)) {
+      return;
+    }
+
+    try {
+      await teamsAPI.removeMember(team._id, member.userId._id);
+      toast.success(isSelf ? "You left the team" : "Member removed successfully");
+      if (isSelf) {
+        if (activeTeamId === team._id) selectTeam(null);
+        setSelectedTeamId(null);
+        setTeam(null);
+        refreshTeams();
+      } else {
+        fetchTeam();
+      }
+    } catch (error) {
+      console.error("Error removing member:", error);
+      toast.error(errorMessage(error, "Failed to remove member"));
+    }
+  };
+
+  const handleDeleteTeam = async () => {
+    if (!window.confirm(`Delete ${team.name}?`)) {
+      return;
+    }
+    try {
+      await teamsAPI.deleteTeam(team._id);
+      toast.success("Team deleted successfully");
+      if (activeTeamId === team._id) selectTeam(null);
+      setSelectedTeamId(null);
+      setTeam(null);
+      refreshTeams();
+    } catch (error) {
+      console.error("Error deleting team:", error);
+      toast.error(errorMessage(error, "Failed to delete team"));
+    }
+  };
+
+  return (
+    <div className="main-content">
+      <div className="page-container">
+        <div className="page-header">
+          <h1 className="page-title">Teams</h1>
+          <p className="page-subtitle">
+            Share customers with your teammates
+          </p>
+          <br />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          {/* Team list */}
+          <div className="card">
+            <div className="card-header">
+              <h3 className="card-title">Your teams</h3>
+            </div>
+            <ul className="space-y-2">
+              {teams.map((item) => (
+                <li key={item._id}>
+                  <button
+                    onClick={() => setSelectedTeamId(item._id)}
+                    className={`btn ${
+                      item._id === selectedTeamId ? "btn-primary" : "btn-secondary"
+                    } w-full`}
+                  >
+                    <Briefcase className="h-4 w-4" />
+                    {item.name}
+                    <span className="text-sm"> ({item.role})</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+            {can("teams:write") && (
+              <>
+                <br />
+                <form onSubmit={handleCreateTeam}>
+                  <div className="form-group">
+                    <label htmlFor="team-name" className="form-label">
+                      New team
+                    </label>
+                    <input
+                      id="team-name"
+                      type="text"
+                      required
+                      minLength={2}
+                      maxLength={100}
+                      className="form-input"
+                      placeholder="Enterprise sales"
+                      value={newTeamName}
+                      onChange={(e) => setNewTeamName(e.target.value)}
+                    />
+                  </div>
+                  <button type="submit" className="btn btn-primary" disabled={saving}>
+                    <Plus className="h-4 w-4" />
+                    Create team
+                  </button>
+                </form>
+              </>
+            )}
+          </div>
+
+          {/* Team details */}
+          <div className="card md:col-span-2">
+            {team ? (
+              <>
+                <div className="card-header">
+                  <div className="flex items-center justify-between">
+                    <h3 className="card-title">{team.name}</h3>
+                    <div className="flex items-center space-x-2">
+                      {activeTeamId !== team._id && (
+                        <button
+                          onClick={() => selectTeam(team._id)}
+                          className="btn btn-secondary"
+                        >
+                          Make active
+                        </button>
+                      )}
+                      {isOwner && !team.personal && (
+                        <button onClick={handleDeleteTeam} className="btn btn-danger">
+                          <Trash2 className="h-4 w-4" />
+                          Delete
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+                <p className="text-sm text-gray-500">
+                  {customerCount} customers · {team.members.length} members
+                  {team.personal && " · personal team"}
+                </p>
+
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Member</th>
+                      <th>Role</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {team.members.map((member) => {
+                      const isSelf = member.userId?._id === currentUserId;
+                      return (
+                        <tr key={member.userId?._id}>
+                          <td>
+                            <div className="font-medium text-gray-900">
+                              {member.userId?.name}
+                            </div>
+                            <div className="text-sm text-gray-500">
+                              {member.userId?.email}
+                            </div>
+                          </td>
+                          <td>
+                            {canManage && !team.personal ? (
+                              <select
+                                value={member.role}
+                                onChange={(e) => handleRoleChange(member, e.target.value)}
+                                className="form-select"
+                                disabled={!isOwner && member.role === "owner"}
+                              >
+                                {ROLES.filter((role) => isOwner || role !== "owner" || member.role === "owner").map((role) => (
+                                  <option key={role} value={role}>
+                                    {role}
+                                  </option>
+                                ))}
+                              </select>
+                            ) : (
+                              <span className="status-badge status-new">{member.role}</span>
+                            )}
+                          </td>
+                          <td>
+                            {!team.personal && (isSelf || canManage) && (
+                              <button
+                                onClick={() => handleRemoveMember(member)}
+                                className="text-red-600 hover:text-red-800"
+                                title={isSelf ? "Leave Team" : "Remove Member"}
+                              >
+                                {isSelf ? (
+                                  <LogOut className="h-4 w-4" />
+                                ) : (
+                                  <Trash2 className="h-4 w-4" />
+                                )}
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+
+                {canManage && !team.personal && (
+                  <form onSubmit={handleAddMember}>
+                    <br />
+                    <div className="flex flex-col sm:flex-row gap-4">
+                      <input
+                        type="email"
+                        required
+                        className="form-input flex-1"
+                        placeholder="teammate@example.com"
+                        value={memberEmail}
+                        onChange={(e) => setMemberEmail(e.target.value)}
+                      />
+                      <select
+                        value={memberRole}
+                        onChange={(e) => setMemberRole(e.target.value)}
+                        className="form-select"
+                      >
+                        {ROLES.filter((role) => isOwner || role !== "owner").map((role) => (
+                          <option key={role} value={role}>
+                            {role}
+                          </option>
+                        ))}
+                      </select>
+                      <button type="submit" className="btn btn-primary" disabled={saving}>
+                        <UserPlus className="h-4 w-4" />
+                        Add member
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </>
+            ) : (
+              <div className="loading">
+                <div className="spinner"></div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Teams;
@@ -0,0 +1,240 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { trashAPI } from "../services/api";
+import { useAuth } from "../contexts/AuthContext";
+import { useTeam } from "../contexts/TeamContext";
+import { Search, RotateCcw, Trash2 } from "lucide-react";
+import toast from "react-hot-toast";
+
+const Trash = () => {
+  const { can } = useAuth();
+  const { activeTeamId } = useTeam();
+  const tabs = [
+    can("customers:delete") && "customers",
+    can("leads:delete") && "leads",
+  ].filter(Boolean);
+
+  const [activeTab, setActiveTab] = useState(tabs[0]);
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pagination, setPagination] = useState({});
+
+  const fetchItems = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page: currentPage, limit: 10, q: searchTerm };
+      const response =
+        activeTab === "customers"
+          ? await trashAPI.getCustomers(params)
+          : await trashAPI.getLeads(params);
+
+      setItems(response.data.data[activeTab]);
+      setPagination(response.data.data.pagination);
+    } catch (error) {
+      console.error("Error fetching trash:", error);
+      toast.error("Failed to load trash");
+    } finally {
+      setLoading(false);
+    }
+  }, [activeTab, currentPage, searchTerm]);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems, activeTeamId]);
+
+  const handleTabChange = (tab) => {
+    setActiveTab(tab);
+    setItems([]);
+    setCurrentPage(1);
+  };
+
+  const handleSearch = (e) => {
+    setSearchTerm(e.target.value);
+    setCurrentPage(1); // Reset to first page when searching
+  };
+
+  const handleRestore = async (item) => {
+    try {
+      if (activeTab === "customers") {
+        await trashAPI.restoreCustomer(item._id);
+        toast.success(`${item.name} restored`);
+      } else {
+        await trashAPI.restoreLead(item._id);
+        toast.success(`${item.title} restored`);
+      }
+      fetchItems();
+    } catch (error) {
+      console.error("Error restoring item:", error);
+      toast.error(error.response?.data?.error || "Failed to restore");
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+  };
+
+  const deletedBy = (item) => item.deletedBy?.name || "Unknown";
+
+  return (
+    <div className="main-content">
+      <div className="page-container">
+        <div className="page-header">
+          <h1 className="page-title">Trash</h1>
+          <p className="page-subtitle">
+            Restore deleted customers and leads before they are permanently removed
+          </p>
+          <br />
+        </div>
+
+        {tabs.length > 1 && (
+          <div className="flex space-x-2 mb-4">
+            {tabs.map((tab) => (
+              <button
+                key={tab}
+                onClick={() => handleTabChange(tab)}
+                className={`btn ${activeTab === tab ? "btn-primary" : "btn-secondary"}`}
+              >
+                {tab === "customers" ? "Customers" : "Leads"}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Search */}
+        <div className="card">
+          <div className="flex flex-col sm:flex-row gap-4">
+            <div className="flex-1">
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                <input
+                  type="text"
+                  placeholder={
+                    activeTab === "customers"
+                      ? "Search deleted customers..."
+                      : "Search deleted leads by title..."
+                  }
+                  className="form-input pl-10"
+                  value={searchTerm}
+                  onChange={handleSearch}
+                />
+              </div>
+            </div>
+            <div
+              className="text-sm text-gray-500 flex items-center"
+              style={{ marginTop: "10px" }}
+            >
+              {(activeTab === "customers"
+                ? pagination.totalCustomers
+                : pagination.totalLeads) || 0}{" "}
+              {activeTab} in the trash
+            </div>
+          </div>
+        </div>
+
+        <div className="table-container">
+          {loading && items.length === 0 ? (
+            <div className="loading">
+              <div className="spinner"></div>
+            </div>
+          ) : items.length > 0 ? (
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>{activeTab === "customers" ? "Customer" : "Lead"}</th>
+                  <th>{activeTab === "customers" ? "Leads" : "Customer"}</th>
+                  <th>Deleted</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((item) => (
+                  <tr key={item._id}>
+                    {activeTab === "customers" ? (
+                      <>
+                        <td>
+                          <div className="font-medium text-gray-900">{item.name}</div>
+                          <div className="text-sm text-gray-500">{item.email}</div>
+                          {item.mergedInto && (
+                            <div className="text-sm text-gray-500">Merged into {item.mergedInto.name}</div>
+                          )}
+                        </td>
+                        <td>
+                          <div className="text-sm text-gray-500">{item.leadCount}</div>
+                        </td>
+                      </>
+                    ) : (
+                      <>
+                        <td>
+                          <div className="font-medium text-gray-900">{item.title}</div>
+                          <div className="text-sm text-gray-500">
+                            ${item.value?.toLocaleString()}
+                          </div>
+                        </td>
+                        <td>
+                          <div className="text-sm text-gray-500">{item.customerId?.name}</div>
+                        </td>
+                      </>
+                    )}
+                    <td>
+                      <div className="text-sm text-gray-900">{formatDate(item.deletedAt)}</div>
+                      <div className="text-sm text-gray-500">by {deletedBy(item)}</div>
+                    </td>
+                    <td>
+                      <button
+                        onClick={() => handleRestore(item)}
+                        className="text-gray-600 hover:text-gray-800"
+                        title="Restore"
+                      >
+                        <RotateCcw className="h-4 w-4" /> &nbsp;
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="card">
+              <Trash2 className="h-12 w-12 text-gray-400 mx-auto mb-5" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                The trash is empty
+              </h3>
+              <p className="text-gray-500 mb-5 mt-5">
+                Deleted {activeTab} show up here until they are purged.
+              </p>
+            </div>
+          )}
+        </div>
+
+        {/* Pagination */}
+        {pagination.totalPages > 1 && (
+          <div className="pagination">
+            <button
+              onClick={() => setCurrentPage(currentPage - 1)}
+              disabled={!pagination.hasPrevPage}
+              className="btn btn-secondary"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-500">
+              Page {currentPage} of {pagination.totalPages}
+            </span>
+            <button
+              onClick={() => setCurrentPage(currentPage + 1)}
+              disabled={!pagination.hasNextPage}
+              className="btn btn-secondary"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Trash;
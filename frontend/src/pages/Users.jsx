@@ -0,0 +1,339 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { usersAPI, rolesAPI } from "../services/api";
+import { useAuth } from "../contexts/AuthContext";
+import {
+  Search,
+  Trash2,
+  UserCheck,
+  UserX,
+  Unlock,
+  Users as UsersIcon,
+} from "lucide-react";
+import toast from "react-hot-toast";
+
+const Users = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [roleFilter, setRoleFilter] = useState("");
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [pagination, setPagination] = useState({});
+  const [roles, setRoles] = useState([]);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = {
+        page: currentPage,
+        limit: 10,
+        q: searchTerm,
+        role: roleFilter,
+      };
+
+      const response = await usersAPI.getUsers(params);
+      const { users, pagination: paginationData } = response.data.data;
+
+      setUsers(users);
+      setPagination(paginationData);
+      setTotalPages(paginationData.totalPages);
+    } catch (error) {
+      console.error("Error fetching users:", error);
+      toast.error("Failed to load users");
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, searchTerm, roleFilter]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  useEffect(() => {
+    rolesAPI
+      .getRoles()
+      .then((response) => setRoles(response.data.data.roles))
+      .catch((error) => console.error("Error fetching roles:", error));
+  }, []);
+
+  const roleLabel = (name) => roles.find((role) => role.name === name)?.label || name;
+
+  const handleSearch = (e) => {
+    setSearchTerm(e.target.value);
+    setCurrentPage(1); // Reset to first page when searching
+  };
+
+  const handleRoleChange = async (user, role) => {
+    try {
+      await usersAPI.updateRole(user._id, role);
+      toast.success(`${user.name} is now ${roleLabel(role)}`);
+      fetchUsers();
+    } catch (error) {
+      console.error("Error updating role:", error);
+      toast.error(error.response?.data?.error || "Failed to update role");
+    }
+  };
+
+  const handleStatusChange = async (user) => {
+    try {
+      await usersAPI.updateStatus(user._id, !user.isActive);
+      toast.success(
+        user.isActive ? "User deactivated successfully" : "User activated successfully"
+      );
+      fetchUsers();
+    } catch (error) {
+      console.error("Error updating status:", error);
+      toast.error(error.response?.data?.error || "Failed to update status");
+    }
+  };
+
+  const handleUnlock = async (user) => {
+    try {
+      await usersAPI.unlockUser(user._id);
+      toast.success("User unlocked successfully");
+      fetchUsers();
+    } catch (error) {
+      console.error("Error unlocking user:", error);
+      toast.error(error.response?.data?.error || "Failed to unlock user");
+    }
+  };
+
+  const handleDelete = async (user) => {
+    if (
+      window.confirm(
+        `Are you sure you want to delete ${user.name}? Their customers will be reassigned to you.`
+      )
+    ) {
+      try {
+        await usersAPI.deleteUser(user._id);
+        toast.success("User deleted successfully");
+        fetchUsers();
+      } catch (error) {
+        console.error("Error deleting user:", error);
+        toast.error(error.response?.data?.error || "Failed to delete user");
+      }
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+  };
+
+  if (loading && users.length === 0) {
+    return (
+      <div className="main-content">
+        <div className="page-container">
+          <div className="loading">
+            <div className="spinner"></div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="main-content">
+      <div className="page-container">
+        <div className="page-header">
+          <h1 className="page-title">Users</h1>
+          <p className="page-subtitle">Manage accounts, roles and access</p>
+          <br />
+        </div>
+
+        {/* Search and Filters */}
+        <div className="card">
+          <div className="flex flex-col sm:flex-row gap-4">
+            <div className="flex-1">
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                <input
+                  type="text"
+                  placeholder="Search users by name or email..."
+                  className="form-input pl-10"
+                  value={searchTerm}
+                  onChange={handleSearch}
+                />
+              </div>
+            </div>
+            <select
+              value={roleFilter}
+              onChange={(e) => {
+                setRoleFilter(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="form-select"
+            >
+              <option value="">All Roles</option>
+              {roles.map((role) => (
+                <option key={role.name} value={role.name}>
+                  {role.label}
+                </option>
+              ))}
+            </select>
+            <div
+              className="text-sm text-gray-500 flex items-center"
+              style={{ marginTop: "10px" }}
+            >
+              {pagination.totalUsers || 0} users found
+            </div>
+          </div>
+        </div>
+
+        {/* Users Table */}
+        <div className="table-container">
+          {users.length > 0 ? (
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>User</th>
+                  <th>Role</th>
+                  <th>Status</th>
+                  <th>Joined</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.map((user) => {
+                  const isSelf = user._id === (currentUser?._id || currentUser?.id);
+                  return (
+                    <tr key={user._id}>
+                      <td>
+                        <div className="font-medium text-gray-900">{user.name}</div>
+                        <div className="text-sm text-gray-500">{user.email}</div>
+                      </td>
+                      <td>
+                        {isSelf ? (
+                          <span
+                            className={`status-badge ${
+                              user.role === "admin" ? "status-converted" : "status-new"
+                            }`}
+                          >
+                            {roleLabel(user.role)}
+                          </span>
+                        ) : (
+                          <select
+                            value={user.role}
+                            onChange={(e) => handleRoleChange(user, e.target.value)}
+                            className="form-select"
+                          >
+                            {!roles.some((role) => role.name === user.role) && (
+                              <option value={user.role}>{user.role}</option>
+                            )}
+                            {roles.map((role) => (
+                              <option key={role.name} value={role.name}>
+                                {role.label}
+                              </option>
+                            ))}
+                          </select>
+                        )}
+                      </td>
+                      <td>
+                        <span
+                          className={`status-badge ${
+                            user.isActive ? "status-contacted" : "status-lost"
+                          }`}
+                        >
+                          {user.isActive ? "Active" : "Deactivated"}
+                        </span>
+                        {user.lockedUntil && (
+                          <span
+                            className="status-badge status-lost"
+                            title={`Locked until ${new Date(user.lockedUntil).toLocaleTimeString()}`}
+                          >
+                            Locked
+                          </span>
+                        )}
+                      </td>
+                      <td>
+                        <div className="text-sm text-gray-500">
+                          {formatDate(user.createdAt)}
+                        </div>
+                      </td>
+                      <td>
+                        {isSelf ? (
+                          <span className="text-gray-400">You</span>
+                        ) : (
+                          <div className="flex items-center space-x-2">
+                            <button
+                              onClick={() => handleStatusChange(user)}
+                              className="text-gray-600 hover:text-gray-800"
+                              title={user.isActive ? "Deactivate User" : "Activate User"}
+                            >
+                              {user.isActive ? (
+                                <UserX className="h-4 w-4" />
+                              ) : (
+                                <UserCheck className="h-4 w-4" />
+                              )}
+                              &nbsp;
+                            </button>
+                            {user.lockedUntil && (
+                              <button
+                                onClick={() => handleUnlock(user)}
+                                className="text-gray-600 hover:text-gray-800"
+                                title="Unlock User"
+                              >
+                                <Unlock className="h-4 w-4" />
+                                &nbsp;
+                              </button>
+                            )}
+                            <button
+                              onClick={() => handleDelete(user)}
+                              className="text-red-600 hover:text-red-800"
+                              title="Delete User"
+                            >
+                              <Trash2 className="h-4 w-4" /> &nbsp;
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          ) : (
+            <div className="card">
+              <UsersIcon className="h-12 w-12 text-gray-400 mx-auto mb-5" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                No users found
+              </h3>
+              <p className="text-gray-500 mb-5 mt-5">
+                Try adjusting your search terms or filters.
+              </p>
+            </div>
+          )}
+        </div>
+
+        {/* Pagination */}
+        {totalPages > 1 && (
+          <div className="pagination">
+            <button
+              onClick={() => setCurrentPage(currentPage - 1)}
+              disabled={currentPage === 1}
+              className="btn btn-secondary"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-500">
+              Page {currentPage} of {totalPages}
+            </span>
+            <button
+              onClick={() => setCurrentPage(currentPage + 1)}
+              disabled={currentPage === totalPages}
+              className="btn btn-secondary"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Users;
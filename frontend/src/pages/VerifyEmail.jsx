@@ -0,0 +1,63 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
+import { Mail } from 'lucide-react';
+import './Login.css';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { user, refreshProfile } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+  const requestedToken = useRef(null);
+
+  useEffect(() => {
+    // Tokens are single-use, so never submit the same one twice
+    if (requestedToken.current === token) return;
+    requestedToken.current = token;
+
+    authAPI.verifyEmail(token)
+      .then(() => setStatus('verified'))
+      .catch((err) => {
+        setError(err.response?.data?.error || 'Email verification failed');
+        setStatus('failed');
+      });
+  }, [token]);
+
+  // Pick up the new verified state for a signed-in user
+  useEffect(() => {
+    if (status === 'verified' && user && !user.emailVerified) {
+      refreshProfile().catch((err) => console.error('Profile refresh failed:', err));
+    }
+  }, [status, user, refreshProfile]);
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <div className="login-icon">
+            <Mail className="h-6 w-6" />
+          </div>
+          <h2 className="login-title">
+            {status === 'verifying' && 'Verifying your email...'}
+            {status === 'verified' && 'Email verified'}
+            {status === 'failed' && 'Verification failed'}
+          </h2>
+          <p className="login-subtitle">
+            {status === 'verified' && 'Thanks! Your email address is confirmed.'}
+            {status === 'failed' && error}
+          </p>
+        </div>
+
+        {status !== 'verifying' && (
+          <Link to={user ? '/dashboard' : '/login'} className="login-button">
+            {user ? 'Go to dashboard' : 'Sign in'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
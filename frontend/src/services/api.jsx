@@ -10,25 +10,75 @@ const api = axios.create({
   },
 });
 
-// Request interceptor to add auth token
+// Request interceptor to add auth token and the active team
 api.interceptors.request.use(
   (config) => {
     const token = localStorage.getItem('token');
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    const teamId = localStorage.getItem('activeTeamId');
+    if (teamId) {
+      config.headers['X-Team-Id'] = teamId;
+    }
     return config;
   },
   (error) => Promise.reject(error)
 );
 
-// Response interceptor to handle auth errors
+// -----------------------
+// Token storage
+// -----------------------
+export const setAuthTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearAuthTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Share one in-flight refresh between concurrent 401s
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((res) => {
+        setAuthTokens(res.data.data);
+        return res.data.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Response interceptor to refresh expired access tokens
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const original = error.config;
+    const isAuthCall = /\/auth\/(login|login\/2fa|register|refresh|logout|forgot-password|reset-password|resend-verification)$/
+      .test(original?.url || '');
+
+    if (error.response?.status === 401 && original && !original._retry && !isAuthCall) {
+      original._retry = true;
+      try {
+        const token = await refreshAccessToken();
+        original.headers.Authorization = `Bearer ${token}`;
+        return api(original);
+      } catch (refreshError) {
+        clearAuthTokens();
+        window.location.href = '/login';
+        return Promise.reject(refreshError);
+      }
     }
     return Promise.reject(error);
   }
@@ -41,7 +91,13 @@ let cachedProfile = null;
 
 export const authAPI = {
   login: (email, password) => api.post('/auth/login', { email, password }),
-  register: (name, email, password, role) => api.post('/auth/register', { name, email, password, role }),
+  loginTwoFactor: (challengeToken, code) => api.post('/auth/login/2fa', { challengeToken, code }),
+  register: (name, email, password) => api.post('/auth/register', { name, email, password }),
+  logout: (refreshToken) => api.post('/auth/logout', { refreshToken }),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  verifyEmail: (token) => api.get(`/auth/verify-email/${token}`),
+  resendVerification: (email) => api.post('/auth/resend-verification', { email }),
 
   getProfile: async () => {
     if (cachedProfile) return Promise.resolve({ data: cachedProfile });
@@ -50,11 +106,61 @@ export const authAPI = {
     return res;
   },
 
+  // Profile changes invalidate the cached profile
+  updateProfile: async (profile) => {
+    const res = await api.put('/auth/me', profile);
+    cachedProfile = null;
+    return res;
+  },
+
+  changePassword: (currentPassword, newPassword) =>
+    api.post('/auth/change-password', { currentPassword, newPassword }),
+
   clearProfileCache: () => {
     cachedProfile = null; // clear cache on logout
   },
 };
 
+// -----------------------
+// Two-factor authentication API
+// -----------------------
+export const twoFactorAPI = {
+  setup: () => api.post('/auth/2fa/setup'),
+  enable: (code) => api.post('/auth/2fa/enable', { code }),
+  disable: (password, code) => api.post('/auth/2fa/disable', { password, code }),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+};
+
+// -----------------------
+// API Keys API
+// -----------------------
+export const apiKeysAPI = {
+  getApiKeys: () => api.get('/keys'),
+  createApiKey: (label, scopes) => api.post('/keys', { label, scopes }),
+  revokeApiKey: (id) => api.delete(`/keys/${id}`),
+};
+
+// -----------------------
+// Teams API
+// -----------------------
+export const setActiveTeamId = (teamId) => {
+  if (teamId) localStorage.setItem('activeTeamId', teamId);
+  else localStorage.removeItem('activeTeamId');
+};
+
+export const getActiveTeamId = () => localStorage.getItem('activeTeamId');
+
+export const teamsAPI = {
+  getTeams: () => api.get('/teams'),
+  getTeam: (id) => api.get(`/teams/${id}`),
+  createTeam: (name) => api.post('/teams', { name }),
+  updateTeam: (id, name) => api.put(`/teams/${id}`, { name }),
+  deleteTeam: (id) => api.delete(`/teams/${id}`),
+  addMember: (id, email, role) => api.post(`/teams/${id}/members`, { email, role }),
+  updateMemberRole: (id, userId, role) => api.put(`/teams/${id}/members/${userId}`, { role }),
+  removeMember: (id, userId) => api.delete(`/teams/${id}/members/${userId}`),
+};
+
 // -----------------------
 // Customers API
 // -----------------------
@@ -64,6 +170,13 @@ export const customersAPI = {
   createCustomer: (data) => api.post('/customers', data),
   updateCustomer: (id, data) => api.put(`/customers/${id}`, data),
   deleteCustomer: (id) => api.delete(`/customers/${id}`),
+  importCustomers: (data) => api.post('/customers/import', data),
+  exportCustomers: (params = {}) => api.get('/customers/export', { params, responseType: 'blob' }),
+  checkDuplicates: (params) => api.get('/customers/duplicates/check', { params }),
+  getDuplicates: () => api.get('/customers/duplicates'),
+  mergeCustomers: (id, data) => api.post(`/customers/${id}/merge`, data),
+  getTags: (q) => api.get('/customers/tags', { params: { q } }),
+  getOwners: () => api.get('/customers/owners'),
 };
 
 // -----------------------
@@ -72,9 +185,92 @@ export const customersAPI = {
 export const leadsAPI = {
   getLeads: (customerId, params = {}) => api.get(`/customers/${customerId}/leads`, { params }),
   getLead: (customerId, leadId) => api.get(`/customers/${customerId}/leads/${leadId}`),
+  getLeadHistory: (customerId, leadId) => api.get(`/customers/${customerId}/leads/${leadId}/history`),
   createLead: (customerId, data) => api.post(`/customers/${customerId}/leads`, data),
   updateLead: (customerId, leadId, data) => api.put(`/customers/${customerId}/leads/${leadId}`, data),
   deleteLead: (customerId, leadId) => api.delete(`/customers/${customerId}/leads/${leadId}`),
+  exportLeads: (customerId, params = {}) =>
+    api.get(`/customers/${customerId}/leads/export`, { params, responseType: 'blob' }),
+  getAllLeads: (params = {}) => api.get('/leads', { params }),
+  exportAllLeads: (params = {}) => api.get('/leads/export', { params, responseType: 'blob' }),
+  getTags: (q) => api.get('/leads/tags', { params: { q } }),
+  getBoard: (params = {}) => api.get('/leads/board', { params }),
+  getBoardColumn: (stageId, params = {}) => api.get(`/leads/board/${stageId}`, { params }),
+};
+
+// Save an export response as a file, named by the server when it says so
+export const saveDownload = (response, fallbackName) => {
+  const disposition = response.headers['content-disposition'] || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : fallbackName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// -----------------------
+// Users API (admin only)
+// -----------------------
+export const usersAPI = {
+  getUsers: (params = {}) => api.get('/users', { params }),
+  getUser: (id) => api.get(`/users/${id}`),
+  updateRole: (id, role) => api.put(`/users/${id}/role`, { role }),
+  updateStatus: (id, isActive) => api.put(`/users/${id}/status`, { isActive }),
+  unlockUser: (id) => api.post(`/users/${id}/unlock`),
+  deleteUser: (id) => api.delete(`/users/${id}`),
+};
+
+// -----------------------
+// Roles API
+// -----------------------
+export const rolesAPI = {
+  getRoles: () => api.get('/roles'),
+  createRole: (role) => api.post('/roles', role),
+  updateRole: (name, role) => api.put(`/roles/${name}`, role),
+  deleteRole: (name) => api.delete(`/roles/${name}`),
+};
+
+// -----------------------
+// Audit API
+// -----------------------
+export const auditAPI = {
+  getEntries: (params = {}) => api.get('/audit', { params }),
+};
+
+// -----------------------
+// Custom Fields API
+// -----------------------
+export const customFieldsAPI = {
+  getFields: (entityType) => api.get('/custom-fields', { params: { entityType } }),
+  createField: (field) => api.post('/custom-fields', field),
+  updateField: (id, field) => api.put(`/custom-fields/${id}`, field),
+  deleteField: (id) => api.delete(`/custom-fields/${id}`),
+};
+
+export const pipelinesAPI = {
+  getPipelines: () => api.get('/pipelines'),
+  createPipeline: (pipeline) => api.post('/pipelines', pipeline),
+  updatePipeline: (id, pipeline) => api.put(`/pipelines/${id}`, pipeline),
+  deletePipeline: (id) => api.delete(`/pipelines/${id}`),
+};
+
+export const statsAPI = {
+  getDashboard: (params = {}) => api.get('/stats/dashboard', { params }),
+  getTrends: (params = {}) => api.get('/stats/trends', { params }),
+  getFunnel: (params = {}) => api.get('/stats/funnel', { params }),
+  getForecast: (params = {}) => api.get('/stats/forecast', { params }),
+  getLeaderboard: (params = {}) => api.get('/stats/leaderboard', { params }),
+};
+
+export const trashAPI = {
+  getCustomers: (params = {}) => api.get('/trash/customers', { params }),
+  getLeads: (params = {}) => api.get('/trash/leads', { params }),
+  restoreCustomer: (id) => api.post(`/trash/customers/${id}/restore`),
+  restoreLead: (id) => api.post(`/trash/leads/${id}/restore`),
 };
 
 export default api;